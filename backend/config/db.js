@@ -0,0 +1,17 @@
+// backend/config/db.js
+import { Pool, types } from "pg";
+
+// DATE columns (e.g. date_of_birth) come back as "YYYY-MM-DD" rather than a
+// Date at local midnight, which would shift a day when serialized as UTC
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
+export const pool = new Pool({
+  user: process.env.DB_USER,
+  host: process.env.DB_HOST,
+  database: process.env.DB_NAME,
+  password: process.env.DB_PASSWORD,
+  port: Number(process.env.DB_PORT) || 25060,
+  ssl: {
+    rejectUnauthorized: false, // DO requires SSL for public DB connections
+  },
+});
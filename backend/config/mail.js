@@ -0,0 +1,78 @@
+// backend/config/mail.js
+// Pluggable mail transport, selected with MAIL_TRANSPORT:
+//   smtp    - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - writes each message to MAIL_OUTBOX_DIR (offline installs)
+//   console - logs who each message is for, never its body (development)
+// Messages carry reset links, invitation codes and verification tokens, so
+// the transport must be chosen on purpose: with NODE_ENV=production the
+// server refuses to start without one, elsewhere it falls back to console.
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || "").toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || "G2G Medical MRI ERP <no-reply@g2gmedical.local>";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "mail_outbox");
+
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return {
+    name: "smtp",
+    delivers: true,
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+const fileTransport = () => ({
+  name: "file",
+  delivers: true,
+  send: async (message) => {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, "_");
+    const filePath = path.join(MAIL_OUTBOX_DIR, `${Date.now()}_${safeTo}.txt`);
+    const contents = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toISOString()}`,
+      "",
+      message.text,
+    ].join("\n");
+    await fs.promises.writeFile(filePath, contents, "utf8");
+    return { filePath };
+  },
+});
+
+// Nothing reaches the recipient, so callers that depend on delivery check `delivers`
+const consoleTransport = () => ({
+  name: "console",
+  delivers: false,
+  send: async (message) => {
+    console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject} (body not logged; use MAIL_TRANSPORT=file to keep messages)`);
+    return {};
+  },
+});
+
+const transports = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+if (!MAIL_TRANSPORT) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT is not set. Set it to smtp (or file for offline installs) before starting in production.");
+  }
+  console.error("CRITICAL WARNING: MAIL_TRANSPORT is NOT set. Mail will not be delivered; messages are only noted in the log.");
+} else if (!transports[MAIL_TRANSPORT]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}". Use smtp, file or console.`);
+}
+
+export const mailTransport = (transports[MAIL_TRANSPORT] || consoleTransport)();
+
+export async function sendMail({ to, subject, text, html }) {
+  return mailTransport.send({ from: MAIL_FROM, to, subject, text, html });
+}
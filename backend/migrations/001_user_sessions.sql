@@ -0,0 +1,27 @@
+-- 001_user_sessions.sql
+-- Server-side sessions backing refresh-token rotation.
+-- Every access token carries its session id (sid); revoking the row logs that device out.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL,
+  previous_token_hash TEXT,
+  rotated_at TIMESTAMPTZ,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_reason TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_refresh_hash ON user_sessions (refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_hash ON user_sessions (previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions (user_id) WHERE revoked_at IS NULL;
+
+-- Sign-in now requires is_verified for every role but admin, where it used to
+-- be checked for medical_staff only. Mark the other roles' existing accounts
+-- verified so they can still sign in.
+UPDATE users SET is_verified = TRUE WHERE role NOT IN ('admin', 'medical_staff') AND is_verified IS NOT TRUE;
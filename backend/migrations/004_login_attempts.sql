@@ -0,0 +1,32 @@
+-- 004_login_attempts.sql
+-- Every login attempt (successful or not) plus temporary lockouts
+-- placed on a username or an IP address after repeated failures.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  username TEXT NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  failure_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (username, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS login_lockouts (
+  id SERIAL PRIMARY KEY,
+  scope TEXT NOT NULL CHECK (scope IN ('username', 'ip')),
+  lock_key TEXT NOT NULL,
+  failed_count INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ NOT NULL,
+  unlocked_at TIMESTAMPTZ,
+  unlocked_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_lockouts_key ON login_lockouts (scope, lock_key, locked_until DESC);
@@ -0,0 +1,100 @@
+-- 006_permissions.sql
+-- Role catalog, permission catalog and the role -> permission grants that
+-- replace the role lists hard-coded on each route. The seeded grants mirror
+-- what the routes allowed before this migration.
+
+CREATE TABLE IF NOT EXISTS roles (
+  name TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT,
+  assignable BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+  key TEXT PRIMARY KEY,
+  category TEXT NOT NULL,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role TEXT NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+  permission TEXT NOT NULL REFERENCES permissions(key) ON UPDATE CASCADE ON DELETE CASCADE,
+  granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  granted_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  PRIMARY KEY (role, permission)
+);
+
+INSERT INTO roles (name, label, description, assignable) VALUES
+  ('admin', 'Administrator', 'Full system administration', FALSE),
+  ('medical_staff', 'Medical Staff', 'Front desk and radiographers: registers patients and visits', TRUE),
+  ('doctor', 'Doctor', 'Radiologists and reporting doctors', TRUE),
+  ('financial_admin', 'Financial Admin', 'Payments, receipts and financial exports', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+-- Keep any role already present on a user account valid
+INSERT INTO roles (name, label)
+SELECT DISTINCT role, INITCAP(REPLACE(role, '_', ' ')) FROM users WHERE role IS NOT NULL
+ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+ALTER TABLE users ADD CONSTRAINT users_role_fkey
+  FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('patients.view', 'Patients', 'View patient list and patient details'),
+  ('patients.create', 'Patients', 'Register new patients'),
+  ('patients.edit', 'Patients', 'Edit patient records'),
+  ('patients.delete', 'Patients', 'Delete patient records'),
+  ('patients.export', 'Patients', 'Export the patient list to Excel'),
+  ('payments.approve', 'Billing', 'Approve patient payments'),
+  ('receipts.generate', 'Billing', 'Generate and print receipts'),
+  ('results.view', 'Results', 'View result files and result summaries'),
+  ('results.upload', 'Results', 'Upload result files'),
+  ('results.manage', 'Results', 'Change result status and mark results issued'),
+  ('results.delete', 'Results', 'Delete result files'),
+  ('results.download', 'Results', 'Download result files'),
+  ('analytics.view', 'Dashboard', 'View dashboard analytics'),
+  ('staff.view', 'Staff', 'View the staff list'),
+  ('staff.manage', 'Staff', 'Verify, suspend, delete staff, change roles and reset passwords'),
+  ('permissions.manage', 'Staff', 'Edit which role has which permission'),
+  ('queries.submit', 'Queries', 'Submit queries to administrators'),
+  ('queries.view_own', 'Queries', 'View own submitted queries'),
+  ('queries.manage', 'Queries', 'View and answer all queries'),
+  ('chat.use', 'Communication', 'Use staff chat'),
+  ('notifications.view', 'Communication', 'Receive notifications'),
+  ('notifications.send', 'Communication', 'Send notifications to staff'),
+  ('events.view', 'Calendar', 'View calendar events'),
+  ('events.manage', 'Calendar', 'Create, edit and delete calendar events')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission)
+SELECT r.role, r.permission FROM (VALUES
+  ('admin', 'patients.view'), ('medical_staff', 'patients.view'), ('doctor', 'patients.view'), ('financial_admin', 'patients.view'),
+  ('admin', 'patients.create'), ('medical_staff', 'patients.create'),
+  ('admin', 'patients.edit'), ('medical_staff', 'patients.edit'), ('doctor', 'patients.edit'), ('financial_admin', 'patients.edit'),
+  ('admin', 'patients.delete'),
+  -- The export route used to name a non-existent "accounts" role; finance is who it was meant for
+  ('admin', 'patients.export'), ('financial_admin', 'patients.export'),
+  ('admin', 'payments.approve'), ('medical_staff', 'payments.approve'), ('financial_admin', 'payments.approve'),
+  ('admin', 'receipts.generate'), ('medical_staff', 'receipts.generate'), ('doctor', 'receipts.generate'), ('financial_admin', 'receipts.generate'),
+  ('admin', 'results.view'), ('medical_staff', 'results.view'), ('doctor', 'results.view'), ('financial_admin', 'results.view'),
+  ('admin', 'results.upload'), ('medical_staff', 'results.upload'), ('doctor', 'results.upload'),
+  ('admin', 'results.manage'), ('medical_staff', 'results.manage'), ('doctor', 'results.manage'), ('financial_admin', 'results.manage'),
+  ('admin', 'results.delete'), ('doctor', 'results.delete'), ('financial_admin', 'results.delete'),
+  -- Other roles get downloads per user through users.can_download
+  ('admin', 'results.download'),
+  ('admin', 'analytics.view'), ('medical_staff', 'analytics.view'), ('doctor', 'analytics.view'), ('financial_admin', 'analytics.view'),
+  ('admin', 'staff.view'), ('doctor', 'staff.view'), ('financial_admin', 'staff.view'),
+  ('admin', 'staff.manage'),
+  ('admin', 'permissions.manage'),
+  ('medical_staff', 'queries.submit'),
+  ('admin', 'queries.view_own'), ('medical_staff', 'queries.view_own'), ('doctor', 'queries.view_own'), ('financial_admin', 'queries.view_own'),
+  ('admin', 'queries.manage'),
+  ('admin', 'chat.use'), ('medical_staff', 'chat.use'),
+  ('admin', 'notifications.view'), ('medical_staff', 'notifications.view'),
+  ('admin', 'notifications.send'),
+  ('admin', 'events.view'), ('medical_staff', 'events.view'), ('doctor', 'events.view'), ('financial_admin', 'events.view'),
+  ('admin', 'events.manage'), ('medical_staff', 'events.manage'), ('doctor', 'events.manage')
+) AS r(role, permission)
+ON CONFLICT DO NOTHING;
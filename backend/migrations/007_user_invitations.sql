@@ -0,0 +1,19 @@
+-- 007_user_invitations.sql
+-- Admin-issued, single-use registration invitations carrying a pre-assigned role.
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  full_name TEXT,
+  role TEXT NOT NULL REFERENCES roles(name) ON UPDATE CASCADE,
+  code_hash TEXT NOT NULL UNIQUE,
+  invited_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_email ON user_invitations (LOWER(email));
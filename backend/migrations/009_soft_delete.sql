@@ -0,0 +1,37 @@
+-- 009_soft_delete.sql
+-- Patients and result files are moved to a recycle bin instead of being
+-- deleted. A purge job hard-deletes them (and their S3 objects) once the
+-- retention period in app_settings has passed.
+
+ALTER TABLE mri_patients ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE mri_patients ADD COLUMN IF NOT EXISTS deleted_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE mri_patients ADD COLUMN IF NOT EXISTS deletion_reason TEXT;
+
+ALTER TABLE patient_results_files ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE patient_results_files ADD COLUMN IF NOT EXISTS deleted_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE patient_results_files ADD COLUMN IF NOT EXISTS deletion_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_mri_patients_deleted_at ON mri_patients (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_patient_results_files_deleted_at ON patient_results_files (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Small key/value store for settings admins change at runtime
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO app_settings (key, value) VALUES
+  ('recycle_bin_retention_days', '30')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('recycle_bin.manage', 'Patients', 'View the recycle bin, restore or permanently delete records'),
+  ('settings.manage', 'System', 'Change system settings')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'recycle_bin.manage'),
+  ('admin', 'settings.manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,42 @@
+-- 010_patient_registry.sql
+-- Patient master index. A `patients` row is the person, identified by a
+-- hospital number; every mri_patients row is one visit of that person and
+-- keeps its own exams, payment and results.
+
+CREATE SEQUENCE IF NOT EXISTS hospital_number_seq;
+
+CREATE TABLE IF NOT EXISTS patients (
+  id SERIAL PRIMARY KEY,
+  hospital_number TEXT NOT NULL UNIQUE
+    DEFAULT ('HN-' || LPAD(nextval('hospital_number_seq')::text, 6, '0')),
+  full_name TEXT NOT NULL,
+  gender TEXT,
+  contact_email TEXT,
+  contact_phone_number TEXT,
+  created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  legacy_visit_id INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_patients_full_name ON patients (LOWER(full_name));
+CREATE INDEX IF NOT EXISTS idx_patients_phone ON patients (contact_phone_number);
+
+ALTER TABLE mri_patients ADD COLUMN IF NOT EXISTS registry_patient_id INTEGER REFERENCES patients(id);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_registry_patient ON mri_patients (registry_patient_id);
+
+-- Existing visits cannot be matched to each other reliably, so each becomes
+-- its own registry patient; duplicates are merged later from the UI.
+INSERT INTO patients (full_name, gender, contact_email, contact_phone_number, created_by_user_id, created_at, legacy_visit_id)
+SELECT m.patient_name, m.gender, m.contact_email, m.contact_phone_number, m.recorded_by_staff_id, m.created_at, m.id
+  FROM mri_patients m
+ WHERE m.registry_patient_id IS NULL
+ ORDER BY m.id;
+
+UPDATE mri_patients m
+   SET registry_patient_id = p.id
+  FROM patients p
+ WHERE p.legacy_visit_id = m.id AND m.registry_patient_id IS NULL;
+
+ALTER TABLE patients DROP COLUMN legacy_visit_id;
+ALTER TABLE mri_patients ALTER COLUMN registry_patient_id SET NOT NULL;
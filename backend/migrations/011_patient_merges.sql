@@ -0,0 +1,35 @@
+-- 011_patient_merges.sql
+-- History of registry patients merged into another. The merged row is deleted;
+-- its snapshot and the visits that moved are kept here.
+
+CREATE TABLE IF NOT EXISTS patient_merges (
+  id SERIAL PRIMARY KEY,
+  survivor_patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+  merged_patient_id INTEGER NOT NULL,
+  merged_hospital_number TEXT NOT NULL,
+  merged_snapshot JSONB NOT NULL,
+  moved_visit_ids INTEGER[] NOT NULL DEFAULT '{}',
+  reason TEXT,
+  merged_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  merged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_merges_survivor ON patient_merges (survivor_patient_id);
+
+-- Pairs an admin has reviewed and marked as different people
+CREATE TABLE IF NOT EXISTS patient_duplicate_dismissals (
+  patient_id_a INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+  patient_id_b INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+  dismissed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  dismissed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (patient_id_a, patient_id_b),
+  CHECK (patient_id_a < patient_id_b)
+);
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('patients.merge', 'Patients', 'Review duplicate patients and merge them')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'patients.merge')
+ON CONFLICT DO NOTHING;
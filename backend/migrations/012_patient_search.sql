@@ -0,0 +1,20 @@
+-- 012_patient_search.sql
+-- Trigram indexes so the patient list can search with ILIKE '%term%' across
+-- name, MRI code, phone, receipt number, referrer and hospital number without
+-- scanning every visit.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_mri_patients_name_trgm ON mri_patients USING gin (patient_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_mri_code_trgm ON mri_patients USING gin (mri_code gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_phone_trgm ON mri_patients USING gin (contact_phone_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_receipt_trgm ON mri_patients USING gin (receipt_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_referring_doctor_trgm ON mri_patients USING gin (referring_doctor gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_referral_hospital_trgm ON mri_patients USING gin (referral_hospital gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_patients_hospital_number_trgm ON patients USING gin (hospital_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_patients_full_name_trgm ON patients USING gin (full_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_patients_phone_trgm ON patients USING gin (contact_phone_number gin_trgm_ops);
+
+-- Default list order
+CREATE INDEX IF NOT EXISTS idx_mri_patients_mri_date_time ON mri_patients (mri_date_time DESC, id DESC) WHERE deleted_at IS NULL;
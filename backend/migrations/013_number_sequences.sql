@@ -0,0 +1,35 @@
+-- 013_number_sequences.sql
+-- Configurable numbering for MRI codes, serial numbers and receipts.
+-- Counters are plain rows incremented inside the caller's transaction rather
+-- than native SEQUENCEs, which skip values when a transaction rolls back;
+-- auditors need the numbers to be gap-free.
+
+CREATE TABLE IF NOT EXISTS number_sequences (
+  key TEXT PRIMARY KEY,
+  description TEXT NOT NULL,
+  pattern TEXT NOT NULL,
+  reset_policy TEXT NOT NULL DEFAULT 'never' CHECK (reset_policy IN ('never', 'yearly')),
+  updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One counter per sequence and period: '' when the sequence never resets,
+-- the four-digit year when it resets yearly
+CREATE TABLE IF NOT EXISTS number_sequence_counters (
+  sequence_key TEXT NOT NULL REFERENCES number_sequences(key) ON DELETE CASCADE,
+  period TEXT NOT NULL DEFAULT '',
+  last_value BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (sequence_key, period)
+);
+
+-- The new formats cannot clash with the random codes issued before, which
+-- stay valid as they are
+INSERT INTO number_sequences (key, description, pattern, reset_policy) VALUES
+  ('mri_code', 'MRI code given to each visit', 'G2G-MRI-{YYYY}-{000000}', 'yearly'),
+  ('serial_number', 'Internal serial number of each visit', 'SN-{YYYY}-{000000}', 'yearly'),
+  ('receipt_number', 'Receipt number printed on payment receipts', 'REC-{YYYY}-{000000}', 'yearly')
+ON CONFLICT (key) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_mri_patients_mri_code ON mri_patients (mri_code);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_serial_number ON mri_patients (serial_number);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_receipt_number ON mri_patients (receipt_number);
@@ -0,0 +1,51 @@
+-- 014_patient_revisions.sql
+-- Numbered revisions of each visit. Every create, edit and restore stores the
+-- editable fields and examinations as they were after the save, because the
+-- update path replaces patient_examinations and would otherwise lose them.
+
+CREATE TABLE IF NOT EXISTS patient_revisions (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES mri_patients(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'restore')),
+  snapshot JSONB NOT NULL,
+  restored_from_revision INTEGER,
+  created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (patient_id, revision_number)
+);
+
+-- Records that existed before revisions were kept start from their current state
+INSERT INTO patient_revisions (patient_id, revision_number, action, snapshot)
+SELECT mp.id, 1, 'baseline',
+       jsonb_build_object(
+         'patient_name', mp.patient_name,
+         'gender', mp.gender,
+         'contact_email', mp.contact_email,
+         'contact_phone_number', mp.contact_phone_number,
+         'age', mp.age,
+         'weight_kg', mp.weight_kg,
+         'referral_hospital', mp.referral_hospital,
+         'referring_doctor', mp.referring_doctor,
+         'radiographer_name', mp.radiographer_name,
+         'radiologist_name', mp.radiologist_name,
+         'remarks', mp.remarks,
+         'payment_type', mp.payment_type,
+         'total_amount', mp.total_amount,
+         'examinations', COALESCE(
+           (SELECT jsonb_agg(jsonb_build_object('name', pe.exam_name, 'amount', pe.exam_amount) ORDER BY pe.id)
+              FROM patient_examinations pe
+             WHERE pe.patient_id = mp.id),
+           '[]'::jsonb
+         )
+       )
+FROM mri_patients mp
+WHERE NOT EXISTS (SELECT 1 FROM patient_revisions r WHERE r.patient_id = mp.id);
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('patients.restore_revision', 'Patients', 'Restore a patient record to an earlier revision')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'patients.restore_revision')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,6 @@
+-- 015_row_versions.sql
+-- Optimistic concurrency: every write to these rows bumps `version`, and
+-- edits must send back the version they were based on (If-Match).
+
+ALTER TABLE mri_patients ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE patient_results_files ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,27 @@
+-- 016_patient_imports.sql
+-- Bulk imports of past visits from spreadsheets. Every dry run and import is
+-- kept with its row-by-row report so it can be downloaded later.
+
+CREATE TABLE IF NOT EXISTS patient_imports (
+  id SERIAL PRIMARY KEY,
+  file_name TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('dry_run', 'rejected', 'committed')),
+  row_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  warning_count INTEGER NOT NULL DEFAULT 0,
+  created_count INTEGER NOT NULL DEFAULT 0,
+  mapping JSONB NOT NULL DEFAULT '{}',
+  report JSONB NOT NULL DEFAULT '[]',
+  imported_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_imports_created_at ON patient_imports (created_at DESC);
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('patients.import', 'Patients', 'Import patient records from Excel or CSV files')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'patients.import')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,34 @@
+-- 017_patient_demographics.sql
+-- Structured demographics: date of birth, address, next of kin and identity
+-- documents. As with name and contact details, the registry patient holds
+-- the latest values and each visit keeps a copy as recorded at that visit.
+-- Existing visits keep their recorded age; date of birth starts out empty
+-- and age is only derived from it once someone enters it.
+
+ALTER TABLE patients
+  ADD COLUMN IF NOT EXISTS date_of_birth DATE,
+  ADD COLUMN IF NOT EXISTS address_line TEXT,
+  ADD COLUMN IF NOT EXISTS address_city TEXT,
+  ADD COLUMN IF NOT EXISTS address_lga TEXT,
+  ADD COLUMN IF NOT EXISTS address_state TEXT,
+  ADD COLUMN IF NOT EXISTS next_of_kin_name TEXT,
+  ADD COLUMN IF NOT EXISTS next_of_kin_relationship TEXT,
+  ADD COLUMN IF NOT EXISTS next_of_kin_phone_number TEXT,
+  ADD COLUMN IF NOT EXISTS national_id_number TEXT,
+  ADD COLUMN IF NOT EXISTS id_document_type TEXT,
+  ADD COLUMN IF NOT EXISTS id_document_number TEXT;
+
+ALTER TABLE mri_patients
+  ADD COLUMN IF NOT EXISTS date_of_birth DATE,
+  ADD COLUMN IF NOT EXISTS address_line TEXT,
+  ADD COLUMN IF NOT EXISTS address_city TEXT,
+  ADD COLUMN IF NOT EXISTS address_lga TEXT,
+  ADD COLUMN IF NOT EXISTS address_state TEXT,
+  ADD COLUMN IF NOT EXISTS next_of_kin_name TEXT,
+  ADD COLUMN IF NOT EXISTS next_of_kin_relationship TEXT,
+  ADD COLUMN IF NOT EXISTS next_of_kin_phone_number TEXT,
+  ADD COLUMN IF NOT EXISTS national_id_number TEXT,
+  ADD COLUMN IF NOT EXISTS id_document_type TEXT,
+  ADD COLUMN IF NOT EXISTS id_document_number TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_patients_national_id_number ON patients (national_id_number);
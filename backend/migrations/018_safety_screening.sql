@@ -0,0 +1,34 @@
+-- 018_safety_screening.sql
+-- MRI safety screening per visit. Each screening keeps the questions of the
+-- form version it was taken on, so older screenings print exactly as asked.
+-- A later screening of the same visit supersedes the earlier one; all are kept.
+-- Signed screenings are medico-legal records: a visit that has one is never
+-- purged from the recycle bin, and the foreign key refuses to delete it.
+
+CREATE TABLE IF NOT EXISTS patient_safety_screenings (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES mri_patients(id) ON DELETE RESTRICT,
+  form_version INTEGER NOT NULL,
+  questions JSONB NOT NULL,
+  answers JSONB NOT NULL,
+  flagged_items TEXT[] NOT NULL DEFAULT '{}',
+  screened_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  signature_name TEXT NOT NULL,
+  signed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  override_reason TEXT,
+  overridden_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  overridden_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_safety_screenings_patient ON patient_safety_screenings (patient_id, signed_at DESC);
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('screening.complete', 'Patients', 'Complete and sign MRI safety screening'),
+  ('screening.override', 'Patients', 'Clear a flagged safety screening so the scan can go ahead')
+ON CONFLICT (key) DO NOTHING;
+
+-- Radiographers work under medical_staff; radiologists under doctor
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'screening.complete'), ('medical_staff', 'screening.complete'),
+  ('admin', 'screening.override'), ('doctor', 'screening.override')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,45 @@
+-- 019_contrast_administrations.sql
+-- Gadolinium contrast given during a visit's examinations: agent, dose, lot,
+-- route, renal function and who gave it. Editing a visit's examinations
+-- replaces their rows, so the exam name is kept here and the link to
+-- patient_examinations only goes null rather than losing the record.
+-- Batch recalls must reach every recipient, so a visit with contrast records
+-- is never purged from the recycle bin and the foreign key refuses the delete.
+
+CREATE TABLE IF NOT EXISTS contrast_administrations (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES mri_patients(id) ON DELETE RESTRICT,
+  examination_id INTEGER REFERENCES patient_examinations(id) ON DELETE SET NULL,
+  exam_name TEXT NOT NULL,
+  agent TEXT NOT NULL,
+  concentration_mmol_per_ml NUMERIC(6, 3) NOT NULL,
+  dose_ml NUMERIC(6, 2) NOT NULL,
+  weight_kg NUMERIC(6, 2),
+  recommended_dose_ml NUMERIC(6, 2),
+  batch_number TEXT NOT NULL,
+  batch_expiry_date DATE,
+  route TEXT NOT NULL,
+  administered_at TIMESTAMPTZ NOT NULL,
+  egfr NUMERIC(6, 1),
+  egfr_estimated BOOLEAN NOT NULL DEFAULT FALSE,
+  creatinine_umol_per_l NUMERIC(7, 1),
+  administered_by_name TEXT NOT NULL,
+  warnings JSONB NOT NULL DEFAULT '[]',
+  notes TEXT,
+  recorded_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contrast_patient ON contrast_administrations (patient_id, administered_at DESC);
+-- Recall lookups match the lot number without regard to case or spacing
+CREATE INDEX IF NOT EXISTS idx_contrast_batch ON contrast_administrations (UPPER(batch_number));
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('contrast.record', 'Patients', 'Record contrast agent administration'),
+  ('contrast.report', 'Patients', 'View the contrast batch traceability report')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'contrast.record'), ('medical_staff', 'contrast.record'), ('doctor', 'contrast.record'),
+  ('admin', 'contrast.report'), ('doctor', 'contrast.report')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,56 @@
+-- 020_referrers.sql
+-- Directory of referring facilities and doctors. Visits keep the referral
+-- text as typed and gain links to the directory entries it resolves to.
+-- Aliases are the other spellings (e.g. "LTH") that resolve to an entry;
+-- they are stored upper-cased and added by the normalisation tool.
+
+CREATE TABLE IF NOT EXISTS referral_facilities (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  contact_person TEXT,
+  phone_number TEXT,
+  email TEXT,
+  address_line TEXT,
+  address_city TEXT,
+  address_state TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_referral_facilities_name ON referral_facilities (UPPER(name));
+CREATE INDEX IF NOT EXISTS idx_referral_facilities_aliases ON referral_facilities USING GIN (aliases);
+
+CREATE TABLE IF NOT EXISTS referring_doctors (
+  id SERIAL PRIMARY KEY,
+  facility_id INTEGER REFERENCES referral_facilities(id) ON DELETE SET NULL,
+  full_name TEXT NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  specialty TEXT,
+  phone_number TEXT,
+  email TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_referring_doctors_facility ON referring_doctors (facility_id);
+CREATE INDEX IF NOT EXISTS idx_referring_doctors_aliases ON referring_doctors USING GIN (aliases);
+
+ALTER TABLE mri_patients
+  ADD COLUMN IF NOT EXISTS referral_facility_id INTEGER REFERENCES referral_facilities(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS referring_doctor_id INTEGER REFERENCES referring_doctors(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_mri_patients_referral_facility ON mri_patients (referral_facility_id, mri_date_time);
+CREATE INDEX IF NOT EXISTS idx_mri_patients_referring_doctor ON mri_patients (referring_doctor_id, mri_date_time);
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('referrers.manage', 'Referrers', 'Manage the referrer directory and normalise referral names'),
+  ('referrers.statements', 'Referrers', 'View referral analytics and referrer statements')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'referrers.manage'),
+  ('admin', 'referrers.statements'), ('financial_admin', 'referrers.statements')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,58 @@
+-- 021_exam_catalog.sql
+-- Admin-managed list of examinations with their price. Visit examinations
+-- reference the catalog item they were booked from and keep the name, code
+-- and amount as they were at the time of the visit, so later price changes
+-- do not alter past bills. Items are retired (active = false), not deleted.
+
+CREATE TABLE IF NOT EXISTS exam_catalog (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  body_region TEXT,
+  with_contrast BOOLEAN NOT NULL DEFAULT FALSE,
+  duration_minutes INTEGER CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+  price NUMERIC(12, 2) NOT NULL CHECK (price >= 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exam_catalog_code ON exam_catalog (UPPER(code));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exam_catalog_name ON exam_catalog (UPPER(name));
+
+ALTER TABLE patient_examinations
+  ADD COLUMN IF NOT EXISTS catalog_item_id INTEGER REFERENCES exam_catalog(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS exam_code TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_patient_examinations_catalog_item ON patient_examinations (catalog_item_id);
+
+-- Registration only accepts catalog exams, so the catalog starts out with the
+-- exams already billed: one item per name (ignoring case and spacing) at its
+-- most recent price, with generated codes the admin can change. Existing
+-- visit exams are linked to their item; their billed amounts stay as they are.
+WITH billed AS (
+  SELECT DISTINCT ON (UPPER(REGEXP_REPLACE(BTRIM(exam_name), '\s+', ' ', 'g')))
+         LEFT(REGEXP_REPLACE(BTRIM(exam_name), '\s+', ' ', 'g'), 120) AS name,
+         exam_amount::numeric AS price
+    FROM patient_examinations
+   WHERE NULLIF(BTRIM(exam_name), '') IS NOT NULL AND exam_amount::numeric >= 0
+   ORDER BY UPPER(REGEXP_REPLACE(BTRIM(exam_name), '\s+', ' ', 'g')), id DESC
+)
+INSERT INTO exam_catalog (code, name, price)
+SELECT 'EXAM-' || LPAD((ROW_NUMBER() OVER (ORDER BY UPPER(name)))::text, 3, '0'), name, price
+  FROM billed
+ON CONFLICT DO NOTHING;
+
+UPDATE patient_examinations pe
+   SET catalog_item_id = c.id, exam_code = c.code
+  FROM exam_catalog c
+ WHERE pe.catalog_item_id IS NULL
+   AND UPPER(c.name) = UPPER(LEFT(REGEXP_REPLACE(BTRIM(pe.exam_name), '\s+', ' ', 'g'), 120));
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('catalog.manage', 'Catalog', 'Manage the examination catalog and its prices')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'catalog.manage')
+ON CONFLICT DO NOTHING;
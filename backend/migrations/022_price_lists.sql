@@ -0,0 +1,46 @@
+-- 022_price_lists.sql
+-- Payer-specific tariffs. Each visit has a payer category; a price list sets
+-- the price of catalog examinations for one category over a date range, and
+-- exams not on the list are charged the catalog (list) price. Lists of the
+-- same category must not overlap; this is checked when they are saved.
+-- Visit examinations keep the list price and the price list they were
+-- charged from, for comparing list against charged revenue.
+
+ALTER TABLE mri_patients
+  ADD COLUMN IF NOT EXISTS payer_category TEXT NOT NULL DEFAULT 'Cash';
+
+CREATE TABLE IF NOT EXISTS price_lists (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  payer_category TEXT NOT NULL,
+  effective_from DATE NOT NULL,
+  effective_to DATE,
+  notes TEXT,
+  created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_lists_category ON price_lists (payer_category, effective_from);
+
+CREATE TABLE IF NOT EXISTS price_list_items (
+  price_list_id INTEGER NOT NULL REFERENCES price_lists(id) ON DELETE CASCADE,
+  catalog_item_id INTEGER NOT NULL REFERENCES exam_catalog(id) ON DELETE CASCADE,
+  price NUMERIC(12, 2) NOT NULL CHECK (price >= 0),
+  PRIMARY KEY (price_list_id, catalog_item_id)
+);
+
+ALTER TABLE patient_examinations
+  ADD COLUMN IF NOT EXISTS list_price NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS price_list_id INTEGER REFERENCES price_lists(id) ON DELETE SET NULL;
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('tariffs.manage', 'Catalog', 'Manage payer price lists'),
+  ('tariffs.report', 'Catalog', 'View revenue at list price against price charged')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'tariffs.manage'), ('financial_admin', 'tariffs.manage'),
+  ('admin', 'tariffs.report'), ('financial_admin', 'tariffs.report')
+ON CONFLICT DO NOTHING;
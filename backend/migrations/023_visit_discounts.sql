@@ -0,0 +1,40 @@
+-- 023_visit_discounts.sql
+-- Discounts and fee waivers as explicit lines on a visit instead of lowered
+-- exam amounts. The naira amount of a percentage line is worked out again
+-- whenever the visit's exams change. Discounts that take the visit past the
+-- approval threshold (a percentage of the exam total, in app_settings) wait
+-- for an approver; smaller ones are approved on request.
+-- mri_patients.discount_amount is the sum of the approved lines;
+-- total_amount stays the exam total.
+
+CREATE TABLE IF NOT EXISTS visit_discounts (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES mri_patients(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('percentage', 'fixed')),
+  value NUMERIC(12, 2) NOT NULL CHECK (value > 0),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+  reason_code TEXT NOT NULL,
+  note TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  decided_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  decided_at TIMESTAMPTZ,
+  decision_note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_visit_discounts_patient ON visit_discounts (patient_id);
+CREATE INDEX IF NOT EXISTS idx_visit_discounts_pending ON visit_discounts (requested_at) WHERE status = 'pending';
+
+ALTER TABLE mri_patients
+  ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+INSERT INTO permissions (key, category, description) VALUES
+  ('discounts.request', 'Billing', 'Add discounts and fee waivers to visits'),
+  ('discounts.approve', 'Billing', 'Approve discounts above the approval threshold')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'discounts.request'), ('medical_staff', 'discounts.request'), ('financial_admin', 'discounts.request'),
+  ('admin', 'discounts.approve'), ('financial_admin', 'discounts.approve')
+ON CONFLICT DO NOTHING;
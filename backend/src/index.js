@@ -15,10 +15,13 @@ import fs from "fs";
 import path from "path";
 
 // ------------------ Database & Auth ------------------
-import { Pool } from "pg";
+import { pool } from "../config/db.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-import { auth, authorizeRoles } from "./middleware/auth.js";
+import { auth } from "./middleware/auth.js";
+import { requirePermission } from "./middleware/permissions.js";
+import { getUserAccess, invalidatePermissionCache, isKnownRole } from "../utils/permissions.js";
+import { generateInvitationCode, hashInvitationCode, INVITATION_STATUS_SQL } from "../utils/invitations.js";
 
 // ------------------ Upload & Puppeteer ------------------
 import multer from "multer";
@@ -40,6 +43,66 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 import { formatNumbersInResponse } from "../utils/formatNumber.js";
+import { createSession, rotateSession, revokeSession, revokeUserSessions, hashToken, isSessionActive } from "../utils/sessions.js";
+import { passwordPolicy, validatePassword } from "../utils/passwordPolicy.js";
+import { mailTransport, sendMail } from "../config/mail.js";
+import {
+  isMfaRequiredForRole,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTotp,
+  getMfaStatus,
+} from "../utils/mfa.js";
+import { checkLoginAllowed, recordLoginAttempt, unlockLockout } from "../utils/loginThrottle.js";
+import { recordAudit, writeAuditEntry } from "../utils/audit.js";
+import { getSetting, setSetting } from "../utils/settings.js";
+import { KEPT_RECORDS_SQL, hasKeptRecords, purgeExpiredRecords, purgePatient, purgeResult } from "../utils/recycleBin.js";
+import { createRegistryPatient, pickDemographics, syncRegistryDemographics } from "../utils/patientRegistry.js";
+import { ageOnDate, formatAddress, formatDateOfBirth, formatIdentity, formatNextOfKin } from "../utils/demographics.js";
+import { findDuplicateCandidates, findDuplicatePairs, mergeRegistryPatients } from "../utils/duplicatePatients.js";
+import { buildPatientFilters, buildPatientOrder } from "../utils/patientQuery.js";
+import { nextNumber, previewNextNumber, validatePattern } from "../utils/numbering.js";
+import { PATIENT_COLUMNS, PATIENT_SCHEMA, cleanPatientValue, validatePatient } from "../utils/patientValidation.js";
+import { examSnapshot, getPatientRevision, listPatientRevisions, recordPatientRevision } from "../utils/patientRevisions.js";
+import {
+  CURRENT_SCREENING_VERSION, SCAN_BLOCKED_MESSAGE, SCREENING_FORMS, cleanScreeningAnswers, flaggedItems,
+  getScreening, listScreenings, loadScreeningStatus, screeningStatus, validateScreeningAnswers,
+} from "../utils/safetyScreening.js";
+import {
+  CONTRAST_AGENTS, CONTRAST_ROUTES, captureContrastLinks, contrastWarnings, estimateEgfr, findBatchRecipients,
+  getContrastAdministration, listContrastAdministrations, listContrastBatches, recommendedDoseMl, relinkContrastExaminations,
+  validateContrast,
+} from "../utils/contrast.js";
+import {
+  REFERRER_KINDS, linkVisitReferrers, listDoctors, listFacilities, listUnmatchedReferrals, loadReferrerStatement,
+  normalizeReferrals, parseStatementMonth, referralAnalytics, saveReferrer, validateReferrer,
+} from "../utils/referrers.js";
+import {
+  EXAM_BODY_REGIONS, listCatalogItems, loadExamCatalog, resolveExaminations, saveCatalogItem, validateCatalogItem,
+} from "../utils/examCatalog.js";
+import {
+  PAYER_CATEGORIES, getPriceList, listPriceLists, loadTariff, savePriceList, tariffRevenueReport, validatePriceList,
+} from "../utils/priceLists.js";
+import {
+  DISCOUNT_REASONS, discountAmount, discountReasonLabel, findDiscountApprovers, listPendingDiscounts, listVisitDiscounts,
+  refreshVisitDiscounts, validateDiscount,
+} from "../utils/discounts.js";
+import {
+  IMPORT_FIELDS,
+  IMPORT_FIELD_VALUES,
+  MAX_IMPORT_ROWS,
+  checkImportRows,
+  checkMapping,
+  readImportSheet,
+  reportRow,
+  saveImportRecord,
+  suggestMapping,
+  summarizeImport,
+} from "../utils/patientImport.js";
+import { formatEtag, parseIfMatch, VERSION_CONFLICT_MESSAGE, VERSION_REQUIRED_MESSAGE } from "../utils/concurrency.js";
+import crypto from "crypto";
 
 
 
@@ -48,14 +111,46 @@ if (!process.env.JWT_SECRET) {
   console.error('CRITICAL WARNING: JWT_SECRET is NOT set. Please set JWT_SECRET in your environment variables.');
 } 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-please-change';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '30m';
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const MFA_CHALLENGE_TTL = '5m';
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RECYCLE_BIN_PURGE_INTERVAL_HOURS = Number(process.env.RECYCLE_BIN_PURGE_INTERVAL_HOURS) || 24;
 
 // --- Initialize Express App and HTTP Server ---
 const app = express();
 const server = http.createServer(app);
+// req.ip is the address appended by the proxies in front of the app (the DO
+// load balancer is one hop); earlier X-Forwarded-For entries are client-supplied
+app.set('trust proxy', Number.parseInt(process.env.TRUSTED_PROXY_HOPS ?? '1', 10) || 0);
 
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
+// Profile photos: small images only
+const PROFILE_PHOTO_TYPES = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+const photoUpload = multer({
+  storage: storage,
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (PROFILE_PHOTO_TYPES[file.mimetype]) return cb(null, true);
+    cb(new Error('Profile photo must be a JPEG, PNG or WebP image.'));
+  }
+});
+
+// Patient imports: one spreadsheet at a time
+const importUpload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|csv)$/i.test(file.originalname)) return cb(null, true);
+    cb(new Error('Import file must be an .xlsx or .csv file.'));
+  }
+});
+
 // --- Configure CORS properly ---
 const allowedOrigins = [
   "http://localhost:3000", // React dev
@@ -75,7 +170,8 @@ app.use(
     },
     credentials: true, 
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "If-Match"],
+    exposedHeaders: ["ETag"],
   })
 );
 
@@ -91,15 +187,12 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
   }
   if (!res.getHeader('Access-Control-Allow-Headers')) {
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,If-Match');
   }
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
 
-// At the top of index.js
-const connectedUsers = new Map();
-
 // ------------------ Socket.IO ------------------
 const io = new Server(server, {
   cors: {
@@ -107,32 +200,76 @@ const io = new Server(server, {
     methods: ['GET','POST']
   }
 });
-io.on('connection', (socket) => {
-  console.log('Socket connected:', socket.id);
-  socket.on('disconnect', () => console.log('Socket disconnected:', socket.id));
-});
-
 
-// When a user connects
-io.on("connection", (socket) => {
-  console.log("User connected:", socket.id);
+// Every device a user has open joins `user:<id>` and `session:<sid>` for the session it signed in with.
+// Only sockets of users with chat.use join the chat room, so chat never reaches anyone else.
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const CHAT_ROOM = 'chat';
 
-  socket.on("register", (userId) => {
-    connectedUsers.set(userId, socket.id);
-    console.log(`User ${userId} registered with socket ${socket.id}`);
-  });
+// Closes the open sockets of revoked sessions, so they stop receiving notifications and chat at once
+const disconnectSessions = (sessionIds) => {
+  for (const sessionId of sessionIds) io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
 
-  socket.on("disconnect", () => {
-    for (const [userId, socketId] of connectedUsers.entries()) {
-      if (socketId === socket.id) {
-        connectedUsers.delete(userId);
-        console.log(`User ${userId} disconnected`);
-        break;
+// Moves the open sockets of one user (or everyone) in or out of the chat room to match chat.use.
+// Call after the permission cache has been invalidated for a role or grant change.
+const refreshChatMembership = async (userId = null) => {
+  try {
+    const sockets = await (userId === null ? io : io.in(userRoom(userId))).fetchSockets();
+    const canChat = new Map();
+    for (const member of sockets) {
+      const memberId = member.data.user.id;
+      if (!canChat.has(memberId)) {
+        const access = await getUserAccess(pool, memberId);
+        canChat.set(memberId, Boolean(access?.permissions.has('chat.use')));
       }
+      if (canChat.get(memberId)) member.join(CHAT_ROOM);
+      else member.leave(CHAT_ROOM);
     }
-  });
+  } catch (error) {
+    console.error('Error refreshing chat room membership:', error);
+  }
+};
+
+// The handshake carries the same access token as the REST API (`auth: { token }`)
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token
+    || socket.handshake.headers.authorization?.split(' ')[1];
+  if (!token) return next(new Error('Authentication required'));
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded.sid || !(await isSessionActive(pool, decoded.sid, decoded.id))) {
+      return next(new Error('Session has been revoked or expired'));
+    }
+    const access = await getUserAccess(pool, decoded.id);
+    if (!access) return next(new Error('Authentication failed'));
+
+    socket.data.user = {
+      id: decoded.id,
+      username: decoded.username,
+      sessionId: decoded.sid,
+      canChat: access.permissions.has('chat.use'),
+    };
+    next();
+  } catch (error) {
+    console.error('Socket authentication failed:', error.message);
+    next(new Error('Authentication failed'));
+  }
 });
 
+// Inserts a notification row and pushes it to every open device of the recipient
+const createNotification = async (userId, { type, message, relatedEntityId = null, relatedEntityType = null }) => {
+  const result = await pool.query(
+    `INSERT INTO notifications (user_id, type, message, related_entity_id, related_entity_type)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [userId, type, message, relatedEntityId, relatedEntityType]
+  );
+  io.to(userRoom(userId)).emit('new_notification', result.rows[0]);
+  return result.rows[0];
+};
+
 // ------------------ Uploads (multer) ------------------
 const UPLOADS_BASE_DIR = path.join(__dirname, '..', 'uploads');
 const UPLOADS_RESULTS_DIR = path.join(UPLOADS_BASE_DIR, 'results');
@@ -150,14 +287,87 @@ const UPLOADS_RESULTS_DIR = path.join(UPLOADS_BASE_DIR, 'results');
 app.use('/uploads', express.static(UPLOADS_BASE_DIR));
 
 // ------------------ Helpers ------------------
-function generateMriCode() {
-  const randomNumbers = String(Math.floor(1000 + Math.random() * 9000)).padStart(4, '0');
-  return `G2G-MRI-${randomNumbers}`;
+// Next number of a configured sequence whose values live in an mri_patients
+// column; numbers already used there (e.g. issued under an older pattern) are skipped.
+// `date` picks the period and date parts for back-dated visits (default today).
+function nextVisitNumber(db, sequenceKey, column, date = null) {
+  return nextNumber(db, sequenceKey, {
+    date: date || new Date(),
+    isTaken: async (value) =>
+      (await db.query(`SELECT 1 FROM mri_patients WHERE ${column} = $1 LIMIT 1`, [value])).rows.length > 0,
+  });
+}
+
+// Short-lived access token bound to a server-side session (sid)
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      can_download: user.can_download,
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Interim token handed out between the password step and the 2FA step.
+// It carries no session id, so the auth middleware never accepts it.
+function signMfaChallenge(user, purpose) {
+  return jwt.sign({ id: user.id, purpose }, JWT_SECRET, { expiresIn: MFA_CHALLENGE_TTL });
 }
-function generateReceiptNumber() {
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substring(2, 7);
-  return `REC-${timestamp}-${random}`.toUpperCase();
+
+function verifyMfaChallenge(challengeToken, purpose) {
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Opens a session and builds the response every successful login ends with
+async function completeLogin(req, user) {
+  // Access token stays short (30m); the refresh token keeps the session alive
+  const { sessionId, refreshToken } = await createSession(pool, user.id, req);
+  await recordLoginAttempt(pool, req, { username: user.username, userId: user.id, success: true });
+  return {
+    message: 'Login successful!',
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      full_name: user.full_name,
+      role: user.role,
+      is_verified: user.is_verified,
+      can_download: user.can_download
+    }
+  };
+}
+
+// Answers a throttled/locked login attempt with 429 and Retry-After
+async function rejectThrottledLogin(req, res, username, userId, check) {
+  await recordLoginAttempt(pool, req, { username, userId, success: false, reason: check.reason });
+  res.set('Retry-After', String(check.retryAfter));
+  return res.status(429).json({
+    message: check.reason === 'locked'
+      ? `Too many failed attempts. Login is locked for ${Math.ceil(check.retryAfter / 60)} minute(s).`
+      : `Too many failed attempts. Please wait ${check.retryAfter} second(s) and try again.`,
+    reason: check.reason,
+    retry_after: check.retryAfter
+  });
+}
+
+// Loads a user for the second login step and re-checks they may still sign in
+async function loadLoginUser(userId) {
+  const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+  const user = userResult.rows[0];
+  if (!user || (user.role !== 'admin' && !user.is_verified)) return null;
+  return user;
 }
 
 // ✅ NEW HELPER: Safely parses currency to avoid 119,999.99 error
@@ -176,17 +386,6 @@ const formatAmount = (amount) => {
 };
 
 // ------------------ Postgres Pool ------------------
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: Number(process.env.DB_PORT) || 25060,
-  ssl: {
-    rejectUnauthorized: false, // DO requires SSL for public DB connections
-  },
-});
-
 // test DB connection
 (async () => {
   try {
@@ -222,31 +421,106 @@ app.get('/api/test-db', async (req, res) => {
 
 // ---------- Registration ----------
 app.post('/api/register', async (req, res) => {
-  const { username, password, email, phone_number, full_name } = req.body;
+  const { username, password, email, phone_number, full_name, invite_code } = req.body;
   if (!username || !password || !email || !full_name) {
     return res.status(400).json({ message: 'All required fields must be provided.' });
   }
+  const passwordErrors = validatePassword(password, { username, email });
+  if (passwordErrors.length > 0) {
+    return res.status(400).json({ message: passwordErrors.join(' '), errors: passwordErrors });
+  }
+
+  const client = await pool.connect();
   try {
-    const existingUser = await pool.query('SELECT id FROM users WHERE username = $1 OR email = $2', [username, email]);
-    if (existingUser.rows.length > 0) return res.status(409).json({ message: 'Username or Email already exists.' });
+    await client.query('BEGIN');
+
+    // An invitation decides the role and skips admin verification
+    let invitation = null;
+    if (invite_code) {
+      const invitationResult = await client.query(
+        `SELECT i.*, ${INVITATION_STATUS_SQL} AS status
+           FROM user_invitations i WHERE i.code_hash = $1
+           FOR UPDATE`,
+        [hashInvitationCode(invite_code)]
+      );
+      invitation = invitationResult.rows[0];
+      if (!invitation || invitation.status !== 'pending') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'This invitation is invalid, expired or has already been used.' });
+      }
+      if (invitation.email.toLowerCase() !== String(email).trim().toLowerCase()) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Please register with the email address the invitation was sent to.' });
+      }
+    }
+
+    const existingUser = await client.query('SELECT id FROM users WHERE username = $1 OR email = $2', [username, email]);
+    if (existingUser.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Username or Email already exists.' });
+    }
 
     const salt = await bcrypt.genSalt(10);
     const passwordHash = await bcrypt.hash(password, salt);
 
-    const newUser = await pool.query(
-      `INSERT INTO users (username, password_hash, email, phone_number, full_name, role)
-       VALUES ($1,$2,$3,$4,$5,$6)
+    const newUser = await client.query(
+      `INSERT INTO users (username, password_hash, email, phone_number, full_name, role, is_verified)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)
        RETURNING id, username, email, full_name, role, is_verified`,
-      [username, passwordHash, email, phone_number, full_name, 'medical_staff']
+      [username, passwordHash, email, phone_number, full_name, invitation ? invitation.role : 'medical_staff', !!invitation]
     );
 
+    if (invitation) {
+      await client.query(
+        'UPDATE user_invitations SET accepted_at = NOW(), accepted_user_id = $1 WHERE id = $2',
+        [newUser.rows[0].id, invitation.id]
+      );
+    }
+    await writeAuditEntry(client, req, {
+      action: 'user.register',
+      entityType: 'user',
+      entityId: newUser.rows[0].id,
+      after: newUser.rows[0],
+      metadata: invitation ? { invitation_id: invitation.id } : null,
+      actor: newUser.rows[0],
+    });
+    await client.query('COMMIT');
+
     return res.status(201).json({
-      message: 'Medical staff registered successfully. Awaiting admin verification.',
+      message: invitation
+        ? 'Account created. You can log in now.'
+        : 'Medical staff registered successfully. Awaiting admin verification.',
       user: newUser.rows[0]
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('/api/register error:', error);
     return res.status(500).json({ message: 'Server error during registration.', error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Public: lets the registration form show who an invitation is for
+app.get('/api/invitations/:code', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT i.email, i.full_name, i.role, r.label AS role_label, i.expires_at, ${INVITATION_STATUS_SQL} AS status
+         FROM user_invitations i
+         JOIN roles r ON r.name = i.role
+        WHERE i.code_hash = $1`,
+      [hashInvitationCode(req.params.code)]
+    );
+    const invitation = result.rows[0];
+    if (!invitation) return res.status(404).json({ message: 'Invitation not found.' });
+    if (invitation.status !== 'pending') {
+      return res.status(410).json({ message: `This invitation has ${invitation.status === 'accepted' ? 'already been used' : `been ${invitation.status}`}.` });
+    }
+    const { status, ...details } = invitation;
+    return res.status(200).json(details);
+  } catch (error) {
+    console.error('/api/invitations/:code error:', error);
+    return res.status(500).json({ message: 'Server error fetching invitation.', error: error.message });
   }
 });
 
@@ -258,42 +532,46 @@ app.post('/api/login', async (req, res) => {
   }
 
   try {
+    // Checked before the password so a locked account gives nothing away
+    const throttle = await checkLoginAllowed(pool, username, req);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(req, res, username, null, throttle);
+    }
+
     const userResult = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
     const user = userResult.rows[0];
-    if (!user) return res.status(401).json({ message: 'Invalid credentials.' });
+    if (!user) {
+      await recordLoginAttempt(pool, req, { username, success: false, reason: 'unknown_user' });
+      return res.status(401).json({ message: 'Invalid credentials.' });
+    }
 
     const isMatch = await bcrypt.compare(password, user.password_hash);
-    if (!isMatch) return res.status(401).json({ message: 'Invalid credentials.' });
+    if (!isMatch) {
+      await recordLoginAttempt(pool, req, { username, userId: user.id, success: false, reason: 'invalid_password' });
+      return res.status(401).json({ message: 'Invalid credentials.' });
+    }
 
-    if (user.role === 'medical_staff' && !user.is_verified) {
+    // Unverified covers both "awaiting verification" and "suspended"
+    if (user.role !== 'admin' && !user.is_verified) {
+      await recordLoginAttempt(pool, req, { username, userId: user.id, success: false, reason: 'not_verified' });
       return res.status(403).json({ message: 'Account not yet verified by an administrator.' });
     }
 
-    // ✅ CHANGED: Set expiresIn to '30m' (30 minutes) per your request
-    const token = jwt.sign(
-      {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        can_download: user.can_download 
-      },
-      JWT_SECRET,
-      { expiresIn: '30m' } 
-    );
+    // Step two: the password alone is not enough once 2FA is on (or required for the role)
+    if (user.totp_enabled) {
+      return res.status(200).json({
+        mfa_required: true,
+        challengeToken: signMfaChallenge(user, 'mfa')
+      });
+    }
+    if (isMfaRequiredForRole(user.role)) {
+      return res.status(200).json({
+        mfa_enrollment_required: true,
+        challengeToken: signMfaChallenge(user, 'mfa_enroll')
+      });
+    }
 
-    return res.status(200).json({
-      message: 'Login successful!',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        full_name: user.full_name,
-        role: user.role,
-        is_verified: user.is_verified,
-        can_download: user.can_download 
-      }
-    });
+    return res.status(200).json(await completeLogin(req, user));
   } catch (error) {
     console.error('/api/login error:', error);
     return res.status(500).json({ message: 'Server error during login.', error: error.message });
@@ -301,1350 +579,4623 @@ app.post('/api/login', async (req, res) => {
 });
 
 
-// ---------- Admin verify/suspend medical staff ----------
-app.patch('/api/admin/verify-medical-staff/:id', auth, authorizeRoles('admin'), async (req, res) => {
-  const userId = req.params.id;
-  const { suspend } = req.body;
+// ---------- Login step two: TOTP or recovery code ----------
+app.post('/api/auth/mfa/verify', async (req, res) => {
+  const { challengeToken, code, recovery_code } = req.body;
+  const challenge = verifyMfaChallenge(challengeToken, 'mfa');
+  if (!challenge) {
+    return res.status(401).json({ message: 'Verification expired. Please log in again.' });
+  }
+  if (!code && !recovery_code) {
+    return res.status(400).json({ message: 'An authentication code or recovery code is required.' });
+  }
+
   try {
-    const userResult = await pool.query('SELECT id, username, role, is_verified FROM users WHERE id = $1', [userId]);
-    const user = userResult.rows[0];
-    if (!user) return res.status(404).json({ message: 'Medical staff user not found.' });
-    if (user.role !== 'medical_staff') return res.status(400).json({ message: 'Cannot verify this user: not a medical staff.' });
+    const user = await loadLoginUser(challenge.id);
+    if (!user) return res.status(401).json({ message: 'Account is no longer active.' });
 
-    const newIsVerified = !suspend;
-    const updatedUser = await pool.query(
-      'UPDATE users SET is_verified = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, username, email, full_name, role, is_verified',
-      [newIsVerified, userId]
-    );
+    // Six digits are guessable, so codes share the password throttle
+    const throttle = await checkLoginAllowed(pool, user.username, req);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(req, res, user.username, user.id, throttle);
+    }
 
-    return res.status(200).json({
-      message: `Medical staff ${updatedUser.rows[0].username} updated.`,
-      user: updatedUser.rows[0]
-    });
+    const method = await verifySecondFactor(pool, user.id, { code, recoveryCode: recovery_code });
+    if (!method) {
+      await recordLoginAttempt(pool, req, { username: user.username, userId: user.id, success: false, reason: 'invalid_mfa_code' });
+      // Stay on the code step (400, not 401) - the challenge itself is still valid
+      return res.status(400).json({ message: 'Invalid authentication code.' });
+    }
+
+    const body = await completeLogin(req, user);
+    if (method === 'recovery_code') {
+      const { recovery_codes_remaining } = await getMfaStatus(pool, user.id, user.role);
+      body.recovery_codes_remaining = recovery_codes_remaining;
+    }
+    return res.status(200).json(body);
   } catch (error) {
-    console.error('/api/admin/verify-medical-staff error:', error);
-    return res.status(500).json({ message: 'Server error during verification/suspension.', error: error.message });
+    console.error('/api/auth/mfa/verify error:', error);
+    return res.status(500).json({ message: 'Server error verifying authentication code.', error: error.message });
   }
 });
 
-app.get('/api/staff-list', auth, authorizeRoles('admin', 'doctor', 'financial_admin'), async (req, res) => {
+// ---------- Forced enrolment during login (role requires 2FA) ----------
+app.post('/api/auth/mfa/enroll', async (req, res) => {
+  const challenge = verifyMfaChallenge(req.body.challengeToken, 'mfa_enroll');
+  if (!challenge) {
+    return res.status(401).json({ message: 'Enrollment expired. Please log in again.' });
+  }
+
   try {
-    const staffList = await pool.query(`
-      SELECT id, full_name, username, email, role, is_verified, created_at
-      FROM users
-      WHERE role IN ('doctor', 'financial_admin', 'medical_staff')
-      ORDER BY full_name ASC
-    `);
-    return res.status(200).json(staffList.rows);
+    const user = await loadLoginUser(challenge.id);
+    if (!user) return res.status(401).json({ message: 'Account is no longer active.' });
+    if (user.totp_enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled. Please log in again.' });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await startTotpEnrollment(pool, user);
+    return res.status(200).json({ secret, otpauth_url: otpauthUrl, qr_code: qrCode });
   } catch (error) {
-    console.error('/api/staff-list error:', error);
-    return res.status(500).json({ message: 'Server error fetching staff list.', error: error.message });
+    console.error('/api/auth/mfa/enroll error:', error);
+    return res.status(500).json({ message: 'Server error starting enrollment.', error: error.message });
   }
 });
 
-// ✅ Admin updates staff download permission
-app.patch("/api/staff-list/:id/permission", auth, async (req, res) => {
+app.post('/api/auth/mfa/enroll/verify', async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const challenge = verifyMfaChallenge(challengeToken, 'mfa_enroll');
+  if (!challenge) {
+    return res.status(401).json({ message: 'Enrollment expired. Please log in again.' });
+  }
+
   try {
-    const { can_download } = req.body;
-    const staffId = req.params.id;
+    const user = await loadLoginUser(challenge.id);
+    if (!user) return res.status(401).json({ message: 'Account is no longer active.' });
+    if (user.totp_enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled. Please log in again.' });
+    }
 
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Forbidden" });
+    const recoveryCodes = await confirmTotpEnrollment(pool, user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code. Check the time on your phone and try again.' });
     }
 
-    if (typeof can_download !== "boolean") {
-      return res.status(400).json({ message: "can_download must be true or false." });
+    const body = await completeLogin(req, user);
+    return res.status(200).json({ ...body, recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('/api/auth/mfa/enroll/verify error:', error);
+    return res.status(500).json({ message: 'Server error completing enrollment.', error: error.message });
+  }
+});
+
+// ---------- Refresh token rotation ----------
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required.' });
+  }
+
+  try {
+    const { session, refreshToken: newRefreshToken, error } = await rotateSession(pool, refreshToken, req);
+    if (error) {
+      const messages = {
+        reused: 'Refresh token was already used. This session has been revoked for your security.',
+        stale: 'Refresh token was already used. Please retry with the latest token.',
+        revoked: 'Session has been revoked. Please log in again.',
+        expired: 'Session expired. Please log in again.',
+        invalid: 'Invalid refresh token.',
+      };
+      return res.status(401).json({ message: messages[error], reason: error });
     }
 
-    const result = await pool.query(
-      "UPDATE users SET can_download = $1 WHERE id = $2 RETURNING id, username, email, role, can_download",
-      [can_download, staffId]
+    const userResult = await pool.query(
+      'SELECT id, username, role, is_verified, can_download FROM users WHERE id = $1',
+      [session.user_id]
     );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ message: "Staff not found" });
+    const user = userResult.rows[0];
+    if (!user || (user.role !== 'admin' && !user.is_verified)) {
+      await revokeSession(pool, session.id, 'account_inactive');
+      disconnectSessions([session.id]);
+      return res.status(401).json({ message: 'Account is no longer active.' });
     }
 
-    res.json({
-      success: true,
-      message: "Permission updated",
-      staff: result.rows[0]
+    return res.status(200).json({
+      token: signAccessToken(user, session.id),
+      refreshToken: newRefreshToken
     });
   } catch (error) {
-    console.error("Permission update error:", error.message);
-    res.status(500).json({ message: "Server error" });
+    console.error('/api/auth/refresh error:', error);
+    return res.status(500).json({ message: 'Server error refreshing session.', error: error.message });
   }
 });
 
+// ---------- Logout (revokes the current session) ----------
+app.post('/api/auth/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(pool, req.user.sessionId, 'logout');
+    disconnectSessions([req.user.sessionId]);
+    return res.status(200).json({ message: 'Logged out successfully.' });
+  } catch (error) {
+    console.error('/api/auth/logout error:', error);
+    return res.status(500).json({ message: 'Server error during logout.', error: error.message });
+  }
+});
 
-// ---------- Delete Result ----------
-app.delete(
-  '/api/results/:id',
-  auth,
-  authorizeRoles('admin', 'doctor', 'financial_admin'),
-  async (req, res) => {
-    const resultId = req.params.id;
-
-    try {
-      const result = await pool.query(
-        'SELECT file_path FROM patient_results_files WHERE file_id = $1',
-        [resultId]
-      );
+// ---------- Active sessions (devices) of the current user ----------
+app.get('/api/auth/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM user_sessions
+        WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+        ORDER BY last_used_at DESC`,
+      [req.user.id]
+    );
+    return res.status(200).json(sessions.rows.map(s => ({
+      ...s,
+      is_current: s.id === req.user.sessionId
+    })));
+  } catch (error) {
+    console.error('/api/auth/sessions error:', error);
+    return res.status(500).json({ message: 'Server error fetching sessions.', error: error.message });
+  }
+});
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({ message: 'Result not found.' });
-      }
+// Revoke every session except the one making the request
+app.delete('/api/auth/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(pool, req.user.id, 'revoked_by_user', { exceptSessionId: req.user.sessionId });
+    disconnectSessions(revoked);
+    if (revoked.length > 0) {
+      await recordAudit(pool, req, { action: 'session.revoke', entityType: 'user', entityId: req.user.id, after: { session_ids: revoked } });
+    }
+    return res.status(200).json({ message: `Signed out of ${revoked.length} other device(s).` });
+  } catch (error) {
+    console.error('/api/auth/sessions DELETE error:', error);
+    return res.status(500).json({ message: 'Server error revoking sessions.', error: error.message });
+  }
+});
 
-      const filePath = result.rows[0].file_path;
+app.delete('/api/auth/sessions/:id', auth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'revoked_by_user'
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Session not found.' });
+    }
+    disconnectSessions([result.rows[0].id]);
+    await recordAudit(pool, req, { action: 'session.revoke', entityType: 'user', entityId: req.user.id, after: { session_ids: [result.rows[0].id] } });
+    return res.status(200).json({ message: 'Session revoked.' });
+  } catch (error) {
+    console.error('/api/auth/sessions/:id DELETE error:', error);
+    return res.status(500).json({ message: 'Server error revoking session.', error: error.message });
+  }
+});
 
-      await s3Client.send(
-        new DeleteObjectCommand({
-          Bucket: process.env.DO_SPACES_BUCKET,
-          Key: filePath, 
-        })
-      );
+// ---------- Current user profile ----------
+// Everything the frontend keeps about the signed-in user, straight from the database
+async function loadProfile(userId) {
+  const result = await pool.query(
+    `SELECT id, username, email, pending_email, full_name, phone_number, role, is_verified,
+            can_download, totp_enabled, profile_photo_key, created_at, updated_at
+       FROM users WHERE id = $1`,
+    [userId]
+  );
+  const profile = result.rows[0];
+  if (!profile) return null;
+
+  const { profile_photo_key, ...rest } = profile;
+  const access = await getUserAccess(pool, userId);
+  rest.permissions = access ? [...access.permissions].sort() : [];
+  let profile_photo_url = null;
+  if (profile_photo_key) {
+    // Outlives the access token, and the frontend reloads the profile on every refresh
+    profile_photo_url = await getSignedUrl(
+      s3Client,
+      new GetObjectCommand({ Bucket: process.env.DO_SPACES_BUCKET, Key: profile_photo_key }),
+      { expiresIn: 2 * 60 * 60 }
+    );
+  }
+  return { ...rest, profile_photo_url };
+}
 
-      await pool.query(
-        'DELETE FROM patient_results_files WHERE file_id = $1',
-        [resultId]
-      );
+// Mails a confirmation link to a new address; the change applies once it is opened
+async function sendEmailVerification(user, newEmail) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  await pool.query(
+    'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+    [user.id, newEmail, hashToken(verificationToken), EMAIL_VERIFICATION_TTL_HOURS]
+  );
+  await sendMail({
+    to: newEmail,
+    subject: 'G2G Medical MRI ERP - Confirm your new email address',
+    text: [
+      `Hello ${user.full_name || user.username},`,
+      '',
+      'Please confirm this email address for your G2G Medical MRI ERP account:',
+      `${APP_URL}/#/verify-email?token=${verificationToken}`,
+      '',
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you did not request this change, ignore this email.`,
+    ].join('\n'),
+  });
+}
 
-      res.status(200).json({ message: 'Result deleted successfully.' });
-    } catch (err) {
-      console.error('Delete result error:', err);
-      res.status(500).json({
-        message: 'Server error deleting result.',
-        error: err.message,
-      });
-    }
+app.get('/api/me', auth, async (req, res) => {
+  try {
+    const profile = await loadProfile(req.user.id);
+    if (!profile) return res.status(404).json({ message: 'User not found.' });
+    return res.status(200).json(profile);
+  } catch (error) {
+    console.error('/api/me error:', error);
+    return res.status(500).json({ message: 'Server error fetching profile.', error: error.message });
   }
-);
+});
 
+app.patch('/api/me', auth, async (req, res) => {
+  const { full_name, phone_number, email } = req.body;
 
-// ---------- Patient creation (FIXED Currency) ----------
-app.post(
-  '/api/patients',
-  auth,
-  authorizeRoles('medical_staff', 'admin'),
-  async (req, res) => {
-    const {
-      patient_name, gender, contact_email, contact_phone_number,
-      radiographer_name, radiologist_name, remarks,
-      age, weight_kg, referral_hospital, referring_doctor,
-      payment_type, examinations
-    } = req.body;
+  try {
+    const currentResult = await pool.query(
+      'SELECT id, username, email, full_name, phone_number, pending_email FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const current = currentResult.rows[0];
+    if (!current) return res.status(404).json({ message: 'User not found.' });
 
-    const recordedByStaffId = req.user?.id;
+    const updates = [];
+    const values = [];
+    let idx = 1;
 
-    if (!patient_name || !Array.isArray(examinations) || examinations.length === 0) {
-      return res.status(400).json({ message: 'Patient name and at least one examination are required.' });
+    if (full_name !== undefined) {
+      if (!String(full_name).trim()) {
+        return res.status(400).json({ message: 'Full name cannot be empty.' });
+      }
+      updates.push(`full_name = $${idx++}`);
+      values.push(String(full_name).trim());
+    }
+    if (phone_number !== undefined) {
+      updates.push(`phone_number = $${idx++}`);
+      values.push(phone_number ? String(phone_number).trim() : null);
     }
 
-    try {
-      let serialNumber = `SN-${Date.now()}-${String(Math.floor(Math.random() * 10000)).padStart(4,'0')}`;
-      let mriCode = generateMriCode();
-      let uniqueCheck = await pool.query(
-        'SELECT id FROM mri_patients WHERE mri_code = $1 OR serial_number = $2',
-        [mriCode, serialNumber]
+    // A new email is only recorded as pending until the owner confirms it
+    const newEmail = email !== undefined ? String(email).trim().toLowerCase() : null;
+    const emailChanged = newEmail !== null && newEmail !== (current.email || '').toLowerCase();
+    if (emailChanged) {
+      if (!EMAIL_PATTERN.test(newEmail)) {
+        return res.status(400).json({ message: 'Please enter a valid email address.' });
+      }
+      const taken = await pool.query(
+        'SELECT id FROM users WHERE LOWER(email) = $1 AND id <> $2',
+        [newEmail, current.id]
       );
-      while (uniqueCheck.rows.length > 0) {
-        mriCode = generateMriCode();
-        serialNumber = `SN-${Date.now()}-${String(Math.floor(Math.random() * 10000)).padStart(4,'0')}`;
-        uniqueCheck = await pool.query('SELECT id FROM mri_patients WHERE mri_code = $1 OR serial_number = $2', [mriCode, serialNumber]);
+      if (taken.rows.length > 0) {
+        return res.status(409).json({ message: 'That email address is already in use.' });
       }
+      updates.push(`pending_email = $${idx++}`);
+      values.push(newEmail);
+    }
 
-      const receiptNumber = generateReceiptNumber();
-      const numericAge = age != null ? parseInt(age) : null;
-      const numericWeight = weight_kg != null ? parseFloat(weight_kg) : null;
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No changes provided.' });
+    }
 
-      // ✅ FIX: Use sanitizeCurrency for summing
-      const totalAmount = examinations.reduce((sum, exam) => {
-        const amt = sanitizeCurrency(exam.amount);
-        return sum + amt;
-      }, 0);
+    values.push(current.id);
+    await pool.query(
+      `UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${idx}`,
+      values
+    );
 
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
+    const updatedResult = await pool.query(
+      'SELECT id, username, email, full_name, phone_number, pending_email FROM users WHERE id = $1',
+      [current.id]
+    );
+    await recordAudit(pool, req, {
+      action: 'profile.update',
+      entityType: 'user',
+      entityId: current.id,
+      before: current,
+      after: updatedResult.rows[0],
+    });
 
-        const newPatientResult = await client.query(
-          `INSERT INTO mri_patients (
-            serial_number, patient_name, gender, contact_email, contact_phone_number,
-            mri_code, recorded_by_staff_id, radiographer_name, radiologist_name, remarks,
-            age, weight_kg, referral_hospital, referring_doctor,
-            total_amount, receipt_number, payment_type, payment_status,
-            examination_test_name, examination_breakdown_amount_naira
-          ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20)
-          RETURNING *`,
-          [
-            serialNumber, patient_name, gender, contact_email, contact_phone_number,
-            mriCode, recordedByStaffId, radiographer_name, radiologist_name, remarks,
-            numericAge, numericWeight, referral_hospital, referring_doctor,
-            totalAmount, receiptNumber, payment_type, 'Not Paid',
-            examinations.map(e => e.name).join(', '),
-            totalAmount
-          ]
-        );
+    let message = 'Profile updated.';
+    if (emailChanged) {
+      await sendEmailVerification(current, newEmail);
+      message += ` We sent a confirmation link to ${newEmail}; your email changes once you open it.`;
+    }
 
-        const newPatient = newPatientResult.rows[0];
+    return res.status(200).json({ message, user: await loadProfile(current.id) });
+  } catch (error) {
+    console.error('/api/me PATCH error:', error);
+    return res.status(500).json({ message: 'Server error updating profile.', error: error.message });
+  }
+});
 
-        // Insert examinations
-        const examInserts = [];
-        for (const exam of examinations) {
-          // ✅ FIX: Use sanitizeCurrency for individual items
-          const amount = sanitizeCurrency(exam.amount);
-          const insert = await client.query(
-            'INSERT INTO patient_examinations (patient_id, exam_name, exam_amount) VALUES ($1,$2,$3) RETURNING id, exam_name, exam_amount',
-            [newPatient.id, exam.name, amount]
-          );
-          examInserts.push(insert.rows[0]);
-        }
+app.post('/api/me/email/resend', auth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT id, username, full_name, pending_email FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+    if (!user?.pending_email) {
+      return res.status(400).json({ message: 'There is no email change waiting for confirmation.' });
+    }
+    await sendEmailVerification(user, user.pending_email);
+    await recordAudit(pool, req, { action: 'profile.email_resend', entityType: 'user', entityId: user.id, after: { pending_email: user.pending_email } });
+    return res.status(200).json({ message: `Confirmation link sent again to ${user.pending_email}.` });
+  } catch (error) {
+    console.error('/api/me/email/resend error:', error);
+    return res.status(500).json({ message: 'Server error resending confirmation.', error: error.message });
+  }
+});
 
-        await client.query('COMMIT');
+app.delete('/api/me/email/pending', auth, async (req, res) => {
+  try {
+    const previous = await pool.query('SELECT pending_email FROM users WHERE id = $1', [req.user.id]);
+    await pool.query('UPDATE users SET pending_email = NULL WHERE id = $1', [req.user.id]);
+    await pool.query(
+      'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [req.user.id]
+    );
+    if (previous.rows[0]?.pending_email) {
+      await recordAudit(pool, req, {
+        action: 'profile.email_cancel',
+        entityType: 'user',
+        entityId: req.user.id,
+        before: { pending_email: previous.rows[0].pending_email },
+      });
+    }
+    return res.status(200).json({ message: 'Email change cancelled.', user: await loadProfile(req.user.id) });
+  } catch (error) {
+    console.error('/api/me/email/pending DELETE error:', error);
+    return res.status(500).json({ message: 'Server error cancelling email change.', error: error.message });
+  }
+});
 
-        newPatient.examinations = examInserts.map(e => ({
-          id: e.id,
-          name: e.exam_name,
-          amount: e.exam_amount
-        }));
+// Public: opened from the confirmation email
+app.post('/api/auth/verify-email', async (req, res) => {
+  const { token } = req.body;
+  if (!token) return res.status(400).json({ message: 'Verification token is required.' });
 
-        res.status(201).json({
-          message: 'Patient record logged successfully!',
-          patient: newPatient
-        });
-
-      } catch (txErr) {
-        await client.query('ROLLBACK');
-        throw txErr;
-      } finally {
-        client.release();
-      }
-    } catch (error) {
-      console.error('/api/patients POST error:', error);
-      return res.status(500).json({
-        message: 'Server error while logging patient record.',
-        error: error.message
-      });
-    }
-  }
-);
-
-
-
-// ---------- Patients list with filters ----------
-app.get('/api/patients', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
   try {
-    const { search, searchField, gender, recordedBy, startDate, endDate, includeExams } = req.query;
-
-    let query = `
-      SELECT mp.*, 
-             u.full_name AS recorded_by_staff_name, 
-             u.email AS recorded_by_staff_email
-      FROM mri_patients mp
-      LEFT JOIN users u ON mp.recorded_by_staff_id = u.id
-      WHERE 1=1
-    `;
-
-    const queryParams = [];
-    let idx = 1;
-
-    // Filters
-    if (search && search.trim() !== '') {
-      const term = `%${search.trim()}%`;
-      if (searchField === 'patient_name') {
-        query += ` AND mp.patient_name ILIKE $${idx++}`;
-        queryParams.push(term);
-      } else if (searchField === 'mri_code') {
-        query += ` AND mp.mri_code ILIKE $${idx++}`;
-        queryParams.push(term);
-      } else {
-        query += ` AND (mp.patient_name ILIKE $${idx} OR mp.mri_code ILIKE $${idx + 1})`;
-        queryParams.push(term, term);
-        idx += 2;
-      }
-    }
-
-    if (gender && gender !== 'All') {
-      query += ` AND mp.gender = $${idx++}`;
-      queryParams.push(gender);
+    const tokenResult = await pool.query(
+      `SELECT t.id, t.user_id, t.email, t.expires_at, t.used_at, u.email AS old_email, u.pending_email, u.username, u.full_name
+         FROM email_verification_tokens t
+         JOIN users u ON u.id = t.user_id
+        WHERE t.token_hash = $1`,
+      [hashToken(String(token).trim())]
+    );
+    const verification = tokenResult.rows[0];
+    if (!verification || verification.used_at || new Date(verification.expires_at) <= new Date()
+        || verification.pending_email !== verification.email) {
+      return res.status(400).json({ message: 'This confirmation link is invalid or has expired.' });
     }
 
-    if (recordedBy) {
-      query += ` AND mp.recorded_by_staff_id = $${idx++}`;
-      queryParams.push(recordedBy);
+    const taken = await pool.query(
+      'SELECT id FROM users WHERE LOWER(email) = $1 AND id <> $2',
+      [verification.email, verification.user_id]
+    );
+    if (taken.rows.length > 0) {
+      return res.status(409).json({ message: 'That email address is already in use.' });
     }
 
-    if (startDate) {
-      query += ` AND mp.mri_date_time >= $${idx++}`;
-      queryParams.push(startDate);
-    }
+    await pool.query(
+      'UPDATE users SET email = $1, pending_email = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [verification.email, verification.user_id]
+    );
+    await pool.query('UPDATE email_verification_tokens SET used_at = NOW() WHERE id = $1', [verification.id]);
+    await recordAudit(pool, req, {
+      action: 'profile.email_change',
+      entityType: 'user',
+      entityId: verification.user_id,
+      before: { email: verification.old_email },
+      after: { email: verification.email },
+      actor: { id: verification.user_id, username: verification.username },
+    });
 
-    if (endDate) {
-      query += ` AND mp.mri_date_time <= $${idx++}`;
-      queryParams.push(`${endDate} 23:59:59`);
+    // Let the previous address know, in case the change was not made by its owner
+    if (verification.old_email) {
+      sendMail({
+        to: verification.old_email,
+        subject: 'G2G Medical MRI ERP - Your email address was changed',
+        text: `Hello ${verification.full_name || verification.username},\n\nThe email address on your account was changed to ${verification.email}. If this was not you, contact an administrator immediately.`,
+      }).catch(err => console.error('Error sending email change notice:', err));
     }
 
-    query += ` ORDER BY mp.mri_date_time DESC`;
+    return res.status(200).json({ message: 'Your email address has been confirmed.' });
+  } catch (error) {
+    console.error('/api/auth/verify-email error:', error);
+    return res.status(500).json({ message: 'Server error confirming email.', error: error.message });
+  }
+});
 
-    const result = await pool.query(query, queryParams);
-    const patients = result.rows;
+app.post('/api/me/photo', auth, (req, res, next) => {
+  photoUpload.single('photo')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'Profile photo must be 2 MB or smaller.' : err.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'No photo uploaded.' });
 
-    // If includeExams=true, fetch exams per patient
-    if (includeExams === 'true' && patients.length > 0) {
-      const patientIds = patients.map(p => p.id);
-      const examsResult = await pool.query(
-        `SELECT * FROM patient_examinations WHERE patient_id = ANY($1)`,
-        [patientIds]
-      );
+  try {
+    const previous = await pool.query('SELECT profile_photo_key FROM users WHERE id = $1', [req.user.id]);
+    const key = `profile-photos/${req.user.id}_${uuidv4()}${PROFILE_PHOTO_TYPES[req.file.mimetype]}`;
 
-      const examsByPatient = {};
-      examsResult.rows.forEach(e => {
-        if (!examsByPatient[e.patient_id]) examsByPatient[e.patient_id] = [];
-        examsByPatient[e.patient_id].push({
-          id: e.id,
-          name: e.exam_name,
-          amount: Number(e.exam_amount),
-        });
-      });
+    await s3Client.send(
+      new PutObjectCommand({
+        Bucket: process.env.DO_SPACES_BUCKET,
+        Key: key,
+        Body: req.file.buffer,
+        ContentType: req.file.mimetype,
+        ACL: "private",
+      })
+    );
+    await pool.query(
+      'UPDATE users SET profile_photo_key = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [key, req.user.id]
+    );
 
-      // Attach exams array to each patient
-      patients.forEach(p => {
-        p.exams = examsByPatient[p.id] || [];
-      });
+    const oldKey = previous.rows[0]?.profile_photo_key;
+    await recordAudit(pool, req, {
+      action: 'profile.photo_update',
+      entityType: 'user',
+      entityId: req.user.id,
+      before: { profile_photo_key: oldKey || null },
+      after: { profile_photo_key: key },
+    });
+    if (oldKey) {
+      s3Client.send(new DeleteObjectCommand({ Bucket: process.env.DO_SPACES_BUCKET, Key: oldKey }))
+        .catch(err => console.error('Error deleting old profile photo:', err));
     }
 
-    return res.status(200).json(patients);
+    return res.status(200).json({ message: 'Profile photo updated.', user: await loadProfile(req.user.id) });
   } catch (error) {
-    console.error('/api/patients GET error:', error);
-    return res.status(500).json({ message: 'Server error fetching patients.', error: error.message });
+    console.error('/api/me/photo error:', error);
+    return res.status(500).json({ message: 'Server error uploading profile photo.', error: error.message });
   }
 });
 
+app.delete('/api/me/photo', auth, async (req, res) => {
+  try {
+    const previous = await pool.query('SELECT profile_photo_key FROM users WHERE id = $1', [req.user.id]);
+    const oldKey = previous.rows[0]?.profile_photo_key;
+    if (!oldKey) return res.status(404).json({ message: 'No profile photo to remove.' });
 
+    await pool.query(
+      'UPDATE users SET profile_photo_key = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [req.user.id]
+    );
+    await recordAudit(pool, req, { action: 'profile.photo_remove', entityType: 'user', entityId: req.user.id, before: { profile_photo_key: oldKey } });
+    await s3Client.send(new DeleteObjectCommand({ Bucket: process.env.DO_SPACES_BUCKET, Key: oldKey }));
 
-// Get recent patient results (e.g., last 10)
-app.get('/api/analytics/recent-results', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
-    try {
-        const recentResults = await pool.query(`
-            SELECT
-                prf.file_id, 
-                prf.file_name,
-                prf.file_type, 
-                prf.result_status,
-                prf.created_at, 
-                mp.patient_name,
-                u_uploader.full_name AS uploaded_by_name
-            FROM
-                patient_results_files prf 
-            LEFT JOIN
-                mri_patients mp ON prf.patient_id = mp.id
-            LEFT JOIN
-                users u_uploader ON prf.uploaded_by_user_id = u_uploader.id
-            ORDER BY
-                prf.created_at DESC
-            LIMIT 10
-        `);
-        res.status(200).json(recentResults.rows);
-
-    } catch (error) {
-        console.error('Error fetching recent results:', error);
-        res.status(500).json({ message: 'Server error fetching recent results.', error: error.message });
-    }
+    return res.status(200).json({ message: 'Profile photo removed.', user: await loadProfile(req.user.id) });
+  } catch (error) {
+    console.error('/api/me/photo DELETE error:', error);
+    return res.status(500).json({ message: 'Server error removing profile photo.', error: error.message });
+  }
 });
 
-// Backend: summary of results
-app.get(
-  '/api/analytics/results-summary',
-  auth,
-  authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'),
-  async (req, res) => {
-    try {
-      const totalResult = await pool.query(`SELECT COUNT(*) FROM patient_results_files`);
-      const pendingResult = await pool.query(`SELECT COUNT(*) FROM patient_results_files WHERE result_status = 'Pending'`);
-      const issuedResult = await pool.query(`SELECT COUNT(*) FROM patient_results_files WHERE result_status = 'Issued'`);
-
-      res.status(200).json({
-        total_results: parseInt(totalResult.rows[0].count, 10),
-        pending_results: parseInt(pendingResult.rows[0].count, 10),
-        issued_results: parseInt(issuedResult.rows[0].count, 10)
-      });
+// ---------- Password policy (public, so forms can show the rules) ----------
+app.get('/api/auth/password-policy', (req, res) => {
+  res.status(200).json(passwordPolicy);
+});
 
-    } catch (error) {
-      console.error('Error fetching results summary:', error);
-      res.status(500).json({ message: 'Server error fetching results summary.', error: error.message });
-    }
+// ---------- Self-service password change ----------
+app.patch('/api/me/password', auth, async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!current_password || !new_password) {
+    return res.status(400).json({ message: 'Current and new password are required.' });
   }
-);
 
+  try {
+    const userResult = await pool.query('SELECT id, username, email, password_hash FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+    if (!user) return res.status(404).json({ message: 'User not found.' });
 
+    const isMatch = await bcrypt.compare(current_password, user.password_hash);
+    if (!isMatch) return res.status(400).json({ message: 'Current password is incorrect.' });
 
-// ---------- Update Patient (Optimized Connection & Fixes Deadlock) ----------
-app.patch("/api/patients/:id", auth, authorizeRoles("medical_staff", "admin", "doctor", "financial_admin"), async (req, res) => {
-    const { id } = req.params;
-    const { patient_name, gender, contact_email, contact_phone_number, age, weight_kg, referral_hospital, referring_doctor, radiographer_name, radiologist_name, remarks, payment_type, examinations } = req.body;
+    if (await bcrypt.compare(new_password, user.password_hash)) {
+      return res.status(400).json({ message: 'New password must be different from the current password.' });
+    }
 
-    const client = await pool.connect();
-    try {
-      await client.query("BEGIN");
-      
-      // 1. Check existence using SAME client (Prevents Deadlock)
-      const existingPatient = await client.query("SELECT id FROM mri_patients WHERE id = $1", [id]);
-      if (existingPatient.rows.length === 0) {
-        await client.query("ROLLBACK");
-        // Note: We do NOT release here manually. We let the 'finally' block handle it.
-        // This prevents the "Double Release" crash that freezes your server.
-        return res.status(404).json({ message: "Patient not found" });
-      }
+    const passwordErrors = validatePassword(new_password, { username: user.username, email: user.email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors.join(' '), errors: passwordErrors });
+    }
 
-      // 2. Update basic fields
-      await client.query(
-        `UPDATE mri_patients SET 
-         patient_name=$1, gender=$2, contact_email=$3, contact_phone_number=$4, age=$5, weight_kg=$6, 
-         referral_hospital=$7, referring_doctor=$8, radiographer_name=$9, radiologist_name=$10, remarks=$11, 
-         payment_type=$12, updated_at=NOW() 
-         WHERE id=$13`,
-        [patient_name, gender, contact_email, contact_phone_number, age, weight_kg, referral_hospital, referring_doctor, radiographer_name, radiologist_name, remarks, payment_type, id]
-      );
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(new_password, salt);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, password_changed_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, user.id]
+    );
 
-      // 3. Update exams (Delete & Re-insert method is safer for consistency)
-      if (Array.isArray(examinations)) {
-        await client.query("DELETE FROM patient_examinations WHERE patient_id = $1", [id]);
-        
-        let totalAmount = 0;
-        for (const exam of examinations) {
-            // ✅ FIX: Apply currency sanitizer to prevent 119,999.99 errors
-            const amount = sanitizeCurrency(exam.amount);
-            totalAmount += amount;
-            await client.query("INSERT INTO patient_examinations (patient_id, exam_name, exam_amount) VALUES ($1, $2, $3)", [id, exam.name, amount]);
-        }
-        
-        // Update total in parent table
-        await client.query("UPDATE mri_patients SET total_amount=$1, examination_test_name=$2 WHERE id=$3", 
-            [totalAmount, examinations.map(e => e.name).join(', '), id]);
-      }
-      
-      await client.query("COMMIT");
-      
-      // ✅ SUCCESS: Send response immediately.
-      res.json({ message: "Patient updated successfully" }); 
+    // Keep this device signed in, sign out everywhere else
+    const revoked = await revokeUserSessions(pool, user.id, 'password_changed', { exceptSessionId: req.user.sessionId });
+    disconnectSessions(revoked);
+    await recordAudit(pool, req, { action: 'profile.password_change', entityType: 'user', entityId: user.id });
 
-    } catch (err) {
-      await client.query("ROLLBACK");
-      console.error('❌ Update Patient Error:', err);
-      res.status(500).json({ message: "Update failed" });
-    } finally {
-      client.release(); // ✅ CRITICAL: Connection released EXACTLY ONCE here.
-    }
+    return res.status(200).json({
+      message: `Password changed successfully.${revoked.length ? ` Signed out of ${revoked.length} other device(s).` : ''}`
+    });
+  } catch (error) {
+    console.error('/api/me/password error:', error);
+    return res.status(500).json({ message: 'Server error changing password.', error: error.message });
+  }
 });
 
+// ---------- Two-factor settings of the current user ----------
+app.get('/api/me/mfa', auth, async (req, res) => {
+  try {
+    return res.status(200).json(await getMfaStatus(pool, req.user.id, req.user.role));
+  } catch (error) {
+    console.error('/api/me/mfa error:', error);
+    return res.status(500).json({ message: 'Server error fetching two-factor status.', error: error.message });
+  }
+});
 
-app.patch(
-  '/api/patients/:patientId/approve-payment',
-  auth,
-  authorizeRoles('admin', 'medical_staff', 'financial_admin'),
-  async (req, res) => {
-    const patientId = req.params.patientId;
-    const { status } = req.body; 
-    const approverId = req.user.id; 
-
-    const validStatuses = ['Approved', 'Pending', 'Not Paid'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        message: 'Invalid payment status. Must be Approved, Pending, or Not Paid.' 
-      });
+app.post('/api/me/mfa/setup', auth, async (req, res) => {
+  try {
+    const status = await getMfaStatus(pool, req.user.id, req.user.role);
+    if (status.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
     }
+    const { secret, otpauthUrl, qrCode } = await startTotpEnrollment(pool, req.user);
+    await recordAudit(pool, req, { action: 'profile.mfa_setup', entityType: 'user', entityId: req.user.id });
+    return res.status(200).json({ secret, otpauth_url: otpauthUrl, qr_code: qrCode });
+  } catch (error) {
+    console.error('/api/me/mfa/setup error:', error);
+    return res.status(500).json({ message: 'Server error starting two-factor setup.', error: error.message });
+  }
+});
 
-    try {
-      const patient = await pool.query(
-        'SELECT id, patient_name, payment_status FROM mri_patients WHERE id = $1',
-        [patientId]
-      );
-      if (patient.rows.length === 0) {
-        return res.status(404).json({ message: 'Patient record not found.' });
-      }
+app.post('/api/me/mfa/enable', auth, async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ message: 'Authentication code is required.' });
 
-      let updateFields = [`payment_status = $1`, `updated_at = CURRENT_TIMESTAMP`];
-      let queryParams = [status];
-      let paramIndex = 2;
+  try {
+    const status = await getMfaStatus(pool, req.user.id, req.user.role);
+    if (status.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+    }
+    const recoveryCodes = await confirmTotpEnrollment(pool, req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code. Check the time on your phone and try again.' });
+    }
+    await recordAudit(pool, req, { action: 'profile.mfa_enable', entityType: 'user', entityId: req.user.id });
+    return res.status(200).json({
+      message: 'Two-factor authentication enabled.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('/api/me/mfa/enable error:', error);
+    return res.status(500).json({ message: 'Server error enabling two-factor authentication.', error: error.message });
+  }
+});
 
-      if (status === 'Approved') {
-        updateFields.push(`approved_by_user_id = $${paramIndex++}`);
-        queryParams.push(approverId);
+// Sensitive changes need the password plus a second factor
+async function confirmPasswordAndSecondFactor(userId, { password, code, recovery_code }) {
+  const userResult = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  const user = userResult.rows[0];
+  if (!user || !password || !(await bcrypt.compare(password, user.password_hash))) {
+    return 'Password is incorrect.';
+  }
+  if (!(await verifySecondFactor(pool, userId, { code, recoveryCode: recovery_code }))) {
+    return 'Invalid authentication code.';
+  }
+  return null;
+}
 
-        // Only if column exists
-        updateFields.push(`approved_at = $${paramIndex++}`);
-        queryParams.push(new Date());
-      } else {
-        updateFields.push(`approved_by_user_id = NULL`);
-        updateFields.push(`approved_at = NULL`);
-      }
+app.post('/api/me/mfa/disable', auth, async (req, res) => {
+  try {
+    if (isMfaRequiredForRole(req.user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role and cannot be turned off.' });
+    }
+    const problem = await confirmPasswordAndSecondFactor(req.user.id, req.body);
+    if (problem) return res.status(400).json({ message: problem });
 
-      queryParams.push(patientId);
+    await disableTotp(pool, req.user.id);
+    await recordAudit(pool, req, { action: 'profile.mfa_disable', entityType: 'user', entityId: req.user.id });
+    return res.status(200).json({ message: 'Two-factor authentication disabled.' });
+  } catch (error) {
+    console.error('/api/me/mfa/disable error:', error);
+    return res.status(500).json({ message: 'Server error disabling two-factor authentication.', error: error.message });
+  }
+});
 
-      const updatedPatientResult = await pool.query(
-        `UPDATE mri_patients 
-         SET ${updateFields.join(', ')} 
-         WHERE id = $${paramIndex} 
-         RETURNING *`,
-        queryParams
-      );
+app.post('/api/me/mfa/recovery-codes', auth, async (req, res) => {
+  try {
+    const problem = await confirmPasswordAndSecondFactor(req.user.id, req.body);
+    if (problem) return res.status(400).json({ message: problem });
 
-      res.status(200).json({
-        message: `Payment status for patient "${updatedPatientResult.rows[0].patient_name}" updated to "${status}".`,
-        patient: updatedPatientResult.rows[0]
-      });
-    } catch (error) {
-      console.error('Error updating payment status:', error);
-      res.status(500).json({ 
-        message: 'Server error updating payment status.', 
-        error: error.message 
-      });
-    }
+    const recoveryCodes = await regenerateRecoveryCodes(pool, req.user.id);
+    await recordAudit(pool, req, { action: 'profile.recovery_codes', entityType: 'user', entityId: req.user.id });
+    return res.status(200).json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('/api/me/mfa/recovery-codes error:', error);
+    return res.status(500).json({ message: 'Server error generating recovery codes.', error: error.message });
   }
-);
+});
 
-app.delete('/api/patients/:patientId', auth, authorizeRoles('admin'), async (req, res) => {
-  const patientId = req.params.patientId;
+// ---------- Complete an admin-initiated password reset (public) ----------
+app.post('/api/auth/reset-password', async (req, res) => {
+  const { token, new_password } = req.body;
+  if (!token || !new_password) {
+    return res.status(400).json({ message: 'Reset token and new password are required.' });
+  }
 
+  const client = await pool.connect();
   try {
-    const existingPatient = await pool.query(
-      'SELECT id, patient_name FROM mri_patients WHERE id = $1',
-      [patientId]
+    await client.query('BEGIN');
+    const tokenResult = await client.query(
+      `SELECT t.id, t.user_id, t.expires_at, t.used_at, u.username, u.email
+         FROM password_reset_tokens t
+         JOIN users u ON u.id = t.user_id
+        WHERE t.token_hash = $1
+        FOR UPDATE OF t`,
+      [hashToken(String(token).trim())]
     );
-    if (existingPatient.rows.length === 0) {
-      return res.status(404).json({ message: 'Patient record not found.' });
+    const resetToken = tokenResult.rows[0];
+    if (!resetToken || resetToken.used_at || new Date(resetToken.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'This reset link is invalid or has expired. Ask an administrator for a new one.' });
     }
 
-    const deletedPatient = await pool.query(
-      'DELETE FROM mri_patients WHERE id = $1 RETURNING id, patient_name',
-      [patientId]
-    );
+    const passwordErrors = validatePassword(new_password, { username: resetToken.username, email: resetToken.email });
+    if (passwordErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: passwordErrors.join(' '), errors: passwordErrors });
+    }
 
-    res.status(200).json({ 
-      message: `Patient record "${deletedPatient.rows[0].patient_name}" (ID: ${deletedPatient.rows[0].id}) successfully deleted.` 
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(new_password, salt);
+    await client.query(
+      'UPDATE users SET password_hash = $1, password_changed_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, resetToken.user_id]
+    );
+    await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [resetToken.id]);
+    const revoked = await revokeUserSessions(client, resetToken.user_id, 'password_reset');
+    await writeAuditEntry(client, req, {
+      action: 'profile.password_reset',
+      entityType: 'user',
+      entityId: resetToken.user_id,
+      actor: { id: resetToken.user_id, username: resetToken.username },
     });
+    await client.query('COMMIT');
+    disconnectSessions(revoked);
 
+    return res.status(200).json({ message: 'Password has been reset. You can now log in.' });
   } catch (error) {
-    console.error('Error deleting patient record:', error);
-    if (error.code === '23503') {
-      return res.status(409).json({ 
-        message: 'Cannot delete patient: this patient has associated examination records. Either delete them first or enable ON DELETE CASCADE.' 
-      });
-    }
-    res.status(500).json({ 
-      message: 'Server error deleting patient record.', 
-      error: error.message 
-    });
+    await client.query('ROLLBACK');
+    console.error('/api/auth/reset-password error:', error);
+    return res.status(500).json({ message: 'Server error resetting password.', error: error.message });
+  } finally {
+    client.release();
   }
 });
 
+// ---------- Admin verify/suspend medical staff ----------
+app.patch('/api/admin/verify-medical-staff/:id', auth, requirePermission('staff.manage'), async (req, res) => {
+  const userId = req.params.id;
+  const { suspend } = req.body;
+  try {
+    const userResult = await pool.query('SELECT id, username, role, is_verified FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+    if (!user) return res.status(404).json({ message: 'Medical staff user not found.' });
+    if (user.role !== 'medical_staff') return res.status(400).json({ message: 'Cannot verify this user: not a medical staff.' });
 
-// Upload a patient result file (form upload or Puppeteer PDF)
-app.post(
-  "/api/patients/:patientId/results/upload",
-  auth,
-  authorizeRoles("admin", "medical_staff", "doctor"),
-  upload.single("resultFile"),
-  async (req, res) => {
-    const patientId = req.params.patientId;
-    const uploadedByUserId = req.user.id;
-    const { remarks } = req.body;
-
-    let fileBuffer;
-    let originalName;
-    let mimeType;
+    const newIsVerified = !suspend;
+    const updatedUser = await pool.query(
+      'UPDATE users SET is_verified = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, username, email, full_name, role, is_verified',
+      [newIsVerified, userId]
+    );
 
-    try {
-      // 1️⃣ If file uploaded via form
-      if (req.file) {
-        fileBuffer = req.file.buffer;
-        originalName = req.file.originalname;
-        mimeType = req.file.mimetype;
-      } else {
-        // 2️⃣ Generate PDF via Puppeteer (DigitalOcean-safe)
-        const browser = await puppeteer.launch({
-          headless: true,
-          args: [
-            "--no-sandbox",
-            "--disable-setuid-sandbox",
-            "--disable-dev-shm-usage", // prevents shared memory issues on small droplets
-          ],
-        });
+    if (!newIsVerified) {
+      disconnectSessions(await revokeUserSessions(pool, user.id, 'suspended'));
+    }
+    invalidatePermissionCache(user.id);
+
+    await recordAudit(pool, req, {
+      action: newIsVerified ? 'staff.verify' : 'staff.suspend',
+      entityType: 'user',
+      entityId: user.id,
+      before: { is_verified: user.is_verified },
+      after: { is_verified: newIsVerified },
+    });
 
-        const page = await browser.newPage();
-        await page.setContent(`<h1>Patient ID: ${patientId}</h1><p>Result report</p>`);
-        fileBuffer = await page.pdf({
-          format: "A4",
-          printBackground: true, // include any CSS background
-        });
+    return res.status(200).json({
+      message: `Medical staff ${updatedUser.rows[0].username} updated.`,
+      user: updatedUser.rows[0]
+    });
+  } catch (error) {
+    console.error('/api/admin/verify-medical-staff error:', error);
+    return res.status(500).json({ message: 'Server error during verification/suspension.', error: error.message });
+  }
+});
 
-        await browser.close();
+app.get('/api/staff-list', auth, requirePermission('staff.view'), async (req, res) => {
+  try {
+    const staffList = await pool.query(`
+      SELECT id, full_name, username, email, role, is_verified, created_at
+      FROM users
+      WHERE role IN ('doctor', 'financial_admin', 'medical_staff')
+      ORDER BY full_name ASC
+    `);
+    return res.status(200).json(staffList.rows);
+  } catch (error) {
+    console.error('/api/staff-list error:', error);
+    return res.status(500).json({ message: 'Server error fetching staff list.', error: error.message });
+  }
+});
 
-        originalName = `result_${patientId}.pdf`;
-        mimeType = "application/pdf";
-      }
+// ✅ Admin updates staff download permission
+app.patch("/api/staff-list/:id/permission", auth, requirePermission('staff.manage'), async (req, res) => {
+  try {
+    const { can_download } = req.body;
+    const staffId = req.params.id;
 
-      // 3️⃣ Verify patient exists
-      const patientExists = await pool.query(
-        "SELECT id FROM mri_patients WHERE id = $1",
-        [patientId]
-      );
-      if (!patientExists.rows.length) {
-        return res.status(404).json({ message: "Patient not found." });
-      }
+    if (typeof can_download !== "boolean") {
+      return res.status(400).json({ message: "can_download must be true or false." });
+    }
 
-      // 4️⃣ Create unique S3 key
-      const ext = path.extname(originalName) || ".pdf";
-      const key = `results/${patientId}_${uuidv4()}${ext}`;
+    const result = await pool.query(
+      "UPDATE users SET can_download = $1 WHERE id = $2 RETURNING id, username, email, role, can_download",
+      [can_download, staffId]
+    );
 
-      // 5️⃣ Upload to DigitalOcean Spaces
-      await s3Client.send(
-        new PutObjectCommand({
-          Bucket: process.env.DO_SPACES_BUCKET,
-          Key: key,
-          Body: fileBuffer,
-          ContentType: mimeType,
-          ACL: "private", // keep private; use signed URLs for access
-        })
-      );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: "Staff not found" });
+    }
+    // Applies on the user's next request, not their next login
+    invalidatePermissionCache(staffId);
+
+    await recordAudit(pool, req, {
+      action: "staff.download_permission",
+      entityType: "user",
+      entityId: staffId,
+      after: { can_download },
+    });
 
-      // 6️⃣ Construct file URL (optional, mainly for reference)
-      const fileUrl = `${process.env.DO_SPACES_ENDPOINT.replace(/\/+$/,"")}/${process.env.DO_SPACES_BUCKET}/${key}`;
+    res.json({
+      success: true,
+      message: "Permission updated",
+      staff: result.rows[0]
+    });
+  } catch (error) {
+    console.error("Permission update error:", error.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-      // 7️⃣ Save metadata in DB
-      const newResult = await pool.query(
-        `INSERT INTO patient_results_files
-          (patient_id, uploaded_by_user_id, file_name, file_path, file_type, file_size_kb, file_url, result_status, remarks)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,'pending_review',$8)
-         RETURNING *`,
-        [
-          patientId,
-          uploadedByUserId,
-          originalName,
-          key, // ✅ store S3 key for download
-          mimeType,
-          Math.round(fileBuffer.length / 1024),
-          fileUrl,
-          remarks || null,
-        ]
+
+// ---------- Delete Result (moves it to the recycle bin) ----------
+app.delete(
+  '/api/results/:id',
+  auth,
+  requirePermission('results.delete'),
+  async (req, res) => {
+    const resultId = req.params.id;
+    const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+
+    try {
+      const result = await pool.query(
+        `UPDATE patient_results_files
+            SET deleted_at = NOW(), deleted_by_user_id = $1, deletion_reason = $2
+          WHERE file_id = $3 AND deleted_at IS NULL
+          RETURNING *`,
+        [req.user.id, reason, resultId]
       );
 
-      // 8️⃣ Return success
-      res.status(201).json({
-        message: "Result uploaded successfully!",
-        resultFile: newResult.rows[0],
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Result not found.' });
+      }
+
+      await recordAudit(pool, req, {
+        action: 'result.delete',
+        entityType: 'patient_result',
+        entityId: resultId,
+        metadata: { patient_id: result.rows[0].patient_id, file_name: result.rows[0].file_name, reason },
       });
 
-    } catch (error) {
-      console.error("Upload error:", error);
+      res.status(200).json({ message: 'Result moved to the recycle bin.' });
+    } catch (err) {
+      console.error('Delete result error:', err);
       res.status(500).json({
-        message: "Error uploading result file.",
-        error: error.message,
+        message: 'Server error deleting result.',
+        error: err.message,
       });
     }
   }
 );
 
 
+// ---------- Patient validation rules (so forms can check fields inline) ----------
+app.get('/api/patients/validation-schema', auth, (req, res) => {
+  res.status(200).json(PATIENT_SCHEMA);
+});
 
+// ---------- Patient creation (FIXED Currency) ----------
+// Inserts one visit with its examinations and first revision, inside the
+// caller's transaction; numbers are allocated here so a rollback leaves no gap.
+// `visitDate` back-dates imported visits (numbered in that year); new
+// registrations are dated now.
+const createVisit = async (client, { fields, registryPatient, userId, visitDate = null, paymentStatus = 'Not Paid' }) => {
+  const {
+    patient_name, gender, contact_email, contact_phone_number,
+    radiographer_name, radiologist_name, remarks,
+    age, date_of_birth, weight_kg, referral_hospital, referring_doctor,
+    payment_type, payer_category, examinations
+  } = fields;
+
+  // A date of birth gives the age on the day of the visit
+  const numericAge = date_of_birth ? ageOnDate(date_of_birth, visitDate || new Date()) : age != null ? parseInt(age) : null;
+  const numericWeight = weight_kg != null ? parseFloat(weight_kg) : null;
+
+  // ✅ FIX: Use sanitizeCurrency for summing
+  const totalAmount = examinations.reduce((sum, exam) => {
+    const amt = sanitizeCurrency(exam.amount);
+    return sum + amt;
+  }, 0);
+
+  const serialNumber = await nextVisitNumber(client, 'serial_number', 'serial_number', visitDate);
+  const mriCode = await nextVisitNumber(client, 'mri_code', 'mri_code', visitDate);
+  const receiptNumber = await nextVisitNumber(client, 'receipt_number', 'receipt_number', visitDate);
+
+  const newPatientResult = await client.query(
+    `INSERT INTO mri_patients (
+      serial_number, patient_name, gender, contact_email, contact_phone_number,
+      mri_code, recorded_by_staff_id, radiographer_name, radiologist_name, remarks,
+      age, weight_kg, referral_hospital, referring_doctor,
+      total_amount, receipt_number, payment_type, payment_status,
+      examination_test_name, examination_breakdown_amount_naira, registry_patient_id, mri_date_time,
+      date_of_birth, address_line, address_city, address_lga, address_state,
+      next_of_kin_name, next_of_kin_relationship, next_of_kin_phone_number,
+      national_id_number, id_document_type, id_document_number, payer_category
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,COALESCE($22, CURRENT_TIMESTAMP),
+      $23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33,$34)
+    RETURNING *`,
+    [
+      serialNumber, patient_name, gender, contact_email, contact_phone_number,
+      mriCode, userId, radiographer_name, radiologist_name, remarks,
+      numericAge, numericWeight, referral_hospital, referring_doctor,
+      totalAmount, receiptNumber, payment_type, paymentStatus,
+      examinations.map(e => e.name).join(', '),
+      totalAmount, registryPatient.id, visitDate,
+      ...['date_of_birth', 'address_line', 'address_city', 'address_lga', 'address_state',
+        'next_of_kin_name', 'next_of_kin_relationship', 'next_of_kin_phone_number',
+        'national_id_number', 'id_document_type', 'id_document_number'].map(field => cleanPatientValue(fields[field]) ?? null),
+      payer_category || 'Cash'
+    ]
+  );
+
+  const newPatient = newPatientResult.rows[0];
+  Object.assign(newPatient, await linkVisitReferrers(client, newPatient.id, fields));
+
+  // Insert examinations
+  const examInserts = [];
+  for (const exam of examinations) {
+    // ✅ FIX: Use sanitizeCurrency for individual items
+    const amount = sanitizeCurrency(exam.amount);
+    const insert = await client.query(
+        `INSERT INTO patient_examinations (patient_id, exam_name, exam_amount, catalog_item_id, exam_code, list_price, price_list_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id, exam_name, exam_amount, catalog_item_id, exam_code`,
+      [newPatient.id, exam.name, amount, exam.catalog_item_id || null, exam.code || null, exam.list_price ?? null, exam.price_list_id || null]
+    );
+    examInserts.push(insert.rows[0]);
+  }
 
-// Get all results for a specific patient
-app.get('/api/patients/:patientId/results', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
-    const patientId = req.params.patientId; // Consistent parameter name
-    try {
-        const results = await pool.query(`
-            SELECT
-                prf.file_id,
-                prf.patient_id,
-                prf.file_name,
-                prf.file_path,
-                prf.file_type,
-                prf.result_status,
-                prf.issued_to_recipient_name,
-                prf.issued_to_recipient_phone,
-                prf.issued_to_recipient_relationship,
-                prf.issued_to_recipient_email,
-                prf.issued_by_user_id,
-                prf.created_at,
-                prf.remarks,
-                u_up.full_name AS uploaded_by_name,
-                u_is.full_name AS issued_by_name
-            FROM
-                patient_results_files prf
-            LEFT JOIN users u_up ON prf.uploaded_by_user_id = u_up.id
-            LEFT JOIN users u_is ON prf.issued_by_user_id = u_is.id
-            WHERE prf.patient_id = $1
-            ORDER BY prf.created_at DESC
-        `, [patientId]);
-        res.status(200).json(results.rows);
-    } catch (error) {
-        console.error('Error fetching patient results:', error);
-        res.status(500).json({ message: 'Server error fetching patient results.', error: error.message });
-    }
-});
+  await recordPatientRevision(client, newPatient.id, { action: 'create', userId });
+
+  newPatient.examinations = examInserts.map(e => ({
+    id: e.id,
+    name: e.exam_name,
+    amount: e.exam_amount,
+    catalog_item_id: e.catalog_item_id,
+    code: e.exam_code
+  }));
+  newPatient.hospital_number = registryPatient.hospital_number;
+  return newPatient;
+};
 
-// Download a specific result file
-app.get(
-  "/api/patients/results/:fileId/download",
+app.post(
+  '/api/patients',
   auth,
-  authorizeRoles("admin", "medical_staff", "doctor", "financial_admin"),
+  requirePermission('patients.create'),
   async (req, res) => {
+    const {
+      patient_name, contact_email, contact_phone_number,
+      age, date_of_birth, national_id_number, registry_patient_id, confirm_new_patient
+    } = req.body;
+
+    const recordedByStaffId = req.user?.id;
+
+    const validationErrors = validatePatient(req.body);
+    if (Object.keys(validationErrors).length > 0) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: validationErrors });
+    }
+
     try {
-      // ✅ Block if user has no download permission
-      if (!req.user.can_download) {
-        return res.status(403).json({ message: "You do not have permission to download results." });
+      // Catalog examinations are billed at the payer's price in effect today
+      const resolvedExams = resolveExaminations(await loadExamCatalog(pool), req.body.examinations, {
+        tariff: await loadTariff(pool, { payerCategory: req.body.payer_category }),
+      });
+      if (Object.keys(resolvedExams.errors).length > 0) {
+        return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: resolvedExams.errors });
       }
 
-      const fileId = req.params.fileId;
-      const result = await pool.query(
-        "SELECT file_path FROM patient_results_files WHERE file_id = $1",
-        [fileId]
-      );
+      // Registering someone new: stop and show likely existing records first,
+      // unless the user has already reviewed them and chose to continue
+      if (!registry_patient_id && !confirm_new_patient) {
+        const candidates = await findDuplicateCandidates(pool, {
+          patient_name, contact_phone_number, contact_email, age, date_of_birth, national_id_number,
+        });
+        if (candidates.length > 0) {
+          return res.status(409).json({
+            message: 'This patient may already be registered. Select the existing patient or confirm this is a new patient.',
+            duplicate_candidates: candidates,
+          });
+        }
+      }
 
-      const file = result.rows[0];
-      if (!file) return res.status(404).json({ message: "File not found." });
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
 
-      // Use stored S3 key directly
-      const key = file.file_path;
+        // New visit of a known patient, or a first visit that creates the registry entry
+        let demographics = pickDemographics(req.body);
+        let registryPatient;
+        if (registry_patient_id) {
+          const registryResult = await client.query('SELECT * FROM patients WHERE id = $1 FOR UPDATE', [registry_patient_id]);
+          registryPatient = registryResult.rows[0];
+          if (!registryPatient) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Selected patient was not found in the registry.' });
+          }
+          // Details left blank on the form are carried over from the registry
+          demographics = pickDemographics(req.body, registryPatient);
+          await syncRegistryDemographics(client, registryPatient.id, demographics);
+        } else {
+          registryPatient = await createRegistryPatient(client, demographics, recordedByStaffId);
+        }
 
-      const command = new GetObjectCommand({
-        Bucket: process.env.DO_SPACES_BUCKET,
-        Key: key,
-      });
+        const newPatient = await createVisit(client, {
+          fields: { ...req.body, ...demographics, examinations: resolvedExams.examinations },
+          registryPatient,
+          userId: recordedByStaffId,
+        });
 
-      const signedUrl = await getSignedUrl(s3Client, command, { expiresIn: 300 }); // 5 min expiry
-      res.json({ downloadUrl: signedUrl });
+        await writeAuditEntry(client, req, {
+          action: 'patient.create',
+          entityType: 'patient',
+          entityId: newPatient.id,
+          after: await loadPatientSnapshot(client, newPatient.id),
+        });
+        await client.query('COMMIT');
+
+        res.status(201).json({
+          message: 'Patient record logged successfully!',
+          patient: newPatient
+        });
+
+      } catch (txErr) {
+        await client.query('ROLLBACK');
+        throw txErr;
+      } finally {
+        client.release();
+      }
     } catch (error) {
-      console.error("Download error:", error);
-      res.status(500).json({ message: "Error generating download link.", error: error.message });
+      console.error('/api/patients POST error:', error);
+      return res.status(500).json({
+        message: 'Server error while logging patient record.',
+        error: error.message
+      });
     }
   }
 );
 
 
 
+// ---------- Patients list with filters ----------
+// Paged: ?limit=&offset=&sortBy=&sortOrder= plus the filters in utils/patientQuery.js.
+// Responds with { patients, total, limit, offset }.
+app.get('/api/patients', auth, requirePermission('patients.view'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { whereSql, params, nextIndex } = buildPatientFilters(req.query);
 
+    const fromSql = `
+      FROM mri_patients mp
+      JOIN patients rp ON rp.id = mp.registry_patient_id
+      LEFT JOIN users u ON mp.recorded_by_staff_id = u.id
+      ${whereSql}
+    `;
 
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `SELECT mp.*, 
+                rp.hospital_number,
+                u.full_name AS recorded_by_staff_name, 
+                u.email AS recorded_by_staff_email
+         ${fromSql}
+         ${buildPatientOrder(req.query)}
+         LIMIT $${nextIndex} OFFSET $${nextIndex + 1}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total ${fromSql}`, params),
+    ]);
+    const patients = result.rows;
 
-// Update result status (e.g., 'pending_review' to 'final')
-app.patch('/api/patients/results/:fileId/status', auth, authorizeRoles('admin', 'medical_staff', 'doctor', 'financial_admin'), async (req, res) => { // Consistent param name, added roles
-    const fileId = req.params.fileId; // Consistent parameter name
-    const { status } = req.body; // Expects { status: 'pending_review' | 'final' | 'issued' }
+    // If includeExams=true, fetch exams for the patients on this page
+    if (req.query.includeExams === 'true' && patients.length > 0) {
+      const patientIds = patients.map(p => p.id);
+      const examsResult = await pool.query(
+        `SELECT * FROM patient_examinations WHERE patient_id = ANY($1)`,
+        [patientIds]
+      );
 
-    const validStatuses = ['pending_review', 'final', 'issued'];
-    if (!validStatuses.includes(status)) {
-        return res.status(400).json({ message: 'Invalid result status provided.' });
-    }
+      const examsByPatient = {};
+      examsResult.rows.forEach(e => {
+        if (!examsByPatient[e.patient_id]) examsByPatient[e.patient_id] = [];
+        examsByPatient[e.patient_id].push({
+          id: e.id,
+          name: e.exam_name,
+          amount: Number(e.exam_amount),
+        });
+      });
 
-    try {
-        const updatedResult = await pool.query(
-            'UPDATE patient_results_files SET result_status = $1, updated_at = CURRENT_TIMESTAMP WHERE file_id = $2 RETURNING *', // Update 'patient_results_files' and use 'file_id'
-            [status, fileId]
-        );
-        if (updatedResult.rows.length === 0) {
-            return res.status(404).json({ message: 'Result not found.' });
-        }
-        res.status(200).json({ message: 'Result status updated successfully.', result: updatedResult.rows[0] });
-    } catch (error) {
-        console.error('Error updating result status:', error);
-        res.status(500).json({ message: 'Server error updating result status.', error: error.message });
+      // Attach exams array to each patient
+      patients.forEach(p => {
+        p.exams = examsByPatient[p.id] || [];
+      });
     }
+
+    return res.status(200).json({ patients, total: countResult.rows[0].total, limit, offset });
+  } catch (error) {
+    console.error('/api/patients GET error:', error);
+    return res.status(500).json({ message: 'Server error fetching patients.', error: error.message });
+  }
 });
 
-// Mark result as issued to recipient
-app.patch('/api/patients/results/:fileId/issue', auth, authorizeRoles('admin', 'medical_staff', 'doctor', 'financial_admin'), async (req, res) => { // Consistent param name, added roles
-    const fileId = req.params.fileId; // Consistent parameter name
-    const { recipient_name, recipient_phone, recipient_relationship, recipient_email } = req.body; // Destructure all recipient fields
-    const issuedByUserId = req.user.id; // Authenticated user who issues the result
 
-    if (!recipient_name || recipient_name.trim() === '') {
-        return res.status(400).json({ message: 'Recipient name is required to issue result.' });
-    }
 
+// Get recent patient results (e.g., last 10)
+app.get('/api/analytics/recent-results', auth, requirePermission('analytics.view'), async (req, res) => {
     try {
-        const updatedResult = await pool.query(
-            `UPDATE patient_results_files SET
-                result_status = 'issued',
-                issued_to_recipient_name = $1,
-                issued_to_recipient_phone = $2,
-                issued_to_recipient_relationship = $3,
-                issued_to_recipient_email = $4,
-                issued_by_user_id = $5,
-                issued_at = CURRENT_TIMESTAMP,
-                updated_at = CURRENT_TIMESTAMP
-             WHERE file_id = $6 RETURNING *`,
-            [recipient_name, recipient_phone, recipient_relationship, recipient_email, issuedByUserId, fileId]
-        );
-        if (updatedResult.rows.length === 0) {
-            return res.status(404).json({ message: 'Result not found or status could not be updated.' });
-        }
+        const recentResults = await pool.query(`
+            SELECT
+                prf.file_id, 
+                prf.file_name,
+                prf.file_type, 
+                prf.result_status,
+                prf.created_at, 
+                mp.patient_name,
+                u_uploader.full_name AS uploaded_by_name
+            FROM
+                patient_results_files prf 
+            LEFT JOIN
+                mri_patients mp ON prf.patient_id = mp.id
+            LEFT JOIN
+                users u_uploader ON prf.uploaded_by_user_id = u_uploader.id
+            WHERE
+                prf.deleted_at IS NULL AND mp.deleted_at IS NULL
+            ORDER BY
+                prf.created_at DESC
+            LIMIT 10
+        `);
+        res.status(200).json(recentResults.rows);
 
-        // --- Trigger Notification for Result Issued ---
-        try {
-            const patientId = updatedResult.rows[0].patient_id;
-            const patientRecord = await pool.query('SELECT patient_name FROM mri_patients WHERE id = $1', [patientId]);
-            const patientName = patientRecord.rows[0]?.patient_name || 'Unknown Patient';
+    } catch (error) {
+        console.error('Error fetching recent results:', error);
+        res.status(500).json({ message: 'Server error fetching recent results.', error: error.message });
+    }
+});
 
-            const notificationMessage = `Result for Patient "${patientName}" (ID: ${patientId}) has been issued to ${recipient_name}.`;
-            const adminUsers = await pool.query('SELECT id FROM users WHERE role = \'admin\'');
-            for (const admin of adminUsers.rows) {
-                const notifResult = await pool.query(
-                    `INSERT INTO notifications (user_id, type, message, related_entity_id, related_entity_type) VALUES ($1, 'result_issued', $2, $3, 'patient_result') RETURNING *`,
-                    [admin.id, notificationMessage, updatedResult.rows[0].file_id] // Use file_id for notification
-                );
-                const adminSocketId = connectedUsers.get(admin.id);
-                if (adminSocketId) {
-                    io.to(adminSocketId).emit('new_notification', notifResult.rows[0]);
-                    console.log(`Emitted notification to admin ${admin.id} for result issued.`);
-                }
-            }
-        } catch (notifError) {
-            console.error('Error triggering result issued notification:', notifError);
-        }
-        // --- END Notification Trigger ---
+// Backend: summary of results
+app.get(
+  '/api/analytics/results-summary',
+  auth,
+  requirePermission('analytics.view'),
+  async (req, res) => {
+    try {
+      const totalResult = await pool.query(`SELECT COUNT(*) FROM patient_results_files WHERE deleted_at IS NULL`);
+      const pendingResult = await pool.query(`SELECT COUNT(*) FROM patient_results_files WHERE result_status = 'Pending' AND deleted_at IS NULL`);
+      const issuedResult = await pool.query(`SELECT COUNT(*) FROM patient_results_files WHERE result_status = 'Issued' AND deleted_at IS NULL`);
+
+      res.status(200).json({
+        total_results: parseInt(totalResult.rows[0].count, 10),
+        pending_results: parseInt(pendingResult.rows[0].count, 10),
+        issued_results: parseInt(issuedResult.rows[0].count, 10)
+      });
 
-        res.status(200).json({ message: 'Result marked as issued successfully.', result: updatedResult.rows[0] });
     } catch (error) {
-        console.error('Error issuing result:', error);
-        res.status(500).json({ message: 'Server error issuing result.', error: error.message });
+      console.error('Error fetching results summary:', error);
+      res.status(500).json({ message: 'Server error fetching results summary.', error: error.message });
     }
-});
+  }
+);
 
 
-import handlebars from "handlebars";
 
-// Utility: Convert image file to base64 (for logos)
-function imageToBase64(filePath) {
-  const fileData = fs.readFileSync(filePath);
-  const ext = path.extname(filePath).substring(1); // "png" or "jpg"
-  return `data:image/${ext};base64,${fileData.toString("base64")}`;
-}
+// Patient row plus its examinations, as compared in audit entries
+const loadPatientSnapshot = async (db, patientId) => {
+  const patient = await db.query('SELECT * FROM mri_patients WHERE id = $1', [patientId]);
+  if (patient.rows.length === 0) return null;
+  const exams = await db.query(
+    'SELECT exam_name, exam_amount, catalog_item_id, exam_code, list_price, price_list_id FROM patient_examinations WHERE patient_id = $1 ORDER BY id',
+    [patientId]
+  );
+  return {
+    ...patient.rows[0],
+    examinations: exams.rows.map(examSnapshot),
+  };
+};
 
-// ---------- Get Single Patient Details (Fixed) ----------
-app.get("/api/patients/:id", auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
-  try {
-    const { id } = req.params;
+// Visit as shown on the detail page (amounts formatted), or null when missing
+const loadPatientDetails = async (db, id) => {
+  const result = await db.query(
+    `
+    SELECT 
+      p.id,
+      p.serial_number,
+      p.patient_name,
+      p.gender,
+      p.age,
+      p.date_of_birth,
+      p.weight_kg,
+      p.contact_email,
+      p.contact_phone_number,
+      p.referral_hospital,
+      p.referring_doctor,
+      p.referral_facility_id,
+      p.referring_doctor_id,
+      p.radiographer_name,
+      p.radiologist_name,
+      p.remarks,
+      p.address_line,
+      p.address_city,
+      p.address_lga,
+      p.address_state,
+      p.next_of_kin_name,
+      p.next_of_kin_relationship,
+      p.next_of_kin_phone_number,
+      p.national_id_number,
+      p.id_document_type,
+      p.id_document_number,
+      p.mri_code,
+      p.mri_date_time,
+      p.receipt_number,
+      p.payment_type,
+      p.payer_category,
+      p.payment_status,
+      p.total_amount,
+      p.discount_amount,
+      p.created_at,
+      p.updated_at,
+      p.examination_test_name,
+      p.examination_breakdown_amount_naira,
+      p.recorded_by_staff_name,
+      p.recorded_by_staff_email,
+      p.registry_patient_id,
+      p.version,
+      rp.hospital_number,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'id', e.id,
+            'name', e.exam_name,
+            'amount', e.exam_amount,
+            'catalog_item_id', e.catalog_item_id,
+            'code', e.exam_code,
+            'list_price', e.list_price
+          )
+        ) FILTER (WHERE e.id IS NOT NULL),
+        '[]'
+      ) AS examinations
+    FROM mri_patients p
+    JOIN patients rp ON rp.id = p.registry_patient_id
+    LEFT JOIN patient_examinations e 
+      ON p.id = e.patient_id
+    WHERE p.id = $1 AND p.deleted_at IS NULL
+    GROUP BY p.id, rp.hospital_number;
+    `,
+    [id]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const patient = result.rows[0];
+  patient.safety_status = await loadScreeningStatus(db, id);
+
+  // ✅ Helper to safely format currency strings
+  const formatMoney = (val) => {
+    if (!val) return "0.00";
+    return Number(val).toLocaleString("en-NG", { minimumFractionDigits: 2 });
+  };
 
-    const result = await pool.query(
-      `
-      SELECT 
-        p.id,
-        p.serial_number,
-        p.patient_name,
-        p.gender,
-        p.age,
-        p.weight_kg,
-        p.contact_email,
-        p.contact_phone_number,
-        p.referral_hospital,
-        p.referring_doctor,
-        p.radiographer_name,
-        p.radiologist_name,
-        p.remarks,
-        p.mri_code,
-        p.mri_date_time,
-        p.receipt_number,
-        p.payment_type,
-        p.payment_status,
-        p.total_amount,
-        p.created_at,
-        p.updated_at,
-        p.examination_test_name,
-        p.examination_breakdown_amount_naira,
-        p.recorded_by_staff_name,
-        p.recorded_by_staff_email,
-        COALESCE(
-          json_agg(
-            json_build_object(
-              'id', e.id,
-              'name', e.exam_name,
-              'amount', e.exam_amount
-            )
-          ) FILTER (WHERE e.id IS NOT NULL),
-          '[]'
-        ) AS examinations
-      FROM mri_patients p
-      LEFT JOIN patient_examinations e 
-        ON p.id = e.patient_id
-      WHERE p.id = $1
-      GROUP BY p.id;
-      `,
+  // Format amounts with commas before sending
+  patient.net_amount = formatMoney(Number(patient.total_amount || 0) - Number(patient.discount_amount || 0));
+  patient.total_amount = formatMoney(patient.total_amount);
+  patient.discount_amount = formatMoney(patient.discount_amount);
+  patient.examination_breakdown_amount_naira = formatMoney(patient.examination_breakdown_amount_naira);
+
+  // Also format nested examinations
+  if (patient.examinations && Array.isArray(patient.examinations)) {
+    patient.examinations = patient.examinations.map(exam => ({
+      ...exam,
+      amount: formatMoney(exam.amount)
+    }));
+  }
+  return patient;
+};
+
+// 409 for a stale If-Match, carrying the record as it is now so the client
+// can merge or reload instead of overwriting the other person's save
+const sendVersionConflict = (res, current) => {
+  if (current) res.set('ETag', formatEtag(current.version));
+  return res.status(409).json({ message: VERSION_CONFLICT_MESSAGE, current });
+};
+
+// Writes the editable visit fields present in `fields` and, when an
+// examinations array is given, replaces the exams and total. Used by edits
+// and by revision restores, inside the caller's transaction.
+const REFERRAL_FIELDS = ['referral_hospital', 'referring_doctor', 'referral_facility_id', 'referring_doctor_id'];
+
+const writePatientChanges = async (client, id, registryPatientId, fields) => {
+  const { examinations } = fields;
+
+  // Referral links are re-resolved after the text is written; the old values
+  // let an unchanged name keep its link
+  const referralChanged = REFERRAL_FIELDS.some(field => fields[field] !== undefined);
+  const previousReferral = referralChanged
+    ? (await client.query(`SELECT ${REFERRAL_FIELDS.join(', ')} FROM mri_patients WHERE id = $1`, [id])).rows[0]
+    : null;
+
+  const updates = [];
+  const values = [];
+  let idx = 1;
+  for (const field of PATIENT_COLUMNS) {
+    if (fields[field] === undefined) continue;
+    updates.push(`${field}=$${idx++}`);
+    values.push(cleanPatientValue(fields[field]));
+  }
+  values.push(id);
+  await client.query(
+    `UPDATE mri_patients SET ${[...updates, 'updated_at=NOW()', 'version=version+1'].join(', ')} WHERE id=$${idx}`,
+    values
+  );
+  // With a date of birth on file, the stored age is the age on the visit date
+  if (fields.date_of_birth !== undefined || fields.age !== undefined) {
+    await client.query(
+      `UPDATE mri_patients SET age = DATE_PART('year', AGE(mri_date_time::date, date_of_birth))
+        WHERE id = $1 AND date_of_birth IS NOT NULL`,
       [id]
     );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: "Patient not found" });
+  }
+  if (referralChanged) {
+    await linkVisitReferrers(client, id, fields, previousReferral);
+  }
+  await syncRegistryDemographics(client, registryPatientId, fields);
+
+  // Exams are deleted and re-inserted; the previous set lives on in patient_revisions.
+  // Contrast records are linked again to the matching new rows.
+  if (Array.isArray(examinations)) {
+    const contrastLinks = await captureContrastLinks(client, id);
+    await client.query("DELETE FROM patient_examinations WHERE patient_id = $1", [id]);
+
+    let totalAmount = 0;
+    const insertedExams = [];
+    for (const exam of examinations) {
+        // ✅ FIX: Apply currency sanitizer to prevent 119,999.99 errors
+        const amount = sanitizeCurrency(exam.amount);
+        totalAmount += amount;
+        const inserted = await client.query(
+          `INSERT INTO patient_examinations (patient_id, exam_name, exam_amount, catalog_item_id, exam_code, list_price, price_list_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id, exam_name AS name, catalog_item_id`,
+          [id, exam.name, amount, exam.catalog_item_id || null, exam.code || null, exam.list_price ?? null, exam.price_list_id || null]
+        );
+        insertedExams.push(inserted.rows[0]);
     }
+    await relinkContrastExaminations(client, contrastLinks, insertedExams);
 
-    const patient = result.rows[0];
+    // Update total in parent table
+    await client.query("UPDATE mri_patients SET total_amount=$1, examination_test_name=$2 WHERE id=$3",
+        [totalAmount, examinations.map(e => e.name).join(', '), id]);
+    // Percentage discounts follow the new total
+    await refreshVisitDiscounts(client, id);
+  }
+};
 
-    // ✅ Helper to safely format currency strings
-    const formatMoney = (val) => {
-      if (!val) return "0.00";
-      return Number(val).toLocaleString("en-NG", { minimumFractionDigits: 2 });
-    };
+// ---------- Update Patient (Optimized Connection & Fixes Deadlock) ----------
+app.patch("/api/patients/:id", auth, requirePermission('patients.edit'), async (req, res) => {
+    const { id } = req.params;
 
-    // Format amounts with commas before sending
-    patient.total_amount = formatMoney(patient.total_amount);
-    patient.examination_breakdown_amount_naira = formatMoney(patient.examination_breakdown_amount_naira);
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (expectedVersion === null) {
+      return res.status(428).json({ message: VERSION_REQUIRED_MESSAGE });
+    }
 
-    // Also format nested examinations
-    if (patient.examinations && Array.isArray(patient.examinations)) {
-      patient.examinations = patient.examinations.map(exam => ({
-        ...exam,
-        amount: formatMoney(exam.amount)
-      }));
+    // Partial update: only the fields sent are validated and written
+    const validationErrors = validatePatient(req.body, { partial: true });
+    if (Object.keys(validationErrors).length > 0) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: validationErrors });
     }
 
-    // ✅ CRASH FIX: This is the ONLY place res.json is called
-    return res.json(patient);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      
+      // 1. Check existence using SAME client (Prevents Deadlock)
+      const existingPatient = await client.query("SELECT id, registry_patient_id, version FROM mri_patients WHERE id = $1 AND deleted_at IS NULL FOR UPDATE", [id]);
+      if (existingPatient.rows.length === 0) {
+        await client.query("ROLLBACK");
+        // Note: We do NOT release here manually. We let the 'finally' block handle it.
+        // This prevents the "Double Release" crash that freezes your server.
+        return res.status(404).json({ message: "Patient not found" });
+      }
+      // Someone saved since this client loaded the record
+      if (existingPatient.rows[0].version !== expectedVersion) {
+        await client.query("ROLLBACK");
+        return sendVersionConflict(res, await loadPatientDetails(pool, id));
+      }
+      const before = await loadPatientSnapshot(client, id);
+
+      // Exams already on the visit keep the price they were billed at, unless
+      // the payer changes: then every catalog exam is re-priced for the new
+      // payer as of the visit date
+      const changes = { ...req.body };
+      const visit = (await client.query(
+        'SELECT payer_category, mri_date_time::date AS visit_date FROM mri_patients WHERE id = $1',
+        [id]
+      )).rows[0];
+      const payerChanged = req.body.payer_category !== undefined && req.body.payer_category !== visit.payer_category;
+      if (Array.isArray(req.body.examinations) || payerChanged) {
+        const previousExams = await client.query(
+          `SELECT exam_name AS name, exam_amount AS amount, catalog_item_id, exam_code AS code, list_price::float AS list_price, price_list_id
+             FROM patient_examinations WHERE patient_id = $1 ORDER BY id`,
+          [id]
+        );
+        const resolvedExams = resolveExaminations(await loadExamCatalog(client), req.body.examinations || previousExams.rows, {
+          previous: previousExams.rows,
+          reprice: payerChanged,
+          tariff: await loadTariff(client, { payerCategory: req.body.payer_category || visit.payer_category, date: visit.visit_date }),
+        });
+        if (Object.keys(resolvedExams.errors).length > 0) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: resolvedExams.errors });
+        }
+        changes.examinations = resolvedExams.examinations;
+      }
 
-  } catch (err) {
-    console.error("Error fetching patient details:", err);
-    // Only send error response if headers haven't been sent yet
-    if (!res.headersSent) {
-        return res.status(500).json({ message: "Failed to fetch patient details" });
+      // 2. Update the fields present in the request (and the exams, if sent)
+      await writePatientChanges(client, id, existingPatient.rows[0].registry_patient_id, changes);
+
+      // 3. Keep the saved state as the next numbered revision
+      const revisionNumber = await recordPatientRevision(client, id, { action: 'update', userId: req.user.id });
+
+      await writeAuditEntry(client, req, {
+        action: 'patient.update',
+        entityType: 'patient',
+        entityId: id,
+        before,
+        after: await loadPatientSnapshot(client, id),
+        metadata: { revision_number: revisionNumber },
+      });
+      await client.query("COMMIT");
+
+      const updatedPatient = await loadPatientDetails(pool, id);
+      res.set('ETag', formatEtag(updatedPatient.version));
+
+      // ✅ SUCCESS: Send response immediately.
+      res.json({ message: "Patient updated successfully", revision_number: revisionNumber, patient: updatedPatient }); 
+
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error('❌ Update Patient Error:', err);
+      res.status(500).json({ message: "Update failed" });
+    } finally {
+      client.release(); // ✅ CRITICAL: Connection released EXACTLY ONCE here.
     }
-  }
 });
 
-// Export patients to Excel (Admin only)
-app.get(
-  "/api/patients/export/excel",
+
+app.patch(
+  '/api/patients/:patientId/approve-payment',
   auth,
-  authorizeRoles("admin", "accounts"),
+  requirePermission('payments.approve'),
   async (req, res) => {
+    const patientId = req.params.patientId;
+    const { status } = req.body; 
+    const approverId = req.user.id; 
+
+    const validStatuses = ['Approved', 'Pending', 'Not Paid'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({ 
+        message: 'Invalid payment status. Must be Approved, Pending, or Not Paid.' 
+      });
+    }
+
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (expectedVersion === null) {
+      return res.status(428).json({ message: VERSION_REQUIRED_MESSAGE });
+    }
+
     try {
-      const { search, searchField, gender, recordedBy, startDate, endDate } = req.query;
-
-      let whereClauses = [];
-      let params = [];
-      let idx = 1;
-
-      // Search filter
-      if (search && search.trim() !== "") {
-        const term = `%${search.trim()}%`;
-        if (searchField === "patient_name") {
-          whereClauses.push(`p.patient_name ILIKE $${idx++}`);
-          params.push(term);
-        } else if (searchField === "mri_code") {
-          whereClauses.push(`p.mri_code ILIKE $${idx++}`);
-          params.push(term);
-        } else {
-          whereClauses.push(`(p.patient_name ILIKE $${idx} OR p.mri_code ILIKE $${idx+1})`);
-          params.push(term, term);
-          idx += 2;
-        }
+      const patient = await pool.query(
+        'SELECT id, patient_name, payment_status FROM mri_patients WHERE id = $1 AND deleted_at IS NULL',
+        [patientId]
+      );
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ message: 'Patient record not found.' });
       }
 
-      if (gender && gender !== "All") {
-        whereClauses.push(`p.gender = $${idx++}`);
-        params.push(gender);
-      }
-      if (recordedBy) {
-        whereClauses.push(`p.recorded_by_staff_id = $${idx++}`);
-        params.push(recordedBy);
-      }
-      if (startDate) {
-        whereClauses.push(`p.mri_date_time >= $${idx++}`);
-        params.push(startDate);
-      }
-      if (endDate) {
-        whereClauses.push(`p.mri_date_time <= $${idx++}`);
-        params.push(`${endDate} 23:59:59`);
+      let updateFields = [`payment_status = $1`, `updated_at = CURRENT_TIMESTAMP`, `version = version + 1`];
+      let queryParams = [status];
+      let paramIndex = 2;
+
+      if (status === 'Approved') {
+        updateFields.push(`approved_by_user_id = $${paramIndex++}`);
+        queryParams.push(approverId);
+
+        // Only if column exists
+        updateFields.push(`approved_at = $${paramIndex++}`);
+        queryParams.push(new Date());
+      } else {
+        updateFields.push(`approved_by_user_id = NULL`);
+        updateFields.push(`approved_at = NULL`);
       }
 
-      const whereSql = whereClauses.length ? `WHERE ${whereClauses.join(" AND ")}` : "";
+      queryParams.push(patientId, expectedVersion);
 
-      // Fetch patients + exams
-      const result = await pool.query(
-        `
-        SELECT p.*, u.full_name AS recorded_by_staff_name, u.email AS recorded_by_staff_email,
-               e.exam_name, e.exam_amount
-        FROM mri_patients p
-        LEFT JOIN users u ON p.recorded_by_staff_id = u.id
-        LEFT JOIN patient_examinations e ON p.id = e.patient_id
-        ${whereSql}
-        ORDER BY p.created_at DESC, p.id, e.exam_name;
-        `,
-        params
+      // The version guard makes the check and the write one atomic step
+      const updatedPatientResult = await pool.query(
+        `UPDATE mri_patients 
+         SET ${updateFields.join(', ')} 
+         WHERE id = $${paramIndex} AND version = $${paramIndex + 1}
+         RETURNING *`,
+        queryParams
       );
+      if (updatedPatientResult.rows.length === 0) {
+        return sendVersionConflict(res, await loadPatientDetails(pool, patientId));
+      }
 
-      // Group by patient
-      const patientsMap = {};
-      result.rows.forEach((row) => {
-        if (!patientsMap[row.id]) {
-          patientsMap[row.id] = {
-            ...row,
-            exams: [],
-          };
-        }
-        if (row.exam_name) {
-          patientsMap[row.id].exams.push({
-            name: row.exam_name,
-            amount: Number(row.exam_amount || 0),
-          });
-        }
+      await recordAudit(pool, req, {
+        action: 'patient.payment_status',
+        entityType: 'patient',
+        entityId: patientId,
+        before: { payment_status: patient.rows[0].payment_status },
+        after: { payment_status: status },
       });
 
-      const patients = Object.values(patientsMap);
-
-      // Prepare Excel
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet("Patients");
-
-      // Columns
-      worksheet.columns = [
-        { header: "ID", key: "id", width: 10 },
-        { header: "Serial Number", key: "serial_number", width: 25 },
-        { header: "Patient Name", key: "patient_name", width: 25 },
-        { header: "Gender", key: "gender", width: 10 },
-        { header: "Age", key: "age", width: 10 },
-        { header: "Weight (kg)", key: "weight_kg", width: 12 },
-        { header: "Contact Email", key: "contact_email", width: 25 },
-        { header: "Contact Phone", key: "contact_phone_number", width: 20 },
-        { header: "MRI Code", key: "mri_code", width: 20 },
-        { header: "MRI Date Time", key: "mri_date_time", width: 25 },
-        { header: "Recorded By Staff ID", key: "recorded_by_staff_id", width: 15 },
-        { header: "Recorded By Staff Name", key: "recorded_by_staff_name", width: 25 },
-        { header: "Recorded By Staff Email", key: "recorded_by_staff_email", width: 30 },
-        { header: "Radiographer Name", key: "radiographer_name", width: 20 },
-        { header: "Radiologist Name", key: "radiologist_name", width: 20 },
-        { header: "Remarks", key: "remarks", width: 20 },
-        { header: "Created At", key: "created_at", width: 20 },
-        { header: "Updated At", key: "updated_at", width: 20 },
-        { header: "Referral Hospital", key: "referral_hospital", width: 25 },
-        { header: "Referring Doctor", key: "referring_doctor", width: 25 },
-        { header: "Total Amount (DB)", key: "total_amount", width: 15 },
-        { header: "Receipt Number", key: "receipt_number", width: 20 },
-        { header: "Payment Type", key: "payment_type", width: 15 },
-        { header: "Payment Status", key: "payment_status", width: 15 },
-        { header: "Approved By User ID", key: "approved_by_user_id", width: 20 },
-        { header: "Approved At", key: "approved_at", width: 20 },
-        { header: "Examinations", key: "examinations", width: 50 },
-        { header: "Total Exam Amount", key: "total_exam_amount", width: 20 },
-      ];
-
-      // Add rows
-      patients.forEach((p) => {
-        worksheet.addRow({
-          ...p,
-          examinations: p.exams.map(e => `${e.name} (₦${e.amount})`).join(", "),
-          total_exam_amount: p.exams.reduce((sum, e) => sum + e.amount, 0),
-        });
+      const updatedPatient = await loadPatientDetails(pool, patientId);
+      res.set('ETag', formatEtag(updatedPatient.version));
+      res.status(200).json({
+        message: `Payment status for patient "${updatedPatientResult.rows[0].patient_name}" updated to "${status}".`,
+        patient: updatedPatient
+      });
+    } catch (error) {
+      console.error('Error updating payment status:', error);
+      res.status(500).json({ 
+        message: 'Server error updating payment status.', 
+        error: error.message 
       });
-
-      res.setHeader(
-        "Content-Type",
-        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-      );
-      res.setHeader("Content-Disposition", "attachment; filename=patients.xlsx");
-
-      await workbook.xlsx.write(res);
-      res.end();
-    } catch (err) {
-      console.error("Excel export error:", err);
-      res.status(500).json({ message: "Failed to export Excel" });
     }
   }
 );
 
+app.delete('/api/patients/:patientId', auth, requirePermission('patients.delete'), async (req, res) => {
+  const patientId = req.params.patientId;
+  const reason = req.body?.reason ? String(req.body.reason).trim() : null;
 
+  try {
+    // Soft delete: the record stays in the recycle bin until the retention period has passed
+    const deletedPatient = await pool.query(
+      `UPDATE mri_patients
+          SET deleted_at = NOW(), deleted_by_user_id = $1, deletion_reason = $2, version = version + 1
+        WHERE id = $3 AND deleted_at IS NULL
+        RETURNING id, patient_name`,
+      [req.user.id, reason, patientId]
+    );
+    if (deletedPatient.rows.length === 0) {
+      return res.status(404).json({ message: 'Patient record not found.' });
+    }
 
+    await recordAudit(pool, req, {
+      action: 'patient.delete',
+      entityType: 'patient',
+      entityId: patientId,
+      metadata: { patient_name: deletedPatient.rows[0].patient_name, reason },
+    });
 
-// Endpoint: Generate Receipt PDF
+    res.status(200).json({ 
+      message: `Patient record "${deletedPatient.rows[0].patient_name}" (ID: ${deletedPatient.rows[0].id}) moved to the recycle bin.` 
+    });
 
-app.get("/api/patients/:id/receipt", auth, async (req, res) => {
-  try {
-    const patientId = req.params.id;
-    const userId = req.user.id;
+  } catch (error) {
+    console.error('Error deleting patient record:', error);
+    res.status(500).json({ 
+      message: 'Server error deleting patient record.', 
+      error: error.message 
+    });
+  }
+});
 
-    // 1️⃣ Fetch patient
-    const patientResult = await pool.query(
-      "SELECT * FROM mri_patients WHERE id = $1",
-      [patientId]
-    );
-    if (!patientResult.rows.length) {
-      return res.status(404).json({ message: "Patient not found." });
-    }
-    const patient = patientResult.rows[0];
 
-    // 2️⃣ Fetch examinations
-    const examsResult = await pool.query(
-      `SELECT 
-          exam_name AS description,
-          1 AS quantity,
-          exam_amount AS unitPrice,
-          exam_amount AS amount
-        FROM patient_examinations
-        WHERE patient_id = $1`,
-      [patientId]
-    );
+// Upload a patient result file (form upload or Puppeteer PDF)
+app.post(
+  "/api/patients/:patientId/results/upload",
+  auth,
+  requirePermission('results.upload'),
+  upload.single("resultFile"),
+  async (req, res) => {
+    const patientId = req.params.patientId;
+    const uploadedByUserId = req.user.id;
+    const { remarks } = req.body;
 
-    const items = examsResult.rows.map(i => ({
-      description: i.description,
-      quantity: i.quantity,
-      unitPrice: parseFloat(i.unitPrice) || 0,
-      amount: parseFloat(i.amount) || 0,
-    }));
+    let fileBuffer;
+    let originalName;
+    let mimeType;
 
-    const totalAmountKobo = items.reduce((sum, i) => {
-      return sum + Math.round(i.amount * 100);
-    }, 0);
-    const totalAmount = totalAmountKobo / 100;
+    try {
+      // 1️⃣ If file uploaded via form
+      if (req.file) {
+        fileBuffer = req.file.buffer;
+        originalName = req.file.originalname;
+        mimeType = req.file.mimetype;
+      } else {
+        // 2️⃣ Generate PDF via Puppeteer (DigitalOcean-safe)
+        const browser = await puppeteer.launch({
+          headless: true,
+          args: [
+            "--no-sandbox",
+            "--disable-setuid-sandbox",
+            "--disable-dev-shm-usage", // prevents shared memory issues on small droplets
+          ],
+        });
 
-    // 3️⃣ Generate receipt number
-    const receiptNumber = `REC-${Date.now()}`;
+        const page = await browser.newPage();
+        await page.setContent(`<h1>Patient ID: ${patientId}</h1><p>Result report</p>`);
+        fileBuffer = await page.pdf({
+          format: "A4",
+          printBackground: true, // include any CSS background
+        });
 
-    // 4️⃣ Create PDF
-    const doc = new PDFDocument({ margin: 50 });
-    let buffers = [];
-    doc.on("data", buffers.push.bind(buffers));
-    doc.on("end", async () => {
-      const pdfBuffer = Buffer.concat(buffers);
+        await browser.close();
 
-      // 5️⃣ Save PDF to DigitalOcean Spaces
-      const key = `receipts/receipt_${patientId}_${Date.now()}.pdf`;
+        originalName = `result_${patientId}.pdf`;
+        mimeType = "application/pdf";
+      }
+
+      // 3️⃣ Verify patient exists
+      const patientExists = await pool.query(
+        "SELECT id FROM mri_patients WHERE id = $1 AND deleted_at IS NULL",
+        [patientId]
+      );
+      if (!patientExists.rows.length) {
+        return res.status(404).json({ message: "Patient not found." });
+      }
+      // No results for a scan whose safety screening is still on hold
+      if (await loadScreeningStatus(pool, patientId) === "flagged") {
+        return res.status(409).json({ message: SCAN_BLOCKED_MESSAGE, safety_status: "flagged" });
+      }
+
+      // 4️⃣ Create unique S3 key
+      const ext = path.extname(originalName) || ".pdf";
+      const key = `results/${patientId}_${uuidv4()}${ext}`;
+
+      // 5️⃣ Upload to DigitalOcean Spaces
       await s3Client.send(
         new PutObjectCommand({
           Bucket: process.env.DO_SPACES_BUCKET,
           Key: key,
-          Body: pdfBuffer,
-          ContentType: "application/pdf",
-          ACL: "private",
+          Body: fileBuffer,
+          ContentType: mimeType,
+          ACL: "private", // keep private; use signed URLs for access
         })
       );
-      const receiptUrl = `https://${process.env.DO_SPACES_BUCKET}.${process.env.DO_SPACES_ENDPOINT.replace(/^https?:\/\//, "")}/${key}`;
 
-      // 6️⃣ Update patient record
-      await pool.query(
-        `UPDATE mri_patients
-            SET receipt_number = $1,
-                payment_status = $2,
-                payment_type = $3,
-                receipt_url = $4,
-                updated_at = NOW()
-          WHERE id = $5`,
-        [receiptNumber, "Paid", "Cash", receiptUrl, patientId]
+      // 6️⃣ Construct file URL (optional, mainly for reference)
+      const fileUrl = `${process.env.DO_SPACES_ENDPOINT.replace(/\/+$/,"")}/${process.env.DO_SPACES_BUCKET}/${key}`;
+
+      // 7️⃣ Save metadata in DB
+      const newResult = await pool.query(
+        `INSERT INTO patient_results_files
+          (patient_id, uploaded_by_user_id, file_name, file_path, file_type, file_size_kb, file_url, result_status, remarks)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,'pending_review',$8)
+         RETURNING *`,
+        [
+          patientId,
+          uploadedByUserId,
+          originalName,
+          key, // ✅ store S3 key for download
+          mimeType,
+          Math.round(fileBuffer.length / 1024),
+          fileUrl,
+          remarks || null,
+        ]
       );
 
-      // 7️⃣ Send PDF to client
-      res.set({
-        "Content-Type": "application/pdf",
-        "Content-Disposition": `inline; filename=${receiptNumber}.pdf`,
+      await recordAudit(pool, req, {
+        action: "result.upload",
+        entityType: "patient_result",
+        entityId: newResult.rows[0].file_id,
+        after: newResult.rows[0],
+        metadata: { patient_id: patientId },
       });
-      res.send(pdfBuffer);
 
-      console.log(`✅ Receipt generated & saved: ${receiptUrl}`);
-    });
+      // 8️⃣ Return success
+      res.status(201).json({
+        message: "Result uploaded successfully!",
+        resultFile: newResult.rows[0],
+      });
 
-    // 🖼️ Hospital logos (centered)
-    const logoLeft = path.join(process.cwd(), "public/logo-left.png");
-    const logoRight = path.join(process.cwd(), "public/logo-right.png");
+    } catch (error) {
+      console.error("Upload error:", error);
+      res.status(500).json({
+        message: "Error uploading result file.",
+        error: error.message,
+      });
+    }
+  }
+);
 
-    const logoWidth = 80;
-    const logoSpacing = 20; // space between logos
-    const totalWidth = (logoWidth * 2) + logoSpacing;
-    const startX = (doc.page.width - totalWidth) / 2; // center both logos together
-    const yPos = 30;
 
-    // Left logo
-    doc.image(logoLeft, startX, yPos, { width: logoWidth });
 
-    // Right logo (beside it with spacing)
-    doc.image(logoRight, startX + logoWidth + logoSpacing, yPos, { width: logoWidth });
 
+// Search the patient master index, e.g. to start a new visit for a returning patient
+app.get('/api/registry/patients', auth, requirePermission('patients.view'), async (req, res) => {
+    const search = (req.query.search || '').trim();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    try {
+        const params = [];
+        let whereSql = '';
+        if (search) {
+            params.push(`%${search}%`);
+            whereSql = `WHERE rp.full_name ILIKE $1 OR rp.hospital_number ILIKE $1 OR rp.contact_phone_number ILIKE $1 OR rp.national_id_number ILIKE $1`;
+        }
+        params.push(limit);
+        const result = await pool.query(`
+            SELECT rp.*,
+                   COUNT(v.id)::int AS visit_count,
+                   MAX(v.mri_date_time) AS last_visit_at
+            FROM patients rp
+            LEFT JOIN mri_patients v ON v.registry_patient_id = rp.id AND v.deleted_at IS NULL
+            ${whereSql}
+            GROUP BY rp.id
+            ORDER BY MAX(v.mri_date_time) DESC NULLS LAST, rp.full_name
+            LIMIT $${params.length}
+        `, params);
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error searching patient registry:', error);
+        res.status(500).json({ message: 'Server error searching patients.', error: error.message });
+    }
+});
 
-    // Hospital info below logos
-    doc.moveDown(5);
-    doc.fontSize(18).text("LAUTECH UNIVERSITY TEACHING HOSPITAL", { align: "center", bold: true });
-    doc.fontSize(10).text("Ladoke Akintola University of Technology, Ogbomoso, Oyo State, Nigeria", { align: "center" });
-    doc.text("Email: info@advancedmricenter.com | Phone: +234 801 234 5678", { align: "center" });
-    doc.moveDown(2);
+// One registry patient with every visit on record
+app.get('/api/registry/patients/:id', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const patientResult = await pool.query('SELECT * FROM patients WHERE id = $1', [req.params.id]);
+        if (patientResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Patient not found.' });
+        }
+        const visits = await pool.query(`
+            SELECT id, mri_code, mri_date_time, examination_test_name, total_amount, payment_status
+            FROM mri_patients
+            WHERE registry_patient_id = $1 AND deleted_at IS NULL
+            ORDER BY mri_date_time DESC
+        `, [req.params.id]);
+        const merges = await pool.query(`
+            SELECT m.id, m.merged_hospital_number, m.merged_snapshot->>'full_name' AS merged_full_name,
+                   m.moved_visit_ids, m.reason, m.merged_at, u.full_name AS merged_by_name
+            FROM patient_merges m
+            LEFT JOIN users u ON u.id = m.merged_by_user_id
+            WHERE m.survivor_patient_id = $1
+            ORDER BY m.merged_at DESC
+        `, [req.params.id]);
+        res.status(200).json({ ...patientResult.rows[0], visits: visits.rows, merges: merges.rows });
+    } catch (error) {
+        console.error('Error fetching registry patient:', error);
+        res.status(500).json({ message: 'Server error fetching patient.', error: error.message });
+    }
+});
 
-    doc.fontSize(14).text("MRI SCAN RECEIPT", { align: "center", bold: true });
-    doc.moveDown(2);
+// All visits of the person behind this visit, newest first, with exams and results
+app.get('/api/patients/:id/visits', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const visitResult = await pool.query(
+            'SELECT registry_patient_id FROM mri_patients WHERE id = $1 AND deleted_at IS NULL',
+            [req.params.id]
+        );
+        if (visitResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        // Result file names are only listed for users who may see results
+        const canViewResults = req.user.permissions.has('results.view');
+
+        const visits = await pool.query(`
+            SELECT v.id, v.mri_code, v.mri_date_time, v.total_amount, v.payment_status,
+                   v.referring_doctor, v.referral_hospital,
+                   COALESCE((
+                       SELECT json_agg(json_build_object('id', e.id, 'name', e.exam_name, 'amount', e.exam_amount) ORDER BY e.id)
+                       FROM patient_examinations e WHERE e.patient_id = v.id
+                   ), '[]') AS examinations,
+                   CASE WHEN $2::boolean THEN COALESCE((
+                       SELECT json_agg(json_build_object('file_id', f.file_id, 'file_name', f.file_name, 'result_status', f.result_status) ORDER BY f.created_at)
+                       FROM patient_results_files f WHERE f.patient_id = v.id AND f.deleted_at IS NULL
+                   ), '[]') ELSE '[]' END AS results
+            FROM mri_patients v
+            WHERE v.registry_patient_id = $1 AND v.deleted_at IS NULL
+            ORDER BY v.mri_date_time DESC
+        `, [visitResult.rows[0].registry_patient_id, canViewResults]);
+        res.status(200).json(visits.rows);
+    } catch (error) {
+        console.error('Error fetching patient visits:', error);
+        res.status(500).json({ message: 'Server error fetching visit history.', error: error.message });
+    }
+});
 
-    // Receipt & patient info box
-    doc.fontSize(12).font("Helvetica-Bold").text(`Receipt No: ${receiptNumber}`, { align: "left" });
-    doc.font("Helvetica");
-    doc.text(`Patient: ${patient.patient_name}`);
-    doc.text(`Gender: ${patient.gender}`);
-    doc.text(`Age: ${patient.age || "N/A"}`);
-    doc.text(`Contact: ${patient.contact_email || "N/A"} / ${patient.contact_phone_number || "N/A"}`);
-    doc.text(`MRI Code: ${patient.mri_code || "N/A"}`);
-    doc.moveDown();
+// ---------- Revision history of a visit ----------
+app.get('/api/patients/:id/revisions', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const patient = await pool.query('SELECT id FROM mri_patients WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+        if (patient.rows.length === 0) {
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        res.status(200).json(await listPatientRevisions(pool, req.params.id));
+    } catch (error) {
+        console.error('Error fetching patient revisions:', error);
+        res.status(500).json({ message: 'Server error fetching revision history.', error: error.message });
+    }
+});
 
-    // Table headers
-    const tableTop = doc.y;
-    const colX = { description: 50, qty: 300, unitPrice: 350, amount: 450 };
-    doc.font("fonts/Roboto-Bold.ttf");
-    doc.text("Description", colX.description, tableTop);
-    doc.text("Qty", colX.qty, tableTop, { width: 40, align: "center" });
-    doc.text("Amount", colX.amount, tableTop, { width: 80, align: "right" });
-    doc.moveTo(50, tableTop + 15).lineTo(520, tableTop + 15).stroke();
+// Restoring writes the old fields and exams back and records them as a new
+// revision, so the history itself is never rewritten
+app.post('/api/patients/:id/revisions/:revision/restore', auth, requirePermission('patients.restore_revision'), async (req, res) => {
+    const { id } = req.params;
+    const revision = parseInt(req.params.revision, 10);
+    if (!Number.isInteger(revision) || revision < 1) {
+        return res.status(400).json({ message: 'Invalid revision number.' });
+    }
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (expectedVersion === null) {
+        return res.status(428).json({ message: VERSION_REQUIRED_MESSAGE });
+    }
 
-    // Table rows
-    doc.font("fonts/Roboto-Regular.ttf");
-    let y = tableTop + 20;
-    items.forEach(item => {
-      doc.text(item.description, colX.description, y);
-      doc.text(item.quantity.toString(), colX.qty, y, { width: 40, align: "center" });
-      doc.text(`₦${item.amount.toLocaleString("en-NG")}`, colX.amount, y, { width: 80, align: "right" });
-      y += 20;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const existingPatient = await client.query(
+            'SELECT id, registry_patient_id, version FROM mri_patients WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [id]
+        );
+        if (existingPatient.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        // Someone saved since the history was loaded; restoring now would discard that save
+        if (existingPatient.rows[0].version !== expectedVersion) {
+            await client.query('ROLLBACK');
+            return sendVersionConflict(res, await loadPatientDetails(pool, id));
+        }
+        const target = await getPatientRevision(client, id, revision);
+        if (!target) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: `Revision ${revision} not found.` });
+        }
+
+        const before = await loadPatientSnapshot(client, id);
+        await writePatientChanges(client, id, existingPatient.rows[0].registry_patient_id, target.snapshot);
+        const revisionNumber = await recordPatientRevision(client, id, {
+            action: 'restore',
+            userId: req.user.id,
+            restoredFromRevision: revision,
+        });
+        await writeAuditEntry(client, req, {
+            action: 'patient.restore_revision',
+            entityType: 'patient',
+            entityId: id,
+            before,
+            after: await loadPatientSnapshot(client, id),
+            metadata: { restored_from_revision: revision, revision_number: revisionNumber },
+        });
+        await client.query('COMMIT');
+
+        const restoredPatient = await loadPatientDetails(pool, id);
+        res.set('ETag', formatEtag(restoredPatient.version));
+        res.status(200).json({
+            message: `Revision ${revision} restored as revision ${revisionNumber}.`,
+            revision_number: revisionNumber,
+            patient: restoredPatient,
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error restoring patient revision:', error);
+        res.status(500).json({ message: 'Server error restoring revision.', error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ---------- MRI safety screening of a visit ----------
+app.get('/api/safety-screening/form', auth, requirePermission('patients.view'), (req, res) => {
+    res.status(200).json(SCREENING_FORMS[CURRENT_SCREENING_VERSION]);
+});
+
+// Status, the current form to fill in, and every screening taken (newest first)
+app.get('/api/patients/:id/safety-screening', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const patient = await pool.query('SELECT id FROM mri_patients WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+        if (patient.rows.length === 0) {
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        const screenings = await listScreenings(pool, req.params.id);
+        res.status(200).json({
+            status: screeningStatus(screenings[0]),
+            form: SCREENING_FORMS[CURRENT_SCREENING_VERSION],
+            screenings,
+        });
+    } catch (error) {
+        console.error('Error fetching safety screening:', error);
+        res.status(500).json({ message: 'Server error fetching safety screening.', error: error.message });
+    }
+});
+
+// The screening radiographer answers every question and signs with their name
+app.post('/api/patients/:id/safety-screening', auth, requirePermission('screening.complete'), async (req, res) => {
+    const { answers, signature_name, confirmed } = req.body;
+    const form = SCREENING_FORMS[CURRENT_SCREENING_VERSION];
+
+    const errors = validateScreeningAnswers(form.questions, answers);
+    if (!signature_name || String(signature_name).trim().length < 2) {
+        errors.signature_name = 'Type your full name to sign the screening.';
+    }
+    if (confirmed !== true) {
+        errors.confirmed = 'Confirm that you screened the patient yourself.';
+    }
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Please complete the highlighted questions.', errors });
+    }
+
+    try {
+        const patient = await pool.query('SELECT id FROM mri_patients WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+        if (patient.rows.length === 0) {
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+
+        const cleanAnswers = cleanScreeningAnswers(form.questions, answers);
+        const flagged = flaggedItems(form.questions, cleanAnswers);
+        const inserted = await pool.query(
+            `INSERT INTO patient_safety_screenings
+               (patient_id, form_version, questions, answers, flagged_items, screened_by_user_id, signature_name)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id`,
+            [req.params.id, form.version, JSON.stringify(form.questions), cleanAnswers, flagged, req.user.id, String(signature_name).trim()]
+        );
+        const screening = await getScreening(pool, req.params.id, inserted.rows[0].id);
+
+        await recordAudit(pool, req, {
+            action: 'screening.complete',
+            entityType: 'patient',
+            entityId: req.params.id,
+            metadata: { screening_id: screening.id, form_version: form.version, flagged_items: flagged },
+        });
+
+        res.status(201).json({
+            message: flagged.length > 0
+                ? 'Screening saved. Contraindications found: the scan is on hold until a radiologist overrides.'
+                : 'Screening saved. No contraindications found.',
+            status: screeningStatus(screening),
+            screening,
+        });
+    } catch (error) {
+        console.error('Error saving safety screening:', error);
+        res.status(500).json({ message: 'Server error saving safety screening.', error: error.message });
+    }
+});
+
+// A radiologist accepts the flagged findings and lets the scan go ahead
+app.post('/api/patients/:id/safety-screening/:screeningId/override', auth, requirePermission('screening.override'), async (req, res) => {
+    const reason = String(req.body?.reason || '').trim();
+    if (reason.length < 10) {
+        return res.status(400).json({ message: 'Give a reason of at least 10 characters for overriding the screening.' });
+    }
+
+    try {
+        const screenings = await listScreenings(pool, req.params.id);
+        const current = screenings[0];
+        if (!current || String(current.id) !== String(req.params.screeningId)) {
+            return res.status(404).json({ message: 'Only the latest screening of a visit can be overridden.' });
+        }
+        if (screeningStatus(current) !== 'flagged') {
+            return res.status(409).json({ message: 'This screening has no contraindication waiting for an override.' });
+        }
+
+        // Guarded so two radiologists overriding at once leave one record
+        const updated = await pool.query(
+            `UPDATE patient_safety_screenings
+                SET override_reason = $1, overridden_by_user_id = $2, overridden_at = NOW()
+              WHERE id = $3 AND overridden_at IS NULL
+              RETURNING id`,
+            [reason, req.user.id, current.id]
+        );
+        if (updated.rows.length === 0) {
+            return res.status(409).json({ message: 'This screening has already been overridden.' });
+        }
+        const screening = await getScreening(pool, req.params.id, current.id);
+
+        await recordAudit(pool, req, {
+            action: 'screening.override',
+            entityType: 'patient',
+            entityId: req.params.id,
+            metadata: { screening_id: screening.id, flagged_items: screening.flagged_items, reason },
+        });
+
+        res.status(200).json({ message: 'Screening overridden. The scan can go ahead.', status: screeningStatus(screening), screening });
+    } catch (error) {
+        console.error('Error overriding safety screening:', error);
+        res.status(500).json({ message: 'Server error overriding safety screening.', error: error.message });
+    }
+});
+
+// Signed screening as a PDF, to print and file with the patient's record
+app.get('/api/patients/:id/safety-screening/:screeningId/print', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const patient = await loadPatientDetails(pool, req.params.id);
+        const screening = patient && await getScreening(pool, req.params.id, req.params.screeningId);
+        if (!screening) {
+            return res.status(404).json({ message: 'Screening not found.' });
+        }
+
+        const doc = new PDFDocument({ margin: 50 });
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename=safety_screening_${patient.mri_code || patient.id}_${screening.id}.pdf`,
+        });
+        doc.pipe(res);
+
+        doc.fontSize(16).font('Helvetica-Bold').text('LAUTECH UNIVERSITY TEACHING HOSPITAL', { align: 'center' });
+        doc.fontSize(13).text(`MRI SAFETY SCREENING (form v${screening.form_version})`, { align: 'center' });
+        doc.moveDown();
+
+        doc.fontSize(11).font('Helvetica');
+        doc.text(`Patient: ${patient.patient_name}    Hospital No: ${patient.hospital_number || 'N/A'}    MRI Code: ${patient.mri_code || 'N/A'}`);
+        doc.text(`Gender: ${patient.gender || 'N/A'}    ${patient.date_of_birth ? `Date of Birth: ${formatDateOfBirth(patient.date_of_birth)}    ` : ''}Age: ${patient.age ?? 'N/A'}`);
+        doc.text(`Visit: ${new Date(patient.mri_date_time).toLocaleString('en-NG')}`);
+        doc.moveDown();
+
+        const flagged = new Set(screening.flagged_items);
+        screening.questions.forEach((question, index) => {
+            const answer = screening.answers[question.key] || {};
+            doc.font('Helvetica-Bold').text(`${index + 1}. ${question.text}`, { continued: true })
+               .font('Helvetica').text(`  ${String(answer.answer || '').toUpperCase()}${flagged.has(question.key) ? '  [CONTRAINDICATION]' : ''}`);
+            if (answer.details) doc.fontSize(10).text(`Details: ${answer.details}`, { indent: 15 }).fontSize(11);
+            doc.moveDown(0.3);
+        });
+        doc.moveDown();
+
+        const status = screeningStatus(screening);
+        doc.font('Helvetica-Bold').text(`Outcome: ${{
+            cleared: 'No contraindications - cleared for scan',
+            flagged: 'CONTRAINDICATION - scan on hold pending radiologist override',
+            overridden: 'Contraindication overridden by radiologist - cleared for scan',
+        }[status]}`);
+        doc.font('Helvetica');
+        if (screening.overridden_at) {
+            doc.text(`Override by ${screening.overridden_by_name || 'N/A'} on ${new Date(screening.overridden_at).toLocaleString('en-NG')}`);
+            doc.text(`Reason: ${screening.override_reason}`);
+        }
+        doc.moveDown(2);
+
+        doc.text(`Screened and signed by: ${screening.signature_name}${screening.screened_by_name ? ` (${screening.screened_by_name})` : ''}`);
+        doc.text(`Signed on: ${new Date(screening.signed_at).toLocaleString('en-NG')}`);
+        doc.end();
+    } catch (error) {
+        console.error('Error printing safety screening:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Failed to print the safety screening.', error: error.message });
+        }
+    }
+});
+
+// ---------- Contrast agent administration ----------
+app.get('/api/contrast/agents', auth, requirePermission('patients.view'), (req, res) => {
+    res.status(200).json({
+        agents: CONTRAST_AGENTS.map(agent => ({ ...agent, mlPerKg: agent.doseMmolPerKg / agent.concentration })),
+        routes: CONTRAST_ROUTES,
     });
+});
+
+// The visit's examinations and weight (to prefill the form) and every contrast record
+app.get('/api/patients/:id/contrast', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const patient = await pool.query('SELECT id, weight_kg FROM mri_patients WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+        if (patient.rows.length === 0) {
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        const exams = await pool.query('SELECT id, exam_name AS name FROM patient_examinations WHERE patient_id = $1 ORDER BY id', [req.params.id]);
+        res.status(200).json({
+            weight_kg: patient.rows[0].weight_kg,
+            examinations: exams.rows,
+            administrations: await listContrastAdministrations(pool, req.params.id),
+        });
+    } catch (error) {
+        console.error('Error fetching contrast administrations:', error);
+        res.status(500).json({ message: 'Server error fetching contrast administrations.', error: error.message });
+    }
+});
+
+// Records contrast given for one examination. Dose and renal warnings are
+// returned with a 409 until the request repeats with acknowledge_warnings.
+app.post('/api/patients/:id/contrast', auth, requirePermission('contrast.record'), async (req, res) => {
+    const { errors, values } = validateContrast(req.body);
+    if (!req.body.examination_id) {
+        errors.examination_id = 'Choose the examination the contrast was given for.';
+    }
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    try {
+        const patient = await pool.query(
+            'SELECT id, age, date_of_birth, gender, weight_kg FROM mri_patients WHERE id = $1 AND deleted_at IS NULL',
+            [req.params.id]
+        );
+        if (patient.rows.length === 0) {
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        const visit = patient.rows[0];
+        if (await loadScreeningStatus(pool, req.params.id) === 'flagged') {
+            return res.status(409).json({ message: SCAN_BLOCKED_MESSAGE, safety_status: 'flagged' });
+        }
+        const exam = await pool.query(
+            'SELECT id, exam_name FROM patient_examinations WHERE id = $1 AND patient_id = $2',
+            [req.body.examination_id, req.params.id]
+        );
+        if (exam.rows.length === 0) {
+            return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { examination_id: 'That examination is not part of this visit.' } });
+        }
+
+        // A weight typed on the form wins over the one recorded at registration
+        const weightKg = values.weightKg ?? (visit.weight_kg !== null ? Number(visit.weight_kg) : null);
+        const recommendedMl = recommendedDoseMl(values.agent, weightKg);
+        const estimated = values.egfr === null && values.creatinine !== null
+            ? estimateEgfr({
+                creatinineUmolPerL: values.creatinine,
+                age: visit.date_of_birth ? ageOnDate(visit.date_of_birth, values.administeredAt) : visit.age,
+                gender: visit.gender,
+            })
+            : null;
+        const egfr = values.egfr ?? estimated;
+        const warnings = contrastWarnings({ ...values, weightKg, recommendedMl, egfr });
+
+        if (warnings.length > 0 && req.body.acknowledge_warnings !== true) {
+            return res.status(409).json({
+                message: 'Review the warnings below and confirm to save.',
+                warnings,
+                recommended_dose_ml: recommendedMl,
+                egfr,
+            });
+        }
+
+        const inserted = await pool.query(
+            `INSERT INTO contrast_administrations
+               (patient_id, examination_id, exam_name, agent, concentration_mmol_per_ml, dose_ml, weight_kg,
+                recommended_dose_ml, batch_number, batch_expiry_date, route, administered_at, egfr, egfr_estimated,
+                creatinine_umol_per_l, administered_by_name, warnings, notes, recorded_by_user_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+             RETURNING id`,
+            [
+                req.params.id, exam.rows[0].id, exam.rows[0].exam_name, values.agent.name, values.agent.concentration,
+                values.doseMl, weightKg, recommendedMl, values.batchNumber, values.expiry, values.route,
+                values.administeredAt, egfr, estimated !== null, values.creatinine, values.administeredByName,
+                JSON.stringify(warnings), values.notes, req.user.id,
+            ]
+        );
+        const administration = await getContrastAdministration(pool, inserted.rows[0].id);
+
+        await recordAudit(pool, req, {
+            action: 'contrast.record',
+            entityType: 'patient',
+            entityId: req.params.id,
+            after: administration,
+            metadata: { contrast_id: administration.id, batch_number: administration.batch_number, warnings: warnings.map(w => w.code) },
+        });
+
+        res.status(201).json({ message: 'Contrast administration recorded.', administration });
+    } catch (error) {
+        console.error('Error recording contrast administration:', error);
+        res.status(500).json({ message: 'Server error recording contrast administration.', error: error.message });
+    }
+});
+
+// Batches used, newest first; ?search= matches part of the lot number
+app.get('/api/contrast/batches', auth, requirePermission('contrast.report'), async (req, res) => {
+    try {
+        const batches = await listContrastBatches(pool, { search: String(req.query.search || '').trim(), agent: req.query.agent });
+        res.status(200).json({ batches });
+    } catch (error) {
+        console.error('Error fetching contrast batches:', error);
+        res.status(500).json({ message: 'Server error fetching contrast batches.', error: error.message });
+    }
+});
+
+// Every patient who received one lot, for a manufacturer recall
+app.get('/api/contrast/batches/:batch', auth, requirePermission('contrast.report'), async (req, res) => {
+    try {
+        const recipients = await findBatchRecipients(pool, req.params.batch);
+        res.status(200).json({ batch_number: req.params.batch.trim().toUpperCase(), recipients });
+    } catch (error) {
+        console.error('Error fetching contrast batch recipients:', error);
+        res.status(500).json({ message: 'Server error fetching batch recipients.', error: error.message });
+    }
+});
+
+app.get('/api/contrast/batches/:batch/export', auth, requirePermission('contrast.report'), async (req, res) => {
+    try {
+        const recipients = await findBatchRecipients(pool, req.params.batch);
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Batch Recipients');
+        worksheet.columns = [
+            { header: 'Given At', key: 'administered_at', width: 22 },
+            { header: 'Hospital No', key: 'hospital_number', width: 15 },
+            { header: 'MRI Code', key: 'mri_code', width: 15 },
+            { header: 'Patient Name', key: 'patient_name', width: 30 },
+            { header: 'Phone', key: 'contact_phone_number', width: 18 },
+            { header: 'Email', key: 'contact_email', width: 28 },
+            { header: 'Next of Kin', key: 'next_of_kin', width: 30 },
+            { header: 'Examination', key: 'exam_name', width: 30 },
+            { header: 'Agent', key: 'agent', width: 32 },
+            { header: 'Batch', key: 'batch_number', width: 15 },
+            { header: 'Expiry', key: 'batch_expiry_date', width: 12 },
+            { header: 'Dose (mL)', key: 'dose_ml', width: 10 },
+            { header: 'Route', key: 'route', width: 15 },
+            { header: 'Given By', key: 'administered_by_name', width: 25 },
+            { header: 'Visit Deleted', key: 'deleted', width: 12 },
+        ];
+
+        recipients.forEach((row) => {
+            worksheet.addRow({
+                ...row,
+                administered_at: new Date(row.administered_at).toISOString(),
+                dose_ml: Number(row.dose_ml),
+                next_of_kin: formatNextOfKin(row) || '',
+                deleted: row.deleted_at ? 'Yes' : '',
+            });
+        });
+
+        const fileBatch = req.params.batch.trim().replace(/[^A-Za-z0-9_-]/g, '_');
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=contrast_batch_${fileBatch}.xlsx`);
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error('Contrast batch export error:', error);
+        res.status(500).json({ message: 'Failed to export batch recipients.', error: error.message });
+    }
+});
+
+// ---------- Examination catalog ----------
+// Active items, for the examination autocomplete on patient forms. `price`
+// is what ?payer_category= (default Cash) is charged today; `list_price` is
+// the catalog price.
+app.get('/api/exam-catalog', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const [items, tariff] = await Promise.all([
+            listCatalogItems(pool),
+            loadTariff(pool, { payerCategory: req.query.payer_category }),
+        ]);
+        res.status(200).json({
+            items: items.map(({ id, code, name, body_region, with_contrast, duration_minutes, price }) => ({
+                id, code, name, body_region, with_contrast, duration_minutes,
+                price: tariff.get(id)?.price ?? Number(price),
+                list_price: Number(price),
+                price_list_name: tariff.get(id)?.price_list_name || null,
+            })),
+            body_regions: EXAM_BODY_REGIONS,
+            payer_categories: PAYER_CATEGORIES,
+        });
+    } catch (error) {
+        console.error('Error fetching exam catalog:', error);
+        res.status(500).json({ message: 'Server error fetching exam catalog.', error: error.message });
+    }
+});
+
+app.get('/api/exam-catalog/items', auth, requirePermission('catalog.manage'), async (req, res) => {
+    try {
+        res.status(200).json(await listCatalogItems(pool, { search: req.query.search, includeInactive: req.query.include_inactive === 'true' }));
+    } catch (error) {
+        console.error('Error fetching exam catalog items:', error);
+        res.status(500).json({ message: 'Server error fetching exam catalog items.', error: error.message });
+    }
+});
+
+// POST creates and PUT updates an item. Price changes apply to visits
+// booked afterwards; visits keep the amount they were billed at.
+const saveCatalogItemHandler = async (req, res) => {
+    const id = req.params.id ? Number(req.params.id) : null;
+    const { errors, values } = validateCatalogItem(req.body);
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    try {
+        const before = id === null
+            ? null
+            : (await pool.query('SELECT * FROM exam_catalog WHERE id = $1', [id])).rows[0];
+        if (id !== null && !before) {
+            return res.status(404).json({ message: 'Catalog item not found.' });
+        }
+        const saved = await saveCatalogItem(pool, id, values, { active: req.body.active === undefined ? true : req.body.active });
+
+        await recordAudit(pool, req, {
+            action: id === null ? 'catalog.create' : 'catalog.update',
+            entityType: 'exam_catalog',
+            entityId: saved.id,
+            before,
+            after: saved,
+        });
+
+        res.status(id === null ? 201 : 200).json(saved);
+    } catch (error) {
+        if (error.code === '23505') {
+            const field = /code/.test(error.constraint || '') ? 'code' : 'name';
+            return res.status(409).json({
+                message: `An examination with this ${field} is already in the catalog.`,
+                errors: { [field]: 'Already in the catalog.' },
+            });
+        }
+        console.error('Error saving exam catalog item:', error);
+        res.status(500).json({ message: 'Server error saving exam catalog item.', error: error.message });
+    }
+};
+
+app.post('/api/exam-catalog/items', auth, requirePermission('catalog.manage'), saveCatalogItemHandler);
+app.put('/api/exam-catalog/items/:id', auth, requirePermission('catalog.manage'), saveCatalogItemHandler);
+
+// ---------- Payer price lists ----------
+app.get('/api/price-lists', auth, requirePermission('tariffs.manage'), async (req, res) => {
+    try {
+        res.status(200).json({
+            price_lists: await listPriceLists(pool, { payerCategory: req.query.payer_category }),
+            payer_categories: PAYER_CATEGORIES,
+        });
+    } catch (error) {
+        console.error('Error fetching price lists:', error);
+        res.status(500).json({ message: 'Server error fetching price lists.', error: error.message });
+    }
+});
+
+// ?from=&to= (YYYY-MM-DD) for period reports; answers 400 and returns null when invalid
+const parseReportRange = (req, res) => {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const { from, to } = req.query;
+    if (!datePattern.test(from || '') || !datePattern.test(to || '') || from > to) {
+        res.status(400).json({ message: 'Give a valid date range.' });
+        return null;
+    }
+    return { from, to };
+};
+
+// Revenue at list price against price charged
+app.get('/api/price-lists/revenue', auth, requirePermission('tariffs.report'), async (req, res) => {
+    const range = parseReportRange(req, res);
+    if (!range) return;
+    try {
+        res.status(200).json(await tariffRevenueReport(pool, range));
+    } catch (error) {
+        console.error('Error fetching tariff revenue report:', error);
+        res.status(500).json({ message: 'Server error fetching tariff revenue report.', error: error.message });
+    }
+});
+
+app.get('/api/price-lists/revenue/export', auth, requirePermission('tariffs.report'), async (req, res) => {
+    const range = parseReportRange(req, res);
+    if (!range) return;
+    try {
+        const report = await tariffRevenueReport(pool, range);
+        const workbook = new ExcelJS.Workbook();
+        const columns = (first) => [
+            ...first,
+            { header: 'Examinations', key: 'examinations', width: 14 },
+            { header: 'At List Price (₦)', key: 'list_amount', width: 18, style: { numFmt: '#,##0.00' } },
+            { header: 'Charged (₦)', key: 'charged_amount', width: 18, style: { numFmt: '#,##0.00' } },
+            { header: 'Difference (₦)', key: 'difference', width: 18, style: { numFmt: '#,##0.00' } },
+        ];
+
+        const payers = workbook.addWorksheet('By Payer');
+        payers.columns = columns([
+            { header: 'Payer', key: 'payer_category', width: 18 },
+            { header: 'Price List', key: 'price_list_name', width: 30 },
+        ]);
+        report.payers.forEach(row => payers.addRow({ ...row, price_list_name: row.price_list_name || 'Catalog price' }));
+        payers.addRow({ payer_category: 'Total', ...report.totals }).font = { bold: true };
+        if (report.unpriced.examinations > 0) {
+            payers.addRow([]);
+            payers.addRow([`${report.unpriced.examinations} examination(s) outside the catalog or imported, charged ₦${report.unpriced.charged_amount.toLocaleString('en-NG', { minimumFractionDigits: 2 })}, are not included.`]);
+        }
+
+        const exams = workbook.addWorksheet('By Examination');
+        exams.columns = columns([
+            { header: 'Code', key: 'code', width: 14 },
+            { header: 'Examination', key: 'name', width: 36 },
+        ]);
+        report.examinations.forEach(row => exams.addRow(row));
+
+        [payers, exams].forEach(sheet => { sheet.getRow(1).font = { bold: true }; });
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=tariff_revenue_${range.from}_${range.to}.xlsx`);
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error('Error exporting tariff revenue report:', error);
+        res.status(500).json({ message: 'Server error exporting tariff revenue report.', error: error.message });
+    }
+});
+
+app.get('/api/price-lists/:id', auth, requirePermission('tariffs.manage'), async (req, res) => {
+    try {
+        const list = await getPriceList(pool, Number(req.params.id) || 0);
+        if (!list) {
+            return res.status(404).json({ message: 'Price list not found.' });
+        }
+        res.status(200).json(list);
+    } catch (error) {
+        console.error('Error fetching price list:', error);
+        res.status(500).json({ message: 'Server error fetching price list.', error: error.message });
+    }
+});
+
+// POST creates and PUT updates a list with its items. Visits already booked
+// keep the prices they were charged.
+const savePriceListHandler = async (req, res) => {
+    const id = req.params.id ? Number(req.params.id) : null;
+    const { errors, values } = validatePriceList(req.body);
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const before = id === null ? null : await getPriceList(client, id);
+        if (id !== null && !before) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Price list not found.' });
+        }
+        const { list, closed, overlaps } = await savePriceList(client, id, values, req.user.id);
+        if (overlaps) {
+            await client.query('ROLLBACK');
+            const names = overlaps.map(other => `${other.name} (${other.effective_from} to ${other.effective_to || 'open'})`).join(', ');
+            return res.status(409).json({
+                message: `These dates overlap another ${values.payer_category} price list: ${names}. Change the dates of one of them first.`,
+                errors: { effective_from: 'Overlaps another price list.' },
+            });
+        }
+        await writeAuditEntry(client, req, {
+            action: id === null ? 'price_list.create' : 'price_list.update',
+            entityType: 'price_list',
+            entityId: list.id,
+            before,
+            after: list,
+            metadata: closed.length ? { ended_price_lists: closed } : undefined,
+        });
+        await client.query('COMMIT');
+
+        res.status(id === null ? 201 : 200).json({
+            message: closed.length
+                ? `${list.name} saved. ${closed.map(other => `${other.name} now ends on ${other.effective_to}`).join('; ')}.`
+                : `${list.name} saved.`,
+            price_list: list,
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23503') {
+            return res.status(400).json({ message: 'One of the examinations is no longer in the catalog.' });
+        }
+        console.error('Error saving price list:', error);
+        res.status(500).json({ message: 'Server error saving price list.', error: error.message });
+    } finally {
+        client.release();
+    }
+};
+
+app.post('/api/price-lists', auth, requirePermission('tariffs.manage'), savePriceListHandler);
+app.put('/api/price-lists/:id', auth, requirePermission('tariffs.manage'), savePriceListHandler);
+
+// ---------- Visit discounts and fee waivers ----------
+
+// The visit's discount lines with the exam total, approved discounts and the
+// net amount due, plus the reason codes and the approval threshold for the form
+app.get('/api/patients/:id/discounts', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const visit = await pool.query(
+            'SELECT id, total_amount, discount_amount FROM mri_patients WHERE id = $1 AND deleted_at IS NULL',
+            [req.params.id]
+        );
+        if (visit.rows.length === 0) {
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        const grossAmount = Number(visit.rows[0].total_amount || 0);
+        const approvedAmount = Number(visit.rows[0].discount_amount || 0);
+        res.status(200).json({
+            discounts: await listVisitDiscounts(pool, req.params.id),
+            reasons: DISCOUNT_REASONS,
+            threshold_percent: Number(await getSetting(pool, 'discount_approval_threshold_percent')),
+            gross_amount: grossAmount,
+            discount_amount: approvedAmount,
+            net_amount: grossAmount - approvedAmount,
+        });
+    } catch (error) {
+        console.error('Error fetching visit discounts:', error);
+        res.status(500).json({ message: 'Server error fetching discounts.', error: error.message });
+    }
+});
+
+// Adds a discount line. It is approved straight away unless the visit's
+// discounts (approved and pending, this one included) come to more than the
+// threshold share of the exam total and the requester cannot approve them;
+// then it waits for an approver, who is notified.
+app.post('/api/patients/:id/discounts', auth, requirePermission('discounts.request'), async (req, res) => {
+    const { errors, values } = validateDiscount(req.body);
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    const client = await pool.connect();
+    let discount;
+    let visit;
+    try {
+        await client.query('BEGIN');
+        const visitResult = await client.query(
+            'SELECT id, patient_name, mri_code, total_amount FROM mri_patients WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+            [req.params.id]
+        );
+        if (visitResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        visit = visitResult.rows[0];
+        const grossAmount = Number(visit.total_amount || 0);
+        const amount = discountAmount(values.kind, values.value, grossAmount);
+        if (grossAmount <= 0 || amount <= 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'This visit has no exam total to discount.' });
+        }
+
+        const existing = await client.query(
+            "SELECT COALESCE(SUM(amount), 0)::float AS amount FROM visit_discounts WHERE patient_id = $1 AND status <> 'rejected'",
+            [visit.id]
+        );
+        const cumulative = existing.rows[0].amount + amount;
+        if (cumulative > grossAmount) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                message: 'Please correct the highlighted fields.',
+                errors: { value: `Discounts on this visit cannot come to more than the exam total of ${formatNaira(grossAmount)}.` },
+            });
+        }
+
+        const thresholdPercent = Number(await getSetting(client, 'discount_approval_threshold_percent'));
+        const needsApproval = cumulative * 100 > grossAmount * thresholdPercent && !req.user.permissions.has('discounts.approve');
+        const inserted = await client.query(
+            `INSERT INTO visit_discounts
+               (patient_id, kind, value, amount, reason_code, note, status, requested_by_user_id, decided_by_user_id, decided_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7::text, $8, $9, CASE WHEN $7::text = 'approved' THEN NOW() END)
+             RETURNING id`,
+            [
+                visit.id, values.kind, values.value, amount, values.reason_code, values.note,
+                needsApproval ? 'pending' : 'approved', req.user.id, needsApproval ? null : req.user.id,
+            ]
+        );
+        await refreshVisitDiscounts(client, visit.id);
+        discount = (await listVisitDiscounts(client, visit.id)).find(line => line.id === inserted.rows[0].id);
+        await writeAuditEntry(client, req, {
+            action: 'discount.request',
+            entityType: 'patient',
+            entityId: visit.id,
+            after: discount,
+            metadata: { discount_id: discount.id, status: discount.status },
+        });
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error requesting discount:', error);
+        return res.status(500).json({ message: 'Server error requesting discount.', error: error.message });
+    } finally {
+        client.release();
+    }
+
+    if (discount.status === 'pending') {
+        try {
+            const approvers = await findDiscountApprovers(pool, { excludeUserId: req.user.id });
+            for (const approverId of approvers) {
+                await createNotification(approverId, {
+                    type: 'discount_pending',
+                    message: `${discountReasonLabel(discount.reason_code)} of ${formatNaira(discount.amount)} for ${visit.patient_name} (${visit.mri_code}) needs approval.`,
+                    relatedEntityId: discount.id,
+                    relatedEntityType: 'discount',
+                });
+            }
+        } catch (notifyError) {
+            console.error('Error notifying discount approvers:', notifyError.message);
+        }
+    }
+
+    res.status(201).json({
+        message: discount.status === 'pending'
+            ? 'Discount requested. It will apply once an approver accepts it.'
+            : 'Discount applied.',
+        discount,
+    });
+});
+
+app.get('/api/discounts/pending', auth, requirePermission('discounts.approve'), async (req, res) => {
+    try {
+        res.status(200).json({
+            discounts: await listPendingDiscounts(pool),
+            reasons: DISCOUNT_REASONS,
+            threshold_percent: Number(await getSetting(pool, 'discount_approval_threshold_percent')),
+        });
+    } catch (error) {
+        console.error('Error fetching pending discounts:', error);
+        res.status(500).json({ message: 'Server error fetching pending discounts.', error: error.message });
+    }
+});
+
+// Approves or rejects a pending request; the requester is notified either way
+app.patch('/api/discounts/:id/decision', auth, requirePermission('discounts.approve'), async (req, res) => {
+    const { decision } = req.body;
+    const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+    if (!['approve', 'reject'].includes(decision)) {
+        return res.status(400).json({ message: "Decision must be 'approve' or 'reject'." });
+    }
+    if (decision === 'reject' && !note) {
+        return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { note: 'Give a reason for rejecting the discount.' } });
+    }
+
+    const client = await pool.connect();
+    let before;
+    let visit;
+    let discount;
+    try {
+        await client.query('BEGIN');
+        const existing = await client.query(
+            `SELECT d.*, p.patient_name, p.mri_code
+               FROM visit_discounts d
+               JOIN mri_patients p ON p.id = d.patient_id AND p.deleted_at IS NULL
+              WHERE d.id = $1
+              FOR UPDATE OF d`,
+            [req.params.id]
+        );
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Discount not found.' });
+        }
+        before = existing.rows[0];
+        if (before.status !== 'pending') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `This discount has already been ${before.status}.` });
+        }
+        visit = { id: before.patient_id, patient_name: before.patient_name, mri_code: before.mri_code };
+        await client.query(
+            `UPDATE visit_discounts
+                SET status = $1, decided_by_user_id = $2, decided_at = NOW(), decision_note = $3
+              WHERE id = $4`,
+            [decision === 'approve' ? 'approved' : 'rejected', req.user.id, note, before.id]
+        );
+        await refreshVisitDiscounts(client, visit.id);
+        discount = (await listVisitDiscounts(client, visit.id)).find(line => line.id === before.id);
+        await writeAuditEntry(client, req, {
+            action: decision === 'approve' ? 'discount.approve' : 'discount.reject',
+            entityType: 'patient',
+            entityId: visit.id,
+            before: { status: before.status, amount: before.amount },
+            after: discount,
+            metadata: { discount_id: discount.id },
+        });
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deciding discount:', error);
+        return res.status(500).json({ message: 'Server error deciding discount.', error: error.message });
+    } finally {
+        client.release();
+    }
+
+    if (discount.requested_by_user_id && discount.requested_by_user_id !== req.user.id) {
+        try {
+            await createNotification(discount.requested_by_user_id, {
+                type: decision === 'approve' ? 'discount_approved' : 'discount_rejected',
+                message: `${discountReasonLabel(discount.reason_code)} of ${formatNaira(discount.amount)} for ${visit.patient_name} (${visit.mri_code}) was ${discount.status}${note ? `: ${note}` : '.'}`,
+                relatedEntityId: visit.id,
+                relatedEntityType: 'patient',
+            });
+        } catch (notifyError) {
+            console.error('Error notifying discount requester:', notifyError.message);
+        }
+    }
+
+    res.status(200).json({ message: `Discount ${discount.status}.`, discount });
+});
+
+app.put('/api/discounts/threshold', auth, requirePermission('settings.manage'), async (req, res) => {
+    const thresholdPercent = Number(req.body.threshold_percent);
+    if (!Number.isFinite(thresholdPercent) || thresholdPercent < 0 || thresholdPercent > 100) {
+        return res.status(400).json({ message: 'The threshold must be a percentage between 0 and 100.' });
+    }
+    try {
+        const previous = await getSetting(pool, 'discount_approval_threshold_percent');
+        await setSetting(pool, 'discount_approval_threshold_percent', thresholdPercent, req.user.id);
+        await recordAudit(pool, req, {
+            action: 'settings.update',
+            entityType: 'setting',
+            entityId: 'discount_approval_threshold_percent',
+            before: { value: previous },
+            after: { value: thresholdPercent },
+        });
+        res.status(200).json({
+            message: `Discounts above ${thresholdPercent}% of the exam total now need approval.`,
+            threshold_percent: thresholdPercent,
+        });
+    } catch (error) {
+        console.error('Error updating discount threshold:', error);
+        res.status(500).json({ message: 'Server error updating discount threshold.', error: error.message });
+    }
+});
+
+// ---------- Referrer directory, normalisation and statements ----------
+// Active facilities and doctors, for the referral autocomplete on patient forms
+app.get('/api/referrers/directory', auth, requirePermission('patients.view'), async (req, res) => {
+    try {
+        const [facilities, doctors] = await Promise.all([listFacilities(pool), listDoctors(pool)]);
+        res.status(200).json({
+            facilities: facilities.map(({ id, name, aliases, address_city }) => ({ id, name, aliases, address_city })),
+            doctors: doctors.map(({ id, full_name, facility_id, facility_name, specialty }) => ({ id, full_name, facility_id, facility_name, specialty })),
+        });
+    } catch (error) {
+        console.error('Error fetching referrer directory:', error);
+        res.status(500).json({ message: 'Server error fetching referrer directory.', error: error.message });
+    }
+});
+
+app.get('/api/referrers/facilities', auth, requirePermission('referrers.manage'), async (req, res) => {
+    try {
+        res.status(200).json(await listFacilities(pool, { search: req.query.search, includeInactive: req.query.include_inactive === 'true' }));
+    } catch (error) {
+        console.error('Error fetching referral facilities:', error);
+        res.status(500).json({ message: 'Server error fetching referral facilities.', error: error.message });
+    }
+});
+
+app.get('/api/referrers/doctors', auth, requirePermission('referrers.manage'), async (req, res) => {
+    try {
+        res.status(200).json(await listDoctors(pool, {
+            facilityId: req.query.facility_id,
+            search: req.query.search,
+            includeInactive: req.query.include_inactive === 'true',
+        }));
+    } catch (error) {
+        console.error('Error fetching referring doctors:', error);
+        res.status(500).json({ message: 'Server error fetching referring doctors.', error: error.message });
+    }
+});
+
+// POST creates and PUT updates a facility or doctor; `kind` picks the table
+const saveReferrerHandler = (kind) => async (req, res) => {
+    const id = req.params.id ? Number(req.params.id) : null;
+    if (id !== null && (!Number.isInteger(id) || id < 1)) {
+        return res.status(400).json({ message: 'Invalid referrer id.' });
+    }
+    const errors = validateReferrer(kind, req.body);
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    try {
+        const before = id === null
+            ? null
+            : (await pool.query(`SELECT * FROM ${REFERRER_KINDS[kind].table} WHERE id = $1`, [id])).rows[0];
+        if (id !== null && !before) {
+            return res.status(404).json({ message: 'Referrer not found.' });
+        }
+        const saved = await saveReferrer(pool, kind, id, req.body);
+
+        await recordAudit(pool, req, {
+            action: id === null ? 'referrer.create' : 'referrer.update',
+            entityType: `referral_${kind}`,
+            entityId: saved.id,
+            before,
+            after: saved,
+        });
+
+        res.status(id === null ? 201 : 200).json(saved);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ message: 'A facility with this name is already in the directory.', errors: { name: 'Already in the directory.' } });
+        }
+        if (error.code === '23503') {
+            return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { facility_id: 'Facility not found.' } });
+        }
+        console.error('Error saving referrer:', error);
+        res.status(500).json({ message: 'Server error saving referrer.', error: error.message });
+    }
+};
+
+app.post('/api/referrers/facilities', auth, requirePermission('referrers.manage'), saveReferrerHandler('facility'));
+app.put('/api/referrers/facilities/:id', auth, requirePermission('referrers.manage'), saveReferrerHandler('facility'));
+app.post('/api/referrers/doctors', auth, requirePermission('referrers.manage'), saveReferrerHandler('doctor'));
+app.put('/api/referrers/doctors/:id', auth, requirePermission('referrers.manage'), saveReferrerHandler('doctor'));
+
+// Legacy referral text not yet linked to the directory, with suggested matches
+app.get('/api/referrers/unmatched', auth, requirePermission('referrers.manage'), async (req, res) => {
+    const kind = req.query.kind === 'doctor' ? 'doctor' : 'facility';
+    try {
+        res.status(200).json({ kind, values: await listUnmatchedReferrals(pool, kind) });
+    } catch (error) {
+        console.error('Error fetching unmatched referrals:', error);
+        res.status(500).json({ message: 'Server error fetching unmatched referrals.', error: error.message });
+    }
+});
+
+// Maps one or more spellings ({ kind, keys, target_id }) onto a directory entry
+app.post('/api/referrers/normalize', auth, requirePermission('referrers.manage'), async (req, res) => {
+    const { kind, keys, target_id } = req.body;
+    if (!REFERRER_KINDS[kind] || !Array.isArray(keys) || keys.length === 0 || !target_id) {
+        return res.status(400).json({ message: 'Choose the spellings to normalise and the directory entry they belong to.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await normalizeReferrals(client, { kind, keys, targetId: target_id, userId: req.user.id });
+        if (!result) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Referrer not found.' });
+        }
+        await writeAuditEntry(client, req, {
+            action: 'referrer.normalize',
+            entityType: `referral_${kind}`,
+            entityId: result.target.id,
+            metadata: { keys, visit_ids: result.visitIds },
+        });
+        await client.query('COMMIT');
+
+        res.status(200).json({
+            message: `${result.visitIds.length} visit(s) now refer to ${result.target[REFERRER_KINDS[kind].nameColumn]}.`,
+            target: result.target,
+            updated_visits: result.visitIds.length,
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error normalising referrals:', error);
+        res.status(500).json({ message: 'Server error normalising referrals.', error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Visits and amounts per referring facility per month; ?from=&to= are dates
+app.get('/api/referrers/analytics', auth, requirePermission('referrers.statements'), async (req, res) => {
+    const range = parseReportRange(req, res);
+    if (!range) return;
+    try {
+        res.status(200).json(await referralAnalytics(pool, range));
+    } catch (error) {
+        console.error('Error fetching referral analytics:', error);
+        res.status(500).json({ message: 'Server error fetching referral analytics.', error: error.message });
+    }
+});
+
+const formatNaira = (amount) => `₦${Number(amount).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+const writeStatementPdf = (res, statement) => {
+    const { referrer, period, visits, totals } = statement;
+    const name = referrer.kind === 'facility' ? referrer.name : referrer.full_name;
+    const doc = new PDFDocument({ margin: 40, layout: 'landscape' });
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename=referral_statement_${referrer.kind}_${referrer.id}_${period.month}.pdf`,
+    });
+    doc.pipe(res);
+
+    doc.fontSize(16).font('fonts/Roboto-Bold.ttf').text('LAUTECH UNIVERSITY TEACHING HOSPITAL', { align: 'center' });
+    doc.fontSize(13).text(`REFERRAL STATEMENT - ${period.month}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(11).text(`${referrer.kind === 'facility' ? 'Referring facility' : 'Referring doctor'}: ${name}`);
+    doc.font('fonts/Roboto-Regular.ttf');
+    if (referrer.kind === 'doctor' && referrer.specialty) doc.text(`Specialty: ${referrer.specialty}`);
+    const address = [referrer.address_line, referrer.address_city, referrer.address_state].filter(Boolean).join(', ');
+    if (address) doc.text(`Address: ${address}`);
+    const contact = [referrer.contact_person, referrer.phone_number, referrer.email].filter(Boolean).join(' / ');
+    if (contact) doc.text(`Contact: ${contact}`);
+    doc.moveDown();
+
+    const columns = [
+        { header: 'Date', x: 40, width: 70 },
+        { header: 'MRI Code', x: 110, width: 80 },
+        { header: 'Patient', x: 190, width: 140 },
+        { header: referrer.kind === 'facility' ? 'Doctor' : 'Facility', x: 330, width: 110 },
+        { header: 'Examinations', x: 440, width: 190 },
+        { header: 'Amount', x: 630, width: 80, align: 'right' },
+        { header: 'Status', x: 715, width: 50 },
+    ];
+    const drawHeader = () => {
+        const top = doc.y;
+        doc.fontSize(9).font('fonts/Roboto-Bold.ttf');
+        columns.forEach(col => doc.text(col.header, col.x, top, { width: col.width, align: col.align }));
+        doc.moveTo(40, top + 13).lineTo(765, top + 13).stroke();
+        doc.font('fonts/Roboto-Regular.ttf');
+        return top + 18;
+    };
+
+    let y = drawHeader();
+    visits.forEach(visit => {
+        const cells = [
+            new Date(visit.mri_date_time).toLocaleDateString('en-NG'),
+            visit.mri_code || '',
+            `${visit.patient_name}${visit.hospital_number ? ` (${visit.hospital_number})` : ''}`,
+            (referrer.kind === 'facility' ? visit.referring_doctor : visit.referral_hospital) || '',
+            visit.examinations.map(exam => exam.name).join(', '),
+            formatNaira(visit.total_amount),
+            visit.payment_status || '',
+        ];
+        const height = Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width })));
+        if (y + height > doc.page.height - 60) {
+            doc.addPage();
+            doc.y = 40;
+            y = drawHeader();
+        }
+        cells.forEach((cell, index) => doc.text(cell, columns[index].x, y, { width: columns[index].width, align: columns[index].align }));
+        y += height + 6;
+    });
+
+    doc.moveTo(40, y).lineTo(765, y).stroke();
+    doc.font('fonts/Roboto-Bold.ttf').fontSize(10);
+    doc.text(`${totals.visits} patient(s), ${totals.examinations} examination(s)`, 40, y + 6);
+    doc.text(`Total ${formatNaira(totals.amount)}   Paid ${formatNaira(totals.paid_amount)}`, 440, y + 6, { width: 325, align: 'right' });
+    doc.end();
+};
+
+const writeStatementExcel = async (res, statement) => {
+    const { referrer, period, visits, totals } = statement;
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(`Referrals ${period.month}`);
+    worksheet.columns = [
+        { header: 'Date', key: 'date', width: 14 },
+        { header: 'MRI Code', key: 'mri_code', width: 15 },
+        { header: 'Receipt No', key: 'receipt_number', width: 15 },
+        { header: 'Hospital No', key: 'hospital_number', width: 15 },
+        { header: 'Patient Name', key: 'patient_name', width: 30 },
+        { header: 'Referring Facility', key: 'referral_hospital', width: 30 },
+        { header: 'Referring Doctor', key: 'referring_doctor', width: 25 },
+        { header: 'Examinations', key: 'examinations', width: 50 },
+        { header: 'Amount', key: 'total_amount', width: 15 },
+        { header: 'Payment Status', key: 'payment_status', width: 15 },
+    ];
+    visits.forEach(visit => {
+        worksheet.addRow({
+            ...visit,
+            date: new Date(visit.mri_date_time).toISOString().slice(0, 10),
+            examinations: visit.examinations.map(exam => `${exam.name} (₦${exam.amount})`).join(', '),
+        });
+    });
+    const totalRow = worksheet.addRow({ patient_name: `${totals.visits} patient(s)`, examinations: `${totals.examinations} examination(s)`, total_amount: totals.amount });
+    totalRow.font = { bold: true };
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=referral_statement_${referrer.kind}_${referrer.id}_${period.month}.xlsx`);
+    await workbook.xlsx.write(res);
+    res.end();
+};
+
+// Monthly statement of one facility or doctor (?month=YYYY-MM) as JSON, PDF or Excel
+const referrerStatementHandler = (kind, format) => async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+        return res.status(400).json({ message: 'Invalid referrer id.' });
+    }
+    const period = parseStatementMonth(req.query.month);
+    if (!period) {
+        return res.status(400).json({ message: 'Give the statement month as YYYY-MM.' });
+    }
+    try {
+        const statement = await loadReferrerStatement(pool, { kind, id, period });
+        if (!statement) {
+            return res.status(404).json({ message: 'Referrer not found.' });
+        }
+        if (format === 'pdf') return writeStatementPdf(res, statement);
+        if (format === 'excel') return await writeStatementExcel(res, statement);
+        res.status(200).json(statement);
+    } catch (error) {
+        console.error('Error generating referrer statement:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Failed to generate the referrer statement.', error: error.message });
+        }
+    }
+};
+
+for (const [kind, segment] of [['facility', 'facilities'], ['doctor', 'doctors']]) {
+    app.get(`/api/referrers/${segment}/:id/statement`, auth, requirePermission('referrers.statements'), referrerStatementHandler(kind, 'json'));
+    app.get(`/api/referrers/${segment}/:id/statement/pdf`, auth, requirePermission('referrers.statements'), referrerStatementHandler(kind, 'pdf'));
+    app.get(`/api/referrers/${segment}/:id/statement/excel`, auth, requirePermission('referrers.statements'), referrerStatementHandler(kind, 'excel'));
+}
+
+// Columns the result pages show; `version` is sent back in If-Match on status changes
+const RESULT_DETAILS_SQL = `
+            SELECT
+                prf.file_id,
+                prf.patient_id,
+                prf.file_name,
+                prf.file_path,
+                prf.file_type,
+                prf.result_status,
+                prf.issued_to_recipient_name,
+                prf.issued_to_recipient_phone,
+                prf.issued_to_recipient_relationship,
+                prf.issued_to_recipient_email,
+                prf.issued_by_user_id,
+                prf.created_at,
+                prf.remarks,
+                prf.version,
+                u_up.full_name AS uploaded_by_name,
+                u_is.full_name AS issued_by_name
+            FROM
+                patient_results_files prf
+            LEFT JOIN users u_up ON prf.uploaded_by_user_id = u_up.id
+            LEFT JOIN users u_is ON prf.issued_by_user_id = u_is.id`;
+
+const loadResultDetails = async (db, fileId) => {
+    const result = await db.query(`${RESULT_DETAILS_SQL} WHERE prf.file_id = $1 AND prf.deleted_at IS NULL`, [fileId]);
+    return result.rows[0] || null;
+};
+
+// Get all results for a specific patient
+app.get('/api/patients/:patientId/results', auth, requirePermission('results.view'), async (req, res) => {
+    const patientId = req.params.patientId; // Consistent parameter name
+    try {
+        const results = await pool.query(`${RESULT_DETAILS_SQL}
+            WHERE prf.patient_id = $1 AND prf.deleted_at IS NULL
+            ORDER BY prf.created_at DESC
+        `, [patientId]);
+        res.status(200).json(results.rows);
+    } catch (error) {
+        console.error('Error fetching patient results:', error);
+        res.status(500).json({ message: 'Server error fetching patient results.', error: error.message });
+    }
+});
+
+// Download a specific result file
+app.get(
+  "/api/patients/results/:fileId/download",
+  auth,
+  requirePermission('results.download'),
+  async (req, res) => {
+    try {
+      const fileId = req.params.fileId;
+      const result = await pool.query(
+        "SELECT file_path FROM patient_results_files WHERE file_id = $1 AND deleted_at IS NULL",
+        [fileId]
+      );
+
+      const file = result.rows[0];
+      if (!file) return res.status(404).json({ message: "File not found." });
+
+      // Use stored S3 key directly
+      const key = file.file_path;
+
+      const command = new GetObjectCommand({
+        Bucket: process.env.DO_SPACES_BUCKET,
+        Key: key,
+      });
+
+      const signedUrl = await getSignedUrl(s3Client, command, { expiresIn: 300 }); // 5 min expiry
+      res.json({ downloadUrl: signedUrl });
+    } catch (error) {
+      console.error("Download error:", error);
+      res.status(500).json({ message: "Error generating download link.", error: error.message });
+    }
+  }
+);
+
+
+
+
+
+
+// Update result status (e.g., 'pending_review' to 'final')
+app.patch('/api/patients/results/:fileId/status', auth, requirePermission('results.manage'), async (req, res) => { // Consistent param name, added roles
+    const fileId = req.params.fileId; // Consistent parameter name
+    const { status } = req.body; // Expects { status: 'pending_review' | 'final' | 'issued' }
+
+    const validStatuses = ['pending_review', 'final', 'issued'];
+    if (!validStatuses.includes(status)) {
+        return res.status(400).json({ message: 'Invalid result status provided.' });
+    }
+
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (expectedVersion === null) {
+        return res.status(428).json({ message: VERSION_REQUIRED_MESSAGE });
+    }
+
+    try {
+        const existing = await pool.query('SELECT * FROM patient_results_files WHERE file_id = $1 AND deleted_at IS NULL', [fileId]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ message: 'Result not found.' });
+        }
+        const updatedResult = await pool.query(
+            `UPDATE patient_results_files SET result_status = $1, updated_at = CURRENT_TIMESTAMP, version = version + 1
+             WHERE file_id = $2 AND deleted_at IS NULL AND version = $3 RETURNING *`,
+            [status, fileId, expectedVersion]
+        );
+        if (updatedResult.rows.length === 0) {
+            return sendVersionConflict(res, await loadResultDetails(pool, fileId));
+        }
+        await recordAudit(pool, req, {
+            action: 'result.status',
+            entityType: 'patient_result',
+            entityId: fileId,
+            before: existing.rows[0],
+            after: updatedResult.rows[0],
+            metadata: { patient_id: updatedResult.rows[0].patient_id },
+        });
+        res.set('ETag', formatEtag(updatedResult.rows[0].version));
+        res.status(200).json({ message: 'Result status updated successfully.', result: await loadResultDetails(pool, fileId) });
+    } catch (error) {
+        console.error('Error updating result status:', error);
+        res.status(500).json({ message: 'Server error updating result status.', error: error.message });
+    }
+});
+
+// Mark result as issued to recipient
+app.patch('/api/patients/results/:fileId/issue', auth, requirePermission('results.manage'), async (req, res) => { // Consistent param name, added roles
+    const fileId = req.params.fileId; // Consistent parameter name
+    const { recipient_name, recipient_phone, recipient_relationship, recipient_email } = req.body; // Destructure all recipient fields
+    const issuedByUserId = req.user.id; // Authenticated user who issues the result
+
+    if (!recipient_name || recipient_name.trim() === '') {
+        return res.status(400).json({ message: 'Recipient name is required to issue result.' });
+    }
+
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (expectedVersion === null) {
+        return res.status(428).json({ message: VERSION_REQUIRED_MESSAGE });
+    }
+
+    try {
+        const existing = await pool.query('SELECT * FROM patient_results_files WHERE file_id = $1 AND deleted_at IS NULL', [fileId]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ message: 'Result not found or status could not be updated.' });
+        }
+        const updatedResult = await pool.query(
+            `UPDATE patient_results_files SET
+                result_status = 'issued',
+                issued_to_recipient_name = $1,
+                issued_to_recipient_phone = $2,
+                issued_to_recipient_relationship = $3,
+                issued_to_recipient_email = $4,
+                issued_by_user_id = $5,
+                issued_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP,
+                version = version + 1
+             WHERE file_id = $6 AND deleted_at IS NULL AND version = $7 RETURNING *`,
+            [recipient_name, recipient_phone, recipient_relationship, recipient_email, issuedByUserId, fileId, expectedVersion]
+        );
+        if (updatedResult.rows.length === 0) {
+            return sendVersionConflict(res, await loadResultDetails(pool, fileId));
+        }
+        await recordAudit(pool, req, {
+            action: 'result.issue',
+            entityType: 'patient_result',
+            entityId: fileId,
+            before: existing.rows[0],
+            after: updatedResult.rows[0],
+            metadata: { patient_id: updatedResult.rows[0].patient_id },
+        });
+
+        // --- Trigger Notification for Result Issued ---
+        try {
+            const patientId = updatedResult.rows[0].patient_id;
+            const patientRecord = await pool.query('SELECT patient_name FROM mri_patients WHERE id = $1', [patientId]);
+            const patientName = patientRecord.rows[0]?.patient_name || 'Unknown Patient';
+
+            const notificationMessage = `Result for Patient "${patientName}" (ID: ${patientId}) has been issued to ${recipient_name}.`;
+            const adminUsers = await pool.query('SELECT id FROM users WHERE role = \'admin\'');
+            for (const admin of adminUsers.rows) {
+                await createNotification(admin.id, {
+                    type: 'result_issued',
+                    message: notificationMessage,
+                    relatedEntityId: updatedResult.rows[0].file_id, // Use file_id for notification
+                    relatedEntityType: 'patient_result',
+                });
+            }
+        } catch (notifError) {
+            console.error('Error triggering result issued notification:', notifError);
+        }
+        // --- END Notification Trigger ---
+
+        res.set('ETag', formatEtag(updatedResult.rows[0].version));
+        res.status(200).json({ message: 'Result marked as issued successfully.', result: await loadResultDetails(pool, fileId) });
+    } catch (error) {
+        console.error('Error issuing result:', error);
+        res.status(500).json({ message: 'Server error issuing result.', error: error.message });
+    }
+});
+
+
+import handlebars from "handlebars";
+
+// Utility: Convert image file to base64 (for logos)
+function imageToBase64(filePath) {
+  const fileData = fs.readFileSync(filePath);
+  const ext = path.extname(filePath).substring(1); // "png" or "jpg"
+  return `data:image/${ext};base64,${fileData.toString("base64")}`;
+}
+
+// ---------- Get Single Patient Details (Fixed) ----------
+app.get("/api/patients/:id", auth, requirePermission('patients.view'), async (req, res) => {
+  try {
+    const patient = await loadPatientDetails(pool, req.params.id);
+    if (!patient) {
+      return res.status(404).json({ message: "Patient not found" });
+    }
+
+    // Edits send this back in If-Match
+    res.set('ETag', formatEtag(patient.version));
+
+    // ✅ CRASH FIX: This is the ONLY place res.json is called
+    return res.json(patient);
+
+  } catch (err) {
+    console.error("Error fetching patient details:", err);
+    // Only send error response if headers haven't been sent yet
+    if (!res.headersSent) {
+        return res.status(500).json({ message: "Failed to fetch patient details" });
+    }
+  }
+});
+
+// Export patients to Excel (Admin only)
+app.get(
+  "/api/patients/export/excel",
+  auth,
+  requirePermission('patients.export'),
+  async (req, res) => {
+    try {
+      // Same filters and order as the patient list, without paging
+      const { whereSql, params } = buildPatientFilters(req.query);
+
+      // Fetch patients + exams
+      const result = await pool.query(
+        `
+        SELECT mp.*, rp.hospital_number, u.full_name AS recorded_by_staff_name, u.email AS recorded_by_staff_email,
+               e.exam_name, e.exam_amount
+        FROM mri_patients mp
+        JOIN patients rp ON rp.id = mp.registry_patient_id
+        LEFT JOIN users u ON mp.recorded_by_staff_id = u.id
+        LEFT JOIN patient_examinations e ON mp.id = e.patient_id
+        ${whereSql}
+        ${buildPatientOrder(req.query)}, e.exam_name;
+        `,
+        params
+      );
+
+      // Group by patient, keeping the query order
+      const patientsMap = new Map();
+      result.rows.forEach((row) => {
+        if (!patientsMap.has(row.id)) {
+          patientsMap.set(row.id, {
+            ...row,
+            exams: [],
+          });
+        }
+        if (row.exam_name) {
+          patientsMap.get(row.id).exams.push({
+            name: row.exam_name,
+            amount: Number(row.exam_amount || 0),
+          });
+        }
+      });
+
+      const patients = [...patientsMap.values()];
+
+      // Prepare Excel
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet("Patients");
+
+      // Columns
+      worksheet.columns = [
+        { header: "ID", key: "id", width: 10 },
+        { header: "Serial Number", key: "serial_number", width: 25 },
+        { header: "Hospital Number", key: "hospital_number", width: 15 },
+        { header: "Patient Name", key: "patient_name", width: 25 },
+        { header: "Gender", key: "gender", width: 10 },
+        { header: "Date of Birth", key: "date_of_birth", width: 14 },
+        { header: "Age", key: "age", width: 10 },
+        { header: "Weight (kg)", key: "weight_kg", width: 12 },
+        { header: "Contact Email", key: "contact_email", width: 25 },
+        { header: "Contact Phone", key: "contact_phone_number", width: 20 },
+        { header: "Street Address", key: "address_line", width: 30 },
+        { header: "Town/City", key: "address_city", width: 18 },
+        { header: "LGA", key: "address_lga", width: 18 },
+        { header: "State", key: "address_state", width: 14 },
+        { header: "Next of Kin", key: "next_of_kin_name", width: 25 },
+        { header: "Next of Kin Relationship", key: "next_of_kin_relationship", width: 18 },
+        { header: "Next of Kin Phone", key: "next_of_kin_phone_number", width: 20 },
+        { header: "NIN", key: "national_id_number", width: 15 },
+        { header: "ID Document Type", key: "id_document_type", width: 20 },
+        { header: "ID Document Number", key: "id_document_number", width: 20 },
+        { header: "MRI Code", key: "mri_code", width: 20 },
+        { header: "MRI Date Time", key: "mri_date_time", width: 25 },
+        { header: "Recorded By Staff ID", key: "recorded_by_staff_id", width: 15 },
+        { header: "Recorded By Staff Name", key: "recorded_by_staff_name", width: 25 },
+        { header: "Recorded By Staff Email", key: "recorded_by_staff_email", width: 30 },
+        { header: "Radiographer Name", key: "radiographer_name", width: 20 },
+        { header: "Radiologist Name", key: "radiologist_name", width: 20 },
+        { header: "Remarks", key: "remarks", width: 20 },
+        { header: "Created At", key: "created_at", width: 20 },
+        { header: "Updated At", key: "updated_at", width: 20 },
+        { header: "Referral Hospital", key: "referral_hospital", width: 25 },
+        { header: "Referring Doctor", key: "referring_doctor", width: 25 },
+        { header: "Total Amount (DB)", key: "total_amount", width: 15 },
+        { header: "Receipt Number", key: "receipt_number", width: 20 },
+        { header: "Payment Type", key: "payment_type", width: 15 },
+        { header: "Payment Status", key: "payment_status", width: 15 },
+        { header: "Approved By User ID", key: "approved_by_user_id", width: 20 },
+        { header: "Approved At", key: "approved_at", width: 20 },
+        { header: "Examinations", key: "examinations", width: 50 },
+        { header: "Total Exam Amount", key: "total_exam_amount", width: 20 },
+      ];
+
+      // Add rows
+      patients.forEach((p) => {
+        worksheet.addRow({
+          ...p,
+          examinations: p.exams.map(e => `${e.name} (₦${e.amount})`).join(", "),
+          total_exam_amount: p.exams.reduce((sum, e) => sum + e.amount, 0),
+        });
+      });
+
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader("Content-Disposition", "attachment; filename=patients.xlsx");
+
+      await workbook.xlsx.write(res);
+      res.end();
+    } catch (err) {
+      console.error("Excel export error:", err);
+      res.status(500).json({ message: "Failed to export Excel" });
+    }
+  }
+);
+
+
+
+
+// Endpoint: Generate Receipt PDF
+
+app.get("/api/patients/:id/receipt", auth, requirePermission('receipts.generate'), async (req, res) => {
+  try {
+    const patientId = req.params.id;
+    const userId = req.user.id;
+
+    // 1️⃣ Fetch patient
+    const patientResult = await pool.query(
+      "SELECT * FROM mri_patients WHERE id = $1 AND deleted_at IS NULL",
+      [patientId]
+    );
+    if (!patientResult.rows.length) {
+      return res.status(404).json({ message: "Patient not found." });
+    }
+    const patient = patientResult.rows[0];
+
+    // 2️⃣ Fetch examinations
+    const examsResult = await pool.query(
+      `SELECT 
+          exam_name AS description,
+          1 AS quantity,
+          exam_amount AS unitPrice,
+          exam_amount AS amount
+        FROM patient_examinations
+        WHERE patient_id = $1`,
+      [patientId]
+    );
+
+    const items = examsResult.rows.map(i => ({
+      description: i.description,
+      quantity: i.quantity,
+      unitPrice: parseFloat(i.unitPrice) || 0,
+      amount: parseFloat(i.amount) || 0,
+    }));
+
+    const subtotalKobo = items.reduce((sum, i) => {
+      return sum + Math.round(i.amount * 100);
+    }, 0);
+
+    // Approved discounts print as their own lines below the exams
+    const discountsResult = await pool.query(
+      `SELECT kind, value, amount, reason_code
+         FROM visit_discounts
+        WHERE patient_id = $1 AND status = 'approved'
+        ORDER BY decided_at, id`,
+      [patientId]
+    );
+    const discounts = discountsResult.rows.map(d => ({
+      description: d.kind === 'percentage'
+        ? `Discount: ${discountReasonLabel(d.reason_code)} (${Number(d.value)}%)`
+        : `Discount: ${discountReasonLabel(d.reason_code)}`,
+      amount: parseFloat(d.amount) || 0,
+    }));
+    const discountKobo = Math.min(
+      discounts.reduce((sum, d) => sum + Math.round(d.amount * 100), 0),
+      subtotalKobo
+    );
+    const subtotal = subtotalKobo / 100;
+    const totalAmount = (subtotalKobo - discountKobo) / 100;
+
+    // 3️⃣ Receipt number: the one issued with the visit, so reprints match. A visit
+    // without one has it allocated and stored in one transaction before the PDF is
+    // made, so a failed PDF or upload cannot use up a number and leave a gap.
+    let receiptNumber = patient.receipt_number;
+    if (!receiptNumber) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const current = await client.query('SELECT receipt_number FROM mri_patients WHERE id = $1 FOR UPDATE', [patientId]);
+        receiptNumber = current.rows[0].receipt_number || await nextVisitNumber(client, 'receipt_number', 'receipt_number');
+        await client.query(
+          'UPDATE mri_patients SET receipt_number = $1, updated_at = NOW(), version = version + 1 WHERE id = $2',
+          [receiptNumber, patientId]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    // 4️⃣ Create PDF
+    const doc = new PDFDocument({ margin: 50 });
+    let buffers = [];
+    doc.on("data", buffers.push.bind(buffers));
+    doc.on("end", async () => {
+      const pdfBuffer = Buffer.concat(buffers);
+
+      // 5️⃣ Save PDF to DigitalOcean Spaces
+      const key = `receipts/receipt_${patientId}_${Date.now()}.pdf`;
+      await s3Client.send(
+        new PutObjectCommand({
+          Bucket: process.env.DO_SPACES_BUCKET,
+          Key: key,
+          Body: pdfBuffer,
+          ContentType: "application/pdf",
+          ACL: "private",
+        })
+      );
+      const receiptUrl = `https://${process.env.DO_SPACES_BUCKET}.${process.env.DO_SPACES_ENDPOINT.replace(/^https?:\/\//, "")}/${key}`;
+
+      // 6️⃣ Update patient record; clients holding the old version must reload it
+      const updated = await pool.query(
+        `UPDATE mri_patients
+            SET payment_status = $1,
+                payment_type = $2,
+                receipt_url = $3,
+                updated_at = NOW(),
+                version = version + 1
+          WHERE id = $4
+          RETURNING version`,
+        ["Paid", "Cash", receiptUrl, patientId]
+      );
+
+      // 7️⃣ Send PDF to client
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename=${receiptNumber}.pdf`,
+        ETag: formatEtag(updated.rows[0].version),
+      });
+      res.send(pdfBuffer);
+
+      console.log(`✅ Receipt generated & saved: ${receiptUrl}`);
+    });
+
+    // 🖼️ Hospital logos (centered)
+    const logoLeft = path.join(process.cwd(), "public/logo-left.png");
+    const logoRight = path.join(process.cwd(), "public/logo-right.png");
+
+    const logoWidth = 80;
+    const logoSpacing = 20; // space between logos
+    const totalWidth = (logoWidth * 2) + logoSpacing;
+    const startX = (doc.page.width - totalWidth) / 2; // center both logos together
+    const yPos = 30;
+
+    // Left logo
+    doc.image(logoLeft, startX, yPos, { width: logoWidth });
+
+    // Right logo (beside it with spacing)
+    doc.image(logoRight, startX + logoWidth + logoSpacing, yPos, { width: logoWidth });
+
+
+    // Hospital info below logos
+    doc.moveDown(5);
+    doc.fontSize(18).text("LAUTECH UNIVERSITY TEACHING HOSPITAL", { align: "center", bold: true });
+    doc.fontSize(10).text("Ladoke Akintola University of Technology, Ogbomoso, Oyo State, Nigeria", { align: "center" });
+    doc.text("Email: info@advancedmricenter.com | Phone: +234 801 234 5678", { align: "center" });
+    doc.moveDown(2);
+
+    doc.fontSize(14).text("MRI SCAN RECEIPT", { align: "center", bold: true });
+    doc.moveDown(2);
+
+    // Receipt & patient info box
+    doc.fontSize(12).font("Helvetica-Bold").text(`Receipt No: ${receiptNumber}`, { align: "left" });
+    doc.font("Helvetica");
+    doc.text(`Patient: ${patient.patient_name}`);
+    doc.text(`Gender: ${patient.gender}`);
+    if (patient.date_of_birth) {
+      doc.text(`Date of Birth: ${formatDateOfBirth(patient.date_of_birth)} (Age ${patient.age ?? ageOnDate(patient.date_of_birth, patient.mri_date_time)})`);
+    } else {
+      doc.text(`Age: ${patient.age || "N/A"}`);
+    }
+    doc.text(`Contact: ${patient.contact_email || "N/A"} / ${patient.contact_phone_number || "N/A"}`);
+    const address = formatAddress(patient);
+    if (address) doc.text(`Address: ${address}`);
+    const nextOfKin = formatNextOfKin(patient);
+    if (nextOfKin) doc.text(`Next of Kin: ${nextOfKin}`);
+    const identity = formatIdentity(patient);
+    if (identity) doc.text(`ID: ${identity}`);
+    doc.text(`MRI Code: ${patient.mri_code || "N/A"}`);
+    doc.moveDown();
+
+    // Table headers
+    const tableTop = doc.y;
+    const colX = { description: 50, qty: 300, unitPrice: 350, amount: 450 };
+    doc.font("fonts/Roboto-Bold.ttf");
+    doc.text("Description", colX.description, tableTop);
+    doc.text("Qty", colX.qty, tableTop, { width: 40, align: "center" });
+    doc.text("Amount", colX.amount, tableTop, { width: 80, align: "right" });
+    doc.moveTo(50, tableTop + 15).lineTo(520, tableTop + 15).stroke();
+
+    // Table rows
+    doc.font("fonts/Roboto-Regular.ttf");
+    let y = tableTop + 20;
+    items.forEach(item => {
+      doc.text(item.description, colX.description, y);
+      doc.text(item.quantity.toString(), colX.qty, y, { width: 40, align: "center" });
+      doc.text(`₦${item.amount.toLocaleString("en-NG")}`, colX.amount, y, { width: 80, align: "right" });
+      y += 20;
+    });
+
+    if (discounts.length) {
+      doc.moveTo(50, y).lineTo(520, y).stroke();
+      y += 5;
+      doc.text("Subtotal", colX.unitPrice, y, { width: 80, align: "right" })
+         .text(`₦${subtotal.toLocaleString("en-NG")}`, colX.amount, y, { width: 80, align: "right" });
+      y += 20;
+      discounts.forEach(discount => {
+        doc.text(discount.description, colX.description, y, { width: 290 });
+        doc.text(`-₦${discount.amount.toLocaleString("en-NG")}`, colX.amount, y, { width: 80, align: "right" });
+        y += 20;
+      });
+    }
+
+    // Total
+    doc.moveTo(50, y).lineTo(520, y).stroke();
+    y += 5;
+    doc.font("fonts/Roboto-Bold.ttf")
+       .text("Total", colX.unitPrice, y, { width: 80, align: "right" })
+       .text(`₦${totalAmount.toLocaleString("en-NG")}`, colX.amount, y, { width: 80, align: "right" });
+
+    // Footer
+    doc.moveDown(4);
+    doc.fontSize(10).text("Thank you for your payment.", { align: "center" });
+
+    doc.end();
+
+  } catch (err) {
+    console.error("❌ Receipt generation failed:", err);
+    res.status(500).json({ message: "Failed to generate receipt", error: err.message });
+  }
+});
+
+
+
+
+
+
+// --- Analytics Routes ---
+// Get total number of MRI patients
+app.get('/api/analytics/total-patients', auth, requirePermission('analytics.view'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT COUNT(*) AS total_patients FROM mri_patients WHERE deleted_at IS NULL');
+        res.status(200).json(result.rows[0]);
+    } catch (error) {
+        console.error('Error fetching total patients:', error);
+        res.status(500).json({ message: 'Server error fetching total patients.', error: error.message });
+    }
+});
+
+// Get MRI patients count by gender
+app.get('/api/analytics/patients-by-gender', auth, requirePermission('analytics.view'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT
+                gender,
+                COUNT(*) AS count
+            FROM
+                mri_patients
+            WHERE
+                deleted_at IS NULL
+            GROUP BY
+                gender
+            ORDER BY
+                gender
+        `);
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching patients by gender:', error);
+        res.status(500).json({ message: 'Server error fetching patients by gender.', error: error.message });
+    }
+});
+
+// Get MRI patients count by day (for the last 30 days)
+app.get('/api/analytics/mris-by-day', auth, requirePermission('analytics.view'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT
+                DATE_TRUNC('day', mri_date_time) AS date,
+                COUNT(*) AS count
+            FROM
+                mri_patients
+            WHERE
+                mri_date_time >= NOW() - INTERVAL '30 days' AND deleted_at IS NULL
+            GROUP BY
+                date
+            ORDER BY
+                date ASC
+        `);
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching MRIs by day:', error);
+        res.status(500).json({ message: 'Server error fetching MRIs by day.', error: error.message });
+    }
+});
+
+// Get recent patient registrations (e.g., last 5)
+app.get('/api/analytics/recent-patients', auth, requirePermission('analytics.view'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT
+                id, patient_name, mri_code, mri_date_time
+            FROM
+                mri_patients
+            WHERE
+                deleted_at IS NULL
+            ORDER BY
+                mri_date_time DESC
+            LIMIT 5
+        `);
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching recent patients:', error);
+        res.status(500).json({ message: 'Server error fetching recent patients.', error: error.message });
+    }
+});
+
+// --- Admin User Management Routes (Admin-only) ---
+// Get all medical staff users (for Admin to manage)
+app.get('/api/admin/medical-staff', auth, requirePermission('staff.manage'), async (req, res) => {
+    try {
+        const staffUsers = await pool.query('SELECT id, username, email, full_name, role, is_verified, created_at, updated_at FROM users WHERE role = \'medical_staff\' ORDER BY created_at DESC');
+        res.status(200).json(staffUsers.rows);
+    } catch (error) {
+        console.error('Error fetching medical staff users for admin:', error);
+        res.status(500).json({ message: 'Server error fetching medical staff users.', error: error.message });
+    }
+});
+
+// --- Admin Staff Activity Analytics Route ---
+app.get('/api/admin/analytics/staff-activity', auth, requirePermission('staff.manage'), async (req, res) => {
+    try {
+        // Fetch data for all medical staff, including their patient logging count and query submission count
+        const staffActivity = await pool.query(`
+            SELECT
+                u.id,
+                u.username,
+                u.full_name,
+                u.email,
+                u.is_verified,
+                u.created_at AS user_created_at,
+                COUNT(DISTINCT mp.id) AS patients_logged_count,
+                COUNT(DISTINCT uq.id) AS queries_submitted_count,
+                MAX(mp.mri_date_time) AS last_patient_logged_at,
+                MAX(uq.created_at) AS last_query_submitted_at
+            FROM
+                users u
+            LEFT JOIN
+                mri_patients mp ON u.id = mp.recorded_by_staff_id AND mp.deleted_at IS NULL
+            LEFT JOIN
+                user_queries uq ON u.id = uq.sender_id
+            WHERE
+                u.role = 'medical_staff' -- Only consider medical staff
+            GROUP BY
+                u.id, u.username, u.full_name, u.email, u.is_verified, u.created_at
+            ORDER BY
+                u.created_at ASC
+        `);
+
+        res.status(200).json(staffActivity.rows); // Send JSON response
+
+    } catch (error) {
+        console.error('Error fetching admin staff activity analytics:', error);
+        res.status(500).json({ message: 'Server error fetching staff activity analytics.', error: error.message });
+    }
+});
+
+// ---------- Login security: attempts, lockouts, unlock ----------
+app.get('/api/admin/security/login-activity', auth, requirePermission('staff.manage'), async (req, res) => {
+    try {
+        // Per-user summary over the last 24 hours, with any active lockout
+        const users = await pool.query(`
+            SELECT
+                u.id,
+                u.username,
+                u.full_name,
+                u.role,
+                (SELECT MAX(a.created_at) FROM login_attempts a WHERE a.user_id = u.id AND a.success) AS last_login_at,
+                (SELECT MAX(a.created_at) FROM login_attempts a WHERE a.username = LOWER(u.username) AND NOT a.success) AS last_failure_at,
+                (SELECT COUNT(*) FROM login_attempts a
+                  WHERE a.username = LOWER(u.username) AND NOT a.success AND a.created_at > NOW() - INTERVAL '24 hours')::int AS failures_24h,
+                l.id AS lockout_id,
+                l.locked_until
+            FROM users u
+            LEFT JOIN LATERAL (
+                SELECT id, locked_until FROM login_lockouts
+                 WHERE scope = 'username' AND lock_key = LOWER(u.username)
+                   AND unlocked_at IS NULL AND locked_until > NOW()
+                 ORDER BY locked_until DESC LIMIT 1
+            ) l ON TRUE
+            ORDER BY (l.id IS NOT NULL) DESC, failures_24h DESC, u.username ASC
+        `);
+
+        const lockouts = await pool.query(`
+            SELECT id, scope, lock_key, failed_count, created_at, locked_until
+              FROM login_lockouts
+             WHERE unlocked_at IS NULL AND locked_until > NOW()
+             ORDER BY created_at DESC
+        `);
+
+        const recentAttempts = await pool.query(`
+            SELECT a.id, a.username, a.user_id, a.ip_address, a.user_agent, a.success, a.failure_reason, a.created_at
+              FROM login_attempts a
+             ORDER BY a.created_at DESC
+             LIMIT 200
+        `);
+
+        res.status(200).json({
+            users: users.rows,
+            lockouts: lockouts.rows,
+            recent_attempts: recentAttempts.rows
+        });
+    } catch (error) {
+        console.error('Error fetching login activity:', error);
+        res.status(500).json({ message: 'Server error fetching login activity.', error: error.message });
+    }
+});
+
+app.post('/api/admin/security/lockouts/:id/unlock', auth, requirePermission('staff.manage'), async (req, res) => {
+    try {
+        const unlocked = await unlockLockout(pool, req.params.id, req.user.id);
+        if (!unlocked) {
+            return res.status(404).json({ message: 'Lockout not found or already lifted.' });
+        }
+        await recordAudit(pool, req, {
+            action: 'security.unlock',
+            entityType: 'login_lockout',
+            entityId: unlocked.id,
+            metadata: { scope: unlocked.scope, lock_key: unlocked.lock_key },
+        });
+        res.status(200).json({
+            message: `${unlocked.scope === 'ip' ? 'IP address' : 'User'} ${unlocked.lock_key} unlocked.`
+        });
+    } catch (error) {
+        console.error('Error unlocking login:', error);
+        res.status(500).json({ message: 'Server error unlocking login.', error: error.message });
+    }
+});
+
+// ---------- Audit log ----------
+const AUDIT_EXPORT_LIMIT = 50000;
+
+// "YYYY-MM-DD" that is a real calendar date
+const isIsoDate = (value) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// WHERE clause shared by the audit viewer and its Excel export; { error } for
+// a malformed user id or date rather than letting Postgres reject it
+const buildAuditFilters = (query) => {
+    const { user_id, entity_type, entity_id, action, from, to } = query;
+    if (user_id && !/^\d+$/.test(user_id)) {
+        return { error: 'Invalid user id.' };
+    }
+    if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+        return { error: 'Give dates as YYYY-MM-DD.' };
+    }
+    const whereClauses = [];
+    const params = [];
+    let idx = 1;
+
+    if (user_id) {
+        whereClauses.push(`a.actor_user_id = $${idx++}`);
+        params.push(user_id);
+    }
+    if (entity_type) {
+        whereClauses.push(`a.entity_type = $${idx++}`);
+        params.push(entity_type);
+    }
+    if (entity_id) {
+        whereClauses.push(`a.entity_id = $${idx++}`);
+        params.push(String(entity_id));
+    }
+    if (action) {
+        whereClauses.push(`a.action = $${idx++}`);
+        params.push(action);
+    }
+    if (from) {
+        whereClauses.push(`a.occurred_at >= $${idx++}`);
+        params.push(from);
+    }
+    if (to) {
+        whereClauses.push(`a.occurred_at <= $${idx++}`);
+        params.push(`${to} 23:59:59`);
+    }
+
+    return {
+        whereSql: whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '',
+        params,
+        nextIndex: idx,
+    };
+};
+
+app.get('/api/admin/audit-log', auth, requirePermission('audit.view'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const filters = buildAuditFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+
+    try {
+        const { whereSql, params, nextIndex } = filters;
+        const total = await pool.query(`SELECT COUNT(*)::int AS count FROM audit_log a ${whereSql}`, params);
+        const entries = await pool.query(
+            `SELECT a.*, u.full_name AS actor_full_name
+               FROM audit_log a
+               LEFT JOIN users u ON u.id = a.actor_user_id
+               ${whereSql}
+              ORDER BY a.occurred_at DESC, a.id DESC
+              LIMIT $${nextIndex} OFFSET $${nextIndex + 1}`,
+            [...params, limit, offset]
+        );
+        res.status(200).json({ entries: entries.rows, total: total.rows[0].count, limit, offset });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ message: 'Server error fetching audit log.', error: error.message });
+    }
+});
+
+// Distinct values for the viewer's filter dropdowns
+app.get('/api/admin/audit-log/facets', auth, requirePermission('audit.view'), async (req, res) => {
+    try {
+        const [entityTypes, actions, actors] = await Promise.all([
+            pool.query('SELECT DISTINCT entity_type FROM audit_log ORDER BY entity_type'),
+            pool.query('SELECT DISTINCT action FROM audit_log ORDER BY action'),
+            pool.query(
+                `SELECT DISTINCT a.actor_user_id AS id, a.actor_username AS username, u.full_name
+                   FROM audit_log a
+                   LEFT JOIN users u ON u.id = a.actor_user_id
+                  WHERE a.actor_user_id IS NOT NULL
+                  ORDER BY a.actor_username`
+            ),
+        ]);
+        res.status(200).json({
+            entity_types: entityTypes.rows.map(r => r.entity_type),
+            actions: actions.rows.map(r => r.action),
+            actors: actors.rows,
+        });
+    } catch (error) {
+        console.error('Error fetching audit log filters:', error);
+        res.status(500).json({ message: 'Server error fetching audit log filters.', error: error.message });
+    }
+});
+
+app.get('/api/admin/audit-log/export', auth, requirePermission('audit.view'), async (req, res) => {
+    const filters = buildAuditFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+
+    try {
+        const { whereSql, params, nextIndex } = filters;
+        const entries = await pool.query(
+            `SELECT a.*, u.full_name AS actor_full_name
+               FROM audit_log a
+               LEFT JOIN users u ON u.id = a.actor_user_id
+               ${whereSql}
+              ORDER BY a.occurred_at DESC, a.id DESC
+              LIMIT $${nextIndex}`,
+            [...params, AUDIT_EXPORT_LIMIT]
+        );
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Audit Log');
+        worksheet.columns = [
+            { header: 'ID', key: 'id', width: 10 },
+            { header: 'Time', key: 'occurred_at', width: 22 },
+            { header: 'User', key: 'actor', width: 25 },
+            { header: 'Action', key: 'action', width: 25 },
+            { header: 'Entity', key: 'entity_type', width: 18 },
+            { header: 'Entity ID', key: 'entity_id', width: 12 },
+            { header: 'Before', key: 'before', width: 50 },
+            { header: 'After', key: 'after', width: 50 },
+            { header: 'Details', key: 'metadata', width: 30 },
+            { header: 'IP Address', key: 'ip_address', width: 18 },
+        ];
+
+        entries.rows.forEach((entry) => {
+            worksheet.addRow({
+                ...entry,
+                occurred_at: new Date(entry.occurred_at).toISOString(),
+                actor: entry.actor_full_name || entry.actor_username || 'System',
+                before: entry.changes?.before ? JSON.stringify(entry.changes.before) : '',
+                after: entry.changes?.after ? JSON.stringify(entry.changes.after) : '',
+                metadata: entry.metadata ? JSON.stringify(entry.metadata) : '',
+            });
+        });
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', 'attachment; filename=audit_log.xlsx');
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error('Audit log export error:', error);
+        res.status(500).json({ message: 'Failed to export audit log.', error: error.message });
+    }
+});
+
+// ---------- Recycle bin ----------
+const deleteStoredObject = (key) =>
+    s3Client.send(new DeleteObjectCommand({ Bucket: process.env.DO_SPACES_BUCKET, Key: key }));
+
+app.get('/api/admin/recycle-bin', auth, requirePermission('recycle_bin.manage'), async (req, res) => {
+    try {
+        const retentionDays = Number(await getSetting(pool, 'recycle_bin_retention_days'));
+        const patients = await pool.query(
+            `SELECT p.id, p.patient_name, p.mri_code, p.payment_status, p.total_amount, p.created_at,
+                    p.deleted_at, p.deletion_reason, u.full_name AS deleted_by_name,
+                    CASE WHEN ${KEPT_RECORDS_SQL} THEN NULL ELSE p.deleted_at + make_interval(days => $1) END AS purge_at
+               FROM mri_patients p
+               LEFT JOIN users u ON u.id = p.deleted_by_user_id
+              WHERE p.deleted_at IS NOT NULL
+              ORDER BY p.deleted_at DESC`,
+            [retentionDays]
+        );
+        const results = await pool.query(
+            `SELECT prf.file_id, prf.file_name, prf.result_status, prf.patient_id, mp.patient_name,
+                    mp.deleted_at IS NOT NULL AS patient_deleted,
+                    prf.deleted_at, prf.deletion_reason, u.full_name AS deleted_by_name,
+                    prf.deleted_at + make_interval(days => $1) AS purge_at
+               FROM patient_results_files prf
+               LEFT JOIN mri_patients mp ON mp.id = prf.patient_id
+               LEFT JOIN users u ON u.id = prf.deleted_by_user_id
+              WHERE prf.deleted_at IS NOT NULL
+              ORDER BY prf.deleted_at DESC`,
+            [retentionDays]
+        );
+        res.status(200).json({ retention_days: retentionDays, patients: patients.rows, results: results.rows });
+    } catch (error) {
+        console.error('Error fetching recycle bin:', error);
+        res.status(500).json({ message: 'Server error fetching recycle bin.', error: error.message });
+    }
+});
+
+app.post('/api/admin/recycle-bin/patients/:id/restore', auth, requirePermission('recycle_bin.manage'), async (req, res) => {
+    try {
+        const restored = await pool.query(
+            `UPDATE mri_patients SET deleted_at = NULL, deleted_by_user_id = NULL, deletion_reason = NULL, version = version + 1
+              WHERE id = $1 AND deleted_at IS NOT NULL
+              RETURNING id, patient_name`,
+            [req.params.id]
+        );
+        if (restored.rows.length === 0) {
+            return res.status(404).json({ message: 'Deleted patient not found.' });
+        }
+        await recordAudit(pool, req, {
+            action: 'patient.restore',
+            entityType: 'patient',
+            entityId: restored.rows[0].id,
+            metadata: { patient_name: restored.rows[0].patient_name },
+        });
+        res.status(200).json({ message: `Patient "${restored.rows[0].patient_name}" restored.` });
+    } catch (error) {
+        console.error('Error restoring patient:', error);
+        res.status(500).json({ message: 'Server error restoring patient.', error: error.message });
+    }
+});
+
+app.post('/api/admin/recycle-bin/results/:id/restore', auth, requirePermission('recycle_bin.manage'), async (req, res) => {
+    try {
+        const existing = await pool.query(
+            `SELECT prf.file_id, mp.deleted_at AS patient_deleted_at
+               FROM patient_results_files prf
+               LEFT JOIN mri_patients mp ON mp.id = prf.patient_id
+              WHERE prf.file_id = $1 AND prf.deleted_at IS NOT NULL`,
+            [req.params.id]
+        );
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ message: 'Deleted result not found.' });
+        }
+        if (existing.rows[0].patient_deleted_at) {
+            return res.status(409).json({ message: 'This result belongs to a deleted patient. Restore the patient first.' });
+        }
+        const restored = await pool.query(
+            `UPDATE patient_results_files SET deleted_at = NULL, deleted_by_user_id = NULL, deletion_reason = NULL
+              WHERE file_id = $1
+              RETURNING file_id, file_name, patient_id`,
+            [req.params.id]
+        );
+        await recordAudit(pool, req, {
+            action: 'result.restore',
+            entityType: 'patient_result',
+            entityId: restored.rows[0].file_id,
+            metadata: { patient_id: restored.rows[0].patient_id, file_name: restored.rows[0].file_name },
+        });
+        res.status(200).json({ message: `Result "${restored.rows[0].file_name}" restored.` });
+    } catch (error) {
+        console.error('Error restoring result:', error);
+        res.status(500).json({ message: 'Server error restoring result.', error: error.message });
+    }
+});
+
+// Permanent deletion before the retention period runs out
+app.delete('/api/admin/recycle-bin/patients/:id', auth, requirePermission('recycle_bin.manage'), async (req, res) => {
+    try {
+        const existing = await pool.query('SELECT id FROM mri_patients WHERE id = $1 AND deleted_at IS NOT NULL', [req.params.id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ message: 'Deleted patient not found.' });
+        }
+        if (await hasKeptRecords(pool, req.params.id)) {
+            return res.status(409).json({ message: 'This visit has signed safety screenings or contrast records that must be kept, so it cannot be permanently deleted.' });
+        }
+        const patient = await purgePatient(pool, req.params.id, { deleteObject: deleteStoredObject, req });
+        res.status(200).json({ message: `Patient "${patient.patient_name}" permanently deleted.` });
+    } catch (error) {
+        console.error('Error purging patient:', error);
+        res.status(500).json({ message: 'Server error permanently deleting patient.', error: error.message });
+    }
+});
+
+app.delete('/api/admin/recycle-bin/results/:id', auth, requirePermission('recycle_bin.manage'), async (req, res) => {
+    try {
+        const existing = await pool.query('SELECT file_id FROM patient_results_files WHERE file_id = $1 AND deleted_at IS NOT NULL', [req.params.id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ message: 'Deleted result not found.' });
+        }
+        const file = await purgeResult(pool, req.params.id, { deleteObject: deleteStoredObject });
+        await recordAudit(pool, req, {
+            action: 'result.purge',
+            entityType: 'patient_result',
+            entityId: req.params.id,
+            metadata: { patient_id: file.patient_id, file_name: file.file_name },
+        });
+        res.status(200).json({ message: `Result "${file.file_name}" permanently deleted.` });
+    } catch (error) {
+        console.error('Error purging result:', error);
+        res.status(500).json({ message: 'Server error permanently deleting result.', error: error.message });
+    }
+});
+
+app.put('/api/admin/recycle-bin/retention', auth, requirePermission('settings.manage'), async (req, res) => {
+    const retentionDays = Number(req.body.retention_days);
+    if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > 3650) {
+        return res.status(400).json({ message: 'Retention must be a whole number of days between 1 and 3650.' });
+    }
+    try {
+        const previous = await getSetting(pool, 'recycle_bin_retention_days');
+        await setSetting(pool, 'recycle_bin_retention_days', retentionDays, req.user.id);
+        await recordAudit(pool, req, {
+            action: 'settings.update',
+            entityType: 'setting',
+            entityId: 'recycle_bin_retention_days',
+            before: { value: previous },
+            after: { value: retentionDays },
+        });
+        res.status(200).json({ message: `Deleted records are now kept for ${retentionDays} days.`, retention_days: retentionDays });
+    } catch (error) {
+        console.error('Error updating retention period:', error);
+        res.status(500).json({ message: 'Server error updating retention period.', error: error.message });
+    }
+});
+
+// ---------- Document numbering ----------
+app.get('/api/admin/numbering', auth, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT s.key, s.description, s.pattern, s.reset_policy, s.updated_at, u.full_name AS updated_by_name
+            FROM number_sequences s
+            LEFT JOIN users u ON u.id = s.updated_by_user_id
+            ORDER BY s.key
+        `);
+        const sequences = await Promise.all(result.rows.map(async (sequence) => {
+            const { lastValue, next } = await previewNextNumber(pool, sequence.key);
+            return { ...sequence, last_value: lastValue, next_number: next };
+        }));
+        res.status(200).json(sequences);
+    } catch (error) {
+        console.error('Error fetching numbering settings:', error);
+        res.status(500).json({ message: 'Server error fetching numbering settings.', error: error.message });
+    }
+});
+
+app.put('/api/admin/numbering/:key', auth, requirePermission('settings.manage'), async (req, res) => {
+    const { key } = req.params;
+    const pattern = typeof req.body.pattern === 'string' ? req.body.pattern.trim() : req.body.pattern;
+    const resetPolicy = req.body.reset_policy;
+    const validationError = validatePattern(pattern, resetPolicy);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+    try {
+        const existing = await pool.query('SELECT * FROM number_sequences WHERE key = $1', [key]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ message: 'Number sequence not found.' });
+        }
+        const updated = await pool.query(
+            `UPDATE number_sequences
+             SET pattern = $1, reset_policy = $2, updated_by_user_id = $3, updated_at = NOW()
+             WHERE key = $4
+             RETURNING *`,
+            [pattern, resetPolicy, req.user.id, key]
+        );
+        await recordAudit(pool, req, {
+            action: 'numbering.update',
+            entityType: 'number_sequence',
+            entityId: key,
+            before: existing.rows[0],
+            after: updated.rows[0],
+        });
+        const { next } = await previewNextNumber(pool, key);
+        res.status(200).json({ message: `Numbering updated. The next number will be ${next}.`, next_number: next });
+    } catch (error) {
+        console.error('Error updating numbering settings:', error);
+        res.status(500).json({ message: 'Server error updating numbering settings.', error: error.message });
+    }
+});
+
+const runRecycleBinPurge = async () => {
+    try {
+        const purged = await purgeExpiredRecords(pool, { deleteObject: deleteStoredObject });
+        if (purged && (purged.patients || purged.results)) {
+            console.log(`🗑️ Recycle bin purge: ${purged.patients} patient(s), ${purged.results} result(s) permanently deleted.`);
+        }
+    } catch (error) {
+        console.error('Recycle bin purge failed:', error);
+    }
+};
+
+// ---------- Duplicate patients & merge ----------
+app.get('/api/admin/patient-duplicates', auth, requirePermission('patients.merge'), async (req, res) => {
+    try {
+        const pairs = await findDuplicatePairs(pool, { limit: Math.min(parseInt(req.query.limit, 10) || 100, 500) });
+        res.status(200).json(pairs);
+    } catch (error) {
+        console.error('Error finding duplicate patients:', error);
+        res.status(500).json({ message: 'Server error finding duplicate patients.', error: error.message });
+    }
+});
+
+// Marks a suggested pair as two different people so it is not suggested again
+app.post('/api/admin/patient-duplicates/dismiss', auth, requirePermission('patients.merge'), async (req, res) => {
+    const ids = [Number(req.body.patient_id_a), Number(req.body.patient_id_b)].sort((a, b) => a - b);
+    if (!ids.every(Number.isInteger) || ids[0] === ids[1]) {
+        return res.status(400).json({ message: 'Two different patient IDs are required.' });
+    }
+    try {
+        await pool.query(
+            `INSERT INTO patient_duplicate_dismissals (patient_id_a, patient_id_b, dismissed_by_user_id)
+             VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+            [ids[0], ids[1], req.user.id]
+        );
+        await recordAudit(pool, req, {
+            action: 'patient.duplicate_dismiss',
+            entityType: 'registry_patient',
+            entityId: ids[0],
+            metadata: { other_patient_id: ids[1] },
+        });
+        res.status(200).json({ message: 'Marked as different patients.' });
+    } catch (error) {
+        console.error('Error dismissing duplicate pair:', error);
+        res.status(500).json({ message: 'Server error dismissing duplicate pair.', error: error.message });
+    }
+});
 
-    // Total
-    doc.moveTo(50, y).lineTo(520, y).stroke();
-    y += 5;
-    doc.font("fonts/Roboto-Bold.ttf")
-       .text("Total", colX.unitPrice, y, { width: 80, align: "right" })
-       .text(`₦${totalAmount.toLocaleString("en-NG")}`, colX.amount, y, { width: 80, align: "right" });
+app.post('/api/admin/patients/merge', auth, requirePermission('patients.merge'), async (req, res) => {
+    const survivorId = Number(req.body.survivor_id);
+    const mergedId = Number(req.body.merged_id);
+    if (!Number.isInteger(survivorId) || !Number.isInteger(mergedId) || survivorId === mergedId) {
+        return res.status(400).json({ message: 'Choose two different patients to merge.' });
+    }
+    try {
+        const outcome = await mergeRegistryPatients(pool, {
+            survivorId,
+            mergedId,
+            reason: req.body.reason,
+            userId: req.user.id,
+            req,
+        });
+        if (!outcome) {
+            return res.status(404).json({ message: 'One of the patients was not found. It may already have been merged.' });
+        }
+        res.status(200).json({
+            message: `${outcome.merged.hospital_number} was merged into ${outcome.survivor.hospital_number}; ${outcome.movedVisitIds.length} visit(s) moved.`,
+            patient: outcome.survivor,
+        });
+    } catch (error) {
+        console.error('Error merging patients:', error);
+        res.status(500).json({ message: 'Server error merging patients.', error: error.message });
+    }
+});
 
-    // Footer
-    doc.moveDown(4);
-    doc.fontSize(10).text("Thank you for your payment.", { align: "center" });
+app.get('/api/admin/patient-merges', auth, requirePermission('patients.merge'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT m.id, m.survivor_patient_id, rp.hospital_number AS survivor_hospital_number, rp.full_name AS survivor_full_name,
+                   m.merged_patient_id, m.merged_hospital_number, m.merged_snapshot->>'full_name' AS merged_full_name,
+                   m.moved_visit_ids, m.reason, m.merged_at, u.full_name AS merged_by_name
+            FROM patient_merges m
+            JOIN patients rp ON rp.id = m.survivor_patient_id
+            LEFT JOIN users u ON u.id = m.merged_by_user_id
+            ORDER BY m.merged_at DESC
+            LIMIT 200
+        `);
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching merge history:', error);
+        res.status(500).json({ message: 'Server error fetching merge history.', error: error.message });
+    }
+});
 
-    doc.end();
+// ---------- Bulk patient import ----------
+// Upload a sheet to /inspect for its columns and a suggested mapping, then
+// POST it again with `mapping` (JSON { field: column }) and `dry_run`. A real
+// import only runs when every row passes, and then in one transaction.
+const receiveImportFile = (req, res, next) => {
+    importUpload.single('file')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? 'Import file must be 10 MB or smaller.' : err.message;
+            return res.status(400).json({ message });
+        }
+        next();
+    });
+};
 
-  } catch (err) {
-    console.error("❌ Receipt generation failed:", err);
-    res.status(500).json({ message: "Failed to generate receipt", error: err.message });
-  }
+const readImportRequest = async (req, res) => {
+    if (!req.file) {
+        res.status(400).json({ message: 'No file uploaded.' });
+        return null;
+    }
+    try {
+        const sheet = await readImportSheet(req.file.buffer, req.file.originalname);
+        if (sheet.rows.length === 0) {
+            res.status(400).json({ message: 'The file has no data rows below the header row.' });
+            return null;
+        }
+        if (sheet.rows.length > MAX_IMPORT_ROWS) {
+            res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} rows at a time; this file has ${sheet.rows.length}.` });
+            return null;
+        }
+        return sheet;
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        res.status(400).json({ message: 'Could not read the file. Save it as .xlsx or .csv and try again.' });
+        return null;
+    }
+};
+
+app.post('/api/admin/patient-import/inspect', auth, requirePermission('patients.import'), receiveImportFile, async (req, res) => {
+    const sheet = await readImportRequest(req, res);
+    if (!sheet) return;
+
+    res.status(200).json({
+        file_name: req.file.originalname,
+        headers: sheet.headers,
+        row_count: sheet.rows.length,
+        sample: sheet.rows.slice(0, 5).map(row => row.values),
+        suggested_mapping: suggestMapping(sheet.headers),
+        fields: Object.entries(IMPORT_FIELDS).map(([key, field]) => ({
+            key,
+            label: field.label,
+            required: Boolean(field.required),
+            accepted_values: IMPORT_FIELD_VALUES[key] || null,
+        })),
+    });
 });
 
+app.post('/api/admin/patient-import', auth, requirePermission('patients.import'), receiveImportFile, async (req, res) => {
+    let mapping;
+    try {
+        mapping = JSON.parse(req.body.mapping || '{}');
+    } catch {
+        return res.status(400).json({ message: 'Column mapping is not valid JSON.' });
+    }
+    const dryRun = req.body.dry_run !== 'false';
+
+    const sheet = await readImportRequest(req, res);
+    if (!sheet) return;
 
+    const mappingProblems = checkMapping(mapping, sheet.headers);
+    if (mappingProblems.length > 0) {
+        return res.status(400).json({ message: 'Finish the column mapping first.', problems: mappingProblems });
+    }
 
+    try {
+        const results = await checkImportRows(pool, sheet.rows, mapping);
+        const summary = summarizeImport(results);
+        const fileName = req.file.originalname;
 
+        if (dryRun || summary.errors > 0) {
+            const importId = await saveImportRecord(pool, {
+                fileName, status: dryRun ? 'dry_run' : 'rejected', mapping, results, userId: req.user.id,
+            });
+            return res.status(dryRun ? 200 : 400).json({
+                message: summary.errors > 0
+                    ? `${summary.errors} row(s) have errors. Fix them in the file and run the check again.`
+                    : `All ${summary.rows} rows can be imported.`,
+                import_id: importId,
+                dry_run: dryRun,
+                summary,
+                rows: results.map(reportRow),
+            });
+        }
 
+        const client = await pool.connect();
+        let importId;
+        try {
+            await client.query('BEGIN');
+            const registryById = new Map();
+            const registryByRow = new Map(); // row number -> registry patient, for later rows of the same person
+            const visitIds = [];
+            for (const result of results) {
+                let registryPatient;
+                if (result.registryPatientId) {
+                    if (!registryById.has(result.registryPatientId)) {
+                        const existing = await client.query('SELECT * FROM patients WHERE id = $1 FOR UPDATE', [result.registryPatientId]);
+                        registryById.set(result.registryPatientId, existing.rows[0]);
+                    }
+                    registryPatient = registryById.get(result.registryPatientId);
+                } else if (result.sameAsRow) {
+                    registryPatient = registryByRow.get(result.sameAsRow);
+                } else {
+                    registryPatient = await createRegistryPatient(client, result.fields, req.user.id);
+                }
+                registryByRow.set(result.rowNumber, registryPatient);
+
+                const visit = await createVisit(client, {
+                    fields: result.fields,
+                    registryPatient,
+                    userId: req.user.id,
+                    visitDate: result.visitDate,
+                    paymentStatus: result.paymentStatus,
+                });
+                visitIds.push(visit.id);
+                result.mriCode = visit.mri_code;
+                result.createdHospitalNumber = registryPatient.hospital_number;
+            }
+            importId = await saveImportRecord(client, { fileName, status: 'committed', mapping, results, userId: req.user.id });
+            await writeAuditEntry(client, req, {
+                action: 'patient.import',
+                entityType: 'patient_import',
+                entityId: importId,
+                metadata: { file_name: fileName, rows: summary.rows, visit_ids: visitIds },
+            });
+            await client.query('COMMIT');
+        } catch (txError) {
+            await client.query('ROLLBACK');
+            throw txError;
+        } finally {
+            client.release();
+        }
 
-// --- Analytics Routes ---
-// Get total number of MRI patients
-app.get('/api/analytics/total-patients', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
-    try {
-        const result = await pool.query('SELECT COUNT(*) AS total_patients FROM mri_patients');
-        res.status(200).json(result.rows[0]);
+        res.status(201).json({
+            message: `Imported ${summary.rows} visit(s).`,
+            import_id: importId,
+            dry_run: false,
+            summary,
+            rows: results.map(reportRow),
+        });
     } catch (error) {
-        console.error('Error fetching total patients:', error);
-        res.status(500).json({ message: 'Server error fetching total patients.', error: error.message });
+        console.error('Error importing patients:', error);
+        res.status(500).json({ message: 'Server error importing patients. Nothing was imported.', error: error.message });
     }
 });
 
-// Get MRI patients count by gender
-app.get('/api/analytics/patients-by-gender', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
+app.get('/api/admin/patient-imports', auth, requirePermission('patients.import'), async (req, res) => {
     try {
         const result = await pool.query(`
-            SELECT
-                gender,
-                COUNT(*) AS count
-            FROM
-                mri_patients
-            GROUP BY
-                gender
-            ORDER BY
-                gender
+            SELECT i.id, i.file_name, i.status, i.row_count, i.error_count, i.warning_count, i.created_count,
+                   i.created_at, u.full_name AS imported_by_name
+            FROM patient_imports i
+            LEFT JOIN users u ON u.id = i.imported_by_user_id
+            ORDER BY i.created_at DESC
+            LIMIT 100
         `);
         res.status(200).json(result.rows);
     } catch (error) {
-        console.error('Error fetching patients by gender:', error);
-        res.status(500).json({ message: 'Server error fetching patients by gender.', error: error.message });
+        console.error('Error fetching patient imports:', error);
+        res.status(500).json({ message: 'Server error fetching imports.', error: error.message });
     }
 });
 
-// Get MRI patients count by day (for the last 30 days)
-app.get('/api/analytics/mris-by-day', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
+app.get('/api/admin/patient-imports/:id/report', auth, requirePermission('patients.import'), async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT
-                DATE_TRUNC('day', mri_date_time) AS date,
-                COUNT(*) AS count
-            FROM
-                mri_patients
-            WHERE
-                mri_date_time >= NOW() - INTERVAL '30 days'
-            GROUP BY
-                date
-            ORDER BY
-                date ASC
-        `);
-        res.status(200).json(result.rows);
+        const result = await pool.query('SELECT * FROM patient_imports WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Import not found.' });
+        }
+        const record = result.rows[0];
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Import Report');
+        worksheet.columns = [
+            { header: 'Row', key: 'row_number', width: 8 },
+            { header: 'Patient Name', key: 'patient_name', width: 30 },
+            { header: 'Result', key: 'status', width: 12 },
+            { header: 'Errors', key: 'errors', width: 60 },
+            { header: 'Warnings', key: 'warnings', width: 60 },
+            { header: 'MRI Code', key: 'mri_code', width: 22 },
+            { header: 'Hospital Number', key: 'hospital_number', width: 18 },
+        ];
+        record.report.forEach((row) => {
+            worksheet.addRow({
+                ...row,
+                errors: row.errors.join('\n'),
+                warnings: row.warnings.join('\n'),
+            });
+        });
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=patient_import_${record.id}_report.xlsx`);
+        await workbook.xlsx.write(res);
+        res.end();
     } catch (error) {
-        console.error('Error fetching MRIs by day:', error);
-        res.status(500).json({ message: 'Server error fetching MRIs by day.', error: error.message });
+        console.error('Import report error:', error);
+        res.status(500).json({ message: 'Failed to create the import report.', error: error.message });
     }
 });
 
-// Get recent patient registrations (e.g., last 5)
-app.get('/api/analytics/recent-patients', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
+// ---------- Staff invitations ----------
+app.get('/api/admin/invitations', auth, requirePermission('staff.manage'), async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT
-                id, patient_name, mri_code, mri_date_time
-            FROM
-                mri_patients
-            ORDER BY
-                mri_date_time DESC
-            LIMIT 5
+        const invitations = await pool.query(`
+            SELECT i.id, i.email, i.full_name, i.role, r.label AS role_label, i.created_at, i.expires_at,
+                   i.accepted_at, i.revoked_at, ${INVITATION_STATUS_SQL} AS status,
+                   inviter.full_name AS invited_by_name, accepted.username AS accepted_username
+              FROM user_invitations i
+              JOIN roles r ON r.name = i.role
+              LEFT JOIN users inviter ON inviter.id = i.invited_by_user_id
+              LEFT JOIN users accepted ON accepted.id = i.accepted_user_id
+             ORDER BY i.created_at DESC
         `);
-        res.status(200).json(result.rows);
+        res.status(200).json(invitations.rows);
     } catch (error) {
-        console.error('Error fetching recent patients:', error);
-        res.status(500).json({ message: 'Server error fetching recent patients.', error: error.message });
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ message: 'Server error fetching invitations.', error: error.message });
     }
 });
 
-// --- Admin User Management Routes (Admin-only) ---
-// Get all medical staff users (for Admin to manage)
-app.get('/api/admin/medical-staff', auth, authorizeRoles('admin'), async (req, res) => {
+app.post('/api/admin/invitations', auth, requirePermission('staff.manage'), async (req, res) => {
+    const { role, full_name } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const expiresInDays = Number(req.body.expires_in_days) || INVITATION_TTL_DAYS;
+
+    if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ message: 'A valid email address is required.' });
+    }
+    if (expiresInDays < 1 || expiresInDays > 30) {
+        return res.status(400).json({ message: 'Invitations can be valid for 1 to 30 days.' });
+    }
+
     try {
-        const staffUsers = await pool.query('SELECT id, username, email, full_name, role, is_verified, created_at, updated_at FROM users WHERE role = \'medical_staff\' ORDER BY created_at DESC');
-        res.status(200).json(staffUsers.rows);
+        if (!role || !(await isKnownRole(pool, role, { assignableOnly: true }))) {
+            return res.status(400).json({ message: `Unknown or non-assignable role: ${role}.` });
+        }
+        const existingUser = await pool.query('SELECT id FROM users WHERE LOWER(email) = $1', [email]);
+        if (existingUser.rows.length > 0) {
+            return res.status(409).json({ message: 'A user with this email already exists.' });
+        }
+        const pendingInvite = await pool.query(
+            `SELECT i.id FROM user_invitations i
+              WHERE LOWER(i.email) = $1 AND ${INVITATION_STATUS_SQL} = 'pending'`,
+            [email]
+        );
+        if (pendingInvite.rows.length > 0) {
+            return res.status(409).json({ message: 'This email already has a pending invitation. Revoke it first to send a new one.' });
+        }
+
+        const code = generateInvitationCode();
+        const inserted = await pool.query(
+            `INSERT INTO user_invitations (email, full_name, role, code_hash, invited_by_user_id, expires_at)
+             VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+             RETURNING id, email, full_name, role, created_at, expires_at`,
+            [email, full_name || null, role, hashInvitationCode(code), req.user.id, expiresInDays]
+        );
+        const invitation = inserted.rows[0];
+        const inviteLink = `${APP_URL}/#/register?invite=${code}`;
+        await recordAudit(pool, req, {
+            action: 'invitation.create',
+            entityType: 'invitation',
+            entityId: invitation.id,
+            after: invitation,
+        });
+
+        let mailError = null;
+        try {
+            await sendMail({
+                to: email,
+                subject: 'G2G Medical MRI ERP - You have been invited',
+                text: [
+                    `Hello${full_name ? ` ${full_name}` : ''},`,
+                    '',
+                    'You have been invited to create an account on G2G Medical MRI ERP.',
+                    `Register here: ${inviteLink}`,
+                    '',
+                    `Or open the registration page and enter this invitation code: ${code}`,
+                    '',
+                    `The invitation expires on ${new Date(invitation.expires_at).toUTCString()} and can only be used once.`,
+                ].join('\n'),
+            });
+        } catch (err) {
+            console.error('Error sending invitation mail:', err);
+            mailError = err.message;
+        }
+
+        // The code is only ever shown here, so the admin can pass it on if mail fails
+        res.status(201).json({
+            message: mailError
+                ? 'Invitation created, but the email could not be sent. Share the link below manually.'
+                : `Invitation sent to ${email}.`,
+            invitation,
+            code,
+            invite_link: inviteLink
+        });
     } catch (error) {
-        console.error('Error fetching medical staff users for admin:', error);
-        res.status(500).json({ message: 'Server error fetching medical staff users.', error: error.message });
+        console.error('Error creating invitation:', error);
+        res.status(500).json({ message: 'Server error creating invitation.', error: error.message });
     }
 });
 
-// --- Admin Staff Activity Analytics Route ---
-app.get('/api/admin/analytics/staff-activity', auth, authorizeRoles('admin'), async (req, res) => {
+app.delete('/api/admin/invitations/:id', auth, requirePermission('staff.manage'), async (req, res) => {
     try {
-        // Fetch data for all medical staff, including their patient logging count and query submission count
-        const staffActivity = await pool.query(`
-            SELECT
-                u.id,
-                u.username,
-                u.full_name,
-                u.email,
-                u.is_verified,
-                u.created_at AS user_created_at,
-                COUNT(DISTINCT mp.id) AS patients_logged_count,
-                COUNT(DISTINCT uq.id) AS queries_submitted_count,
-                MAX(mp.mri_date_time) AS last_patient_logged_at,
-                MAX(uq.created_at) AS last_query_submitted_at
-            FROM
-                users u
-            LEFT JOIN
-                mri_patients mp ON u.id = mp.recorded_by_staff_id
-            LEFT JOIN
-                user_queries uq ON u.id = uq.sender_id
-            WHERE
-                u.role = 'medical_staff' -- Only consider medical staff
-            GROUP BY
-                u.id, u.username, u.full_name, u.email, u.is_verified, u.created_at
-            ORDER BY
-                u.created_at ASC
-        `);
+        const result = await pool.query(
+            `UPDATE user_invitations SET revoked_at = NOW(), revoked_by_user_id = $1
+              WHERE id = $2 AND revoked_at IS NULL AND accepted_at IS NULL
+              RETURNING id, email`,
+            [req.user.id, req.params.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Invitation not found or no longer pending.' });
+        }
+        await recordAudit(pool, req, {
+            action: 'invitation.revoke',
+            entityType: 'invitation',
+            entityId: result.rows[0].id,
+            metadata: { email: result.rows[0].email },
+        });
+        res.status(200).json({ message: `Invitation for ${result.rows[0].email} revoked.` });
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        res.status(500).json({ message: 'Server error revoking invitation.', error: error.message });
+    }
+});
 
-        res.status(200).json(staffActivity.rows); // Send JSON response
+// ---------- Roles and permissions ----------
+app.get('/api/admin/roles', auth, requirePermission('staff.manage'), async (req, res) => {
+    try {
+        const roles = await pool.query('SELECT name, label, description, assignable FROM roles ORDER BY label ASC');
+        res.status(200).json(roles.rows);
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({ message: 'Server error fetching roles.', error: error.message });
+    }
+});
 
+app.get('/api/admin/permissions', auth, requirePermission('permissions.manage'), async (req, res) => {
+    try {
+        const roles = await pool.query('SELECT name, label, description, assignable FROM roles ORDER BY label ASC');
+        const permissions = await pool.query('SELECT key, category, description FROM permissions ORDER BY category ASC, key ASC');
+        const grants = await pool.query('SELECT role, permission FROM role_permissions');
+        res.status(200).json({
+            roles: roles.rows,
+            permissions: permissions.rows,
+            grants: grants.rows
+        });
     } catch (error) {
-        console.error('Error fetching admin staff activity analytics:', error);
-        res.status(500).json({ message: 'Server error fetching staff activity analytics.', error: error.message });
+        console.error('Error fetching permission matrix:', error);
+        res.status(500).json({ message: 'Server error fetching permissions.', error: error.message });
     }
 });
 
+// Grant (PUT) or revoke (DELETE) one permission for one role
+const updateRolePermission = (grant) => async (req, res) => {
+    const { role, permission } = req.params;
+
+    // Never let admins lock themselves out of this screen
+    if (!grant && role === 'admin' && permission === 'permissions.manage') {
+        return res.status(400).json({ message: 'The admin role must keep permissions.manage.' });
+    }
+
+    try {
+        if (!(await isKnownRole(pool, role))) {
+            return res.status(404).json({ message: `Unknown role: ${role}.` });
+        }
+        const permissionResult = await pool.query('SELECT key FROM permissions WHERE key = $1', [permission]);
+        if (permissionResult.rows.length === 0) {
+            return res.status(404).json({ message: `Unknown permission: ${permission}.` });
+        }
+
+        if (grant) {
+            await pool.query(
+                `INSERT INTO role_permissions (role, permission, granted_by_user_id)
+                 VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+                [role, permission, req.user.id]
+            );
+        } else {
+            await pool.query('DELETE FROM role_permissions WHERE role = $1 AND permission = $2', [role, permission]);
+        }
+        invalidatePermissionCache();
+        if (permission === 'chat.use') await refreshChatMembership();
+
+        await recordAudit(pool, req, {
+            action: grant ? 'role.permission_grant' : 'role.permission_revoke',
+            entityType: 'role',
+            entityId: role,
+            metadata: { permission },
+        });
+
+        res.status(200).json({ message: `${permission} ${grant ? 'granted to' : 'revoked from'} ${role}.` });
+    } catch (error) {
+        console.error('Error updating role permission:', error);
+        res.status(500).json({ message: 'Server error updating permission.', error: error.message });
+    }
+};
+
+app.put('/api/admin/roles/:role/permissions/:permission', auth, requirePermission('permissions.manage'), updateRolePermission(true));
+app.delete('/api/admin/roles/:role/permissions/:permission', auth, requirePermission('permissions.manage'), updateRolePermission(false));
+
 // Suspend/Activate Medical Staff Account
-app.patch('/api/admin/medical-staff/:id/status', auth, authorizeRoles('admin'), async (req, res) => {
+app.patch('/api/admin/medical-staff/:id/status', auth, requirePermission('staff.manage'), async (req, res) => {
     const userId = req.params.id;
     const { suspend } = req.body;
 
@@ -1673,6 +5224,20 @@ app.patch('/api/admin/medical-staff/:id/status', auth, authorizeRoles('admin'),
             [newIsVerified, userId]
         );
 
+        // Suspension logs the user out of every device immediately
+        if (suspend) {
+            disconnectSessions(await revokeUserSessions(pool, targetUser.id, 'suspended'));
+        }
+        invalidatePermissionCache(targetUser.id);
+
+        await recordAudit(pool, req, {
+            action: suspend ? 'staff.suspend' : 'staff.activate',
+            entityType: 'user',
+            entityId: targetUser.id,
+            before: { is_verified: targetUser.is_verified },
+            after: { is_verified: newIsVerified },
+        });
+
         res.status(200).json({
             message: `Medical staff ${updatedUser.rows[0].username} (ID: ${updatedUser.rows[0].id}) successfully ${newIsVerified ? 'activated' : 'suspended'}.`,
             user: updatedUser.rows[0]
@@ -1685,7 +5250,7 @@ app.patch('/api/admin/medical-staff/:id/status', auth, authorizeRoles('admin'),
 });
 
 // Change Medical Staff Role
-app.patch('/api/admin/medical-staff/:id/role', auth, authorizeRoles('admin'), async (req, res) => {
+app.patch('/api/admin/medical-staff/:id/role', auth, requirePermission('staff.manage'), async (req, res) => {
     const userId = req.params.id;
     const { role } = req.body;
 
@@ -1694,6 +5259,10 @@ app.patch('/api/admin/medical-staff/:id/role', auth, authorizeRoles('admin'), as
     }
 
     try {
+        if (!(await isKnownRole(pool, role, { assignableOnly: true }))) {
+            return res.status(400).json({ message: `Unknown or non-assignable role: ${role}.` });
+        }
+
         const targetUserResult = await pool.query(
             'SELECT id, username, role FROM users WHERE id = $1',
             [userId]
@@ -1714,6 +5283,16 @@ app.patch('/api/admin/medical-staff/:id/role', auth, authorizeRoles('admin'), as
             'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, username, email, full_name, role',
             [role, userId]
         );
+        invalidatePermissionCache(userId);
+        await refreshChatMembership(userId);
+
+        await recordAudit(pool, req, {
+            action: 'staff.role_change',
+            entityType: 'user',
+            entityId: targetUser.id,
+            before: { role: targetUser.role },
+            after: { role },
+        });
 
         res.status(200).json({
             message: `Medical staff ${updatedUser.rows[0].username} role updated to ${role}.`,
@@ -1727,12 +5306,101 @@ app.patch('/api/admin/medical-staff/:id/role', auth, authorizeRoles('admin'), as
 });
 
 
+// Force a password reset: locks the user out and mails a one-time reset link
+app.post('/api/admin/medical-staff/:id/reset-password', auth, requirePermission('staff.manage'), async (req, res) => {
+    const userId = req.params.id;
+
+    const client = await pool.connect();
+    try {
+        const targetUserResult = await client.query('SELECT id, username, email, full_name, role FROM users WHERE id = $1', [userId]);
+        const targetUser = targetUserResult.rows[0];
+
+        if (!targetUser) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (targetUser.role === 'admin') {
+            return res.status(403).json({ message: 'Cannot reset the password of another admin.' });
+        }
+        if (!targetUser.email) {
+            return res.status(400).json({ message: 'User has no email address to send the reset link to.' });
+        }
+        // The old password is scrambled, so go ahead only if the link can reach the user
+        if (!mailTransport.delivers) {
+            return res.status(503).json({ message: 'Mail delivery is not configured, so the reset link could not be sent. The password was not changed.' });
+        }
+
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+        await client.query('BEGIN');
+        // Only the newest reset token is ever usable
+        await client.query(
+            'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+            [targetUser.id]
+        );
+        await client.query(
+            `INSERT INTO password_reset_tokens (user_id, token_hash, created_by_user_id, expires_at)
+             VALUES ($1, $2, $3, $4)`,
+            [targetUser.id, hashToken(resetToken), req.user.id, expiresAt]
+        );
+        // The old password must stop working right away, so scramble it and sign the user out
+        const scrambledHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+        await client.query(
+            'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [scrambledHash, targetUser.id]
+        );
+        const revoked = await revokeUserSessions(client, targetUser.id, 'password_reset');
+        await writeAuditEntry(client, req, {
+            action: 'staff.password_reset',
+            entityType: 'user',
+            entityId: targetUser.id,
+            metadata: { username: targetUser.username },
+        });
+        // Mailed before the commit, so a failed send leaves the password as it was
+        const resetLink = `${APP_URL}/#/reset-password?token=${resetToken}`;
+        try {
+            await sendMail({
+                to: targetUser.email,
+                subject: 'G2G Medical MRI ERP - Password reset',
+                text: [
+                    `Hello ${targetUser.full_name || targetUser.username},`,
+                    '',
+                    'An administrator has reset your password. Set a new one using the link below:',
+                    resetLink,
+                    '',
+                    `If the link does not open, use this reset code on the "Reset Password" page: ${resetToken}`,
+                    '',
+                    `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+                ].join('\n'),
+            });
+        } catch (mailError) {
+            await client.query('ROLLBACK');
+            console.error('Error sending password reset mail:', mailError);
+            return res.status(502).json({ message: 'The reset email could not be sent, so the password was not changed. Please try again.' });
+        }
+        await client.query('COMMIT');
+        disconnectSessions(revoked);
+
+        res.status(200).json({
+            message: `Password reset for ${targetUser.username}. A reset link was sent to ${targetUser.email}.`,
+            expires_at: expiresAt
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Error resetting medical staff password:', error);
+        res.status(500).json({ message: 'Server error resetting password.', error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
 // Delete Medical Staff Account
-app.delete('/api/admin/medical-staff/:id', auth, authorizeRoles('admin'), async (req, res) => {
+app.delete('/api/admin/medical-staff/:id', auth, requirePermission('staff.manage'), async (req, res) => {
     const userId = req.params.id;
 
     try {
-        const targetUserResult = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+        const targetUserResult = await pool.query('SELECT id, username, email, full_name, role FROM users WHERE id = $1', [userId]);
         const targetUser = targetUserResult.rows[0];
 
         if (!targetUser) {
@@ -1747,6 +5415,13 @@ app.delete('/api/admin/medical-staff/:id', auth, authorizeRoles('admin'), async
 
         await pool.query('DELETE FROM users WHERE id = $1', [userId]);
 
+        await recordAudit(pool, req, {
+            action: 'staff.delete',
+            entityType: 'user',
+            entityId: targetUser.id,
+            before: targetUser,
+        });
+
         res.status(200).json({ message: `Medical staff user (ID: ${userId}) successfully deleted.` });
 
     } catch (error) {
@@ -1759,7 +5434,7 @@ app.delete('/api/admin/medical-staff/:id', auth, authorizeRoles('admin'), async
 });
 
 // --- Chat History API (Authenticated) ---
-app.get('/api/chat/history', auth, authorizeRoles('medical_staff', 'admin'), async (req, res) => {
+app.get('/api/chat/history', auth, requirePermission('chat.use'), async (req, res) => {
     try {
         const messages = await pool.query(`
             SELECT
@@ -1787,7 +5462,7 @@ app.get('/api/chat/history', auth, authorizeRoles('medical_staff', 'admin'), asy
 // --- User Query Routes (Medical Staff & Admin) ---
 
 // Submit a new query (Medical Staff only)
-app.post('/api/queries', auth, authorizeRoles('medical_staff'), async (req, res) => {
+app.post('/api/queries', auth, requirePermission('queries.submit'), async (req, res) => {
     const { subject, message } = req.body;
     const senderId = req.user.id; // Sender is the authenticated user
 
@@ -1802,6 +5477,13 @@ app.post('/api/queries', auth, authorizeRoles('medical_staff'), async (req, res)
              RETURNING id, sender_id, subject, message, status, created_at`,
             [senderId, subject, message]
         );
+        await recordAudit(pool, req, {
+            action: 'query.create',
+            entityType: 'query',
+            entityId: newQuery.rows[0].id,
+            after: newQuery.rows[0],
+        });
+
         res.status(201).json({
             message: 'Query submitted successfully!',
             query: newQuery.rows[0]
@@ -1812,15 +5494,12 @@ app.post('/api/queries', auth, authorizeRoles('medical_staff'), async (req, res)
             const adminUsers = await pool.query('SELECT id FROM users WHERE role = \'admin\'');
             const notificationMessage = `New query from ${req.user.username}: "${newQuery.rows[0].subject}".`;
             for (const admin of adminUsers.rows) {
-                const notifResult = await pool.query(
-                    `INSERT INTO notifications (user_id, type, message, related_entity_id, related_entity_type) VALUES ($1, 'new_query', $2, $3, 'query') RETURNING *`,
-                    [admin.id, notificationMessage, newQuery.rows[0].id]
-                );
-                const adminSocketId = connectedUsers.get(admin.id);
-                if (adminSocketId) {
-                    io.to(adminSocketId).emit('new_notification', notifResult.rows[0]);
-                    console.log(`Emitted real-time notification to admin ${admin.id} for new query.`);
-                }
+                await createNotification(admin.id, {
+                    type: 'new_query',
+                    message: notificationMessage,
+                    relatedEntityId: newQuery.rows[0].id,
+                    relatedEntityType: 'query',
+                });
             }
         } catch (notifError) {
             console.error('Error triggering new query notification:', notifError);
@@ -1834,7 +5513,7 @@ app.post('/api/queries', auth, authorizeRoles('medical_staff'), async (req, res)
 });
 
 // Get a user's own queries (Medical Staff & Admin)
-app.get('/api/queries/my', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
+app.get('/api/queries/my', auth, requirePermission('queries.view_own'), async (req, res) => {
     const userId = req.user.id;
     try {
         const myQueries = await pool.query(`SELECT
@@ -1863,7 +5542,7 @@ app.get('/api/queries/my', auth, authorizeRoles('medical_staff', 'admin', 'docto
 });
 
 // Get all queries (Admin only)
-app.get('/api/admin/queries', auth, authorizeRoles('admin'), async (req, res) => {
+app.get('/api/admin/queries', auth, requirePermission('queries.manage'), async (req, res) => {
     try {
         const allQueries = await pool.query(`
             SELECT
@@ -1890,13 +5569,13 @@ app.get('/api/admin/queries', auth, authorizeRoles('admin'), async (req, res) =>
 });
 
 // Update query status/response (Admin only)
-app.patch('/api/admin/queries/:id', auth, authorizeRoles('admin'), async (req, res) => {
+app.patch('/api/admin/queries/:id', auth, requirePermission('queries.manage'), async (req, res) => {
     const queryId = req.params.id;
     const { status, admin_response } = req.body; // Can update status, or add/update admin_response
     const adminId = req.user.id;
 
     try {
-        const currentQuery = await pool.query('SELECT status FROM user_queries WHERE id = $1', [queryId]);
+        const currentQuery = await pool.query('SELECT * FROM user_queries WHERE id = $1', [queryId]);
         if (currentQuery.rows.length === 0) {
             return res.status(404).json({ message: 'Query not found.' });
         }
@@ -1943,6 +5622,14 @@ app.patch('/api/admin/queries/:id', auth, authorizeRoles('admin'), async (req, r
             queryParams
         );
 
+        await recordAudit(pool, req, {
+            action: 'query.update',
+            entityType: 'query',
+            entityId: queryId,
+            before: currentQuery.rows[0],
+            after: updatedQuery.rows[0],
+        });
+
         res.status(200).json({
             message: 'Query updated successfully!',
             query: updatedQuery.rows[0]
@@ -1952,15 +5639,12 @@ app.patch('/api/admin/queries/:id', auth, authorizeRoles('admin'), async (req, r
         try {
             const querySenderId = updatedQuery.rows[0].sender_id;
             const notificationMessage = `Your query "${updatedQuery.rows[0].subject}" has been updated by an admin. Status: ${updatedQuery.rows[0].status}.`;
-            const notifResult = await pool.query(
-                `INSERT INTO notifications (user_id, type, message, related_entity_id, related_entity_type) VALUES ($1, 'query_update', $2, $3, 'query') RETURNING *`,
-                [querySenderId, notificationMessage, updatedQuery.rows[0].id]
-            );
-            const senderSocketId = connectedUsers.get(querySenderId);
-            if (senderSocketId) {
-                io.to(senderSocketId).emit('new_notification', notifResult.rows[0]);
-                console.log(`Emitted real-time notification to query sender ${querySenderId} for query update.`);
-            }
+            await createNotification(querySenderId, {
+                type: 'query_update',
+                message: notificationMessage,
+                relatedEntityId: updatedQuery.rows[0].id,
+                relatedEntityType: 'query',
+            });
         } catch (notifError) {
             console.error('Error triggering query update notification:', notifError);
         }
@@ -1975,7 +5659,7 @@ app.patch('/api/admin/queries/:id', auth, authorizeRoles('admin'), async (req, r
 // --- Notification Routes ---
 
 // Create a notification (Admin-only for now, but can be triggered by events later)
-app.post('/api/notifications', auth, authorizeRoles('admin'), async (req, res) => {
+app.post('/api/notifications', auth, requirePermission('notifications.send'), async (req, res) => {
     const { userId, type, message, relatedEntityId, relatedEntityType } = req.body; // userId is who receives it
 
     if (!userId || !type || !message) {
@@ -1995,6 +5679,12 @@ app.post('/api/notifications', auth, authorizeRoles('admin'), async (req, res) =
              RETURNING *`,
             [userId, type, message, relatedEntityId, relatedEntityType]
         );
+        await recordAudit(pool, req, {
+            action: 'notification.send',
+            entityType: 'notification',
+            entityId: newNotification.rows[0].id,
+            after: newNotification.rows[0],
+        });
         res.status(201).json({
             message: 'Notification created successfully.',
             notification: newNotification.rows[0]
@@ -2008,7 +5698,7 @@ app.post('/api/notifications', auth, authorizeRoles('admin'), async (req, res) =
 // --- Calendar Event Routes ---
 
 // Create a new event (Medical Staff & Admin)
-app.post('/api/events', auth, authorizeRoles('medical_staff', 'admin', 'doctor'), async (req, res) => {
+app.post('/api/events', auth, requirePermission('events.manage'), async (req, res) => {
     const { title, description, start_time, end_time, all_day, patient_id } = req.body;
     const userId = req.user.id; // Event creator is the authenticated user
 
@@ -2017,12 +5707,23 @@ app.post('/api/events', auth, authorizeRoles('medical_staff', 'admin', 'doctor')
     }
 
     try {
+        // A visit with an unresolved screening contraindication cannot be booked
+        if (patient_id && await loadScreeningStatus(pool, patient_id) === 'flagged') {
+            return res.status(409).json({ message: SCAN_BLOCKED_MESSAGE, safety_status: 'flagged' });
+        }
+
         const newEvent = await pool.query(
             `INSERT INTO calendar_events (title, description, start_time, end_time, all_day, user_id, patient_id)
              VALUES ($1, $2, $3, $4, $5, $6, $7)
              RETURNING *`,
             [title, description, start_time, end_time, all_day || false, userId, patient_id || null]
         );
+        await recordAudit(pool, req, {
+            action: 'event.create',
+            entityType: 'calendar_event',
+            entityId: newEvent.rows[0].id,
+            after: newEvent.rows[0],
+        });
         res.status(201).json({
             message: 'Event created successfully!',
             event: newEvent.rows[0]
@@ -2034,7 +5735,7 @@ app.post('/api/events', auth, authorizeRoles('medical_staff', 'admin', 'doctor')
 });
 
 // Get all events for the authenticated user (or all if admin) - filtering by time range is common
-app.get('/api/events/my', auth, authorizeRoles('medical_staff', 'admin', 'doctor', 'financial_admin'), async (req, res) => {
+app.get('/api/events/my', auth, requirePermission('events.view'), async (req, res) => {
     const userId = req.user.id;
     const userRole = req.user.role;
     const { start, end } = req.query; // Optional: query parameters for date range
@@ -2078,7 +5779,7 @@ app.get('/api/events/my', auth, authorizeRoles('medical_staff', 'admin', 'doctor
 });
 
 // Update an event (only by creator or admin)
-app.put('/api/events/:id', auth, authorizeRoles('medical_staff', 'admin', 'doctor'), async (req, res) => {
+app.put('/api/events/:id', auth, requirePermission('events.manage'), async (req, res) => {
     const eventId = req.params.id;
     const userId = req.user.id;
     const userRole = req.user.role;
@@ -2090,13 +5791,16 @@ app.put('/api/events/:id', auth, authorizeRoles('medical_staff', 'admin', 'docto
 
     try {
         // First, check if the event exists and if the user has permission to update it
-        const existingEvent = await pool.query('SELECT user_id FROM calendar_events WHERE id = $1', [eventId]);
+        const existingEvent = await pool.query('SELECT * FROM calendar_events WHERE id = $1', [eventId]);
         if (existingEvent.rows.length === 0) {
             return res.status(404).json({ message: 'Event not found.' });
         }
         if (existingEvent.rows[0].user_id !== userId && userRole !== 'admin') {
             return res.status(403).json({ message: 'Forbidden: You can only update your own events or be an admin.' });
         }
+        if (patient_id && await loadScreeningStatus(pool, patient_id) === 'flagged') {
+            return res.status(409).json({ message: SCAN_BLOCKED_MESSAGE, safety_status: 'flagged' });
+        }
 
         const updatedEvent = await pool.query(
             `UPDATE calendar_events
@@ -2105,6 +5809,13 @@ app.put('/api/events/:id', auth, authorizeRoles('medical_staff', 'admin', 'docto
              RETURNING *`,
             [title, description, start_time, end_time, all_day || false, patient_id || null, eventId]
         );
+        await recordAudit(pool, req, {
+            action: 'event.update',
+            entityType: 'calendar_event',
+            entityId: eventId,
+            before: existingEvent.rows[0],
+            after: updatedEvent.rows[0],
+        });
 
         res.status(200).json({
             message: 'Event updated successfully!',
@@ -2117,14 +5828,14 @@ app.put('/api/events/:id', auth, authorizeRoles('medical_staff', 'admin', 'docto
 });
 
 // Delete an event (only by creator or admin)
-app.delete('/api/events/:id', auth, authorizeRoles('medical_staff', 'admin', 'doctor'), async (req, res) => {
+app.delete('/api/events/:id', auth, requirePermission('events.manage'), async (req, res) => {
     const eventId = req.params.id;
     const userId = req.user.id;
     const userRole = req.user.role;
 
     try {
         // First, check if the event exists and if the user has permission to delete it
-        const existingEvent = await pool.query('SELECT user_id FROM calendar_events WHERE id = $1', [eventId]);
+        const existingEvent = await pool.query('SELECT * FROM calendar_events WHERE id = $1', [eventId]);
         if (existingEvent.rows.length === 0) {
             return res.status(404).json({ message: 'Event not found.' });
         }
@@ -2133,6 +5844,12 @@ app.delete('/api/events/:id', auth, authorizeRoles('medical_staff', 'admin', 'do
         }
 
         const deleteResult = await pool.query('DELETE FROM calendar_events WHERE id = $1 RETURNING *', [eventId]);
+        await recordAudit(pool, req, {
+            action: 'event.delete',
+            entityType: 'calendar_event',
+            entityId: eventId,
+            before: deleteResult.rows[0],
+        });
 
         res.status(200).json({ message: 'Event deleted successfully!', event: deleteResult.rows[0] });
     } catch (error) {
@@ -2142,7 +5859,7 @@ app.delete('/api/events/:id', auth, authorizeRoles('medical_staff', 'admin', 'do
 });
 
 // Get my notifications (Authenticated users only)
-app.get('/api/notifications/my', auth, authorizeRoles('medical_staff', 'admin'), async (req, res) => {
+app.get('/api/notifications/my', auth, requirePermission('notifications.view'), async (req, res) => {
     const userId = req.user.id; // Get ID of the authenticated user
     const { readStatus } = req.query; // Optional: 'read', 'unread', or 'all'
 
@@ -2167,7 +5884,7 @@ app.get('/api/notifications/my', auth, authorizeRoles('medical_staff', 'admin'),
 });
 
 // Mark a specific notification as read
-app.patch('/api/notifications/:id/read', auth, authorizeRoles('medical_staff', 'admin'), async (req, res) => {
+app.patch('/api/notifications/:id/read', auth, requirePermission('notifications.view'), async (req, res) => {
     const notificationId = req.params.id;
     const userId = req.user.id; // Authenticated user must own the notification
 
@@ -2187,7 +5904,7 @@ app.patch('/api/notifications/:id/read', auth, authorizeRoles('medical_staff', '
 });
 
 // Mark all notifications for a user as read
-app.patch('/api/notifications/mark-all-read', auth, authorizeRoles('medical_staff', 'admin'), async (req, res) => {
+app.patch('/api/notifications/mark-all-read', auth, requirePermission('notifications.view'), async (req, res) => {
     const userId = req.user.id; // Authenticated user
 
     try {
@@ -2202,53 +5919,44 @@ app.patch('/api/notifications/mark-all-read', auth, authorizeRoles('medical_staf
     }
 });
 
-// --- Socket.IO for Chat ---
+// --- Socket.IO for Chat and Notifications ---
 io.on('connection', (socket) => {
-    console.log('A user connected to chat/notifications:', socket.id);
-
-    // Client will emit 'set_user_id' after successful login to associate socket with user
-    socket.on('set_user_id', (userId) => {
-        if (userId) {
-            connectedUsers.set(userId, socket.id);
-            console.log(`User ${userId} associated with socket ${socket.id}`);
-        }
-    });
+    const { id: userId, username, sessionId, canChat } = socket.data.user;
+    socket.join(userRoom(userId));
+    socket.join(sessionRoom(sessionId));
+    if (canChat) socket.join(CHAT_ROOM);
+    console.log(`User ${userId} connected on socket ${socket.id}`);
 
     socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
-        // Remove user from map on disconnect
-        // It's more efficient to find the user ID by socket ID if you can
-        // Or, when storing, map socket.id -> userId if user can have multiple connections
-        // For now, this loop is okay for small numbers of connected users
-        for (let [userId, socketId] of connectedUsers.entries()) {
-            if (socketId === socket.id) {
-                connectedUsers.delete(userId);
-                console.log(`User ${userId} removed from connectedUsers.`);
-            }
-        }
+        console.log(`User ${userId} disconnected from socket ${socket.id}`);
     });
 
-    // Chat message handling (existing logic)
+    // The sender is always the authenticated user; any senderId in the payload is ignored
     socket.on('chat message', async (msg) => {
-        console.log('Received chat message:', msg);
         try {
-            if (!msg.text || !msg.senderId) {
-                console.warn('Invalid chat message format received: text or senderId missing.', msg);
+            const text = typeof msg?.text === 'string' ? msg.text.trim() : '';
+            if (!text) {
+                console.warn('Invalid chat message format received: text missing.', msg);
+                return;
+            }
+            const access = await getUserAccess(pool, userId);
+            if (!access?.permissions.has('chat.use')) {
+                socket.emit('chat_error', { message: 'Access denied: you do not have permission to use chat.' });
                 return;
             }
             await pool.query(
                 'INSERT INTO chat_messages (sender_id, message) VALUES ($1, $2)',
-                [msg.senderId, msg.text]
+                [userId, text]
             );
 
-            const senderInfoResult = await pool.query('SELECT username, full_name FROM users WHERE id = $1', [msg.senderId]);
-            const senderUsername = senderInfoResult.rows[0]?.username || 'Unknown';
+            const senderInfoResult = await pool.query('SELECT full_name FROM users WHERE id = $1', [userId]);
             const senderFullName = senderInfoResult.rows[0]?.full_name || 'Unknown User';
 
-            io.emit('chat message', {
-                text: msg.text,
-                senderId: msg.senderId,
-                senderUsername: senderUsername,
+            // Membership is set at connect and by refreshChatMembership when roles or grants change
+            io.to(CHAT_ROOM).emit('chat message', {
+                text,
+                senderId: userId,
+                senderUsername: username,
                 senderFullName: senderFullName,
                 timestamp: new Date().toISOString()
             });
@@ -2282,6 +5990,9 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT ? Number(process.env.PORT) : 8080; // EB assigns PORT — default to 8080 locally
 server.listen(PORT, () => {
   console.log(`🚀 Backend server running on port ${PORT}`);
+  // First purge a minute after boot, then on a fixed interval
+  setTimeout(runRecycleBinPurge, 60 * 1000).unref();
+  setInterval(runRecycleBinPurge, RECYCLE_BIN_PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
 });
 
 // Export (optional, useful for tests)
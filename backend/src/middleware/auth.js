@@ -1,12 +1,14 @@
 // backend/src/middleware/auth.js
 import jwt from "jsonwebtoken";
+import { pool } from "../../config/db.js";
+import { isSessionActive } from "../../utils/sessions.js";
 
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
   console.error("CRITICAL: JWT_SECRET is not defined in .env! Authentication will fail.");
 }
 
-export function auth(req, res, next) {
+export async function auth(req, res, next) {
   const authHeader = req.header("Authorization");
 
   if (!authHeader) {
@@ -19,22 +21,35 @@ export function auth(req, res, next) {
     return res.status(401).json({ message: "No token, authorization denied." });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // ✅ Attach only the fields you care about
-    req.user = {
-      id: decoded.id,
-      username: decoded.username,
-      role: decoded.role,
-      can_download: decoded.can_download ?? false // 👈 ensure it’s always boolean
-    };
-
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     console.error("Token verification failed:", error.message);
-    res.status(401).json({ message: "Token is not valid or expired." });
+    return res.status(401).json({ message: "Token is not valid or expired." });
   }
+
+  // Access tokens are bound to a server-side session so that logout,
+  // revocation and suspension take effect before the token expires.
+  try {
+    if (!decoded.sid || !(await isSessionActive(pool, decoded.sid, decoded.id))) {
+      return res.status(401).json({ message: "Session has been revoked or expired. Please log in again." });
+    }
+  } catch (error) {
+    console.error("Session lookup failed:", error.message);
+    return res.status(500).json({ message: "Server error verifying session." });
+  }
+
+  // ✅ Attach only the fields you care about
+  req.user = {
+    id: decoded.id,
+    username: decoded.username,
+    role: decoded.role,
+    sessionId: decoded.sid,
+    can_download: decoded.can_download ?? false // 👈 ensure it’s always boolean
+  };
+
+  next();
 }
 
 export function authorizeRoles(...roles) {
@@ -0,0 +1,35 @@
+// backend/src/middleware/permissions.js
+import { pool } from "../../config/db.js";
+import { getUserAccess } from "../../utils/permissions.js";
+
+// Must run after `auth`. Checks the user's *current* role and grants (cached
+// briefly) rather than what was frozen into the token at login.
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "No token, authorization denied." });
+    }
+
+    try {
+      const access = await getUserAccess(pool, req.user.id);
+      if (!access || (access.role !== "admin" && !access.is_verified)) {
+        return res.status(401).json({ message: "Account is no longer active." });
+      }
+
+      // Downstream handlers see the live role and flags
+      req.user.role = access.role;
+      req.user.can_download = access.can_download;
+      req.user.permissions = access.permissions;
+
+      if (!access.permissions.has(permission)) {
+        return res
+          .status(403)
+          .json({ message: "Access denied: you do not have permission to do this.", permission });
+      }
+      next();
+    } catch (error) {
+      console.error("Permission lookup failed:", error.message);
+      return res.status(500).json({ message: "Server error checking permissions." });
+    }
+  };
+}
@@ -0,0 +1,58 @@
+// backend/src/migrate.js
+// Applies the SQL files in backend/migrations in filename order.
+// Each file runs once, inside its own transaction, and is recorded in schema_migrations.
+import 'dotenv/config';
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from 'url';
+import { pool } from "../config/db.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+async function migrate() {
+  const client = await pool.connect();
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        filename TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const applied = await client.query('SELECT filename FROM schema_migrations');
+    const appliedSet = new Set(applied.rows.map(r => r.filename));
+
+    const files = (await fs.promises.readdir(MIGRATIONS_DIR))
+      .filter(f => f.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      if (appliedSet.has(file)) continue;
+
+      const sql = await fs.promises.readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (filename) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+        console.log(`✅ Applied migration ${file}`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Migration ${file} failed:`, err.message);
+        throw err;
+      }
+    }
+    console.log('Migrations up to date.');
+  } finally {
+    client.release();
+  }
+}
+
+migrate()
+  .then(() => pool.end())
+  .catch(async () => {
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+// utils/audit.js
+import { getClientIp, getUserAgent } from "./requestInfo.js";
+
+// Never copied into the audit log, even when they change
+const REDACTED_FIELDS = new Set([
+  "password",
+  "password_hash",
+  "totp_secret",
+  "code_hash",
+  "token_hash",
+  "refresh_token_hash",
+  "previous_token_hash",
+]);
+
+// Bookkeeping columns that change on every write and would only add noise
+const IGNORED_FIELDS = new Set(["updated_at"]);
+
+const normalizeValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+const sameValue = (a, b) =>
+  JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+// Reduces two versions of a record to the fields that differ:
+// { before: { field: old }, after: { field: new } }. Either side may be null
+// (creation or deletion), in which case every non-redacted field is kept.
+export const diffRecords = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = { before: before ? {} : null, after: after ? {} : null };
+
+  for (const key of keys) {
+    if (REDACTED_FIELDS.has(key) || IGNORED_FIELDS.has(key)) continue;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (before && after && sameValue(oldValue, newValue)) continue;
+    if (before) changes.before[key] = normalizeValue(oldValue);
+    if (after) changes.after[key] = normalizeValue(newValue);
+  }
+  return changes;
+};
+
+// Appends one entry to audit_log. Routes that change data in a transaction
+// call this on their client before COMMIT, so a failed insert throws and
+// rolls the change back with it: no change is committed without its entry.
+// `actor` defaults to the authenticated user; public routes pass it explicitly.
+// Background jobs pass `req` as null and are recorded without an actor.
+export const writeAuditEntry = async (db, req, { action, entityType, entityId = null, before = null, after = null, metadata = null, actor = req?.user }) => {
+  const changes = before || after ? diffRecords(before, after) : null;
+  await db.query(
+    `INSERT INTO audit_log
+       (actor_user_id, actor_username, action, entity_type, entity_id, changes, metadata, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      actor?.id ?? null,
+      actor?.username ?? null,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      changes ? JSON.stringify(changes) : null,
+      metadata ? JSON.stringify(metadata) : null,
+      req ? getClientIp(req) : null,
+      req ? getUserAgent(req) : null,
+    ]
+  );
+};
+
+// writeAuditEntry for single-statement changes made without a transaction,
+// called with the pool once the change is saved. Failures are logged and
+// swallowed, since the change itself can no longer be undone.
+export const recordAudit = async (db, req, entry) => {
+  try {
+    await writeAuditEntry(db, req, entry);
+  } catch (error) {
+    console.error(`Failed to write audit entry (${entry.action} ${entry.entityType} ${entry.entityId}):`, error.message);
+  }
+};
@@ -0,0 +1,20 @@
+// utils/concurrency.js
+// Optimistic locking for records several staff may edit at once. Rows carry an
+// integer `version`, sent to the client as an ETag; writes must return it in
+// If-Match and only apply while it is still current.
+
+export const formatEtag = (version) => `"${version}"`;
+
+// The version named by an If-Match header, or null when it is missing or is
+// not one of ours (a weak W/ prefix is tolerated)
+export const parseIfMatch = (header) => {
+  if (!header) return null;
+  const match = /^(?:W\/)?"(\d+)"$/.exec(String(header).trim());
+  return match ? Number(match[1]) : null;
+};
+
+export const VERSION_REQUIRED_MESSAGE =
+  "This change did not say which version of the record it was based on. Reload and try again.";
+
+export const VERSION_CONFLICT_MESSAGE =
+  "Someone else saved changes to this record after you opened it.";
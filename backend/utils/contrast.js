@@ -0,0 +1,230 @@
+// utils/contrast.js
+// Gadolinium contrast administration: the agents stocked, weight-based
+// recommended dose, eGFR estimate from creatinine, the warnings shown before
+// a record is saved, and the lookups behind the batch traceability report.
+
+// Standard single dose per agent; mL/kg = doseMmolPerKg / concentration
+export const CONTRAST_AGENTS = [
+  { name: "Gadoterate meglumine (Dotarem)", concentration: 0.5, doseMmolPerKg: 0.1 },
+  { name: "Gadobutrol (Gadovist)", concentration: 1.0, doseMmolPerKg: 0.1 },
+  { name: "Gadoteridol (ProHance)", concentration: 0.5, doseMmolPerKg: 0.1 },
+  { name: "Gadobenate dimeglumine (MultiHance)", concentration: 0.5, doseMmolPerKg: 0.1 },
+  { name: "Gadoxetate disodium (Primovist)", concentration: 0.25, doseMmolPerKg: 0.025 },
+  { name: "Gadopentetate dimeglumine (Magnevist)", concentration: 0.5, doseMmolPerKg: 0.1 },
+];
+
+// Doses are only checked against body weight for intravenous use
+export const CONTRAST_ROUTES = ["Intravenous", "Intra-articular"];
+
+// Allowed spread around the recommended dose before a warning is raised
+export const DOSE_HIGH_TOLERANCE = 1.1;
+export const DOSE_LOW_TOLERANCE = 0.75;
+
+// eGFR (mL/min/1.73m²) below which gadolinium needs a radiologist's review
+export const SEVERE_EGFR = 30;
+export const REDUCED_EGFR = 45;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+export const findAgent = (name) => CONTRAST_AGENTS.find(agent => agent.name === name) || null;
+
+// mL to give for `weightKg`, to one decimal place; null without a weight
+export const recommendedDoseMl = (agent, weightKg) =>
+  agent && weightKg > 0 ? round((weightKg * agent.doseMmolPerKg) / agent.concentration, 1) : null;
+
+// CKD-EPI 2021 (race-free) from serum creatinine in µmol/L. Adults only, and
+// only for Male/Female since the equation depends on sex.
+export const estimateEgfr = ({ creatinineUmolPerL, age, gender }) => {
+  if (!(creatinineUmolPerL > 0) || !(age >= 18) || !["Male", "Female"].includes(gender)) return null;
+  const female = gender === "Female";
+  const kappa = female ? 0.7 : 0.9;
+  const alpha = female ? -0.241 : -0.302;
+  const ratio = creatinineUmolPerL / 88.4 / kappa;
+  const egfr = 142 * Math.min(ratio, 1) ** alpha * Math.max(ratio, 1) ** -1.2 * 0.9938 ** age * (female ? 1.012 : 1);
+  return round(egfr, 1);
+};
+
+// Checks the submitted record. Returns { errors, values }, where values are
+// cleaned numbers and strings ready to insert.
+export const validateContrast = (input) => {
+  const errors = {};
+  const agent = findAgent(input.agent);
+  if (!agent) errors.agent = "Choose a contrast agent from the list.";
+  if (!CONTRAST_ROUTES.includes(input.route)) errors.route = "Choose the route of administration.";
+
+  const doseMl = toNumber(input.dose_ml);
+  if (doseMl === null) errors.dose_ml = "Enter the dose given in mL.";
+  else if (Number.isNaN(doseMl) || doseMl <= 0 || doseMl > 100) errors.dose_ml = "Dose must be between 0 and 100 mL.";
+
+  const weightKg = toNumber(input.weight_kg);
+  if (weightKg !== null && (Number.isNaN(weightKg) || weightKg <= 0 || weightKg > 400)) errors.weight_kg = "Weight must be between 0 and 400 kg.";
+
+  const egfr = toNumber(input.egfr);
+  if (egfr !== null && (Number.isNaN(egfr) || egfr < 0 || egfr > 200)) errors.egfr = "eGFR must be between 0 and 200.";
+
+  const creatinine = toNumber(input.creatinine_umol_per_l);
+  if (creatinine !== null && (Number.isNaN(creatinine) || creatinine <= 0 || creatinine > 3000)) {
+    errors.creatinine_umol_per_l = "Creatinine must be between 0 and 3000 µmol/L.";
+  }
+
+  const batchNumber = String(input.batch_number || "").trim();
+  if (!batchNumber) errors.batch_number = "Enter the batch/lot number from the vial.";
+
+  const expiry = String(input.batch_expiry_date || "").trim() || null;
+  if (expiry && (!/^\d{4}-\d{2}-\d{2}$/.test(expiry) || Number.isNaN(new Date(expiry).getTime()))) {
+    errors.batch_expiry_date = "Enter a valid expiry date.";
+  }
+
+  const administeredAt = input.administered_at ? new Date(input.administered_at) : null;
+  if (!administeredAt || Number.isNaN(administeredAt.getTime())) {
+    errors.administered_at = "Enter when the contrast was given.";
+  } else if (administeredAt.getTime() > Date.now() + 5 * 60 * 1000) {
+    errors.administered_at = "Administration time cannot be in the future.";
+  }
+
+  const administeredByName = String(input.administered_by_name || "").trim();
+  if (administeredByName.length < 2) errors.administered_by_name = "Enter who gave the contrast.";
+
+  return {
+    errors,
+    values: {
+      agent,
+      route: input.route,
+      doseMl,
+      weightKg,
+      egfr,
+      creatinine,
+      batchNumber,
+      expiry,
+      administeredAt,
+      administeredByName,
+      notes: String(input.notes || "").trim() || null,
+    },
+  };
+};
+
+// [{ code, message }] to show before saving, e.g. a dose out of range for
+// the weight, poor renal function or an expired lot
+export const contrastWarnings = ({ agent, route, doseMl, weightKg, recommendedMl, egfr, expiry, administeredAt }) => {
+  const warnings = [];
+  if (route === "Intravenous") {
+    if (recommendedMl === null) {
+      warnings.push({ code: "no_weight", message: "No weight recorded, so the dose could not be checked against body weight." });
+    } else if (doseMl > recommendedMl * DOSE_HIGH_TOLERANCE) {
+      warnings.push({ code: "dose_high", message: `${doseMl} mL is above the recommended ${recommendedMl} mL of ${agent.name} for ${weightKg} kg.` });
+    } else if (doseMl < recommendedMl * DOSE_LOW_TOLERANCE) {
+      warnings.push({ code: "dose_low", message: `${doseMl} mL is below the recommended ${recommendedMl} mL of ${agent.name} for ${weightKg} kg.` });
+    }
+  }
+  if (egfr !== null && egfr < SEVERE_EGFR) {
+    warnings.push({ code: "egfr_severe", message: `eGFR ${egfr} is below ${SEVERE_EGFR}: severe renal impairment, risk of NSF. A radiologist must approve gadolinium.` });
+  } else if (egfr !== null && egfr < REDUCED_EGFR) {
+    warnings.push({ code: "egfr_reduced", message: `eGFR ${egfr} is below ${REDUCED_EGFR}: reduced renal function. Use the lowest diagnostic dose.` });
+  }
+  if (expiry && administeredAt && expiry < administeredAt.toISOString().slice(0, 10)) {
+    warnings.push({ code: "batch_expired", message: `The batch expired on ${expiry}, before it was given.` });
+  }
+  return warnings;
+};
+
+const ADMINISTRATION_SELECT_SQL = `
+  SELECT c.*, u.full_name AS recorded_by_name
+    FROM contrast_administrations c
+    LEFT JOIN users u ON u.id = c.recorded_by_user_id`;
+
+// Every administration of a visit, latest first
+export const listContrastAdministrations = async (db, patientId) => {
+  const result = await db.query(
+    `${ADMINISTRATION_SELECT_SQL} WHERE c.patient_id = $1 ORDER BY c.administered_at DESC, c.id DESC`,
+    [patientId]
+  );
+  return result.rows;
+};
+
+export const getContrastAdministration = async (db, id) => {
+  const result = await db.query(`${ADMINISTRATION_SELECT_SQL} WHERE c.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// Each batch used, with how many patients received it, optionally filtered
+// by a part of the lot number or the agent
+export const listContrastBatches = async (db, { search, agent } = {}) => {
+  const result = await db.query(
+    `SELECT UPPER(batch_number) AS batch_number, agent,
+            MAX(batch_expiry_date) AS batch_expiry_date,
+            COUNT(*)::int AS administrations,
+            COUNT(DISTINCT patient_id)::int AS visits,
+            MIN(administered_at) AS first_used_at,
+            MAX(administered_at) AS last_used_at
+       FROM contrast_administrations
+      WHERE ($1::text IS NULL OR batch_number ILIKE '%' || $1 || '%')
+        AND ($2::text IS NULL OR agent = $2)
+      GROUP BY UPPER(batch_number), agent
+      ORDER BY MAX(administered_at) DESC
+      LIMIT 200`,
+    [search || null, agent || null]
+  );
+  return result.rows;
+};
+
+// Everyone who received `batchNumber` (case-insensitive), with the contact
+// details needed to recall them. Deleted visits are included on purpose.
+export const findBatchRecipients = async (db, batchNumber) => {
+  const result = await db.query(
+    `SELECT c.id, c.patient_id, c.exam_name, c.agent, c.dose_ml, c.route, c.administered_at,
+            c.batch_number, c.batch_expiry_date, c.administered_by_name, c.warnings,
+            p.patient_name, p.mri_code, p.gender, p.age, p.contact_phone_number, p.contact_email,
+            p.next_of_kin_name, p.next_of_kin_phone_number, p.deleted_at,
+            rp.hospital_number
+       FROM contrast_administrations c
+       JOIN mri_patients p ON p.id = c.patient_id
+       JOIN patients rp ON rp.id = p.registry_patient_id
+      WHERE UPPER(c.batch_number) = UPPER($1)
+      ORDER BY c.administered_at, c.id`,
+    [String(batchNumber || "").trim()]
+  );
+  return result.rows;
+};
+
+// Contrast records of a visit with the examination each is linked to, taken
+// before the visit's exam rows are deleted and re-inserted on an edit
+export const captureContrastLinks = async (db, patientId) => {
+  const result = await db.query(
+    `SELECT c.id, c.examination_id, e.exam_name, e.catalog_item_id
+       FROM contrast_administrations c
+       JOIN patient_examinations e ON e.id = c.examination_id
+      WHERE c.patient_id = $1
+      ORDER BY c.examination_id, c.id`,
+    [patientId]
+  );
+  return result.rows;
+};
+
+// Points the captured records at the re-inserted exams (`exams` as [{ id,
+// name, catalog_item_id }]): each old exam is matched to one new exam of the
+// same catalog item, or of the same name when it has none. Records whose exam
+// was removed by the edit stay unlinked, with exam_name saying what it was.
+export const relinkContrastExaminations = async (db, links, exams) => {
+  const sameExam = (link, exam) => (link.catalog_item_id
+    ? exam.catalog_item_id === link.catalog_item_id
+    : !exam.catalog_item_id && String(exam.name).toUpperCase() === String(link.exam_name).toUpperCase());
+  const unclaimed = [...exams];
+  const newIdByOldId = new Map();
+  for (const link of links) {
+    if (newIdByOldId.has(link.examination_id)) continue;
+    const match = unclaimed.findIndex(exam => sameExam(link, exam));
+    newIdByOldId.set(link.examination_id, match === -1 ? null : unclaimed.splice(match, 1)[0].id);
+  }
+  for (const link of links) {
+    const examinationId = newIdByOldId.get(link.examination_id);
+    if (examinationId) {
+      await db.query("UPDATE contrast_administrations SET examination_id = $1 WHERE id = $2", [examinationId, link.id]);
+    }
+  }
+};
@@ -0,0 +1,53 @@
+// utils/demographics.js
+// Shared pieces of the structured patient details: state list, identity
+// document types, and age/address formatting used by receipts and exports.
+
+export const NIGERIAN_STATES = [
+  "Abia", "Adamawa", "Akwa Ibom", "Anambra", "Bauchi", "Bayelsa", "Benue", "Borno",
+  "Cross River", "Delta", "Ebonyi", "Edo", "Ekiti", "Enugu", "FCT", "Gombe",
+  "Imo", "Jigawa", "Kaduna", "Kano", "Katsina", "Kebbi", "Kogi", "Kwara",
+  "Lagos", "Nasarawa", "Niger", "Ogun", "Ondo", "Osun", "Oyo", "Plateau",
+  "Rivers", "Sokoto", "Taraba", "Yobe", "Zamfara",
+];
+
+export const ID_DOCUMENT_TYPES = ["International passport", "Driver's licence", "Voter's card", "Other"];
+
+// Whole years between a "YYYY-MM-DD" date of birth and `onDate` (a Date or
+// date string); null when the birth date is missing or invalid
+export const ageOnDate = (dateOfBirth, onDate = new Date()) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(dateOfBirth || ""));
+  if (!match) return null;
+  const on = onDate instanceof Date ? onDate : new Date(onDate);
+  if (Number.isNaN(on.getTime())) return null;
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  let age = on.getFullYear() - year;
+  if (on.getMonth() + 1 < month || (on.getMonth() + 1 === month && on.getDate() < day)) age -= 1;
+  return Math.max(0, age);
+};
+
+// "14/03/1985" from "1985-03-14", as dates are written on hospital forms
+export const formatDateOfBirth = (dateOfBirth) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(dateOfBirth || ""));
+  return match ? `${match[3]}/${match[2]}/${match[1]}` : null;
+};
+
+// One-line address from the structured fields, skipping blanks
+export const formatAddress = (record) => {
+  const state = record.address_state && (record.address_state === "FCT" ? "FCT" : `${record.address_state} State`);
+  const lga = record.address_lga && `${record.address_lga} LGA`;
+  return [record.address_line, record.address_city, lga, state].filter(Boolean).join(", ") || null;
+};
+
+// "Name (relationship), phone"
+export const formatNextOfKin = (record) => {
+  if (!record.next_of_kin_name && !record.next_of_kin_phone_number) return null;
+  const name = [record.next_of_kin_name, record.next_of_kin_relationship && `(${record.next_of_kin_relationship})`].filter(Boolean).join(" ");
+  return [name, record.next_of_kin_phone_number].filter(Boolean).join(", ");
+};
+
+// "NIN 12345678901" and/or "International passport A01234567"
+export const formatIdentity = (record) =>
+  [
+    record.national_id_number && `NIN ${record.national_id_number}`,
+    record.id_document_number && `${record.id_document_type || "ID"} ${record.id_document_number}`,
+  ].filter(Boolean).join("; ") || null;
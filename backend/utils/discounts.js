@@ -0,0 +1,117 @@
+// utils/discounts.js
+// Discount and fee waiver lines on a visit. Each line is a percentage of the
+// exam total or a fixed naira amount with a reason code; lines that take the
+// visit's discounts past the approval threshold wait for an approver.
+
+export const DISCOUNT_REASONS = [
+  { code: "staff", label: "Staff discount" },
+  { code: "hardship", label: "Financial hardship" },
+  { code: "waiver", label: "Fee waiver" },
+  { code: "repeat_scan", label: "Repeat scan" },
+  { code: "referral_partner", label: "Referral partner" },
+  { code: "management", label: "Management approval" },
+  { code: "other", label: "Other (see note)" },
+];
+
+export const DISCOUNT_KINDS = ["percentage", "fixed"];
+
+const cleanText = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/\s+/g, " ");
+  return text === "" ? null : text;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const discountReasonLabel = (code) =>
+  DISCOUNT_REASONS.find(reason => reason.code === code)?.label || code;
+
+// { field: message } and the cleaned values for a discount request
+export const validateDiscount = (fields) => {
+  const errors = {};
+  const value = fields.value === "" || fields.value == null ? null : Number(String(fields.value).replace(/[₦,%\s]/g, ""));
+  const reasonCode = cleanText(fields.reason_code);
+  const note = cleanText(fields.note);
+
+  if (!DISCOUNT_KINDS.includes(fields.kind)) errors.kind = "Choose a percentage or a fixed amount.";
+  if (value === null) errors.value = "Enter the discount.";
+  else if (!Number.isFinite(value) || value <= 0) errors.value = "The discount must be more than zero.";
+  else if (fields.kind === "percentage" && value > 100) errors.value = "A percentage cannot be more than 100.";
+  if (!DISCOUNT_REASONS.some(reason => reason.code === reasonCode)) errors.reason_code = "Choose a reason.";
+  else if (reasonCode === "other" && !note) errors.note = "Explain the discount when the reason is Other.";
+  if (note && note.length > 500) errors.note = "Note must be 500 characters or fewer.";
+
+  return {
+    errors,
+    values: { kind: fields.kind, value: value === null ? null : roundMoney(value), reason_code: reasonCode, note },
+  };
+};
+
+// The naira amount a discount takes off an exam total
+export const discountAmount = (kind, value, grossAmount) =>
+  roundMoney(kind === "percentage" ? Number(grossAmount) * Number(value) / 100 : Number(value));
+
+// A visit's discount lines, oldest first, with who requested and decided them
+export const listVisitDiscounts = async (db, patientId) => {
+  const result = await db.query(
+    `SELECT d.*, requester.full_name AS requested_by_name, decider.full_name AS decided_by_name
+       FROM visit_discounts d
+       LEFT JOIN users requester ON requester.id = d.requested_by_user_id
+       LEFT JOIN users decider ON decider.id = d.decided_by_user_id
+      WHERE d.patient_id = $1
+      ORDER BY d.requested_at, d.id`,
+    [patientId]
+  );
+  return result.rows;
+};
+
+// Requests waiting for an approver, oldest first, with the visit they are on
+export const listPendingDiscounts = async (db) => {
+  const result = await db.query(
+    `SELECT d.*, requester.full_name AS requested_by_name,
+            p.patient_name, p.mri_code, p.mri_date_time, p.payer_category, p.total_amount, p.discount_amount
+       FROM visit_discounts d
+       JOIN mri_patients p ON p.id = d.patient_id AND p.deleted_at IS NULL
+       LEFT JOIN users requester ON requester.id = d.requested_by_user_id
+      WHERE d.status = 'pending'
+      ORDER BY d.requested_at, d.id`
+  );
+  return result.rows;
+};
+
+// Re-works percentage lines against the visit's current exam total and
+// stores the sum of approved lines (never more than the total) on the
+// visit, bumping its version. Run after a discount is decided or the exams
+// change.
+export const refreshVisitDiscounts = async (db, patientId) => {
+  await db.query(
+    `UPDATE visit_discounts d
+        SET amount = ROUND(p.total_amount * d.value / 100, 2)
+       FROM mri_patients p
+      WHERE p.id = d.patient_id AND d.patient_id = $1 AND d.kind = 'percentage' AND d.status <> 'rejected'`,
+    [patientId]
+  );
+  const result = await db.query(
+    `UPDATE mri_patients p
+        SET discount_amount = LEAST(
+              COALESCE((SELECT SUM(amount) FROM visit_discounts WHERE patient_id = p.id AND status = 'approved'), 0),
+              COALESCE(p.total_amount, 0)),
+            version = p.version + 1
+      WHERE p.id = $1
+      RETURNING discount_amount`,
+    [patientId]
+  );
+  return result.rows[0] ? Number(result.rows[0].discount_amount) : 0;
+};
+
+// Users whose role may approve discounts, to notify of a pending request
+export const findDiscountApprovers = async (db, { excludeUserId = null } = {}) => {
+  const result = await db.query(
+    `SELECT u.id
+       FROM users u
+       JOIN role_permissions rp ON rp.role = u.role AND rp.permission = 'discounts.approve'
+      WHERE (u.is_verified OR u.role = 'admin') AND ($1::int IS NULL OR u.id <> $1)`,
+    [excludeUserId]
+  );
+  return result.rows.map(row => row.id);
+};
@@ -0,0 +1,301 @@
+// utils/duplicatePatients.js
+// Fuzzy matching of registry patients (name, phone, email, age, NIN) and
+// merging of two registry patients into one.
+import { ageOnDate } from "./demographics.js";
+import { writeAuditEntry } from "./audit.js";
+
+// Score at or above which two records are reported as a likely duplicate
+export const DUPLICATE_THRESHOLD = 0.6;
+
+const nameTokens = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+// Last 10 digits, so "+234 803 123 4567" and "08031234567" compare equal
+export const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase() || null;
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const tokenSimilarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length);
+
+// 0..1, independent of word order: "Adebayo Olu" and "Olu Adebayo" score 1
+export const nameSimilarity = (nameA, nameB) => {
+  const tokensA = nameTokens(nameA);
+  const tokensB = nameTokens(nameB);
+  if (!tokensA.length || !tokensB.length) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const remaining = [...longer];
+  let total = 0;
+  for (const token of shorter) {
+    let bestIndex = 0;
+    let best = -1;
+    remaining.forEach((candidate, index) => {
+      const similarity = tokenSimilarity(token, candidate);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    total += best;
+    remaining.splice(bestIndex, 1);
+  }
+  // Extra words (a middle name) count against the match, but only lightly
+  return total / (shorter.length + (longer.length - shorter.length) * 0.5);
+};
+
+// Age now: exact from a date of birth, otherwise estimated from the age
+// recorded at the patient's latest visit
+const estimatedAge = (record) => {
+  if (record.date_of_birth) return ageOnDate(record.date_of_birth);
+  if (record.age === null || record.age === undefined || record.age === "") return null;
+  const age = Number(record.age);
+  if (Number.isNaN(age)) return null;
+  if (!record.age_recorded_at) return age;
+  const years = (Date.now() - new Date(record.age_recorded_at).getTime()) / (365.25 * 24 * 3600 * 1000);
+  return age + Math.max(0, years);
+};
+
+// Compares two records shaped like { full_name, contact_phone_number,
+// contact_email, age, age_recorded_at, date_of_birth, national_id_number }.
+// Returns { score, reasons }.
+export const scoreMatch = (a, b) => {
+  const reasons = [];
+  const similarity = nameSimilarity(a.full_name, b.full_name);
+  let score = similarity * 0.6;
+  if (similarity >= 0.99) reasons.push("same name");
+  else if (similarity >= 0.75) reasons.push("similar name");
+
+  const phoneA = normalizePhone(a.contact_phone_number);
+  if (phoneA && phoneA === normalizePhone(b.contact_phone_number)) {
+    score += 0.3;
+    reasons.push("same phone number");
+  }
+
+  const emailA = normalizeEmail(a.contact_email);
+  if (emailA && emailA === normalizeEmail(b.contact_email)) {
+    score += 0.3;
+    reasons.push("same email");
+  }
+
+  // A NIN belongs to one person, so matching numbers outweigh a different spelling
+  const ninA = String(a.national_id_number || "").trim();
+  if (ninA && ninA === String(b.national_id_number || "").trim()) {
+    score += 0.5;
+    reasons.push("same NIN");
+  }
+
+  const ageA = estimatedAge(a);
+  const ageB = estimatedAge(b);
+  if (ageA !== null && ageB !== null) {
+    const difference = Math.abs(ageA - ageB);
+    if (difference <= 2) {
+      score += 0.1;
+      reasons.push("similar age");
+    } else if (difference > 5) {
+      score -= 0.2;
+    }
+  }
+
+  return { score: Math.round(Math.min(score, 1) * 100) / 100, reasons };
+};
+
+// Registry columns plus the age from the latest visit; expects the table aliased as rp
+const CANDIDATE_SELECT_SQL = `
+  SELECT rp.*, lv.age, lv.mri_date_time AS age_recorded_at,
+         (SELECT COUNT(*)::int FROM mri_patients v WHERE v.registry_patient_id = rp.id AND v.deleted_at IS NULL) AS visit_count
+    FROM patients rp
+    LEFT JOIN LATERAL (
+      SELECT v.age, v.mri_date_time FROM mri_patients v
+       WHERE v.registry_patient_id = rp.id AND v.deleted_at IS NULL
+       ORDER BY v.mri_date_time DESC LIMIT 1
+    ) lv ON TRUE`;
+
+// Registry patients that look like the person described by `fields`
+// ({ patient_name, contact_phone_number, contact_email, age, date_of_birth,
+// national_id_number }), best first
+export const findDuplicateCandidates = async (db, fields, { excludeIds = [], limit = 5 } = {}) => {
+  const input = {
+    full_name: fields.patient_name,
+    contact_phone_number: fields.contact_phone_number,
+    contact_email: fields.contact_email,
+    age: fields.age,
+    date_of_birth: fields.date_of_birth,
+    national_id_number: fields.national_id_number,
+  };
+  const tokens = nameTokens(input.full_name).filter(t => t.length >= 3);
+  const phone = normalizePhone(input.contact_phone_number);
+  const email = normalizeEmail(input.contact_email);
+  const nin = String(input.national_id_number || "").trim() || null;
+  if (!tokens.length && !phone && !email && !nin) return [];
+
+  // Cheap prefilter in SQL; the real scoring happens below
+  const result = await db.query(
+    `${CANDIDATE_SELECT_SQL}
+     WHERE NOT (rp.id = ANY($4::int[]))
+       AND (
+         rp.full_name ILIKE ANY($1::text[])
+         OR ($2::text IS NOT NULL AND RIGHT(regexp_replace(rp.contact_phone_number, '\\D', '', 'g'), 10) = $2)
+         OR ($3::text IS NOT NULL AND LOWER(TRIM(rp.contact_email)) = $3)
+         OR ($5::text IS NOT NULL AND rp.national_id_number = $5)
+       )
+     LIMIT 200`,
+    [tokens.map(t => `%${t}%`), phone, email, excludeIds, nin]
+  );
+
+  return result.rows
+    .map(row => ({ ...row, ...scoreMatch(input, row) }))
+    .filter(row => row.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Likely duplicate pairs across the whole registry, for the admin review
+// screen. Pairs come from equal phone, email or word-order-insensitive name,
+// then are scored like single matches. Dismissed pairs are skipped.
+export const findDuplicatePairs = async (db, { limit = 100 } = {}) => {
+  const result = await db.query(
+    `WITH keyed AS (
+       SELECT id,
+              NULLIF(RIGHT(regexp_replace(COALESCE(contact_phone_number, ''), '\\D', '', 'g'), 10), '') AS phone_key,
+              NULLIF(LOWER(TRIM(contact_email)), '') AS email_key,
+              array_to_string(ARRAY(
+                SELECT t FROM unnest(regexp_split_to_array(TRIM(regexp_replace(LOWER(full_name), '[^a-z\\s]', ' ', 'g')), '\\s+')) AS t
+                 WHERE t <> '' ORDER BY t
+              ), ' ') AS name_key
+         FROM patients
+     ),
+     pairs AS (
+       SELECT a.id AS id_a, b.id AS id_b FROM keyed a JOIN keyed b ON a.id < b.id AND LENGTH(a.phone_key) >= 7 AND a.phone_key = b.phone_key
+       UNION
+       SELECT a.id, b.id FROM keyed a JOIN keyed b ON a.id < b.id AND a.email_key = b.email_key
+       UNION
+       SELECT a.id, b.id FROM keyed a JOIN keyed b ON a.id < b.id AND a.name_key <> '' AND a.name_key = b.name_key
+     )
+     SELECT p.id_a, p.id_b FROM pairs p
+      WHERE NOT EXISTS (
+        SELECT 1 FROM patient_duplicate_dismissals d WHERE d.patient_id_a = p.id_a AND d.patient_id_b = p.id_b
+      )
+      LIMIT 1000`
+  );
+  if (result.rows.length === 0) return [];
+
+  const ids = [...new Set(result.rows.flatMap(r => [r.id_a, r.id_b]))];
+  const records = await db.query(`${CANDIDATE_SELECT_SQL} WHERE rp.id = ANY($1::int[])`, [ids]);
+  const byId = new Map(records.rows.map(r => [r.id, r]));
+
+  return result.rows
+    .map(({ id_a, id_b }) => {
+      const a = byId.get(id_a);
+      const b = byId.get(id_b);
+      return { a, b, ...scoreMatch(a, b) };
+    })
+    .filter(pair => pair.score >= DUPLICATE_THRESHOLD)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+};
+
+// Registry details copied from the merged record when the survivor has none
+const MERGE_FILL_FIELDS = [
+  "gender", "contact_email", "contact_phone_number", "date_of_birth",
+  "address_line", "address_city", "address_lga", "address_state",
+  "next_of_kin_name", "next_of_kin_relationship", "next_of_kin_phone_number",
+  "national_id_number", "id_document_type", "id_document_number",
+];
+
+// Folds `mergedId` into `survivorId`: its visits (with their exams, results
+// and calendar events) move to the survivor, blank survivor details are
+// filled from the merged record, and the merge is recorded in
+// patient_merges and, as `req`'s user, in the audit log. Returns { survivor,
+// previousSurvivor, merged, movedVisitIds }, or null when either patient
+// does not exist.
+export const mergeRegistryPatients = async (db, { survivorId, mergedId, reason, userId, req = null }) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const locked = await client.query(
+      "SELECT * FROM patients WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE",
+      [[survivorId, mergedId]]
+    );
+    const survivor = locked.rows.find(r => r.id === survivorId);
+    const merged = locked.rows.find(r => r.id === mergedId);
+    if (!survivor || !merged) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const moved = await client.query(
+      "UPDATE mri_patients SET registry_patient_id = $1, version = version + 1 WHERE registry_patient_id = $2 RETURNING id",
+      [survivorId, mergedId]
+    );
+    const movedVisitIds = moved.rows.map(r => r.id);
+
+    const updatedSurvivor = await client.query(
+      `UPDATE patients SET
+         ${MERGE_FILL_FIELDS.map((field, index) =>
+           `${field} = COALESCE(${field === "date_of_birth" ? field : `NULLIF(${field}, '')`}, $${index + 2})`).join(", ")},
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [survivorId, ...MERGE_FILL_FIELDS.map(field => merged[field])]
+    );
+
+    // Earlier merges into the removed record now belong to the survivor
+    await client.query(
+      "UPDATE patient_merges SET survivor_patient_id = $1 WHERE survivor_patient_id = $2",
+      [survivorId, mergedId]
+    );
+    await client.query(
+      `INSERT INTO patient_merges
+         (survivor_patient_id, merged_patient_id, merged_hospital_number, merged_snapshot, moved_visit_ids, reason, merged_by_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [survivorId, mergedId, merged.hospital_number, JSON.stringify(merged), movedVisitIds, reason || null, userId]
+    );
+    await client.query("DELETE FROM patients WHERE id = $1", [mergedId]);
+
+    await writeAuditEntry(client, req, {
+      action: "patient.merge",
+      entityType: "registry_patient",
+      entityId: survivorId,
+      before: survivor,
+      after: updatedSurvivor.rows[0],
+      metadata: {
+        merged_patient_id: mergedId,
+        merged_hospital_number: merged.hospital_number,
+        merged_full_name: merged.full_name,
+        moved_visit_ids: movedVisitIds,
+        reason: reason || null,
+      },
+    });
+    await client.query("COMMIT");
+    return { survivor: updatedSurvivor.rows[0], previousSurvivor: survivor, merged, movedVisitIds };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,187 @@
+// utils/examCatalog.js
+// Examination catalog: the admin-managed list of examinations and prices,
+// and resolving the examinations on a visit against it so catalog items are
+// billed at the catalog or payer price and keep a snapshot of their name,
+// code and price.
+
+export const EXAM_BODY_REGIONS = [
+  "Head", "Neck", "Spine", "Chest", "Abdomen", "Pelvis", "Upper limb", "Lower limb", "Whole body",
+];
+
+const CATALOG_FIELDS = ["code", "name", "body_region", "with_contrast", "duration_minutes", "price"];
+
+const cleanText = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/\s+/g, " ");
+  return text === "" ? null : text;
+};
+
+const catalogKey = (value) => cleanText(value)?.toUpperCase() || null;
+
+// { field: message } and the cleaned values for a catalog item form
+export const validateCatalogItem = (fields) => {
+  const errors = {};
+  const code = catalogKey(fields.code);
+  const name = cleanText(fields.name);
+  const bodyRegion = cleanText(fields.body_region);
+  const duration = fields.duration_minutes === "" || fields.duration_minutes == null ? null : Number(fields.duration_minutes);
+  const price = fields.price === "" || fields.price == null ? null : Number(String(fields.price).replace(/[₦,\s]/g, ""));
+
+  if (!code) errors.code = "Enter a code.";
+  else if (!/^[A-Z0-9][A-Z0-9._-]{0,19}$/.test(code)) errors.code = "Use up to 20 letters, digits, dots, dashes or underscores.";
+  if (!name || name.length < 2) errors.name = "Enter the examination name.";
+  else if (name.length > 120) errors.name = "Name must be 120 characters or fewer.";
+  if (bodyRegion && !EXAM_BODY_REGIONS.includes(bodyRegion)) {
+    errors.body_region = `Body region must be one of: ${EXAM_BODY_REGIONS.join(", ")}.`;
+  }
+  if (duration !== null && (!Number.isInteger(duration) || duration < 1 || duration > 600)) {
+    errors.duration_minutes = "Duration must be a whole number of minutes between 1 and 600.";
+  }
+  if (price === null) errors.price = "Enter the price.";
+  else if (!Number.isFinite(price) || price < 0) errors.price = "Price must be a positive amount.";
+
+  return {
+    errors,
+    values: {
+      code,
+      name,
+      body_region: bodyRegion,
+      with_contrast: Boolean(fields.with_contrast),
+      duration_minutes: duration,
+      price: price === null ? null : Math.round(price * 100) / 100,
+    },
+  };
+};
+
+// Inserts (id null) or updates a catalog item from validated values. Returns
+// the saved row, or null when updating an item that does not exist.
+export const saveCatalogItem = async (db, id, values, { active = true } = {}) => {
+  const params = [...CATALOG_FIELDS.map(field => values[field]), Boolean(active)];
+  if (id === null) {
+    const result = await db.query(
+      `INSERT INTO exam_catalog (${CATALOG_FIELDS.join(", ")}, active)
+       VALUES (${CATALOG_FIELDS.map((_, index) => `$${index + 1}`).join(", ")}, $${CATALOG_FIELDS.length + 1})
+       RETURNING *`,
+      params
+    );
+    return result.rows[0];
+  }
+  const result = await db.query(
+    `UPDATE exam_catalog
+        SET ${CATALOG_FIELDS.map((field, index) => `${field} = $${index + 1}`).join(", ")},
+            active = $${CATALOG_FIELDS.length + 1}, updated_at = NOW()
+      WHERE id = $${CATALOG_FIELDS.length + 2}
+      RETURNING *`,
+    [...params, id]
+  );
+  return result.rows[0] || null;
+};
+
+// Catalog items with how often each has been booked, active first then by name
+export const listCatalogItems = async (db, { search, includeInactive = false } = {}) => {
+  const result = await db.query(
+    `SELECT c.*,
+            (SELECT COUNT(*)::int FROM patient_examinations e WHERE e.catalog_item_id = c.id) AS booking_count
+       FROM exam_catalog c
+      WHERE ($1::boolean OR c.active)
+        AND ($2::text IS NULL OR c.name ILIKE '%' || $2 || '%' OR c.code ILIKE '%' || $2 || '%')
+      ORDER BY c.active DESC, c.name`,
+    [includeInactive, cleanText(search)]
+  );
+  return result.rows;
+};
+
+// Every item, retired ones included, for resolveExaminations
+export const loadExamCatalog = async (db) => {
+  const result = await db.query("SELECT * FROM exam_catalog");
+  return result.rows;
+};
+
+// Checks a visit's examinations against the catalog. Each exam may name a
+// catalog item by catalog_item_id; one typed without it is linked when its
+// name or code matches an active item. Linked exams take the item's name and
+// code, and are charged the payer's price from `tariff` (see loadTariff in
+// priceLists.js) or else the catalog price, which is kept as the list price.
+// Exams the visit already had (`previous`, as stored) keep the price they
+// were billed at, so an edit does not re-price them, unless `reprice` is set
+// (the payer changed); retired items may only stay on a visit, not be added
+// to one. Typed exams that match nothing are refused, except ones the visit
+// already had from before the catalog, which keep their stored name and
+// amount.
+//
+// With lockPrices false (imports of past visits) typed exams and the amounts
+// given are kept, retired items are linked too, and no list price is recorded.
+//
+// Returns { errors, examinations } with errors keyed like validatePatient's
+// ("examinations.0.name") and examinations as [{ name, amount,
+// catalog_item_id, code, list_price, price_list_id }].
+export const resolveExaminations = (catalog, examinations, { previous = [], reprice = false, lockPrices = true, tariff = new Map() } = {}) => {
+  const byId = new Map(catalog.map(item => [item.id, item]));
+  const byKey = new Map();
+  for (const item of catalog) {
+    if (!item.active && lockPrices) continue;
+    byKey.set(catalogKey(item.code), item);
+    byKey.set(catalogKey(item.name), item);
+  }
+  // Each stored exam can vouch for one resubmitted exam of the same item
+  // (or, for exams from before the catalog, of the same name)
+  const unclaimed = reprice ? [] : previous.filter(exam => exam.catalog_item_id);
+  const unclaimedTyped = previous.filter(exam => !exam.catalog_item_id);
+
+  const errors = {};
+  const resolved = examinations.map((exam, index) => {
+    const requestedId = Number(exam.catalog_item_id);
+    let item = null;
+    if (exam.catalog_item_id !== null && exam.catalog_item_id !== undefined && exam.catalog_item_id !== "") {
+      item = Number.isInteger(requestedId) ? byId.get(requestedId) : null;
+      if (!item) {
+        errors[`examinations.${index}.name`] = "That examination is not in the catalog.";
+        return exam;
+      }
+    } else {
+      item = byKey.get(catalogKey(exam.name)) || null;
+    }
+    if (!item) {
+      if (!lockPrices) {
+        return { name: cleanText(exam.name), amount: exam.amount, catalog_item_id: null, code: null, list_price: null, price_list_id: null };
+      }
+      const kept = unclaimedTyped.findIndex(previousExam => catalogKey(previousExam.name) === catalogKey(exam.name));
+      if (kept === -1) {
+        errors[`examinations.${index}.name`] = "Choose an examination from the catalog.";
+        return exam;
+      }
+      const [previousExam] = unclaimedTyped.splice(kept, 1);
+      return { name: previousExam.name, amount: Number(previousExam.amount), catalog_item_id: null, code: null, list_price: null, price_list_id: null };
+    }
+
+    const kept = unclaimed.findIndex(previousExam => previousExam.catalog_item_id === item.id);
+    if (kept !== -1) {
+      const [previousExam] = unclaimed.splice(kept, 1);
+      return {
+        name: previousExam.name,
+        amount: Number(previousExam.amount),
+        catalog_item_id: item.id,
+        code: previousExam.code || item.code,
+        list_price: previousExam.list_price ?? null,
+        price_list_id: previousExam.price_list_id ?? null,
+      };
+    }
+    if (!item.active && lockPrices) {
+      errors[`examinations.${index}.name`] = `${item.name} is no longer offered.`;
+      return exam;
+    }
+    if (!lockPrices) {
+      return { name: item.name, amount: exam.amount, catalog_item_id: item.id, code: item.code, list_price: null, price_list_id: null };
+    }
+    const payerPrice = tariff.get(item.id);
+    return {
+      name: item.name,
+      amount: payerPrice ? payerPrice.price : Number(item.price),
+      catalog_item_id: item.id,
+      code: item.code,
+      list_price: Number(item.price),
+      price_list_id: payerPrice ? payerPrice.price_list_id : null,
+    };
+  });
+  return { errors, examinations: resolved };
+};
@@ -0,0 +1,27 @@
+// utils/invitations.js
+import crypto from "crypto";
+import { hashToken } from "./sessions.js";
+
+// No 0/O or 1/I, so codes survive being read out over the phone
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// e.g. "K7QP-M2XD-9RWA"
+export const generateInvitationCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return chars.match(/.{4}/g).join("-");
+};
+
+export const normalizeInvitationCode = (code) =>
+  String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "").match(/.{1,4}/g)?.join("-") || "";
+
+export const hashInvitationCode = (code) => hashToken(normalizeInvitationCode(code));
+
+// SQL expression for an invitation's lifecycle state; expects the table aliased as i
+export const INVITATION_STATUS_SQL = `
+  CASE
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END`;
@@ -0,0 +1,121 @@
+// utils/loginThrottle.js
+// Brute-force protection for the login endpoints. Failures are counted per
+// username and per IP address inside a sliding window: after a few failures
+// each further attempt must wait progressively longer, and past the lockout
+// threshold the username (or IP) is locked for a fixed period.
+import { getClientIp, getUserAgent } from "./requestInfo.js";
+
+const WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const DELAY_AFTER = Number(process.env.LOGIN_DELAY_AFTER) || 3;
+const BASE_DELAY_SECONDS = Number(process.env.LOGIN_BASE_DELAY_SECONDS) || 2;
+const MAX_DELAY_SECONDS = Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 60;
+const USERNAME_LOCKOUT_AFTER = Number(process.env.LOGIN_LOCKOUT_AFTER) || 10;
+// A clinic often sits behind one NAT address, so the IP limit is much looser
+const IP_LOCKOUT_AFTER = Number(process.env.LOGIN_IP_LOCKOUT_AFTER) || 50;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Rejections by the throttle itself are logged but do not count as guesses
+const UNCOUNTED_REASONS = ["locked", "throttled", "not_verified"];
+
+export const normalizeUsername = (username) => String(username || "").trim().toLowerCase();
+
+const activeLockout = async (db, scope, key) => {
+  const result = await db.query(
+    `SELECT id, locked_until FROM login_lockouts
+      WHERE scope = $1 AND lock_key = $2 AND unlocked_at IS NULL AND locked_until > NOW()
+      ORDER BY locked_until DESC LIMIT 1`,
+    [scope, key]
+  );
+  return result.rows[0] || null;
+};
+
+// Failures that still count: inside the window and after the last success or
+// admin unlock (successes only reset the username counter)
+const recentFailures = async (db, scope, key) => {
+  const column = scope === "username" ? "username" : "ip_address";
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failure_at
+       FROM login_attempts
+      WHERE ${column} = $1
+        AND success = FALSE
+        AND (failure_reason IS NULL OR failure_reason <> ALL($2::text[]))
+        AND created_at > GREATEST(
+          NOW() - make_interval(mins => $3),
+          COALESCE((SELECT MAX(unlocked_at) FROM login_lockouts WHERE scope = $4 AND lock_key = $1), '-infinity'),
+          CASE WHEN $4 = 'username'
+               THEN COALESCE((SELECT MAX(created_at) FROM login_attempts WHERE username = $1 AND success), '-infinity')
+               ELSE '-infinity'::timestamptz END
+        )`,
+    [key, UNCOUNTED_REASONS, WINDOW_MINUTES, scope]
+  );
+  return result.rows[0];
+};
+
+const delayForFailures = (failures) =>
+  failures < DELAY_AFTER
+    ? 0
+    : Math.min(BASE_DELAY_SECONDS * 2 ** (failures - DELAY_AFTER), MAX_DELAY_SECONDS);
+
+// Returns { allowed: true } or { allowed: false, reason: 'locked'|'throttled', retryAfter (seconds) }
+export const checkLoginAllowed = async (db, username, req) => {
+  const usernameKey = normalizeUsername(username);
+  const ip = getClientIp(req);
+
+  const lockouts = [
+    await activeLockout(db, "username", usernameKey),
+    ip ? await activeLockout(db, "ip", ip) : null,
+  ].filter(Boolean);
+  if (lockouts.length > 0) {
+    const until = Math.max(...lockouts.map(l => new Date(l.locked_until).getTime()));
+    return { allowed: false, reason: "locked", retryAfter: Math.ceil((until - Date.now()) / 1000) };
+  }
+
+  const { failures, last_failure_at } = await recentFailures(db, "username", usernameKey);
+  const delay = delayForFailures(failures);
+  if (delay > 0 && last_failure_at) {
+    const waitMs = new Date(last_failure_at).getTime() + delay * 1000 - Date.now();
+    if (waitMs > 0) {
+      return { allowed: false, reason: "throttled", retryAfter: Math.ceil(waitMs / 1000) };
+    }
+  }
+
+  return { allowed: true };
+};
+
+const lockIfOverThreshold = async (db, scope, key, threshold) => {
+  const { failures } = await recentFailures(db, scope, key);
+  if (failures < threshold || (await activeLockout(db, scope, key))) return;
+  await db.query(
+    `INSERT INTO login_lockouts (scope, lock_key, failed_count, locked_until)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [scope, key, failures, LOCKOUT_MINUTES]
+  );
+};
+
+// Stores the attempt and, for counted failures, applies any lockout it triggers
+export const recordLoginAttempt = async (db, req, { username, userId = null, success, reason = null }) => {
+  const usernameKey = normalizeUsername(username);
+  const ip = getClientIp(req);
+
+  await db.query(
+    `INSERT INTO login_attempts (username, user_id, ip_address, user_agent, success, failure_reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [usernameKey, userId, ip, getUserAgent(req), success, success ? null : reason]
+  );
+
+  if (!success && !UNCOUNTED_REASONS.includes(reason)) {
+    await lockIfOverThreshold(db, "username", usernameKey, USERNAME_LOCKOUT_AFTER);
+    if (ip) await lockIfOverThreshold(db, "ip", ip, IP_LOCKOUT_AFTER);
+  }
+};
+
+// Lifts a lockout; failures before the unlock stop counting
+export const unlockLockout = async (db, lockoutId, adminUserId) => {
+  const result = await db.query(
+    `UPDATE login_lockouts SET unlocked_at = NOW(), unlocked_by_user_id = $2
+      WHERE id = $1 AND unlocked_at IS NULL
+      RETURNING id, scope, lock_key`,
+    [lockoutId, adminUserId]
+  );
+  return result.rows[0] || null;
+};
@@ -0,0 +1,124 @@
+// utils/mfa.js
+import QRCode from "qrcode";
+import { hashToken } from "./sessions.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from "./totp.js";
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "G2G Medical MRI ERP";
+
+// Comma-separated roles that must use 2FA, e.g. TOTP_REQUIRED_ROLES=admin,financial_admin
+const TOTP_REQUIRED_ROLES = (process.env.TOTP_REQUIRED_ROLES || "")
+  .split(",")
+  .map(r => r.trim())
+  .filter(Boolean);
+
+export const isMfaRequiredForRole = (role) => TOTP_REQUIRED_ROLES.includes(role);
+
+// Stores a fresh, not-yet-enabled secret and returns what the authenticator app needs
+export const startTotpEnrollment = async (db, user) => {
+  const secret = generateTotpSecret();
+  await db.query(
+    "UPDATE users SET totp_secret = $1, totp_enabled = FALSE, totp_last_step = NULL WHERE id = $2",
+    [secret, user.id]
+  );
+  const otpauthUrl = buildOtpauthUrl(secret, user.username, TOTP_ISSUER);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+const replaceRecoveryCodes = async (db, userId) => {
+  const codes = generateRecoveryCodes();
+  await db.query("DELETE FROM user_recovery_codes WHERE user_id = $1", [userId]);
+  for (const code of codes) {
+    await db.query(
+      "INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)",
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+};
+
+// Checks the first code from the app against the pending secret.
+// Returns the new recovery codes, or null when the code is wrong.
+export const confirmTotpEnrollment = async (db, userId, code) => {
+  const result = await db.query("SELECT totp_secret FROM users WHERE id = $1", [userId]);
+  const secret = result.rows[0]?.totp_secret;
+  if (!secret) return null;
+
+  const step = verifyTotp(secret, code);
+  if (step === null) return null;
+
+  await db.query(
+    `UPDATE users SET totp_enabled = TRUE, totp_enabled_at = NOW(), totp_last_step = $1
+      WHERE id = $2`,
+    [step, userId]
+  );
+  return replaceRecoveryCodes(db, userId);
+};
+
+// Accepts either a current TOTP code or an unused recovery code.
+// Returns "totp", "recovery_code" or null.
+export const verifySecondFactor = async (db, userId, { code, recoveryCode }) => {
+  const result = await db.query(
+    "SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = $1",
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !user.totp_enabled) return null;
+
+  if (code) {
+    const step = verifyTotp(user.totp_secret, code, { lastStep: user.totp_last_step });
+    if (step === null) return null;
+    // Conditional update so two concurrent requests cannot both use the same code
+    const updated = await db.query(
+      `UPDATE users SET totp_last_step = $1
+        WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)`,
+      [step, userId]
+    );
+    return updated.rowCount > 0 ? "totp" : null;
+  }
+
+  if (recoveryCode) {
+    const used = await db.query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        RETURNING id`,
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    return used.rows.length > 0 ? "recovery_code" : null;
+  }
+
+  return null;
+};
+
+export const regenerateRecoveryCodes = (db, userId) => replaceRecoveryCodes(db, userId);
+
+export const disableTotp = async (db, userId) => {
+  await db.query(
+    `UPDATE users SET totp_secret = NULL, totp_enabled = FALSE, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE id = $1`,
+    [userId]
+  );
+  await db.query("DELETE FROM user_recovery_codes WHERE user_id = $1", [userId]);
+};
+
+export const getMfaStatus = async (db, userId, role) => {
+  const result = await db.query(
+    `SELECT u.totp_enabled, u.totp_enabled_at,
+            (SELECT COUNT(*) FROM user_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL)::int AS recovery_codes_remaining
+       FROM users u WHERE u.id = $1`,
+    [userId]
+  );
+  const row = result.rows[0] || {};
+  return {
+    enabled: !!row.totp_enabled,
+    enabled_at: row.totp_enabled_at || null,
+    recovery_codes_remaining: row.recovery_codes_remaining || 0,
+    required: isMfaRequiredForRole(role),
+  };
+};
@@ -0,0 +1,83 @@
+// utils/numbering.js
+// Sequential document numbers (MRI codes, serials, receipts) from patterns
+// stored in number_sequences, e.g. "G2G-MRI-{YYYY}-{000000}".
+//
+// Tokens: {YYYY} {YY} {MM} {DD} for the issue date, and exactly one counter:
+// {0000} (zero-padded to the number of zeros) or {#} (no padding).
+
+const TOKEN_PATTERN = /\{(YYYY|YY|MM|DD|0+|#)\}/g;
+const COUNTER_PATTERN = /\{(0+|#)\}/g;
+
+export const RESET_POLICIES = ["never", "yearly"];
+
+// Returns an error message, or null when the pattern can be used
+export const validatePattern = (pattern, resetPolicy) => {
+  if (typeof pattern !== "string" || !pattern.trim()) return "Pattern is required.";
+  if (pattern.length > 64) return "Pattern must be at most 64 characters.";
+  if (!RESET_POLICIES.includes(resetPolicy)) return "Reset policy must be 'never' or 'yearly'.";
+
+  const unknown = pattern.replace(TOKEN_PATTERN, "").match(/\{[^}]*\}/);
+  if (unknown) return `Unknown token ${unknown[0]}.`;
+
+  const counters = pattern.match(COUNTER_PATTERN) || [];
+  if (counters.length !== 1) return "Pattern must contain exactly one counter, e.g. {000000}.";
+
+  // Without the year the counter would restart and repeat last year's numbers
+  if (resetPolicy === "yearly" && !/\{YY(YY)?\}/.test(pattern)) {
+    return "A sequence that resets yearly must include {YYYY} or {YY}.";
+  }
+  return null;
+};
+
+const periodFor = (resetPolicy, date) => (resetPolicy === "yearly" ? String(date.getFullYear()) : "");
+
+export const formatNumber = (pattern, value, date = new Date()) => {
+  const pad2 = (n) => String(n).padStart(2, "0");
+  return pattern.replace(TOKEN_PATTERN, (match, token) => {
+    if (token === "YYYY") return String(date.getFullYear());
+    if (token === "YY") return String(date.getFullYear()).slice(-2);
+    if (token === "MM") return pad2(date.getMonth() + 1);
+    if (token === "DD") return pad2(date.getDate());
+    if (token === "#") return String(value);
+    return String(value).padStart(token.length, "0");
+  });
+};
+
+const loadSequence = async (db, key) => {
+  const result = await db.query("SELECT * FROM number_sequences WHERE key = $1", [key]);
+  if (!result.rows.length) throw new Error(`Unknown number sequence: ${key}`);
+  return result.rows[0];
+};
+
+// Allocates the next number. Call it with the transaction client that also
+// stores the number: the counter row stays locked until commit, and a
+// rollback gives the number back, so issued numbers have no gaps.
+// `isTaken(value)` may skip numbers that already exist (e.g. after a pattern change).
+export const nextNumber = async (db, key, { date = new Date(), isTaken } = {}) => {
+  const sequence = await loadSequence(db, key);
+  const period = periodFor(sequence.reset_policy, date);
+
+  for (;;) {
+    const counter = await db.query(
+      `INSERT INTO number_sequence_counters (sequence_key, period, last_value)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (sequence_key, period)
+         DO UPDATE SET last_value = number_sequence_counters.last_value + 1
+       RETURNING last_value`,
+      [key, period]
+    );
+    const value = formatNumber(sequence.pattern, counter.rows[0].last_value, date);
+    if (!isTaken || !(await isTaken(value))) return value;
+  }
+};
+
+// What the next number will look like, without using it up
+export const previewNextNumber = async (db, key, date = new Date()) => {
+  const sequence = await loadSequence(db, key);
+  const counter = await db.query(
+    "SELECT last_value FROM number_sequence_counters WHERE sequence_key = $1 AND period = $2",
+    [key, periodFor(sequence.reset_policy, date)]
+  );
+  const lastValue = counter.rows.length ? Number(counter.rows[0].last_value) : 0;
+  return { lastValue, next: formatNumber(sequence.pattern, lastValue + 1, date) };
+};
@@ -0,0 +1,47 @@
+// utils/passwordPolicy.js
+
+const envFlag = (value, fallback) =>
+  value === undefined ? fallback : value === "true";
+
+// Configurable through the environment; defaults are a reasonable baseline
+export const passwordPolicy = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireUppercase: envFlag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: envFlag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireNumber: envFlag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: envFlag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+};
+
+// Returns a list of human-readable problems; empty when the password is acceptable
+export const validatePassword = (password, { username, email } = {}) => {
+  const errors = [];
+  if (typeof password !== "string" || password.length === 0) {
+    return ["Password is required."];
+  }
+
+  if (password.length < passwordPolicy.minLength) {
+    errors.push(`Password must be at least ${passwordPolicy.minLength} characters long.`);
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain an uppercase letter.");
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push("Password must contain a lowercase letter.");
+  }
+  if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push("Password must contain a number.");
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push("Password must contain a symbol.");
+  }
+
+  const lowered = password.toLowerCase();
+  if (username && lowered.includes(String(username).toLowerCase())) {
+    errors.push("Password must not contain your username.");
+  }
+  if (email && lowered.includes(String(email).split("@")[0].toLowerCase())) {
+    errors.push("Password must not contain your email name.");
+  }
+
+  return errors;
+};
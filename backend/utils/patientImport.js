@@ -0,0 +1,333 @@
+// utils/patientImport.js
+// Bulk import of past visits from .xlsx/.csv: reading the sheet, mapping its
+// columns onto visit fields, and checking every row before anything is written.
+import ExcelJS from "exceljs";
+import { Readable } from "stream";
+import { PATIENT_SCHEMA, validateRecord } from "./patientValidation.js";
+import { findDuplicateCandidates, normalizePhone } from "./duplicatePatients.js";
+import { loadExamCatalog, resolveExaminations } from "./examCatalog.js";
+import { PAYER_CATEGORIES } from "./priceLists.js";
+
+export const MAX_IMPORT_ROWS = 5000;
+
+export const PAYMENT_STATUSES = ["Approved", "Pending", "Not Paid"];
+
+// Payment types as older records write them, by the type they are stored as
+export const IMPORT_PAYMENT_TYPES = {
+  Cash: ["cash payment", "paid cash"],
+  Transfer: ["bank transfer", "bank", "online transfer", "mobile transfer"],
+  Card: ["pos", "atm", "debit card", "credit card"],
+};
+
+// Registration rules, except that paper records often have no email address
+const IMPORT_SCHEMA = { ...PATIENT_SCHEMA, contact_email: { ...PATIENT_SCHEMA.contact_email, required: false } };
+
+// Fields a column can be mapped to. Examinations and their amounts hold
+// several values separated by ";" (one amount per examination, same order).
+export const IMPORT_FIELDS = {
+  patient_name: { label: "Patient name", required: true, aliases: ["name", "patient", "full name", "patient name"] },
+  gender: { label: "Gender", aliases: ["sex"] },
+  date_of_birth: { label: "Date of birth", aliases: ["dob", "birth date", "date of birth"] },
+  age: { label: "Age", aliases: ["age (years)"] },
+  weight_kg: { label: "Weight (kg)", required: true, aliases: ["weight", "weight kg"] },
+  contact_email: { label: "Email", aliases: ["email", "e-mail", "email address"] },
+  contact_phone_number: { label: "Phone number", aliases: ["phone", "telephone", "mobile", "phone number"] },
+  address_line: { label: "Street address", aliases: ["address", "street"] },
+  address_city: { label: "Town/city", aliases: ["town", "city"] },
+  address_lga: { label: "LGA", aliases: ["local government", "local government area"] },
+  address_state: { label: "State", aliases: ["state of residence"] },
+  next_of_kin_name: { label: "Next of kin", aliases: ["nok", "next of kin name"] },
+  next_of_kin_relationship: { label: "Next of kin relationship", aliases: ["nok relationship", "relationship"] },
+  next_of_kin_phone_number: { label: "Next of kin phone", aliases: ["nok phone", "next of kin phone number"] },
+  national_id_number: { label: "NIN", aliases: ["national id", "national id number", "nin"] },
+  referral_hospital: { label: "Referral hospital", aliases: ["hospital", "referring hospital"] },
+  referring_doctor: { label: "Referring doctor", aliases: ["doctor", "referred by"] },
+  radiographer_name: { label: "Radiographer", aliases: ["radiographer"] },
+  radiologist_name: { label: "Radiologist", aliases: ["radiologist"] },
+  remarks: { label: "Remarks", aliases: ["notes", "comments"] },
+  payment_type: { label: "Payment type", required: true, aliases: ["payment method", "paid by"] },
+  payer_category: { label: "Payer (Cash, HMO, Staff, Partner hospital)", aliases: ["payer", "payer category", "tariff", "billing category"] },
+  payment_status: { label: "Payment status", aliases: ["status", "paid"] },
+  mri_date_time: { label: "Visit date", aliases: ["date", "visit date", "mri date", "scan date"] },
+  hospital_number: { label: "Hospital number (existing patient)", aliases: ["hospital no", "hospital number", "hn"] },
+  examinations: { label: "Examinations", required: true, aliases: ["examination", "exam", "exams", "test", "tests"] },
+  exam_amounts: { label: "Examination amounts", required: true, aliases: ["amount", "amounts", "price", "fee", "fees"] },
+};
+
+// Values a column may hold, listed beside the mapping so a file can be fixed before it is checked
+export const IMPORT_FIELD_VALUES = {
+  gender: PATIENT_SCHEMA.gender.values,
+  payment_type: Object.entries(IMPORT_PAYMENT_TYPES).map(([type, names]) => `${type} (or ${names.join(", ")})`),
+  payment_status: PAYMENT_STATUSES.map(status => status === "Not Paid" ? "Not Paid (when blank)" : status),
+};
+
+const normalizeHeader = (header) => String(header || "").toLowerCase().replace(/[_\s]+/g, " ").trim();
+
+// Plain value of a cell: formulas give their result, rich text and links their text
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    if ("result" in value) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join("");
+    if ("text" in value) return cellValue(value.text);
+    return null;
+  }
+  return value;
+};
+
+// First worksheet as { headers, rows }; each row is { rowNumber, values: { header: value } }.
+// Blank rows are skipped, and row numbers match the spreadsheet for the report.
+export const readImportSheet = async (buffer, fileName) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  if (/\.csv$/i.test(fileName)) {
+    // Keep every value as text so phone numbers keep their leading zero
+    worksheet = await workbook.csv.read(Readable.from(buffer.toString("utf8")), { map: (value) => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+  if (!worksheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    const header = cellValue(cell.value);
+    headers[column - 1] = header === null ? "" : String(header).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    let blank = true;
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const value = cellValue(row.getCell(index + 1).value);
+      if (value !== null && String(value).trim() !== "") blank = false;
+      values[header] = value;
+    });
+    if (!blank) rows.push({ rowNumber, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+// Best guess at { field: header } from the header names
+export const suggestMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+  for (const [field, definition] of Object.entries(IMPORT_FIELDS)) {
+    const names = [field, definition.label, ...definition.aliases].map(normalizeHeader);
+    const header = headers.find(h => !used.has(h) && names.includes(normalizeHeader(h)));
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  }
+  return mapping;
+};
+
+// Returns a message for each required field without a column
+export const checkMapping = (mapping, headers) => {
+  const problems = [];
+  for (const [field, definition] of Object.entries(IMPORT_FIELDS)) {
+    const header = mapping[field];
+    if (!header) {
+      if (definition.required) problems.push(`${definition.label} must be mapped to a column.`);
+    } else if (!headers.includes(header)) {
+      problems.push(`Column "${header}" (for ${definition.label}) is not in the file.`);
+    }
+  }
+  return problems;
+};
+
+const splitList = (value) =>
+  value === null || value === undefined ? [] : String(value).split(";").map(part => part.trim()).filter(Boolean);
+
+// Dates as written in the sheet; undefined when not a date. Text dates are
+// read as UTC midnight, like the dates ExcelJS reads from .xlsx cells.
+const parseSheetDate = (value) => {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  if (value instanceof Date) return value;
+  // Day first, as the paper records are kept: 14/03/2019 or 14-03-2019
+  const dayFirst = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(String(value).trim());
+  if (dayFirst) {
+    const [day, month, year] = [Number(dayFirst[1]), Number(dayFirst[2]), Number(dayFirst[3])];
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Date.UTC() rolls 31/02 over into March; treat that as invalid
+    return date.getUTCDate() === day && date.getUTCMonth() === month - 1 ? date : undefined;
+  }
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Turns a sheet row into { fields, hospitalNumber, visitDate, paymentStatus, errors }
+// where `fields` has the same shape as the body of POST /api/patients
+const mapRow = (row, mapping) => {
+  const pick = (field) => {
+    const value = mapping[field] ? row.values[mapping[field]] : null;
+    if (value instanceof Date || value === null || value === undefined) return value ?? null;
+    const text = String(value).trim();
+    return text === "" ? null : text;
+  };
+  const errors = [];
+
+  const fields = {};
+  for (const field of Object.keys(IMPORT_FIELDS)) {
+    if (["payment_status", "mri_date_time", "date_of_birth", "hospital_number", "examinations", "exam_amounts"].includes(field)) continue;
+    fields[field] = pick(field);
+  }
+  // Payer is matched case-insensitively and defaults to Cash
+  fields.payer_category = fields.payer_category
+    ? PAYER_CATEGORIES.find(category => category.toLowerCase() === fields.payer_category.toLowerCase()) || fields.payer_category
+    : "Cash";
+  // Matched case-insensitively, including the wordings older records use
+  if (fields.payment_type) {
+    const written = fields.payment_type.toLowerCase();
+    fields.payment_type = Object.keys(IMPORT_PAYMENT_TYPES)
+      .find(type => type.toLowerCase() === written || IMPORT_PAYMENT_TYPES[type].includes(written)) || fields.payment_type;
+  }
+  // Spreadsheets store 08031234567 as the number 8031234567
+  if (/^[789]\d{9}$/.test(fields.contact_phone_number || "")) {
+    fields.contact_phone_number = `0${fields.contact_phone_number}`;
+  }
+
+  const names = splitList(pick("examinations"));
+  const amounts = splitList(pick("exam_amounts"));
+  if (names.length !== amounts.length) {
+    errors.push(`${names.length} examination(s) but ${amounts.length} amount(s); separate several with ";".`);
+  }
+  fields.examinations = names.map((name, index) => ({ name, amount: amounts[index] ?? null }));
+
+  const dateOfBirth = parseSheetDate(pick("date_of_birth"));
+  if (dateOfBirth === undefined) errors.push("Date of birth is not a valid date.");
+  // Stored as YYYY-MM-DD, the format the form sends, so the schema check applies
+  fields.date_of_birth = dateOfBirth ? dateOfBirth.toISOString().slice(0, 10) : null;
+
+  const visitDate = parseSheetDate(pick("mri_date_time"));
+  if (visitDate === undefined) errors.push("Visit date is not a valid date.");
+  else if (visitDate && visitDate > new Date()) errors.push("Visit date is in the future.");
+
+  let paymentStatus = pick("payment_status") || "Not Paid";
+  const knownStatus = PAYMENT_STATUSES.find(status => status.toLowerCase() === String(paymentStatus).toLowerCase());
+  if (knownStatus) paymentStatus = knownStatus;
+  else errors.push(`Payment status must be one of: ${PAYMENT_STATUSES.join(", ")}.`);
+
+  return { fields, hospitalNumber: pick("hospital_number"), visitDate: visitDate || null, paymentStatus, errors };
+};
+
+const validationMessages = (errors) =>
+  Object.entries(errors).map(([key, message]) => {
+    const exam = /^examinations\.(\d+)\./.exec(key);
+    return exam ? `Examination ${Number(exam[1]) + 1}: ${message}` : message;
+  });
+
+// Same person within the file: same name (any word order) and phone number
+const personKey = (fields) => {
+  const phone = normalizePhone(fields.contact_phone_number);
+  if (!phone || !fields.patient_name) return null;
+  return `${String(fields.patient_name).toLowerCase().split(/\s+/).filter(Boolean).sort().join(" ")}|${phone}`;
+};
+
+// Checks every row without writing anything. Each result carries the data
+// needed to create the visit: { rowNumber, status, errors, warnings, fields,
+// hospitalNumber, registryPatientId, visitDate, paymentStatus, sameAsRow }.
+export const checkImportRows = async (db, rows, mapping) => {
+  const mapped = rows.map(row => ({ rowNumber: row.rowNumber, ...mapRow(row, mapping) }));
+
+  const hospitalNumbers = [...new Set(mapped.map(row => row.hospitalNumber).filter(Boolean))];
+  const registry = new Map();
+  if (hospitalNumbers.length) {
+    const found = await db.query("SELECT id, hospital_number FROM patients WHERE hospital_number = ANY($1::text[])", [hospitalNumbers]);
+    found.rows.forEach(patient => registry.set(patient.hospital_number, patient.id));
+  }
+
+  const catalog = await loadExamCatalog(db);
+  const firstRowByPerson = new Map();
+  const results = [];
+  for (const row of mapped) {
+    const errors = [...row.errors, ...validationMessages(validateRecord(IMPORT_SCHEMA, row.fields))];
+    // Past visits keep the amounts in the file; exams named like a catalog item are linked to it
+    if (errors.length === 0) {
+      row.fields.examinations = resolveExaminations(catalog, row.fields.examinations, { lockPrices: false }).examinations;
+    }
+    const warnings = [];
+    let registryPatientId = null;
+    let sameAsRow = null;
+
+    if (row.hospitalNumber) {
+      registryPatientId = registry.get(row.hospitalNumber) || null;
+      if (!registryPatientId) errors.push(`Hospital number ${row.hospitalNumber} is not in the registry.`);
+    } else {
+      const key = personKey(row.fields);
+      if (key && firstRowByPerson.has(key)) {
+        sameAsRow = firstRowByPerson.get(key);
+        warnings.push(`Same name and phone as row ${sameAsRow}; both visits will be filed under one patient.`);
+      } else {
+        if (key) firstRowByPerson.set(key, row.rowNumber);
+        if (errors.length === 0) {
+          const candidates = await findDuplicateCandidates(db, row.fields, { limit: 3 });
+          candidates.forEach(candidate => {
+            warnings.push(`May already be registered as ${candidate.full_name} (${candidate.hospital_number}): ${candidate.reasons.join(", ")}.`);
+          });
+        }
+      }
+    }
+
+    results.push({
+      rowNumber: row.rowNumber,
+      status: errors.length ? "error" : warnings.length ? "warning" : "ok",
+      errors,
+      warnings,
+      fields: row.fields,
+      hospitalNumber: row.hospitalNumber,
+      registryPatientId,
+      visitDate: row.visitDate,
+      paymentStatus: row.paymentStatus,
+      sameAsRow,
+    });
+  }
+  return results;
+};
+
+export const summarizeImport = (results) => ({
+  rows: results.length,
+  ok: results.filter(r => r.status === "ok").length,
+  warnings: results.filter(r => r.status === "warning").length,
+  errors: results.filter(r => r.status === "error").length,
+});
+
+// What is stored and returned for each row (no internal ids)
+export const reportRow = (result) => ({
+  row_number: result.rowNumber,
+  patient_name: result.fields.patient_name,
+  status: result.status,
+  errors: result.errors,
+  warnings: result.warnings,
+  mri_code: result.mriCode || null,
+  hospital_number: result.createdHospitalNumber || result.hospitalNumber || null,
+});
+
+// Keeps a dry run or import with its report; returns the new id
+export const saveImportRecord = async (db, { fileName, status, mapping, results, userId }) => {
+  const summary = summarizeImport(results);
+  const result = await db.query(
+    `INSERT INTO patient_imports
+       (file_name, status, row_count, error_count, warning_count, created_count, mapping, report, imported_by_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      fileName,
+      status,
+      summary.rows,
+      summary.errors,
+      summary.warnings,
+      status === "committed" ? summary.rows : 0,
+      mapping,
+      JSON.stringify(results.map(reportRow)),
+      userId,
+    ]
+  );
+  return result.rows[0].id;
+};
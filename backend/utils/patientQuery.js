@@ -0,0 +1,78 @@
+// utils/patientQuery.js
+// Filter and sort contract shared by the patient list and its Excel export.
+// SQL fragments expect visits aliased as mp, the registry as rp and the
+// recording user as u.
+
+// Columns a caller may search, by `searchField`; anything else searches all of them.
+// Each is covered by a trigram index (migration 012) so ILIKE '%term%' stays fast.
+export const PATIENT_SEARCH_FIELDS = {
+  patient_name: ["mp.patient_name"],
+  mri_code: ["mp.mri_code"],
+  hospital_number: ["rp.hospital_number"],
+  contact_phone_number: ["mp.contact_phone_number"],
+  receipt_number: ["mp.receipt_number"],
+  referrer: ["mp.referring_doctor", "mp.referral_hospital"],
+};
+
+const ALL_SEARCH_COLUMNS = [...new Set(Object.values(PATIENT_SEARCH_FIELDS).flat())];
+
+// `sortBy` values accepted from the client; never interpolate anything else
+export const PATIENT_SORT_COLUMNS = {
+  mri_date_time: "mp.mri_date_time",
+  created_at: "mp.created_at",
+  patient_name: "LOWER(mp.patient_name)",
+  hospital_number: "rp.hospital_number",
+  mri_code: "mp.mri_code",
+  age: "mp.age",
+  gender: "mp.gender",
+  referring_doctor: "LOWER(mp.referring_doctor)",
+  total_amount: "mp.total_amount",
+  payment_status: "mp.payment_status",
+  recorded_by: "LOWER(u.full_name)",
+};
+
+// Builds the WHERE clause from search, searchField, gender, recordedBy,
+// paymentStatus, startDate and endDate. Returns { whereSql, params, nextIndex }.
+export const buildPatientFilters = (query) => {
+  const { search, searchField, gender, recordedBy, paymentStatus, startDate, endDate } = query;
+  const clauses = ["mp.deleted_at IS NULL"];
+  const params = [];
+  let idx = 1;
+
+  if (search && search.trim() !== "") {
+    const columns = PATIENT_SEARCH_FIELDS[searchField] || ALL_SEARCH_COLUMNS;
+    clauses.push(`(${columns.map(column => `${column} ILIKE $${idx}`).join(" OR ")})`);
+    params.push(`%${search.trim()}%`);
+    idx++;
+  }
+  if (gender && gender !== "All") {
+    clauses.push(`mp.gender = $${idx++}`);
+    params.push(gender);
+  }
+  if (recordedBy) {
+    clauses.push(`mp.recorded_by_staff_id = $${idx++}`);
+    params.push(recordedBy);
+  }
+  if (paymentStatus) {
+    clauses.push(`mp.payment_status = $${idx++}`);
+    params.push(paymentStatus);
+  }
+  if (startDate) {
+    clauses.push(`mp.mri_date_time >= $${idx++}`);
+    params.push(startDate);
+  }
+  if (endDate) {
+    clauses.push(`mp.mri_date_time <= $${idx++}`);
+    params.push(`${endDate} 23:59:59`);
+  }
+
+  return { whereSql: `WHERE ${clauses.join(" AND ")}`, params, nextIndex: idx };
+};
+
+// Newest visits first unless a whitelisted sortBy/sortOrder is given. The id
+// tiebreaker keeps paging stable when many rows share a sort value.
+export const buildPatientOrder = (query) => {
+  const column = PATIENT_SORT_COLUMNS[query.sortBy] || PATIENT_SORT_COLUMNS.mri_date_time;
+  const direction = String(query.sortOrder).toLowerCase() === "asc" ? "ASC" : "DESC";
+  return `ORDER BY ${column} ${direction} NULLS LAST, mp.id ${direction}`;
+};
@@ -0,0 +1,65 @@
+// utils/patientRegistry.js
+// The patient master index: one `patients` row per person, with each
+// mri_patients row being one visit linked through registry_patient_id.
+
+// Demographics that live on the registry patient; visits keep a copy as it
+// was at the time of the visit
+export const REGISTRY_FIELDS = {
+  patient_name: "full_name",
+  gender: "gender",
+  contact_email: "contact_email",
+  contact_phone_number: "contact_phone_number",
+  date_of_birth: "date_of_birth",
+  address_line: "address_line",
+  address_city: "address_city",
+  address_lga: "address_lga",
+  address_state: "address_state",
+  next_of_kin_name: "next_of_kin_name",
+  next_of_kin_relationship: "next_of_kin_relationship",
+  next_of_kin_phone_number: "next_of_kin_phone_number",
+  national_id_number: "national_id_number",
+  id_document_type: "id_document_type",
+  id_document_number: "id_document_number",
+};
+
+// The registry demographics in `visitFields`, keyed by visit field name;
+// fields left blank fall back to what the registry patient already has
+export const pickDemographics = (visitFields, registryPatient = null) => {
+  const demographics = {};
+  for (const [visitField, registryField] of Object.entries(REGISTRY_FIELDS)) {
+    demographics[visitField] = visitFields[visitField] || registryPatient?.[registryField] || null;
+  }
+  return demographics;
+};
+
+export const createRegistryPatient = async (db, visitFields, userId) => {
+  const registryFields = Object.values(REGISTRY_FIELDS);
+  const values = Object.keys(REGISTRY_FIELDS).map(visitField => visitFields[visitField] || null);
+  const result = await db.query(
+    `INSERT INTO patients (${registryFields.join(", ")}, created_by_user_id)
+     VALUES (${registryFields.map((_, index) => `$${index + 1}`).join(", ")}, $${registryFields.length + 1})
+     RETURNING *`,
+    [...values, userId]
+  );
+  return result.rows[0];
+};
+
+// Copies the demographics present in `visitFields` onto the registry patient,
+// so the registry always holds the latest known details
+export const syncRegistryDemographics = async (db, registryPatientId, visitFields) => {
+  const updates = [];
+  const values = [];
+  let idx = 1;
+  for (const [visitField, registryField] of Object.entries(REGISTRY_FIELDS)) {
+    if (visitFields[visitField] === undefined) continue;
+    updates.push(`${registryField} = $${idx++}`);
+    values.push(visitFields[visitField] || null);
+  }
+  if (updates.length === 0) return;
+
+  values.push(registryPatientId);
+  await db.query(
+    `UPDATE patients SET ${updates.join(", ")}, updated_at = NOW() WHERE id = $${idx}`,
+    values
+  );
+};
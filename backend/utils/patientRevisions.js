@@ -0,0 +1,93 @@
+// utils/patientRevisions.js
+// Numbered revisions of a visit (mri_patients row). Each snapshot holds the
+// editable fields, the total and the examinations as they were after a save.
+import { diffRecords } from "./audit.js";
+import { PATIENT_COLUMNS } from "./patientValidation.js";
+
+// pg returns NUMERIC as strings; store numbers so snapshots compare cleanly
+const NUMERIC_FIELDS = new Set(["age", "weight_kg", "total_amount"]);
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Catalog links and pricing are only written for exams that have one, so
+// snapshots taken before the catalog existed compare equal to ones taken after
+export const examSnapshot = (row) => ({
+  name: row.exam_name,
+  amount: Number(row.exam_amount),
+  ...(row.catalog_item_id && {
+    catalog_item_id: row.catalog_item_id,
+    code: row.exam_code,
+    list_price: toNumber(row.list_price),
+    price_list_id: row.price_list_id,
+  }),
+});
+
+export const loadRevisionSnapshot = async (db, patientId) => {
+  const patient = await db.query(
+    `SELECT ${[...PATIENT_COLUMNS, "total_amount"].join(", ")} FROM mri_patients WHERE id = $1`,
+    [patientId]
+  );
+  if (patient.rows.length === 0) return null;
+  const exams = await db.query(
+    "SELECT exam_name, exam_amount, catalog_item_id, exam_code, list_price, price_list_id FROM patient_examinations WHERE patient_id = $1 ORDER BY id",
+    [patientId]
+  );
+
+  const snapshot = {};
+  for (const [field, value] of Object.entries(patient.rows[0])) {
+    snapshot[field] = NUMERIC_FIELDS.has(field) ? toNumber(value) : value;
+  }
+  snapshot.examinations = exams.rows.map(examSnapshot);
+  return snapshot;
+};
+
+// Stores the visit's current state as its next revision. Call it inside the
+// transaction that made the change, while holding the mri_patients row lock,
+// so two saves cannot take the same number.
+export const recordPatientRevision = async (db, patientId, { action, userId, restoredFromRevision = null }) => {
+  const snapshot = await loadRevisionSnapshot(db, patientId);
+  const result = await db.query(
+    `INSERT INTO patient_revisions (patient_id, revision_number, action, snapshot, restored_from_revision, created_by_user_id)
+     SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5
+       FROM patient_revisions
+      WHERE patient_id = $1
+     RETURNING revision_number`,
+    [patientId, action, snapshot, restoredFromRevision, userId]
+  );
+  return result.rows[0].revision_number;
+};
+
+export const getPatientRevision = async (db, patientId, revisionNumber) => {
+  const result = await db.query(
+    "SELECT * FROM patient_revisions WHERE patient_id = $1 AND revision_number = $2",
+    [patientId, revisionNumber]
+  );
+  return result.rows[0] || null;
+};
+
+// Newest first, each with `changes`: [{ field, before, after }] against the
+// revision before it (the first revision lists every field with before = null)
+export const listPatientRevisions = async (db, patientId) => {
+  const result = await db.query(
+    `SELECT r.revision_number, r.action, r.snapshot, r.restored_from_revision, r.created_at,
+            u.full_name AS created_by_name, u.username AS created_by_username
+       FROM patient_revisions r
+       LEFT JOIN users u ON u.id = r.created_by_user_id
+      WHERE r.patient_id = $1
+      ORDER BY r.revision_number`,
+    [patientId]
+  );
+
+  let previous = null;
+  const revisions = result.rows.map(revision => {
+    const diff = diffRecords(previous, revision.snapshot);
+    const changes = Object.keys(diff.after).map(field => ({
+      field,
+      before: diff.before ? diff.before[field] : null,
+      after: diff.after[field],
+    }));
+    previous = revision.snapshot;
+    return { ...revision, changes };
+  });
+  return revisions.reverse();
+};
@@ -0,0 +1,158 @@
+// utils/patientValidation.js
+// Declarative rules for patient visits, enforced on create and update and
+// served to the web app (GET /api/patients/validation-schema) so forms show
+// the same messages inline. Keep the schema JSON-serializable: patterns are
+// regex source strings.
+import { NIGERIAN_STATES, ID_DOCUMENT_TYPES } from "./demographics.js";
+import { PAYER_CATEGORIES } from "./priceLists.js";
+
+// 0803 123 4567, +234 803 123 4567 or 2348031234567
+const PHONE_PATTERN = "^(\\+?234|0)[\\s-]?[789][01](?:[\\s-]?\\d){8}$";
+const PHONE_MESSAGE = "Enter a Nigerian mobile number, e.g. 0803 123 4567 or +234 803 123 4567.";
+
+export const PATIENT_SCHEMA = {
+  patient_name: { label: "Patient name", type: "string", required: true, minLength: 2, maxLength: 120 },
+  gender: { label: "Gender", type: "enum", values: ["Male", "Female", "Other", "Prefer not to say"] },
+  contact_email: {
+    label: "Email",
+    type: "string",
+    required: true,
+    maxLength: 254,
+    pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+    patternMessage: "Enter a valid email address.",
+  },
+  contact_phone_number: { label: "Phone number", type: "string", pattern: PHONE_PATTERN, patternMessage: PHONE_MESSAGE },
+  // With a date of birth the age is worked out for the visit date; age alone
+  // is still accepted for patients who do not know their birthday
+  date_of_birth: { label: "Date of birth", type: "date", earliest: "1890-01-01", notFuture: true },
+  age: { label: "Age", type: "integer", requiredWithout: "date_of_birth", min: 0, max: 130 },
+  address_line: { label: "Street address", type: "string", maxLength: 200 },
+  address_city: { label: "Town/city", type: "string", maxLength: 120 },
+  address_lga: { label: "LGA", type: "string", maxLength: 120 },
+  address_state: { label: "State", type: "enum", values: NIGERIAN_STATES },
+  next_of_kin_name: { label: "Next of kin name", type: "string", maxLength: 120 },
+  next_of_kin_relationship: { label: "Next of kin relationship", type: "string", maxLength: 60 },
+  next_of_kin_phone_number: { label: "Next of kin phone", type: "string", pattern: PHONE_PATTERN, patternMessage: PHONE_MESSAGE },
+  national_id_number: { label: "NIN", type: "string", pattern: "^\\d{11}$", patternMessage: "NIN must be 11 digits." },
+  id_document_type: { label: "ID document type", type: "enum", values: ID_DOCUMENT_TYPES, requiredWith: "id_document_number" },
+  id_document_number: { label: "ID document number", type: "string", maxLength: 40 },
+  weight_kg: { label: "Weight", type: "number", required: true, min: 0.5, max: 400 },
+  referral_hospital: { label: "Referral hospital", type: "string", maxLength: 160 },
+  referring_doctor: { label: "Referring doctor", type: "string", maxLength: 120 },
+  radiographer_name: { label: "Radiographer", type: "string", maxLength: 120 },
+  radiologist_name: { label: "Radiologist", type: "string", maxLength: 120 },
+  remarks: { label: "Remarks", type: "string", maxLength: 2000 },
+  payment_type: { label: "Payment type", type: "enum", required: true, values: ["Cash", "Transfer", "Card"] },
+  // Picks the price list catalog examinations are charged from
+  payer_category: { label: "Payer", type: "enum", required: true, values: PAYER_CATEGORIES },
+  examinations: {
+    label: "Examinations",
+    type: "array",
+    required: true,
+    minItems: 1,
+    items: {
+      name: { label: "Examination name", type: "string", required: true, maxLength: 120 },
+      amount: { label: "Amount", type: "money", required: true, min: 0 },
+    },
+  },
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// Amounts may arrive as "119,999.99" or "₦5,000"
+const toMoney = (value) => Number(String(value).replace(/[₦,\s]/g, ""));
+
+// Message for one value, or null when it passes
+export const validateValue = (rule, value) => {
+  if (isBlank(value)) return rule.required ? `${rule.label} is required.` : null;
+
+  switch (rule.type) {
+    case "string": {
+      const text = String(value).trim();
+      if (rule.minLength && text.length < rule.minLength) return `${rule.label} must be at least ${rule.minLength} characters.`;
+      if (rule.maxLength && text.length > rule.maxLength) return `${rule.label} must be at most ${rule.maxLength} characters.`;
+      if (rule.pattern && !new RegExp(rule.pattern).test(text)) return rule.patternMessage || `${rule.label} is not valid.`;
+      return null;
+    }
+    case "enum":
+      return rule.values.includes(value) ? null : `${rule.label} must be one of: ${rule.values.join(", ")}.`;
+    case "integer":
+    case "number":
+    case "money": {
+      const number = rule.type === "money" ? toMoney(value) : Number(value);
+      if (!Number.isFinite(number)) return `${rule.label} must be a number.`;
+      if (rule.type === "integer" && !Number.isInteger(number)) return `${rule.label} must be a whole number.`;
+      if (rule.min !== undefined && number < rule.min) {
+        return rule.min === 0 ? `${rule.label} cannot be negative.` : `${rule.label} must be at least ${rule.min}.`;
+      }
+      if (rule.max !== undefined && number > rule.max) return `${rule.label} must be at most ${rule.max}.`;
+      return null;
+    }
+    case "date": {
+      // "YYYY-MM-DD"; compared as strings, which sort like dates
+      const text = String(value).trim();
+      const date = new Date(`${text}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+        return `${rule.label} must be a valid date.`;
+      }
+      if (rule.notFuture && text > new Date().toISOString().slice(0, 10)) return `${rule.label} cannot be in the future.`;
+      if (rule.earliest && text < rule.earliest) return `${rule.label} is too far in the past.`;
+      return null;
+    }
+    case "array":
+      if (!Array.isArray(value)) return `${rule.label} must be a list.`;
+      if (rule.minItems && value.length < rule.minItems) return `Add at least ${rule.minItems} ${rule.label.toLowerCase()}.`;
+      return null;
+    default:
+      return null;
+  }
+};
+
+// `requiredWithout: other` makes a field required while `other` is blank;
+// `requiredWith: other` makes it required once `other` is filled in
+const effectiveRule = (rule, record) => {
+  if (rule.requiredWithout && isBlank(record?.[rule.requiredWithout])) return { ...rule, required: true };
+  if (rule.requiredWith && !isBlank(record?.[rule.requiredWith])) return { ...rule, required: true };
+  return rule;
+};
+
+// Validates a whole record. Returns { field: message } with nested array
+// items keyed like "examinations.0.amount"; empty when valid. With
+// `partial`, fields that are absent are skipped (present ones must still pass).
+export const validateRecord = (schema, record, { partial = false } = {}) => {
+  const errors = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = record?.[field];
+    if (partial && value === undefined) continue;
+
+    const message = validateValue(effectiveRule(rule, record), value);
+    if (message) {
+      errors[field] = message;
+      continue;
+    }
+    if (rule.type === "array" && rule.items && Array.isArray(value)) {
+      value.forEach((item, index) => {
+        Object.assign(
+          errors,
+          Object.fromEntries(
+            Object.entries(validateRecord(rule.items, item)).map(([key, itemMessage]) => [`${field}.${index}.${key}`, itemMessage])
+          )
+        );
+      });
+    }
+  }
+  return errors;
+};
+
+export const validatePatient = (body, options) => validateRecord(PATIENT_SCHEMA, body, options);
+
+// Visit columns the schema covers (examinations live in their own table)
+export const PATIENT_COLUMNS = Object.keys(PATIENT_SCHEMA).filter(field => PATIENT_SCHEMA[field].type !== "array");
+
+// Trims text and stores blanks as NULL rather than ""
+export const cleanPatientValue = (value) => {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  return trimmed === "" ? null : trimmed;
+};
@@ -0,0 +1,71 @@
+// utils/permissions.js
+// Role -> permission grants and each user's current role are read from the
+// database through a short-lived in-process cache, so an admin's change takes
+// effect within seconds instead of at the user's next login.
+
+const CACHE_TTL_MS = (Number(process.env.PERMISSION_CACHE_TTL_SECONDS) || 30) * 1000;
+
+// Granted per user on top of the role, through users.can_download
+const USER_GRANTS = { can_download: "results.download" };
+
+let rolePermissionsCache = { loadedAt: 0, byRole: new Map() };
+const userCache = new Map(); // userId -> { loadedAt, role, can_download, is_verified }
+
+const loadRolePermissions = async (db) => {
+  if (Date.now() - rolePermissionsCache.loadedAt < CACHE_TTL_MS) {
+    return rolePermissionsCache.byRole;
+  }
+  const result = await db.query("SELECT role, permission FROM role_permissions");
+  const byRole = new Map();
+  for (const { role, permission } of result.rows) {
+    if (!byRole.has(role)) byRole.set(role, new Set());
+    byRole.get(role).add(permission);
+  }
+  rolePermissionsCache = { loadedAt: Date.now(), byRole };
+  return byRole;
+};
+
+const loadUserState = async (db, userId) => {
+  const cached = userCache.get(userId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached;
+
+  const result = await db.query(
+    "SELECT role, can_download, is_verified FROM users WHERE id = $1",
+    [userId]
+  );
+  const state = result.rows[0] ? { ...result.rows[0], loadedAt: Date.now() } : null;
+  if (state) userCache.set(userId, state);
+  else userCache.delete(userId);
+  return state;
+};
+
+// Returns { role, permissions: Set } for a user, or null if the user no longer exists
+export const getUserAccess = async (db, userId) => {
+  const state = await loadUserState(db, Number(userId));
+  if (!state) return null;
+
+  const byRole = await loadRolePermissions(db);
+  const permissions = new Set(byRole.get(state.role) || []);
+  for (const [column, permission] of Object.entries(USER_GRANTS)) {
+    if (state[column]) permissions.add(permission);
+  }
+  return { role: state.role, can_download: !!state.can_download, is_verified: state.is_verified, permissions };
+};
+
+// Call after editing grants (no argument) or a single user's role/flags
+export const invalidatePermissionCache = (userId = null) => {
+  if (userId === null) {
+    rolePermissionsCache = { loadedAt: 0, byRole: new Map() };
+    userCache.clear();
+  } else {
+    userCache.delete(Number(userId));
+  }
+};
+
+export const isKnownRole = async (db, role, { assignableOnly = false } = {}) => {
+  const result = await db.query(
+    `SELECT 1 FROM roles WHERE name = $1 ${assignableOnly ? "AND assignable" : ""}`,
+    [role]
+  );
+  return result.rows.length > 0;
+};
@@ -0,0 +1,259 @@
+// utils/priceLists.js
+// Payer-specific tariffs: price lists per payer category with effective
+// dates, picking the price a visit's examinations are charged, and the
+// report comparing revenue at list (catalog) price against price charged.
+
+export const PAYER_CATEGORIES = ["Cash", "HMO", "Staff", "Partner hospital"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const cleanText = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/\s+/g, " ");
+  return text === "" ? null : text;
+};
+
+const isDate = (value) => DATE_PATTERN.test(value || "") && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+// The day before a YYYY-MM-DD date, in the same format
+const dayBefore = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+};
+
+// { field: message } and the cleaned values for a price list form. Item
+// errors are keyed "items.0.price", like the examination rows on visits.
+export const validatePriceList = (fields) => {
+  const errors = {};
+  const name = cleanText(fields.name);
+  const effectiveFrom = cleanText(fields.effective_from);
+  const effectiveTo = cleanText(fields.effective_to);
+
+  if (!name || name.length < 2) errors.name = "Enter a name for the price list.";
+  else if (name.length > 120) errors.name = "Name must be 120 characters or fewer.";
+  if (!PAYER_CATEGORIES.includes(fields.payer_category)) {
+    errors.payer_category = `Payer must be one of: ${PAYER_CATEGORIES.join(", ")}.`;
+  }
+  if (!isDate(effectiveFrom)) errors.effective_from = "Enter the date the prices take effect.";
+  if (effectiveTo && !isDate(effectiveTo)) errors.effective_to = "Enter a valid end date.";
+  else if (effectiveTo && !errors.effective_from && effectiveTo < effectiveFrom) {
+    errors.effective_to = "The end date must be on or after the start date.";
+  }
+
+  const items = [];
+  const seen = new Set();
+  (Array.isArray(fields.items) ? fields.items : []).forEach((item, index) => {
+    const catalogItemId = Number(item.catalog_item_id);
+    if (!Number.isInteger(catalogItemId) || catalogItemId < 1) {
+      errors[`items.${index}.catalog_item_id`] = "Choose an examination.";
+      return;
+    }
+    if (seen.has(catalogItemId)) {
+      errors[`items.${index}.catalog_item_id`] = "This examination is already on the list.";
+      return;
+    }
+    seen.add(catalogItemId);
+    const price = Number(String(item.price ?? "").replace(/[₦,\s]/g, ""));
+    if (item.price === "" || item.price == null || !Number.isFinite(price) || price < 0) {
+      errors[`items.${index}.price`] = "Enter a price of zero or more.";
+      return;
+    }
+    items.push({ catalog_item_id: catalogItemId, price: Math.round(price * 100) / 100 });
+  });
+
+  return {
+    errors,
+    values: {
+      name,
+      payer_category: fields.payer_category,
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo,
+      notes: cleanText(fields.notes),
+      items,
+    },
+  };
+};
+
+// Other lists of the same payer whose dates overlap the given range
+export const findOverlappingLists = async (db, { id = null, payerCategory, effectiveFrom, effectiveTo }) => {
+  const result = await db.query(
+    `SELECT id, name, effective_from, effective_to
+       FROM price_lists
+      WHERE payer_category = $1
+        AND ($2::int IS NULL OR id <> $2)
+        AND effective_from <= COALESCE($4::date, 'infinity'::date)
+        AND COALESCE(effective_to, 'infinity'::date) >= $3::date
+      ORDER BY effective_from`,
+    [payerCategory, id, effectiveFrom, effectiveTo]
+  );
+  return result.rows;
+};
+
+// Inserts (id null) or updates a list and replaces its items, inside the
+// caller's transaction. A new list that starts while an earlier open-ended
+// list of the same payer is running ends that list the day before, which is
+// the usual yearly price change; any other overlap is refused.
+// Returns { list, closed } or { overlaps } when the dates clash.
+export const savePriceList = async (db, id, values, userId) => {
+  const overlaps = await findOverlappingLists(db, {
+    id,
+    payerCategory: values.payer_category,
+    effectiveFrom: values.effective_from,
+    effectiveTo: values.effective_to,
+  });
+  const closable = id === null
+    ? overlaps.filter(list => list.effective_to === null && list.effective_from < values.effective_from)
+    : [];
+  if (overlaps.length > closable.length) {
+    return { overlaps: overlaps.filter(list => !closable.includes(list)) };
+  }
+
+  const closed = [];
+  for (const list of closable) {
+    const result = await db.query(
+      "UPDATE price_lists SET effective_to = $1, updated_at = NOW() WHERE id = $2 RETURNING id, name, effective_from, effective_to",
+      [dayBefore(values.effective_from), list.id]
+    );
+    closed.push(result.rows[0]);
+  }
+
+  const params = [values.name, values.payer_category, values.effective_from, values.effective_to, values.notes];
+  const saved = id === null
+    ? await db.query(
+      `INSERT INTO price_lists (name, payer_category, effective_from, effective_to, notes, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [...params, userId]
+    )
+    : await db.query(
+      `UPDATE price_lists
+          SET name = $1, payer_category = $2, effective_from = $3, effective_to = $4, notes = $5, updated_at = NOW()
+        WHERE id = $6 RETURNING *`,
+      [...params, id]
+    );
+  if (saved.rows.length === 0) return { list: null, closed };
+  const list = saved.rows[0];
+
+  await db.query("DELETE FROM price_list_items WHERE price_list_id = $1", [list.id]);
+  for (const item of values.items) {
+    await db.query(
+      "INSERT INTO price_list_items (price_list_id, catalog_item_id, price) VALUES ($1, $2, $3)",
+      [list.id, item.catalog_item_id, item.price]
+    );
+  }
+  return { list: await getPriceList(db, list.id), closed };
+};
+
+// Lists newest first per payer, each with its item count, how many exams
+// were charged from it and whether it is in effect today
+export const listPriceLists = async (db, { payerCategory } = {}) => {
+  const result = await db.query(
+    `SELECT l.*,
+            (SELECT COUNT(*)::int FROM price_list_items i WHERE i.price_list_id = l.id) AS item_count,
+            (SELECT COUNT(*)::int FROM patient_examinations e WHERE e.price_list_id = l.id) AS charged_count,
+            CASE
+              WHEN l.effective_from > CURRENT_DATE THEN 'upcoming'
+              WHEN l.effective_to < CURRENT_DATE THEN 'ended'
+              ELSE 'current'
+            END AS status
+       FROM price_lists l
+      WHERE ($1::text IS NULL OR l.payer_category = $1)
+      ORDER BY l.payer_category, l.effective_from DESC`,
+    [payerCategory || null]
+  );
+  return result.rows;
+};
+
+// One list with its items and the catalog price beside each
+export const getPriceList = async (db, id) => {
+  const list = await db.query("SELECT * FROM price_lists WHERE id = $1", [id]);
+  if (list.rows.length === 0) return null;
+  const items = await db.query(
+    `SELECT i.catalog_item_id, i.price, c.code, c.name, c.price AS list_price, c.active
+       FROM price_list_items i
+       JOIN exam_catalog c ON c.id = i.catalog_item_id
+      WHERE i.price_list_id = $1
+      ORDER BY c.name`,
+    [id]
+  );
+  return { ...list.rows[0], items: items.rows };
+};
+
+// Map of catalog item id -> { price, price_list_id } for a payer on a date
+// (YYYY-MM-DD; today when omitted). Items not on the payer's list in effect
+// are missing and are charged the catalog price.
+export const loadTariff = async (db, { payerCategory, date = null }) => {
+  const result = await db.query(
+    `SELECT DISTINCT ON (i.catalog_item_id) i.catalog_item_id, i.price, l.id AS price_list_id, l.name AS price_list_name
+       FROM price_list_items i
+       JOIN price_lists l ON l.id = i.price_list_id
+      WHERE l.payer_category = $1
+        AND l.effective_from <= COALESCE($2::date, CURRENT_DATE)
+        AND COALESCE(l.effective_to, 'infinity'::date) >= COALESCE($2::date, CURRENT_DATE)
+      ORDER BY i.catalog_item_id, l.effective_from DESC`,
+    [payerCategory || "Cash", date]
+  );
+  return new Map(result.rows.map(row => [row.catalog_item_id, {
+    price: Number(row.price),
+    price_list_id: row.price_list_id,
+    price_list_name: row.price_list_name,
+  }]));
+};
+
+// Catalog examinations on visits in [from, to] (YYYY-MM-DD) at list price
+// against the amount charged, by payer and price list and by examination.
+// Exams typed outside the catalog, or imported, have no list price and are
+// only counted in `unpriced`.
+export const tariffRevenueReport = async (db, { from, to }) => {
+  const inPeriod = `p.deleted_at IS NULL AND p.mri_date_time >= $1::date AND p.mri_date_time < $2::date + 1`;
+
+  const [byPayer, byExam, unpriced] = await Promise.all([
+    db.query(
+      `SELECT p.payer_category, e.price_list_id, l.name AS price_list_name,
+              COUNT(*)::int AS examinations,
+              SUM(e.list_price)::float AS list_amount,
+              SUM(e.exam_amount)::float AS charged_amount
+         FROM patient_examinations e
+         JOIN mri_patients p ON p.id = e.patient_id
+         LEFT JOIN price_lists l ON l.id = e.price_list_id
+        WHERE ${inPeriod} AND e.list_price IS NOT NULL
+        GROUP BY p.payer_category, e.price_list_id, l.name
+        ORDER BY p.payer_category, l.name NULLS FIRST`,
+      [from, to]
+    ),
+    db.query(
+      `SELECT e.catalog_item_id, MAX(e.exam_code) AS code, MAX(e.exam_name) AS name,
+              COUNT(*)::int AS examinations,
+              SUM(e.list_price)::float AS list_amount,
+              SUM(e.exam_amount)::float AS charged_amount
+         FROM patient_examinations e
+         JOIN mri_patients p ON p.id = e.patient_id
+        WHERE ${inPeriod} AND e.list_price IS NOT NULL
+        GROUP BY e.catalog_item_id
+        ORDER BY SUM(e.list_price) - SUM(e.exam_amount) DESC, MAX(e.exam_name)`,
+      [from, to]
+    ),
+    db.query(
+      `SELECT COUNT(*)::int AS examinations, COALESCE(SUM(e.exam_amount), 0)::float AS charged_amount
+         FROM patient_examinations e
+         JOIN mri_patients p ON p.id = e.patient_id
+        WHERE ${inPeriod} AND e.list_price IS NULL`,
+      [from, to]
+    ),
+  ]);
+
+  const withDifference = (row) => ({ ...row, difference: row.list_amount - row.charged_amount });
+  const totals = byPayer.rows.reduce((sum, row) => ({
+    examinations: sum.examinations + row.examinations,
+    list_amount: sum.list_amount + row.list_amount,
+    charged_amount: sum.charged_amount + row.charged_amount,
+  }), { examinations: 0, list_amount: 0, charged_amount: 0 });
+
+  return {
+    period: { from, to },
+    payers: byPayer.rows.map(withDifference),
+    examinations: byExam.rows.map(withDifference),
+    totals: withDifference(totals),
+    unpriced: unpriced.rows[0],
+  };
+};
@@ -0,0 +1,136 @@
+// utils/recycleBin.js
+// Hard deletion of records that have been in the recycle bin longer than the
+// retention period. Storage cleanup is injected (`deleteObject(key)`) so this
+// module does not depend on the S3 client.
+import { getSetting } from "./settings.js";
+import { recordAudit, writeAuditEntry } from "./audit.js";
+
+// Arbitrary constant: only one instance runs the purge at a time
+const PURGE_LOCK_ID = 48151623;
+
+// True for a visit (aliased `p`) that has signed safety screenings or contrast
+// records. Those are medico-legal and batch-traceability records, so the visit
+// stays in the recycle bin for good rather than being purged with them.
+export const KEPT_RECORDS_SQL = `(EXISTS (SELECT 1 FROM patient_safety_screenings s WHERE s.patient_id = p.id)
+  OR EXISTS (SELECT 1 FROM contrast_administrations c WHERE c.patient_id = p.id))`;
+
+// Whether a visit has records that keep it from being purged
+export const hasKeptRecords = async (db, patientId) => {
+  const result = await db.query(`SELECT ${KEPT_RECORDS_SQL} AS kept FROM mri_patients p WHERE p.id = $1`, [patientId]);
+  return Boolean(result.rows[0]?.kept);
+};
+
+// Receipts are stored by URL; the object key is the path after the bucket host
+const receiptKeyFromUrl = (url) => {
+  try {
+    return decodeURIComponent(new URL(url).pathname.replace(/^\/+/, "")) || null;
+  } catch {
+    return null;
+  }
+};
+
+const deleteObjects = async (keys, deleteObject) => {
+  for (const key of keys) {
+    try {
+      await deleteObject(key);
+    } catch (error) {
+      // A missing object must not keep the row around forever
+      console.error(`Purge: could not delete storage object ${key}:`, error.message);
+    }
+  }
+};
+
+// Permanently removes one result file row and its stored file
+export const purgeResult = async (db, fileId, { deleteObject }) => {
+  const result = await db.query("SELECT * FROM patient_results_files WHERE file_id = $1", [fileId]);
+  const file = result.rows[0];
+  if (!file) return null;
+
+  await deleteObjects([file.file_path].filter(Boolean), deleteObject);
+  await db.query("DELETE FROM patient_results_files WHERE file_id = $1", [fileId]);
+  return file;
+};
+
+// Permanently removes a patient with its examinations, result files and receipt.
+// Callers check `hasKeptRecords` first; the foreign keys refuse the delete otherwise.
+// The purge is audited in the same transaction as the delete, as `req`'s user
+// (null for the scheduled purge) with any extra `auditMetadata`.
+export const purgePatient = async (db, patientId, { deleteObject, req = null, auditMetadata = {} }) => {
+  const patientResult = await db.query("SELECT * FROM mri_patients WHERE id = $1", [patientId]);
+  const patient = patientResult.rows[0];
+  if (!patient) return null;
+
+  const files = await db.query("SELECT file_path FROM patient_results_files WHERE patient_id = $1", [patientId]);
+  const keys = files.rows.map(f => f.file_path);
+  if (patient.receipt_url) keys.push(receiptKeyFromUrl(patient.receipt_url));
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("DELETE FROM patient_results_files WHERE patient_id = $1", [patientId]);
+    await client.query("DELETE FROM patient_examinations WHERE patient_id = $1", [patientId]);
+    await client.query("UPDATE calendar_events SET patient_id = NULL WHERE patient_id = $1", [patientId]);
+    await client.query("DELETE FROM mri_patients WHERE id = $1", [patientId]);
+    await writeAuditEntry(client, req, {
+      action: "patient.purge",
+      entityType: "patient",
+      entityId: patientId,
+      metadata: { patient_name: patient.patient_name, mri_code: patient.mri_code, ...auditMetadata },
+    });
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Objects go only after the rows are gone, so a failed transaction loses nothing
+  await deleteObjects(keys.filter(Boolean), deleteObject);
+  return patient;
+};
+
+// Purges everything past the retention period. Returns { patients, results } counts,
+// or null when another instance holds the purge lock.
+export const purgeExpiredRecords = async (db, { deleteObject }) => {
+  const lockClient = await db.connect();
+  try {
+    const lock = await lockClient.query("SELECT pg_try_advisory_lock($1) AS locked", [PURGE_LOCK_ID]);
+    if (!lock.rows[0].locked) return null;
+
+    try {
+      const retentionDays = Number(await getSetting(db, "recycle_bin_retention_days"));
+      const cutoffSql = "deleted_at < NOW() - make_interval(days => $1)";
+
+      const expiredResults = await db.query(
+        `SELECT file_id FROM patient_results_files WHERE ${cutoffSql}`,
+        [retentionDays]
+      );
+      for (const { file_id } of expiredResults.rows) {
+        const file = await purgeResult(db, file_id, { deleteObject });
+        if (file) {
+          await recordAudit(db, null, {
+            action: "result.purge",
+            entityType: "patient_result",
+            entityId: file_id,
+            metadata: { patient_id: file.patient_id, file_name: file.file_name, retention_days: retentionDays },
+          });
+        }
+      }
+
+      const expiredPatients = await db.query(
+        `SELECT p.id FROM mri_patients p WHERE ${cutoffSql} AND NOT ${KEPT_RECORDS_SQL}`,
+        [retentionDays]
+      );
+      for (const { id } of expiredPatients.rows) {
+        await purgePatient(db, id, { deleteObject, auditMetadata: { retention_days: retentionDays } });
+      }
+
+      return { patients: expiredPatients.rows.length, results: expiredResults.rows.length };
+    } finally {
+      await lockClient.query("SELECT pg_advisory_unlock($1)", [PURGE_LOCK_ID]);
+    }
+  } finally {
+    lockClient.release();
+  }
+};
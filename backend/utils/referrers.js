@@ -0,0 +1,354 @@
+// utils/referrers.js
+// Directory of referring facilities and doctors: matching of free-text
+// referral names to directory entries, linking visits to them, the legacy
+// normalisation tool, and the queries behind referral analytics and
+// monthly referrer statements.
+import { nameSimilarity } from "./duplicatePatients.js";
+import { recordPatientRevision } from "./patientRevisions.js";
+
+// Which visit columns each kind of referrer fills
+export const REFERRER_KINDS = {
+  facility: { table: "referral_facilities", nameColumn: "name", textColumn: "referral_hospital", idColumn: "referral_facility_id" },
+  doctor: { table: "referring_doctors", nameColumn: "full_name", textColumn: "referring_doctor", idColumn: "referring_doctor_id" },
+};
+
+// Minimum score for a directory entry to be offered as a normalisation target
+export const SUGGESTION_THRESHOLD = 0.4;
+
+const FACILITY_FIELDS = ["name", "contact_person", "phone_number", "email", "address_line", "address_city", "address_state"];
+const DOCTOR_FIELDS = ["full_name", "facility_id", "specialty", "phone_number", "email"];
+
+const cleanText = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/\s+/g, " ");
+  return text === "" ? null : text;
+};
+
+// Key that spellings are compared on: spacing collapsed, upper case
+export const referrerKey = (value) => cleanText(value)?.toUpperCase() || null;
+
+// SQL equivalent of referrerKey for a column
+const keySql = (column) => `UPPER(regexp_replace(TRIM(${column}), '\\s+', ' ', 'g'))`;
+
+const STOP_WORDS = new Set(["OF", "THE", "AND", "&"]);
+
+// "LTH" for "Lautech Teaching Hospital"
+const acronym = (name) =>
+  String(name || "")
+    .toUpperCase()
+    .split(/[^A-Z&]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => word[0])
+    .join("");
+
+// 0..1 likeness of a typed value to a directory entry ({ name, aliases }).
+// Abbreviations count: "LTH" and "Lautech TH" both match "Lautech Teaching Hospital".
+export const referrerSimilarity = (value, entry) => {
+  const key = referrerKey(value);
+  if (!key) return 0;
+  if (key === referrerKey(entry.name) || (entry.aliases || []).includes(key)) return 1;
+
+  const compact = key.replace(/[^A-Z]/g, "");
+  const entryAcronym = acronym(entry.name);
+  if (entryAcronym.length >= 2 && compact === entryAcronym) return 0.9;
+
+  // A short last word read as initials: "LAUTECH TH" -> "L" + "TH"
+  const words = key.split(" ");
+  const expanded = words.length > 1 && acronym(words.slice(0, -1).join(" ")) + words[words.length - 1].replace(/[^A-Z]/g, "");
+  if (expanded && expanded === entryAcronym) return 0.8;
+
+  return Math.max(
+    nameSimilarity(value, entry.name),
+    ...(entry.aliases || []).map(alias => nameSimilarity(value, alias))
+  );
+};
+
+// { field: message } for a facility or doctor form
+export const validateReferrer = (kind, fields) => {
+  const errors = {};
+  const name = cleanText(kind === "facility" ? fields.name : fields.full_name);
+  if (!name || name.length < 2) errors[REFERRER_KINDS[kind].nameColumn] = "Enter the name.";
+  else if (name.length > 160) errors[REFERRER_KINDS[kind].nameColumn] = "Name must be 160 characters or fewer.";
+  if (fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(fields.email).trim())) {
+    errors.email = "Enter a valid email address.";
+  }
+  if (fields.phone_number && !/^\+?[\d\s-]{7,20}$/.test(String(fields.phone_number).trim())) {
+    errors.phone_number = "Enter a valid phone number.";
+  }
+  return errors;
+};
+
+// Inserts (id null) or updates a directory entry. Returns the saved row, or
+// null when updating an entry that does not exist.
+export const saveReferrer = async (db, kind, id, fields) => {
+  const { table } = REFERRER_KINDS[kind];
+  const columns = kind === "facility" ? FACILITY_FIELDS : DOCTOR_FIELDS;
+  const values = columns.map(column => (column === "facility_id" ? fields.facility_id || null : cleanText(fields[column])));
+  const active = fields.active === undefined ? true : Boolean(fields.active);
+
+  if (id === null) {
+    const result = await db.query(
+      `INSERT INTO ${table} (${columns.join(", ")}, active)
+       VALUES (${columns.map((_, index) => `$${index + 1}`).join(", ")}, $${columns.length + 1})
+       RETURNING *`,
+      [...values, active]
+    );
+    return result.rows[0];
+  }
+  const result = await db.query(
+    `UPDATE ${table}
+        SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")},
+            active = $${columns.length + 1}, updated_at = NOW()
+      WHERE id = $${columns.length + 2}
+      RETURNING *`,
+    [...values, active, id]
+  );
+  return result.rows[0] || null;
+};
+
+// Facilities with their doctor and visit counts, active first then by name
+export const listFacilities = async (db, { search, includeInactive = false } = {}) => {
+  const result = await db.query(
+    `SELECT f.*,
+            (SELECT COUNT(*)::int FROM referring_doctors d WHERE d.facility_id = f.id) AS doctor_count,
+            (SELECT COUNT(*)::int FROM mri_patients v WHERE v.referral_facility_id = f.id AND v.deleted_at IS NULL) AS visit_count
+       FROM referral_facilities f
+      WHERE ($1::boolean OR f.active)
+        AND ($2::text IS NULL OR f.name ILIKE '%' || $2 || '%' OR array_to_string(f.aliases, ' ') ILIKE '%' || $2 || '%')
+      ORDER BY f.active DESC, f.name`,
+    [includeInactive, cleanText(search)]
+  );
+  return result.rows;
+};
+
+export const listDoctors = async (db, { facilityId, search, includeInactive = false } = {}) => {
+  const result = await db.query(
+    `SELECT d.*, f.name AS facility_name,
+            (SELECT COUNT(*)::int FROM mri_patients v WHERE v.referring_doctor_id = d.id AND v.deleted_at IS NULL) AS visit_count
+       FROM referring_doctors d
+       LEFT JOIN referral_facilities f ON f.id = d.facility_id
+      WHERE ($1::boolean OR d.active)
+        AND ($2::int IS NULL OR d.facility_id = $2)
+        AND ($3::text IS NULL OR d.full_name ILIKE '%' || $3 || '%' OR d.specialty ILIKE '%' || $3 || '%')
+      ORDER BY d.active DESC, d.full_name`,
+    [includeInactive, facilityId || null, cleanText(search)]
+  );
+  return result.rows;
+};
+
+const findByKey = async (db, kind, key, { facilityId = null } = {}) => {
+  const { table, nameColumn } = REFERRER_KINDS[kind];
+  const result = await db.query(
+    `SELECT * FROM ${table}
+      WHERE (UPPER(${nameColumn}) = $1 OR $1 = ANY(aliases))
+        ${kind === "doctor" ? "AND ($2::int IS NULL OR facility_id IS NULL OR facility_id = $2)" : ""}
+      ORDER BY active DESC, id`,
+    kind === "doctor" ? [key, facilityId] : [key]
+  );
+  // A doctor's name can be shared; only an unambiguous match is linked
+  return result.rows.length === 1 || kind === "facility" ? result.rows[0] || null : null;
+};
+
+const findById = async (db, kind, id) => {
+  const result = await db.query(`SELECT * FROM ${REFERRER_KINDS[kind].table} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// Links a visit to directory entries after its referral fields were written.
+// Ids picked in the form win; otherwise the stored text is matched by name or
+// alias, and an unchanged text keeps its existing link. Matched visits store
+// the directory spelling. Returns the four referral columns as saved.
+export const linkVisitReferrers = async (db, visitId, fields, previous = null) => {
+  const visit = (await db.query(
+    "SELECT referral_hospital, referring_doctor, referral_facility_id, referring_doctor_id FROM mri_patients WHERE id = $1",
+    [visitId]
+  )).rows[0];
+
+  const resolve = async (kind, { facilityId } = {}) => {
+    const { textColumn, idColumn } = REFERRER_KINDS[kind];
+    if (Number.isInteger(Number(fields[idColumn])) && Number(fields[idColumn]) > 0) {
+      const entry = await findById(db, kind, Number(fields[idColumn]));
+      if (entry) return entry;
+    }
+    const key = referrerKey(visit[textColumn]);
+    if (!key) return null;
+    if (previous?.[idColumn] && key === referrerKey(previous[textColumn])) {
+      return findById(db, kind, previous[idColumn]);
+    }
+    return findByKey(db, kind, key, { facilityId });
+  };
+
+  const facility = await resolve("facility");
+  const doctor = await resolve("doctor", { facilityId: facility?.id });
+  // A doctor picked from the directory brings their facility when none was given
+  const linkedFacility = facility || (doctor?.facility_id ? await findById(db, "facility", doctor.facility_id) : null);
+
+  const result = await db.query(
+    `UPDATE mri_patients
+        SET referral_facility_id = $1, referral_hospital = $2, referring_doctor_id = $3, referring_doctor = $4,
+            version = version + 1
+      WHERE id = $5
+      RETURNING referral_facility_id, referral_hospital, referring_doctor_id, referring_doctor`,
+    [
+      linkedFacility?.id || null, linkedFacility ? linkedFacility.name : visit.referral_hospital,
+      doctor?.id || null, doctor ? doctor.full_name : visit.referring_doctor,
+      visitId,
+    ]
+  );
+  return result.rows[0];
+};
+
+// Free-text referral values not linked to the directory, grouped by
+// spelling key, most used first, each with up to three suggested entries
+export const listUnmatchedReferrals = async (db, kind) => {
+  const { table, textColumn, idColumn, nameColumn } = REFERRER_KINDS[kind];
+  const [values, entries] = await Promise.all([
+    db.query(
+      `SELECT ${keySql(textColumn)} AS key,
+              array_agg(DISTINCT TRIM(${textColumn})) AS spellings,
+              COUNT(*)::int AS visit_count,
+              MAX(mri_date_time) AS last_seen_at
+         FROM mri_patients
+        WHERE ${idColumn} IS NULL AND NULLIF(TRIM(${textColumn}), '') IS NOT NULL AND deleted_at IS NULL
+        GROUP BY 1
+        ORDER BY visit_count DESC, key
+        LIMIT 500`
+    ),
+    db.query(`SELECT id, ${nameColumn} AS name, aliases FROM ${table} WHERE active ORDER BY ${nameColumn}`),
+  ]);
+
+  return values.rows.map(row => ({
+    ...row,
+    suggestions: entries.rows
+      .map(entry => ({ id: entry.id, name: entry.name, score: Math.round(referrerSimilarity(row.key, entry) * 100) / 100 }))
+      .filter(entry => entry.score >= SUGGESTION_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3),
+  }));
+};
+
+// Points every visit whose referral text has one of `keys` at directory
+// entry `targetId`, rewrites the text to the directory spelling, records a
+// revision per visit and keeps the keys as aliases so new entries typed the
+// same way link automatically. Only unlinked, undeleted visits are touched,
+// the ones listUnmatchedReferrals shows. Runs in the caller's transaction.
+// Returns { target, visitIds }, or null when the entry does not exist.
+export const normalizeReferrals = async (client, { kind, keys, targetId, userId }) => {
+  const { table, textColumn, idColumn, nameColumn } = REFERRER_KINDS[kind];
+  const target = (await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [targetId])).rows[0];
+  if (!target) return null;
+
+  const cleanKeys = [...new Set(keys.map(referrerKey).filter(Boolean))];
+  const visits = await client.query(
+    `SELECT id FROM mri_patients
+      WHERE ${keySql(textColumn)} = ANY($1::text[]) AND ${idColumn} IS NULL AND deleted_at IS NULL
+      ORDER BY id FOR UPDATE`,
+    [cleanKeys]
+  );
+  const visitIds = visits.rows.map(row => row.id);
+
+  if (visitIds.length > 0) {
+    await client.query(
+      `UPDATE mri_patients SET ${idColumn} = $1, ${textColumn} = $2, updated_at = NOW(), version = version + 1
+        WHERE id = ANY($3::int[])`,
+      [target.id, target[nameColumn], visitIds]
+    );
+    for (const visitId of visitIds) {
+      await recordPatientRevision(client, visitId, { action: "update", userId });
+    }
+  }
+
+  const aliases = cleanKeys.filter(key => key !== referrerKey(target[nameColumn]));
+  const updated = await client.query(
+    `UPDATE ${table} SET aliases = ARRAY(SELECT DISTINCT unnest(aliases || $1::text[]) ORDER BY 1), updated_at = NOW()
+      WHERE id = $2 RETURNING *`,
+    [aliases, target.id]
+  );
+  return { target: updated.rows[0], visitIds };
+};
+
+// "YYYY-MM" to { month, start, end } with end exclusive; null if malformed
+export const parseStatementMonth = (value) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(value || ""));
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+  const nextYear = Number(match[2]) === 12 ? Number(match[1]) + 1 : Number(match[1]);
+  const nextMonth = Number(match[2]) === 12 ? 1 : Number(match[2]) + 1;
+  return { month: value, start: `${value}-01`, end: `${nextYear}-${String(nextMonth).padStart(2, "0")}-01` };
+};
+
+// Visits, examinations and amounts referred by one facility or doctor in a
+// month. Returns { referrer, period, visits, totals } or null for an unknown referrer.
+export const loadReferrerStatement = async (db, { kind, id, period }) => {
+  const referrer = await findById(db, kind, id);
+  if (!referrer) return null;
+  const { idColumn } = REFERRER_KINDS[kind];
+
+  const visits = await db.query(
+    `SELECT mp.id, mp.mri_date_time, mp.mri_code, mp.receipt_number, mp.patient_name, rp.hospital_number,
+            mp.referring_doctor, mp.referral_hospital, mp.total_amount, mp.payment_status,
+            COALESCE((
+              SELECT json_agg(json_build_object('name', e.exam_name, 'amount', e.exam_amount) ORDER BY e.id)
+                FROM patient_examinations e WHERE e.patient_id = mp.id
+            ), '[]') AS examinations
+       FROM mri_patients mp
+       JOIN patients rp ON rp.id = mp.registry_patient_id
+      WHERE mp.${idColumn} = $1 AND mp.deleted_at IS NULL
+        AND mp.mri_date_time >= $2::date AND mp.mri_date_time < $3::date
+      ORDER BY mp.mri_date_time, mp.id`,
+    [id, period.start, period.end]
+  );
+
+  const rows = visits.rows.map(visit => ({
+    ...visit,
+    total_amount: Number(visit.total_amount || 0),
+    examinations: visit.examinations.map(exam => ({ name: exam.name, amount: Number(exam.amount || 0) })),
+  }));
+  return {
+    referrer: { ...referrer, kind },
+    period,
+    visits: rows,
+    totals: {
+      visits: rows.length,
+      examinations: rows.reduce((sum, visit) => sum + visit.examinations.length, 0),
+      amount: rows.reduce((sum, visit) => sum + visit.total_amount, 0),
+      paid_amount: rows.filter(visit => visit.payment_status === "Paid").reduce((sum, visit) => sum + visit.total_amount, 0),
+    },
+  };
+};
+
+// Visits and amounts per facility per month between `from` and `to`
+// (inclusive dates), busiest referrer first. Visits not linked to the
+// directory are grouped under id null.
+export const referralAnalytics = async (db, { from, to }) => {
+  const result = await db.query(
+    `SELECT mp.referral_facility_id AS id, f.name,
+            to_char(date_trunc('month', mp.mri_date_time), 'YYYY-MM') AS month,
+            COUNT(*)::int AS visits,
+            COALESCE(SUM(mp.total_amount), 0)::float AS amount,
+            COUNT(DISTINCT mp.referring_doctor_id)::int AS doctors
+       FROM mri_patients mp
+       LEFT JOIN referral_facilities f ON f.id = mp.referral_facility_id
+      WHERE mp.deleted_at IS NULL
+        AND mp.mri_date_time >= $1::date AND mp.mri_date_time < $2::date + 1
+      GROUP BY 1, 2, 3
+      ORDER BY 3`,
+    [from, to]
+  );
+
+  const months = [...new Set(result.rows.map(row => row.month))];
+  const byFacility = new Map();
+  for (const row of result.rows) {
+    const key = row.id ?? "unlinked";
+    if (!byFacility.has(key)) {
+      byFacility.set(key, { id: row.id, name: row.name, visits: 0, amount: 0, months: {} });
+    }
+    const facility = byFacility.get(key);
+    facility.visits += row.visits;
+    facility.amount += row.amount;
+    facility.months[row.month] = { visits: row.visits, amount: row.amount };
+  }
+  return {
+    months,
+    facilities: [...byFacility.values()].sort((a, b) => b.visits - a.visits),
+  };
+};
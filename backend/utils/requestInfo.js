@@ -0,0 +1,11 @@
+// utils/requestInfo.js
+
+// Client IP as seen by the app. Express works it out from X-Forwarded-For
+// using the app's "trust proxy" hop count, i.e. the address the load balancer
+// appended, never an entry the client sent itself.
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+export const getUserAgent = (req) => {
+  const ua = req.headers["user-agent"];
+  return ua ? ua.substring(0, 512) : null;
+};
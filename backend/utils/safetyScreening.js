@@ -0,0 +1,91 @@
+// utils/safetyScreening.js
+// MRI safety screening taken before each scan. The form is versioned: add a
+// new entry to SCREENING_FORMS rather than editing a published one, since
+// every screening stores the questions it was answered against.
+
+// "contraindication" answers of yes/unsure flag the visit and hold the scan
+// until a radiologist overrides; "caution" answers are shown but do not block
+export const SCREENING_FORMS = {
+  1: {
+    version: 1,
+    title: "MRI Safety Screening",
+    questions: [
+      { key: "pacemaker", text: "Cardiac pacemaker or implanted defibrillator (ICD)?", severity: "contraindication" },
+      { key: "cochlear_implant", text: "Cochlear implant or other implanted hearing device?", severity: "contraindication" },
+      { key: "aneurysm_clips", text: "Aneurysm clips or other metal clips in the head?", severity: "contraindication" },
+      { key: "metal_fragments", text: "Metal fragments in the eyes or body (metalwork injury, shrapnel, bullets)?", severity: "contraindication" },
+      { key: "pregnancy", text: "Pregnant or possibly pregnant?", severity: "contraindication" },
+      { key: "contrast_reaction", text: "Previous reaction to MRI contrast (gadolinium)?", severity: "contraindication" },
+      { key: "claustrophobia", text: "Claustrophobia or unable to lie still for 30-60 minutes?", severity: "caution" },
+    ],
+  },
+};
+
+export const CURRENT_SCREENING_VERSION = 1;
+
+export const SCREENING_ANSWERS = ["yes", "no", "unsure"];
+
+export const SCAN_BLOCKED_MESSAGE =
+  "The MRI safety screening for this visit has a contraindication. A radiologist must override it before the scan can be scheduled or results uploaded.";
+
+// { key: message } for missing or invalid answers; details are required
+// whenever the answer is not a plain "no"
+export const validateScreeningAnswers = (questions, answers) => {
+  const errors = {};
+  for (const question of questions) {
+    const answer = answers?.[question.key];
+    if (!answer || !SCREENING_ANSWERS.includes(answer.answer)) {
+      errors[question.key] = "Answer yes, no or unsure.";
+    } else if (answer.answer !== "no" && !String(answer.details || "").trim()) {
+      errors[question.key] = "Give details for this answer.";
+    }
+  }
+  return errors;
+};
+
+// Keys of the contraindication questions answered yes or unsure
+export const flaggedItems = (questions, answers) =>
+  questions
+    .filter(q => q.severity === "contraindication" && answers[q.key]?.answer !== "no")
+    .map(q => q.key);
+
+// Only the answer and trimmed details of known questions are stored
+export const cleanScreeningAnswers = (questions, answers) =>
+  Object.fromEntries(questions.map(q => [q.key, {
+    answer: answers[q.key].answer,
+    details: answers[q.key].answer === "no" ? null : String(answers[q.key].details).trim(),
+  }]));
+
+// not_screened, cleared, flagged (scan on hold) or overridden
+export const screeningStatus = (screening) => {
+  if (!screening) return "not_screened";
+  if (screening.flagged_items.length === 0) return "cleared";
+  return screening.overridden_at ? "overridden" : "flagged";
+};
+
+const SCREENING_SELECT_SQL = `
+  SELECT s.*, su.full_name AS screened_by_name, ou.full_name AS overridden_by_name
+    FROM patient_safety_screenings s
+    LEFT JOIN users su ON su.id = s.screened_by_user_id
+    LEFT JOIN users ou ON ou.id = s.overridden_by_user_id`;
+
+// Every screening of a visit, newest (the one in force) first
+export const listScreenings = async (db, patientId) => {
+  const result = await db.query(`${SCREENING_SELECT_SQL} WHERE s.patient_id = $1 ORDER BY s.signed_at DESC, s.id DESC`, [patientId]);
+  return result.rows;
+};
+
+export const getScreening = async (db, patientId, screeningId) => {
+  const result = await db.query(`${SCREENING_SELECT_SQL} WHERE s.patient_id = $1 AND s.id = $2`, [patientId, screeningId]);
+  return result.rows[0] || null;
+};
+
+// Status of the screening in force for a visit (the latest one)
+export const loadScreeningStatus = async (db, patientId) => {
+  const result = await db.query(
+    `SELECT flagged_items, overridden_at FROM patient_safety_screenings
+      WHERE patient_id = $1 ORDER BY signed_at DESC, id DESC LIMIT 1`,
+    [patientId]
+  );
+  return screeningStatus(result.rows[0]);
+};
@@ -0,0 +1,115 @@
+// utils/sessions.js
+import crypto from "crypto";
+import { getClientIp, getUserAgent } from "./requestInfo.js";
+
+// How long a refresh token stays valid without being used (sliding window)
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// A rotated-out refresh token presented again within this window is treated as
+// a race between two tabs rather than token theft.
+const ROTATION_GRACE_SECONDS = 30;
+
+// Refresh tokens are only ever stored hashed
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Opens a new session for a user and returns { sessionId, refreshToken }
+export const createSession = async (db, userId, req) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken();
+
+  await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [sessionId, userId, hashToken(refreshToken), getUserAgent(req), getClientIp(req), refreshExpiry()]
+  );
+
+  return { sessionId, refreshToken };
+};
+
+// Exchanges a refresh token for a new one.
+// Returns { session, refreshToken } on success or { error } with a reason code.
+export const rotateSession = async (db, presentedToken, req) => {
+  const tokenHash = hashToken(presentedToken);
+
+  const current = await db.query(
+    'SELECT * FROM user_sessions WHERE refresh_token_hash = $1',
+    [tokenHash]
+  );
+  const session = current.rows[0];
+
+  if (!session) {
+    // Not the live token — check whether it is one we already rotated out
+    const reused = await db.query(
+      'SELECT * FROM user_sessions WHERE previous_token_hash = $1',
+      [tokenHash]
+    );
+    const reusedSession = reused.rows[0];
+    if (reusedSession && !reusedSession.revoked_at) {
+      const rotatedAgo = (Date.now() - new Date(reusedSession.rotated_at).getTime()) / 1000;
+      if (rotatedAgo > ROTATION_GRACE_SECONDS) {
+        await revokeSession(db, reusedSession.id, 'refresh_token_reuse');
+        return { error: 'reused' };
+      }
+      return { error: 'stale' };
+    }
+    return { error: 'invalid' };
+  }
+
+  if (session.revoked_at) return { error: 'revoked' };
+  if (new Date(session.expires_at) <= new Date()) return { error: 'expired' };
+
+  const refreshToken = generateRefreshToken();
+  const updated = await db.query(
+    `UPDATE user_sessions
+        SET previous_token_hash = refresh_token_hash,
+            refresh_token_hash = $1,
+            rotated_at = NOW(),
+            last_used_at = NOW(),
+            expires_at = $2,
+            ip_address = $3,
+            user_agent = $4
+      WHERE id = $5 AND refresh_token_hash = $6
+      RETURNING *`,
+    [hashToken(refreshToken), refreshExpiry(), getClientIp(req), getUserAgent(req), session.id, tokenHash]
+  );
+
+  // Another request rotated the same token first
+  if (updated.rows.length === 0) return { error: 'stale' };
+
+  return { session: updated.rows[0], refreshToken };
+};
+
+export const revokeSession = async (db, sessionId, reason = 'logout') => {
+  await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $1
+      WHERE id = $2 AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+};
+
+// Revokes every live session of a user; returns the ids that were revoked
+export const revokeUserSessions = async (db, userId, reason, { exceptSessionId = null } = {}) => {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $1
+      WHERE user_id = $2 AND revoked_at IS NULL
+        AND ($3::uuid IS NULL OR id <> $3::uuid)
+      RETURNING id`,
+    [reason, userId, exceptSessionId]
+  );
+  return result.rows.map(r => r.id);
+};
+
+export const isSessionActive = async (db, sessionId, userId) => {
+  const result = await db.query(
+    `SELECT 1 FROM user_sessions
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+};
@@ -0,0 +1,24 @@
+// utils/settings.js
+// Runtime settings stored in app_settings. Every key has a default here so a
+// missing row never breaks a feature.
+
+export const SETTING_DEFAULTS = {
+  recycle_bin_retention_days: 30,
+  // Discounts totalling more than this share of a visit's exam total need approval
+  discount_approval_threshold_percent: 10,
+};
+
+export const getSetting = async (db, key) => {
+  const result = await db.query("SELECT value FROM app_settings WHERE key = $1", [key]);
+  return result.rows.length ? result.rows[0].value : SETTING_DEFAULTS[key];
+};
+
+export const setSetting = async (db, key, value, userId) => {
+  await db.query(
+    `INSERT INTO app_settings (key, value, updated_by_user_id, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, updated_by_user_id = EXCLUDED.updated_by_user_id, updated_at = NOW()`,
+    [key, JSON.stringify(value), userId]
+  );
+};
@@ -6,6 +6,8 @@ import { HashRouter, Routes, Route, useLocation } from 'react-router-dom';
 // Pages
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import DashboardPage from './pages/DashboardPage';
 import NotFoundPage from './pages/NotFoundPage';
 import PatientListPage from './pages/PatientListPage';
@@ -20,10 +22,23 @@ import PatientDetailPage from './pages/PatientDetailPage';
 import ResultUploadPage from './pages/ResultUploadPage';
 import ResultManagementPage from './pages/ResultManagementPage';
 import AdminStaffActivityPage from './pages/AdminStaffActivityPage';
+import AdminPermissionsPage from './pages/AdminPermissionsPage';
+import AdminAuditLogPage from './pages/AdminAuditLogPage';
+import AdminRecycleBinPage from './pages/AdminRecycleBinPage';
+import AdminPatientMergePage from './pages/AdminPatientMergePage';
+import AdminNumberingPage from './pages/AdminNumberingPage';
+import AdminPatientImportPage from './pages/AdminPatientImportPage';
 import ResultsDashboardPage from './pages/ResultsDashboardPage';
+import ContrastBatchReportPage from './pages/ContrastBatchReportPage';
+import AdminReferrersPage from './pages/AdminReferrersPage';
+import AdminExamCatalogPage from './pages/AdminExamCatalogPage';
+import ReferralStatementsPage from './pages/ReferralStatementsPage';
+import PriceListsPage from './pages/PriceListsPage';
+import DiscountApprovalsPage from './pages/DiscountApprovalsPage';
 
 // Components
 import ProtectedRoute from './components/ProtectedRoute';
+import { AuthProvider } from './contexts/AuthContext';
 
 // ✅ COMPONENT: Tracks route changes and saves to LocalStorage
 const RouteTracker = () => {
@@ -31,7 +46,7 @@ const RouteTracker = () => {
 
   useEffect(() => {
     // We do NOT want to save the login or register pages as the "last visited"
-    const publicPaths = ['/login', '/register', '/'];
+    const publicPaths = ['/login', '/register', '/reset-password', '/verify-email', '/'];
     
     if (!publicPaths.includes(location.pathname)) {
       localStorage.setItem('last_visited_route', location.pathname);
@@ -46,6 +61,8 @@ function App() {
   return (
     // ✅ FIX: Wrapped entire app in HashRouter for Electron compatibility
     <HashRouter>
+      {/* AuthProvider uses useNavigate, so it has to live inside the Router */}
+      <AuthProvider>
       <div className="App">
         {/* ✅ Insert the Tracker inside the Router so useLocation works */}
         <RouteTracker /> 
@@ -54,6 +71,8 @@ function App() {
           {/* Public Routes */}
           <Route path="/login" element={<LoginPage />} />
           <Route path="/register" element={<RegisterPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
           <Route path="/" element={<LoginPage />} />
 
           {/* Protected Routes - require authentication and specific roles */}
@@ -161,6 +180,102 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/admin/permissions"
+            element={
+              <ProtectedRoute requiredRoles={['admin']}>
+                <AdminPermissionsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/audit-log"
+            element={
+              <ProtectedRoute requiredRoles={['admin']}>
+                <AdminAuditLogPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/recycle-bin"
+            element={
+              <ProtectedRoute requiredRoles={['admin']}>
+                <AdminRecycleBinPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/patient-merge"
+            element={
+              <ProtectedRoute requiredRoles={['admin']}>
+                <AdminPatientMergePage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/numbering"
+            element={
+              <ProtectedRoute requiredRoles={['admin']}>
+                <AdminNumberingPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/patient-import"
+            element={
+              <ProtectedRoute requiredRoles={['admin']}>
+                <AdminPatientImportPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/referrers"
+            element={
+              <ProtectedRoute requiredRoles={['admin']}>
+                <AdminReferrersPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/exam-catalog"
+            element={
+              <ProtectedRoute requiredRoles={['admin']}>
+                <AdminExamCatalogPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/referrals/statements"
+            element={
+              <ProtectedRoute requiredRoles={['admin', 'financial_admin']}>
+                <ReferralStatementsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/price-lists"
+            element={
+              <ProtectedRoute requiredRoles={['admin', 'financial_admin']}>
+                <PriceListsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/discounts/approvals"
+            element={
+              <ProtectedRoute requiredRoles={['admin', 'financial_admin']}>
+                <DiscountApprovalsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/contrast/batches"
+            element={
+              <ProtectedRoute requiredRoles={['admin', 'doctor']}>
+                <ContrastBatchReportPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/chat"
             element={
@@ -174,6 +289,7 @@ function App() {
           <Route path="*" element={<NotFoundPage />} />
         </Routes>
       </div>
+      </AuthProvider>
     </HashRouter>
   );
 }
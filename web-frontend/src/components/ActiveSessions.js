@@ -0,0 +1,144 @@
+// web-frontend/src/components/ActiveSessions.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+// Icons
+import DevicesIcon from '@mui/icons-material/Devices';
+import LogoutIcon from '@mui/icons-material/Logout';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+// Turns a raw user-agent string into something a receptionist recognises
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser';
+  const os = /Windows/.test(userAgent) ? 'Windows'
+    : /Android/.test(userAgent) ? 'Android'
+    : /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : 'Unknown OS';
+  const app = /Electron\//.test(userAgent) ? 'Desktop app' : browser;
+  return `${app} on ${os}`;
+};
+
+function ActiveSessions() {
+  const { token } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/sessions`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSessions(data);
+      } else {
+        setError(data.message || 'Failed to load active sessions.');
+      }
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revoke = async (url, successMessage) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(url, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(successMessage || data.message);
+        fetchSessions();
+      } else {
+        setError(data.message || 'Failed to revoke session.');
+      }
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError('Network error or server unavailable.');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">Active Devices</Typography>
+        {sessions.length > 1 && (
+          <Button size="small" color="warning" onClick={() => revoke(`${API_BASE_URL}/api/auth/sessions`)}>
+            Sign out all other devices
+          </Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : (
+        <List>
+          {sessions.map((session) => (
+            <ListItem
+              key={session.id}
+              secondaryAction={!session.is_current && (
+                <Button
+                  size="small"
+                  startIcon={<LogoutIcon />}
+                  onClick={() => revoke(`${API_BASE_URL}/api/auth/sessions/${session.id}`, 'Device signed out.')}
+                >
+                  Sign out
+                </Button>
+              )}
+            >
+              <ListItemIcon><DevicesIcon /></ListItemIcon>
+              <ListItemText
+                primary={(
+                  <>
+                    {describeDevice(session.user_agent)}
+                    {session.is_current && <Chip label="This device" color="primary" size="small" sx={{ ml: 1 }} />}
+                  </>
+                )}
+                secondary={`${session.ip_address || 'Unknown IP'} · Last active ${new Date(session.last_used_at).toLocaleString()}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+}
+
+export default ActiveSessions;
@@ -0,0 +1,126 @@
+// web-frontend/src/components/ChangePassword.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { describePasswordPolicy } from '../utils/passwordPolicy';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+function ChangePassword() {
+  const { token } = useAuth();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/auth/password-policy`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(setPolicy)
+      .catch(err => console.error('Error fetching password policy:', err));
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (newPassword !== confirmPassword) {
+      setError('New passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/me/password`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ current_password: currentPassword, new_password: newPassword }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        setCurrentPassword('');
+        setNewPassword('');
+        setConfirmPassword('');
+      } else {
+        setError(data.message || 'Failed to change password.');
+      }
+    } catch (err) {
+      console.error('Error changing password:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} noValidate>
+      <Typography variant="h6" sx={{ mb: 1 }}>Change Password</Typography>
+      {policy && (
+        <Typography variant="body2" color="text.secondary">
+          {describePasswordPolicy(policy)}
+        </Typography>
+      )}
+
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mt: 2 }}>{success}</Alert>}
+
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        type="password"
+        label="Current Password"
+        autoComplete="current-password"
+        value={currentPassword}
+        onChange={(e) => setCurrentPassword(e.target.value)}
+      />
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        type="password"
+        label="New Password"
+        autoComplete="new-password"
+        value={newPassword}
+        onChange={(e) => setNewPassword(e.target.value)}
+      />
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        type="password"
+        label="Confirm New Password"
+        autoComplete="new-password"
+        value={confirmPassword}
+        onChange={(e) => setConfirmPassword(e.target.value)}
+      />
+      <Button
+        type="submit"
+        variant="contained"
+        sx={{ mt: 2 }}
+        disabled={loading || !currentPassword || !newPassword || !confirmPassword}
+      >
+        {loading ? <CircularProgress size={24} /> : 'Change Password'}
+      </Button>
+    </Box>
+  );
+}
+
+export default ChangePassword;
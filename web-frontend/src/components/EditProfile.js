@@ -0,0 +1,141 @@
+// web-frontend/src/components/EditProfile.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+function EditProfile() {
+  const { token, user, updateUser } = useAuth();
+  const [form, setForm] = useState({ full_name: '', phone_number: '', email: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    if (user) {
+      setForm({
+        full_name: user.full_name || '',
+        phone_number: user.phone_number || '',
+        email: user.email || '',
+      });
+    }
+  }, [user]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const request = async (path, options) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        if (data.user) updateUser(data.user);
+      } else {
+        setError(data.message || 'Request failed.');
+      }
+    } catch (err) {
+      console.error(`Error calling ${path}:`, err);
+      setError('Network error or server unavailable.');
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    // Only send what actually changed
+    const changes = {};
+    if (form.full_name !== (user.full_name || '')) changes.full_name = form.full_name;
+    if (form.phone_number !== (user.phone_number || '')) changes.phone_number = form.phone_number;
+    if (form.email.trim().toLowerCase() !== (user.email || '').toLowerCase()) changes.email = form.email;
+    if (Object.keys(changes).length === 0) {
+      setSuccess('Nothing to update.');
+      return;
+    }
+
+    setSaving(true);
+    await request('/api/me', { method: 'PATCH', body: JSON.stringify(changes) });
+    setSaving(false);
+  };
+
+  if (!user) return null;
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} noValidate>
+      <Typography variant="h6" sx={{ mb: 1 }}>Edit Profile</Typography>
+
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mt: 2 }}>{success}</Alert>}
+      {user.pending_email && (
+        <Alert
+          severity="info"
+          sx={{ mt: 2 }}
+          action={(
+            <>
+              <Button color="inherit" size="small" onClick={() => request('/api/me/email/resend', { method: 'POST' })}>
+                Resend
+              </Button>
+              <Button color="inherit" size="small" onClick={() => request('/api/me/email/pending', { method: 'DELETE' })}>
+                Cancel
+              </Button>
+            </>
+          )}
+        >
+          Waiting for you to confirm {user.pending_email}. Your current email stays active until then.
+        </Alert>
+      )}
+
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        name="full_name"
+        label="Full Name"
+        value={form.full_name}
+        onChange={handleChange}
+      />
+      <TextField
+        margin="normal"
+        fullWidth
+        name="phone_number"
+        label="Phone Number"
+        value={form.phone_number}
+        onChange={handleChange}
+      />
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        type="email"
+        name="email"
+        label="Email"
+        helperText="Changing your email sends a confirmation link to the new address."
+        value={form.email}
+        onChange={handleChange}
+      />
+      <Button type="submit" variant="contained" sx={{ mt: 2 }} disabled={saving}>
+        {saving ? <CircularProgress size={24} /> : 'Save Changes'}
+      </Button>
+    </Box>
+  );
+}
+
+export default EditProfile;
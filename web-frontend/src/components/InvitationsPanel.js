@@ -0,0 +1,283 @@
+// web-frontend/src/components/InvitationsPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+} from '@mui/material';
+
+// Icons
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const statusColors = {
+  pending: 'info',
+  accepted: 'success',
+  expired: 'default',
+  revoked: 'warning',
+};
+
+const emptyForm = { email: '', full_name: '', role: '', expires_in_days: 7 };
+
+function InvitationsPanel({ roleOptions }) {
+  const { token } = useAuth();
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [created, setCreated] = useState(null); // { code, invite_link } shown once after creation
+
+  const fetchInvitations = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/invitations`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setInvitations(data);
+      } else {
+        setError(data.message || 'Failed to load invitations.');
+      }
+    } catch (err) {
+      console.error('Error fetching invitations:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  const handleOpen = () => {
+    setForm({ ...emptyForm, role: roleOptions[0]?.value || '' });
+    setCreated(null);
+    setError('');
+    setDialogOpen(true);
+  };
+
+  const handleClose = () => {
+    setDialogOpen(false);
+    setCreated(null);
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/invitations`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(form),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        setCreated({ code: data.code, invite_link: data.invite_link });
+        fetchInvitations();
+      } else {
+        setError(data.message || 'Failed to create invitation.');
+      }
+    } catch (err) {
+      console.error('Error creating invitation:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/invitations/${invitation.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchInvitations();
+      } else {
+        setError(data.message || 'Failed to revoke invitation.');
+      }
+    } catch (err) {
+      console.error('Error revoking invitation:', err);
+      setError('Network error or server unavailable.');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h5">Invitations</Typography>
+        <Button variant="contained" startIcon={<PersonAddIcon />} onClick={handleOpen}>
+          Invite Staff
+        </Button>
+      </Box>
+
+      {error && !dialogOpen && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && !dialogOpen && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      {loading ? (
+        <CircularProgress />
+      ) : invitations.length === 0 ? (
+        <Alert severity="info">No invitations sent yet.</Alert>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small" aria-label="invitations table">
+            <TableHead>
+              <TableRow>
+                <TableCell>Email</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Invited By</TableCell>
+                <TableCell>Sent</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {invitations.map((invitation) => (
+                <TableRow key={invitation.id}>
+                  <TableCell>{invitation.email}</TableCell>
+                  <TableCell>{invitation.full_name || '—'}</TableCell>
+                  <TableCell>{invitation.role_label}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={invitation.status === 'accepted' && invitation.accepted_username
+                        ? `Accepted (${invitation.accepted_username})`
+                        : invitation.status.charAt(0).toUpperCase() + invitation.status.slice(1)}
+                      color={statusColors[invitation.status]}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell>{invitation.invited_by_name || 'N/A'}</TableCell>
+                  <TableCell>{new Date(invitation.created_at).toLocaleDateString()}</TableCell>
+                  <TableCell>{new Date(invitation.expires_at).toLocaleString()}</TableCell>
+                  <TableCell align="right">
+                    {invitation.status === 'pending' && (
+                      <Button size="small" color="warning" onClick={() => handleRevoke(invitation)}>
+                        Revoke
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={dialogOpen} onClose={handleClose} fullWidth maxWidth="sm">
+        <DialogTitle>Invite Staff Member</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {created ? (
+            <Box>
+              <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                The code is shown only once. Share it or the link if the email does not arrive.
+              </Typography>
+              <Typography variant="h6" sx={{ fontFamily: 'monospace', mb: 1 }}>{created.code}</Typography>
+              <TextField fullWidth size="small" value={created.invite_link} InputProps={{ readOnly: true }} />
+              <Button
+                size="small"
+                startIcon={<ContentCopyIcon />}
+                sx={{ mt: 1 }}
+                onClick={() => navigator.clipboard.writeText(created.invite_link).catch(err => console.error('Copy failed:', err))}
+              >
+                Copy link
+              </Button>
+            </Box>
+          ) : (
+            <>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                type="email"
+                label="Email"
+                value={form.email}
+                onChange={(e) => setForm({ ...form, email: e.target.value })}
+              />
+              <TextField
+                margin="normal"
+                fullWidth
+                label="Full Name (Optional)"
+                value={form.full_name}
+                onChange={(e) => setForm({ ...form, full_name: e.target.value })}
+              />
+              <FormControl fullWidth margin="normal">
+                <InputLabel id="invite-role-label">Role</InputLabel>
+                <Select
+                  labelId="invite-role-label"
+                  value={form.role}
+                  label="Role"
+                  onChange={(e) => setForm({ ...form, role: e.target.value })}
+                >
+                  {roleOptions.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                margin="normal"
+                fullWidth
+                type="number"
+                label="Valid for (days)"
+                inputProps={{ min: 1, max: 30 }}
+                value={form.expires_in_days}
+                onChange={(e) => setForm({ ...form, expires_in_days: e.target.value })}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose}>{created ? 'Done' : 'Cancel'}</Button>
+          {!created && (
+            <Button variant="contained" onClick={handleCreate} disabled={saving || !form.email || !form.role}>
+              {saving ? <CircularProgress size={24} /> : 'Send Invitation'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default InvitationsPanel;
@@ -80,7 +80,7 @@ const Main = styled('main', { shouldForwardProp: (prop) => prop !== 'open' })(
 // --- Layout Component Definition ---
 function Layout({ children }) {
   const { mode, toggleColorMode } = useThemeToggle();
-  const { user, token } = useAuth(); // Ensure user and token are destructured
+  const { user, token, logout } = useAuth(); // Ensure user and token are destructured
   const navigate = useNavigate();
   const [mobileOpen, setMobileOpen] = useState(false);
 
@@ -149,13 +149,8 @@ function Layout({ children }) {
         socket.connect();
       }
 
-      // Register user ID with the backend socket
-      const handleSocketConnect = () => {
-        if (user && user.id) { // Ensure user.id is available
-          socket.emit('register_user', user.id);
-          console.log(`Layout: Emitting register_user for user ${user.id} on socket connect`);
-        }
-      };
+      // The server identifies the user from the token sent in the handshake,
+      // so there is nothing to register once connected.
 
       // Listen for new_notification events
       const handleNewNotification = (newNotif) => {
@@ -165,7 +160,6 @@ function Layout({ children }) {
         // Optionally, play a sound or show a transient alert here
       };
 
-      socket.on('connect', handleSocketConnect);
       socket.on('new_notification', handleNewNotification);
 
       // 3. Initial Notification Fetch and Polling
@@ -176,7 +170,6 @@ function Layout({ children }) {
       // Cleanup function: runs when component unmounts or dependencies change
       return () => {
         clearInterval(intervalId); // Clear polling interval
-        socket.off('connect', handleSocketConnect); // Remove connect listener
         socket.off('new_notification', handleNewNotification); // Remove real-time listener
 
         // Disconnect socket only if there are no other active listeners/components needing it
@@ -186,8 +179,6 @@ function Layout({ children }) {
                 socket.disconnect();
                 console.log('Layout: Disconnected socket due to user logout/unauth.');
              }
-             // Also signal backend to unregister this socket from the user ID
-             socket.emit('unregister_user', null); // Or specific user.id if backend handles unregistering specific ids
         }
       };
     } else {
@@ -199,7 +190,6 @@ function Layout({ children }) {
       setNotifications([]);
       setUnreadCount(0);
       // Ensure existing listeners are removed from previous connections if any
-      socket.off('connect');
       socket.off('new_notification');
     }
   }, [mode, user, token]); // Dependencies: mode for theme, user/token for authentication/socket management
@@ -238,6 +228,8 @@ function Layout({ children }) {
             // If it's medical staff's own query, it might be: navigate(`/queries/my`);
         } else if (relatedEntityType === 'patient_result' && relatedEntityId) {
             navigate(`/patients/${relatedEntityId}/results/manage`); // Example: manage results for that patient
+        } else if (relatedEntityType === 'discount') {
+            navigate('/discounts/approvals');
         } else if (relatedEntityType === 'event' && relatedEntityId) {
             navigate(`/dashboard`); // Navigate to dashboard where calendar is
         }
@@ -360,7 +352,7 @@ function Layout({ children }) {
 
           {/* Login/Logout Button */}
           {user ? (
-            <Button color="inherit" onClick={() => { localStorage.removeItem('token'); navigate('/login'); }}>
+            <Button color="inherit" onClick={logout}>
               Logout
             </Button>
           ) : (
@@ -0,0 +1,233 @@
+// web-frontend/src/components/LoginSecurityPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  Chip,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+
+// Icons
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import LockIcon from '@mui/icons-material/Lock';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const failureLabels = {
+  unknown_user: 'Unknown username',
+  invalid_password: 'Wrong password',
+  invalid_mfa_code: 'Wrong 2FA code',
+  not_verified: 'Account not verified',
+  throttled: 'Throttled',
+  locked: 'Locked out',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'N/A');
+
+function LoginSecurityPanel() {
+  const { token } = useAuth();
+  const [activity, setActivity] = useState(null);
+  const [failuresOnly, setFailuresOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchActivity = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/security/login-activity`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setActivity(data);
+      } else {
+        setError(data.message || 'Failed to fetch login activity.');
+      }
+    } catch (err) {
+      console.error('Error fetching login activity:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchActivity();
+  }, [fetchActivity]);
+
+  const handleUnlock = async (lockoutId) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/security/lockouts/${lockoutId}/unlock`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchActivity();
+      } else {
+        setError(data.message || 'Failed to unlock.');
+      }
+    } catch (err) {
+      console.error('Error unlocking login:', err);
+      setError('Network error or server unavailable.');
+    }
+  };
+
+  if (loading) return <CircularProgress />;
+
+  const ipLockouts = activity?.lockouts.filter(l => l.scope === 'ip') || [];
+  const attempts = (activity?.recent_attempts || []).filter(a => !failuresOnly || !a.success);
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        Login Security
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      {activity && (
+        <>
+          <TableContainer component={Paper} sx={{ mb: 3 }}>
+            <Table size="small" aria-label="login activity per user">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Username</TableCell>
+                  <TableCell>Full Name</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Last Login</TableCell>
+                  <TableCell>Last Failure</TableCell>
+                  <TableCell>Failures (24h)</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {activity.users.map((u) => (
+                  <TableRow key={u.id}>
+                    <TableCell>{u.username}</TableCell>
+                    <TableCell>{u.full_name}</TableCell>
+                    <TableCell>{u.role?.replace('_', ' ')}</TableCell>
+                    <TableCell>{formatDate(u.last_login_at)}</TableCell>
+                    <TableCell>{formatDate(u.last_failure_at)}</TableCell>
+                    <TableCell>{u.failures_24h}</TableCell>
+                    <TableCell>
+                      {u.lockout_id ? (
+                        <Chip
+                          icon={<LockIcon />}
+                          label={`Locked until ${new Date(u.locked_until).toLocaleTimeString()}`}
+                          color="error"
+                          size="small"
+                        />
+                      ) : (
+                        <Chip label="OK" color="success" size="small" />
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      {u.lockout_id && (
+                        <Button size="small" startIcon={<LockOpenIcon />} onClick={() => handleUnlock(u.lockout_id)}>
+                          Unlock
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {ipLockouts.length > 0 && (
+            <>
+              <Typography variant="h6" gutterBottom>Locked IP Addresses</Typography>
+              <TableContainer component={Paper} sx={{ mb: 3 }}>
+                <Table size="small" aria-label="locked ip addresses">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>IP Address</TableCell>
+                      <TableCell>Failed Attempts</TableCell>
+                      <TableCell>Locked At</TableCell>
+                      <TableCell>Locked Until</TableCell>
+                      <TableCell align="right">Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {ipLockouts.map((l) => (
+                      <TableRow key={l.id}>
+                        <TableCell>{l.lock_key}</TableCell>
+                        <TableCell>{l.failed_count}</TableCell>
+                        <TableCell>{formatDate(l.created_at)}</TableCell>
+                        <TableCell>{formatDate(l.locked_until)}</TableCell>
+                        <TableCell align="right">
+                          <Button size="small" startIcon={<LockOpenIcon />} onClick={() => handleUnlock(l.id)}>
+                            Unlock
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="h6">Recent Login Attempts</Typography>
+            <FormControlLabel
+              control={<Switch checked={failuresOnly} onChange={(e) => setFailuresOnly(e.target.checked)} />}
+              label="Failures only"
+            />
+          </Box>
+          <TableContainer component={Paper} sx={{ maxHeight: 480 }}>
+            <Table size="small" stickyHeader aria-label="recent login attempts">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Time</TableCell>
+                  <TableCell>Username</TableCell>
+                  <TableCell>IP Address</TableCell>
+                  <TableCell>Result</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {attempts.map((a) => (
+                  <TableRow key={a.id}>
+                    <TableCell>{formatDate(a.created_at)}</TableCell>
+                    <TableCell>{a.username}</TableCell>
+                    <TableCell>{a.ip_address || 'N/A'}</TableCell>
+                    <TableCell>
+                      {a.success ? (
+                        <Chip label="Success" color="success" size="small" />
+                      ) : (
+                        <Chip label={failureLabels[a.failure_reason] || 'Failed'} color="warning" size="small" />
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default LoginSecurityPanel;
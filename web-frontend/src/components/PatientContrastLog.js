@@ -0,0 +1,330 @@
+// web-frontend/src/components/PatientContrastLog.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+  Stack,
+  TextField,
+  MenuItem,
+  Checkbox,
+  FormControlLabel,
+  Tooltip,
+} from '@mui/material';
+
+// Icons
+import VaccinesIcon from '@mui/icons-material/Vaccines';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+// "YYYY-MM-DDTHH:mm" in local time, as a datetime-local input expects
+const localDateTimeValue = (date = new Date()) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Contrast given during one visit: each administration with its lot number
+// and any warnings, and a form to record a new one. The server checks the
+// dose against body weight and renal function; warnings must be confirmed.
+function PatientContrastLog({ patientId }) {
+  const { token, user, hasPermission } = useAuth();
+  const [data, setData] = useState(null); // { weight_kg, examinations, administrations }
+  const [options, setOptions] = useState({ agents: [], routes: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [form, setForm] = useState(null); // record in progress, or null
+  const [formErrors, setFormErrors] = useState({});
+  const [warnings, setWarnings] = useState([]);
+  const [acknowledged, setAcknowledged] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const canRecord = hasPermission('contrast.record');
+
+  const fetchContrast = useCallback(async () => {
+    if (!token) return;
+    try {
+      const [logResponse, agentsResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/patients/${patientId}/contrast`, { headers: { 'Authorization': `Bearer ${token}` } }),
+        fetch(`${API_BASE_URL}/api/contrast/agents`, { headers: { 'Authorization': `Bearer ${token}` } }),
+      ]);
+      const body = await logResponse.json();
+      if (logResponse.ok) {
+        setData(body);
+      } else {
+        setError(body.message || 'Failed to load the contrast log.');
+      }
+      if (agentsResponse.ok) setOptions(await agentsResponse.json());
+    } catch (err) {
+      console.error('Error fetching contrast log:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, patientId]);
+
+  useEffect(() => {
+    fetchContrast();
+  }, [fetchContrast]);
+
+  const handleStart = () => {
+    setForm({
+      examination_id: data.examinations.length === 1 ? data.examinations[0].id : '',
+      agent: '',
+      route: 'Intravenous',
+      weight_kg: data.weight_kg ?? '',
+      dose_ml: '',
+      batch_number: '',
+      batch_expiry_date: '',
+      administered_at: localDateTimeValue(),
+      egfr: '',
+      creatinine_umol_per_l: '',
+      administered_by_name: user?.full_name || '',
+      notes: '',
+    });
+    setFormErrors({});
+    setWarnings([]);
+    setAcknowledged(false);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setFormErrors(prev => ({ ...prev, [name]: undefined }));
+    // Warnings were for the values as submitted; changes need a fresh check
+    setWarnings([]);
+    setAcknowledged(false);
+  };
+
+  const handleSubmit = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/contrast`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({
+          ...form,
+          administered_at: new Date(form.administered_at).toISOString(),
+          acknowledge_warnings: warnings.length > 0 && acknowledged,
+        }),
+      });
+      const body = await response.json();
+      if (response.ok) {
+        setForm(null);
+        setWarnings([]);
+        setSuccess(body.message);
+        fetchContrast();
+      } else if (response.status === 409 && body.warnings) {
+        setWarnings(body.warnings);
+        setAcknowledged(false);
+      } else {
+        if (body.errors) setFormErrors(body.errors);
+        setError(body.message || 'Failed to record the contrast administration.');
+      }
+    } catch (err) {
+      console.error('Error recording contrast administration:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+  if (!data) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const fieldErrorProps = (name) => ({ error: Boolean(formErrors[name]), helperText: formErrors[name] });
+  const selectedAgent = form && options.agents.find(agent => agent.name === form.agent);
+  const recommendedMl = selectedAgent && form.route === 'Intravenous' && Number(form.weight_kg) > 0
+    ? Math.round(Number(form.weight_kg) * selectedAgent.mlPerKg * 10) / 10
+    : null;
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      {!form && (
+        <>
+          {canRecord && (
+            <Button variant="contained" startIcon={<VaccinesIcon />} onClick={handleStart} sx={{ mb: 2 }} disabled={data.examinations.length === 0}>
+              Record Contrast
+            </Button>
+          )}
+          {data.administrations.length === 0 ? (
+            <Alert severity="info">No contrast has been recorded for this visit.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Given At</TableCell>
+                    <TableCell>Examination</TableCell>
+                    <TableCell>Agent</TableCell>
+                    <TableCell>Dose</TableCell>
+                    <TableCell>Batch</TableCell>
+                    <TableCell>Route</TableCell>
+                    <TableCell>eGFR</TableCell>
+                    <TableCell>Given By</TableCell>
+                    <TableCell>Warnings</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {data.administrations.map(item => (
+                    <TableRow key={item.id}>
+                      <TableCell>{new Date(item.administered_at).toLocaleString()}</TableCell>
+                      <TableCell>{item.exam_name}</TableCell>
+                      <TableCell>{item.agent}</TableCell>
+                      <TableCell>
+                        {Number(item.dose_ml)} mL
+                        {item.recommended_dose_ml !== null && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            recommended {Number(item.recommended_dose_ml)} mL for {Number(item.weight_kg)} kg
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {item.batch_number}
+                        {item.batch_expiry_date && (
+                          <Typography variant="caption" color="text.secondary" display="block">exp. {item.batch_expiry_date}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{item.route}</TableCell>
+                      <TableCell>
+                        {item.egfr !== null ? `${Number(item.egfr)}${item.egfr_estimated ? ' (est.)' : ''}` : '—'}
+                      </TableCell>
+                      <TableCell>{item.administered_by_name}</TableCell>
+                      <TableCell>
+                        {item.warnings.map(warning => (
+                          <Tooltip key={warning.code} title={warning.message}>
+                            <Chip size="small" color="warning" label={warning.code.replace(/_/g, ' ')} sx={{ mr: 0.5, mb: 0.5 }} />
+                          </Tooltip>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+
+      {form && (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>Record Contrast Administration</Typography>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField select fullWidth size="small" name="examination_id" label="Examination" value={form.examination_id} onChange={handleChange} {...fieldErrorProps('examination_id')}>
+                {data.examinations.map(exam => <MenuItem key={exam.id} value={exam.id}>{exam.name}</MenuItem>)}
+              </TextField>
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField select fullWidth size="small" name="agent" label="Contrast Agent" value={form.agent} onChange={handleChange} {...fieldErrorProps('agent')}>
+                {options.agents.map(agent => (
+                  <MenuItem key={agent.name} value={agent.name}>{agent.name} — {agent.concentration} mmol/mL</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField select fullWidth size="small" name="route" label="Route" value={form.route} onChange={handleChange} {...fieldErrorProps('route')}>
+                {options.routes.map(route => <MenuItem key={route} value={route}>{route}</MenuItem>)}
+              </TextField>
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField fullWidth size="small" type="number" name="weight_kg" label="Weight (kg)" value={form.weight_kg} onChange={handleChange} inputProps={{ min: 0, step: '0.1' }} {...fieldErrorProps('weight_kg')} />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                name="dose_ml"
+                label="Dose Given (mL)"
+                value={form.dose_ml}
+                onChange={handleChange}
+                inputProps={{ min: 0, step: '0.1' }}
+                error={Boolean(formErrors.dose_ml)}
+                helperText={formErrors.dose_ml || (recommendedMl !== null ? `Recommended: ${recommendedMl} mL` : ' ')}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField fullWidth size="small" name="batch_number" label="Batch / Lot Number" value={form.batch_number} onChange={handleChange} {...fieldErrorProps('batch_number')} />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField fullWidth size="small" type="date" name="batch_expiry_date" label="Batch Expiry" value={form.batch_expiry_date} onChange={handleChange} InputLabelProps={{ shrink: true }} {...fieldErrorProps('batch_expiry_date')} />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField fullWidth size="small" type="datetime-local" name="administered_at" label="Given At" value={form.administered_at} onChange={handleChange} InputLabelProps={{ shrink: true }} {...fieldErrorProps('administered_at')} />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                name="egfr"
+                label="eGFR (mL/min/1.73m²)"
+                value={form.egfr}
+                onChange={handleChange}
+                error={Boolean(formErrors.egfr)}
+                helperText={formErrors.egfr || 'Leave blank to estimate from creatinine'}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField fullWidth size="small" type="number" name="creatinine_umol_per_l" label="Creatinine (µmol/L)" value={form.creatinine_umol_per_l} onChange={handleChange} {...fieldErrorProps('creatinine_umol_per_l')} />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField fullWidth size="small" name="administered_by_name" label="Given By" value={form.administered_by_name} onChange={handleChange} {...fieldErrorProps('administered_by_name')} />
+            </Grid>
+            <Grid size={{ xs: 12 }}>
+              <TextField fullWidth size="small" multiline rows={2} name="notes" label="Notes (reaction, extravasation, etc.)" value={form.notes} onChange={handleChange} />
+            </Grid>
+          </Grid>
+
+          {warnings.length > 0 && (
+            <Alert severity="warning" sx={{ mt: 2 }}>
+              {warnings.map(warning => <Typography key={warning.code} variant="body2">{warning.message}</Typography>)}
+              <FormControlLabel
+                control={<Checkbox checked={acknowledged} onChange={(e) => setAcknowledged(e.target.checked)} />}
+                label="I have reviewed these warnings and the contrast was given as recorded."
+              />
+            </Alert>
+          )}
+
+          <Stack direction="row" spacing={1} justifyContent="flex-end" sx={{ mt: 2 }}>
+            <Button onClick={() => setForm(null)} disabled={saving}>Cancel</Button>
+            <Button variant="contained" onClick={handleSubmit} disabled={saving || (warnings.length > 0 && !acknowledged)}>
+              {saving ? <CircularProgress size={20} /> : 'Save'}
+            </Button>
+          </Stack>
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default PatientContrastLog;
@@ -0,0 +1,72 @@
+// web-frontend/src/components/PatientDemographicsFields.js
+import React from 'react';
+
+// Material-UI components
+import { Grid, TextField, MenuItem, Typography } from '@mui/material';
+
+// Address, next of kin and identity document inputs shared by the add and
+// edit patient forms. `fieldErrorProps(key)` supplies error/helperText, and
+// the state and ID type options come from the server's validation schema.
+function PatientDemographicsFields({ values, onChange, fieldErrorProps, schema, size = 'medium' }) {
+  const stateOptions = schema?.address_state?.values || [];
+  const idTypeOptions = schema?.id_document_type?.values || [];
+
+  const field = (name, label, props = {}) => (
+    <TextField
+      margin="normal"
+      fullWidth
+      id={name}
+      name={name}
+      label={label}
+      size={size}
+      value={values[name] || ''}
+      onChange={onChange}
+      {...fieldErrorProps(name)}
+      {...props}
+    />
+  );
+
+  return (
+    <>
+      <Typography variant="subtitle1" sx={{ mt: 3, fontWeight: 'bold' }}>Address</Typography>
+      <Grid container spacing={2}>
+        <Grid size={{ xs: 12 }}>{field('address_line', 'Street Address')}</Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>{field('address_city', 'Town/City')}</Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>{field('address_lga', 'LGA')}</Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>
+          {field('address_state', 'State', {
+            select: true,
+            children: [
+              <MenuItem key="" value=""><em>Not given</em></MenuItem>,
+              ...stateOptions.map(state => <MenuItem key={state} value={state}>{state}</MenuItem>),
+            ],
+          })}
+        </Grid>
+      </Grid>
+
+      <Typography variant="subtitle1" sx={{ mt: 3, fontWeight: 'bold' }}>Next of Kin</Typography>
+      <Grid container spacing={2}>
+        <Grid size={{ xs: 12, sm: 4 }}>{field('next_of_kin_name', 'Name')}</Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>{field('next_of_kin_relationship', 'Relationship', { placeholder: 'e.g. Mother, Spouse' })}</Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>{field('next_of_kin_phone_number', 'Phone Number', { type: 'tel' })}</Grid>
+      </Grid>
+
+      <Typography variant="subtitle1" sx={{ mt: 3, fontWeight: 'bold' }}>Identity Documents</Typography>
+      <Grid container spacing={2}>
+        <Grid size={{ xs: 12, sm: 4 }}>{field('national_id_number', 'NIN', { inputProps: { inputMode: 'numeric', maxLength: 11 } })}</Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>
+          {field('id_document_type', 'Other ID Type', {
+            select: true,
+            children: [
+              <MenuItem key="" value=""><em>None</em></MenuItem>,
+              ...idTypeOptions.map(type => <MenuItem key={type} value={type}>{type}</MenuItem>),
+            ],
+          })}
+        </Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>{field('id_document_number', 'ID Number')}</Grid>
+      </Grid>
+    </>
+  );
+}
+
+export default PatientDemographicsFields;
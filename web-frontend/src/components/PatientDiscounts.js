@@ -0,0 +1,281 @@
+// web-frontend/src/components/PatientDiscounts.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+  Stack,
+  TextField,
+  MenuItem,
+  InputAdornment,
+} from '@mui/material';
+
+// Icons
+import DiscountIcon from '@mui/icons-material/Discount';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const statusChips = {
+  pending: { label: 'Awaiting approval', color: 'warning' },
+  approved: { label: 'Approved', color: 'success' },
+  rejected: { label: 'Rejected', color: 'error' },
+};
+
+const formatNaira = (amount) =>
+  `₦${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Discount and fee waiver lines on one visit, and a form to request a new
+// one. Lines that take the visit past the approval threshold stay pending
+// until someone with discounts.approve accepts them.
+function PatientDiscounts({ patientId, onChange }) {
+  const { token, hasPermission } = useAuth();
+  const [data, setData] = useState(null); // { discounts, reasons, threshold_percent, gross_amount, discount_amount, net_amount }
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [form, setForm] = useState(null); // request in progress, or null
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const canRequest = hasPermission('discounts.request');
+  const canApprove = hasPermission('discounts.approve');
+
+  const fetchDiscounts = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/discounts`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const body = await response.json();
+      if (response.ok) {
+        setData(body);
+      } else {
+        setError(body.message || 'Failed to load discounts.');
+      }
+    } catch (err) {
+      console.error('Error fetching discounts:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, patientId]);
+
+  useEffect(() => {
+    fetchDiscounts();
+  }, [fetchDiscounts]);
+
+  const handleStart = () => {
+    setForm({ kind: 'percentage', value: '', reason_code: '', note: '' });
+    setFormErrors({});
+    setError('');
+    setSuccess('');
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setFormErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/discounts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(form),
+      });
+      const body = await response.json();
+      if (response.ok) {
+        setForm(null);
+        setSuccess(body.message);
+        fetchDiscounts();
+        if (onChange) onChange();
+      } else {
+        if (body.errors) setFormErrors(body.errors);
+        setError(body.message || 'Failed to request the discount.');
+      }
+    } catch (err) {
+      console.error('Error requesting discount:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+  if (!data) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const reasonLabel = (code) => data.reasons.find(reason => reason.code === code)?.label || code;
+  const fieldErrorProps = (name) => ({ error: Boolean(formErrors[name]), helperText: formErrors[name] });
+
+  // What the request would take off, and whether it will need an approver
+  const requestedValue = form ? Number(form.value) : 0;
+  const previewAmount = form && requestedValue > 0
+    ? (form.kind === 'percentage' ? data.gross_amount * requestedValue / 100 : requestedValue)
+    : null;
+  const openAmount = data.discounts
+    .filter(discount => discount.status !== 'rejected')
+    .reduce((sum, discount) => sum + Number(discount.amount), 0);
+  const needsApproval = previewAmount !== null && !canApprove
+    && (openAmount + previewAmount) * 100 > data.gross_amount * data.threshold_percent;
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      <Stack direction="row" spacing={3} sx={{ mb: 2 }}>
+        <Typography variant="body2">Exam total: <strong>{formatNaira(data.gross_amount)}</strong></Typography>
+        <Typography variant="body2">Approved discounts: <strong>-{formatNaira(data.discount_amount)}</strong></Typography>
+        <Typography variant="body2">Amount due: <strong>{formatNaira(data.net_amount)}</strong></Typography>
+      </Stack>
+
+      {!form && (
+        <>
+          {canRequest && (
+            <Button variant="contained" startIcon={<DiscountIcon />} onClick={handleStart} sx={{ mb: 2 }} disabled={data.gross_amount <= 0}>
+              Add Discount
+            </Button>
+          )}
+          {data.discounts.length === 0 ? (
+            <Alert severity="info">No discounts have been given on this visit.</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Requested</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell>Discount</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Requested By</TableCell>
+                    <TableCell>Decision</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {data.discounts.map(discount => (
+                    <TableRow key={discount.id}>
+                      <TableCell>{new Date(discount.requested_at).toLocaleString()}</TableCell>
+                      <TableCell>
+                        {reasonLabel(discount.reason_code)}
+                        {discount.note && (
+                          <Typography variant="caption" color="text.secondary" display="block">{discount.note}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{discount.kind === 'percentage' ? `${Number(discount.value)}%` : 'Fixed amount'}</TableCell>
+                      <TableCell align="right">-{formatNaira(discount.amount)}</TableCell>
+                      <TableCell>
+                        <Chip size="small" {...statusChips[discount.status]} />
+                      </TableCell>
+                      <TableCell>{discount.requested_by_name || '—'}</TableCell>
+                      <TableCell>
+                        {discount.decided_at ? (
+                          <>
+                            {discount.decided_by_name || '—'}, {new Date(discount.decided_at).toLocaleDateString()}
+                            {discount.decision_note && (
+                              <Typography variant="caption" color="text.secondary" display="block">{discount.decision_note}</Typography>
+                            )}
+                          </>
+                        ) : '—'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+
+      {form && (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>Add Discount</Typography>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField select fullWidth size="small" name="kind" label="Type" value={form.kind} onChange={handleChange} {...fieldErrorProps('kind')}>
+                <MenuItem value="percentage">Percentage</MenuItem>
+                <MenuItem value="fixed">Fixed amount</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                name="value"
+                label={form.kind === 'percentage' ? 'Percentage' : 'Amount'}
+                value={form.value}
+                onChange={handleChange}
+                inputProps={{ min: 0, step: form.kind === 'percentage' ? '0.5' : '0.01' }}
+                InputProps={form.kind === 'percentage'
+                  ? { endAdornment: <InputAdornment position="end">%</InputAdornment> }
+                  : { startAdornment: <InputAdornment position="start">₦</InputAdornment> }}
+                error={Boolean(formErrors.value)}
+                helperText={formErrors.value || (previewAmount !== null ? `Takes off ${formatNaira(previewAmount)}` : ' ')}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField select fullWidth size="small" name="reason_code" label="Reason" value={form.reason_code} onChange={handleChange} {...fieldErrorProps('reason_code')}>
+                {data.reasons.map(reason => <MenuItem key={reason.code} value={reason.code}>{reason.label}</MenuItem>)}
+              </TextField>
+            </Grid>
+            <Grid size={{ xs: 12 }}>
+              <TextField
+                fullWidth
+                size="small"
+                multiline
+                rows={2}
+                name="note"
+                label={form.reason_code === 'other' ? 'Note (required)' : 'Note'}
+                value={form.note}
+                onChange={handleChange}
+                {...fieldErrorProps('note')}
+              />
+            </Grid>
+          </Grid>
+
+          {needsApproval && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              Discounts on this visit would come to more than {data.threshold_percent}% of the exam total, so this one
+              will wait for an approver before it applies.
+            </Alert>
+          )}
+
+          <Stack direction="row" spacing={1} justifyContent="flex-end" sx={{ mt: 2 }}>
+            <Button onClick={() => setForm(null)} disabled={saving}>Cancel</Button>
+            <Button variant="contained" onClick={handleSubmit} disabled={saving}>
+              {saving ? <CircularProgress size={20} /> : (needsApproval ? 'Request Approval' : 'Apply')}
+            </Button>
+          </Stack>
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default PatientDiscounts;
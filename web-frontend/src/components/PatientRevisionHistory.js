@@ -0,0 +1,234 @@
+// web-frontend/src/components/PatientRevisionHistory.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+  Stack,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from '@mui/material';
+
+// Icons
+import RestoreIcon from '@mui/icons-material/Restore';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const fieldLabels = {
+  patient_name: 'Patient Name',
+  gender: 'Gender',
+  contact_email: 'Contact Email',
+  contact_phone_number: 'Contact Phone',
+  date_of_birth: 'Date of Birth',
+  age: 'Age',
+  weight_kg: 'Weight (kg)',
+  referral_hospital: 'Referral Hospital',
+  referring_doctor: 'Referring Doctor',
+  radiographer_name: 'Radiographer',
+  radiologist_name: 'Radiologist',
+  remarks: 'Remarks',
+  address_line: 'Street Address',
+  address_city: 'Town/City',
+  address_lga: 'LGA',
+  address_state: 'State',
+  next_of_kin_name: 'Next of Kin',
+  next_of_kin_relationship: 'Next of Kin Relationship',
+  next_of_kin_phone_number: 'Next of Kin Phone',
+  national_id_number: 'NIN',
+  id_document_type: 'ID Document Type',
+  id_document_number: 'ID Document Number',
+  payment_type: 'Payment Type',
+  total_amount: 'Total Amount',
+  examinations: 'Examinations',
+};
+
+const actionLabels = {
+  baseline: 'Existing record',
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+};
+
+const formatMoney = (value) =>
+  `₦${Number(value || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'examinations') {
+    if (value.length === 0) return 'None';
+    return value.map((exam, index) => <div key={index}>{exam.name} — {formatMoney(exam.amount)}</div>);
+  }
+  if (field === 'total_amount') return formatMoney(value);
+  return String(value);
+};
+
+// Numbered revisions of one visit with a field-by-field diff of each save.
+// `version` is the record as the page last loaded it, sent in If-Match so a
+// restore cannot overwrite a newer save; `onRestored` lets the page reload
+// the record after a restore (or a conflict).
+function PatientRevisionHistory({ patientId, version, onRestored }) {
+  const { token, hasPermission } = useAuth();
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [restoreTarget, setRestoreTarget] = useState(null); // revision number awaiting confirmation
+  const [restoring, setRestoring] = useState(false);
+
+  const canRestore = hasPermission('patients.restore_revision');
+
+  const fetchRevisions = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/revisions`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setRevisions(data);
+      } else {
+        setError(data.message || 'Failed to load revision history.');
+      }
+    } catch (err) {
+      console.error('Error fetching revision history:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, patientId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  const handleConfirmRestore = async () => {
+    setError('');
+    setSuccess('');
+    setRestoring(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/revisions/${restoreTarget}/restore`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'If-Match': `"${version}"` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchRevisions();
+        if (onRestored) onRestored();
+      } else if (response.status === 409) {
+        // Someone saved since this page loaded: show their version before restoring again
+        setError(`${data.message} The latest version has been loaded; check it before restoring.`);
+        fetchRevisions();
+        if (onRestored) onRestored();
+      } else {
+        setError(data.message || 'Failed to restore revision.');
+      }
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setRestoring(false);
+      setRestoreTarget(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  const latestRevision = revisions.length > 0 ? revisions[0].revision_number : null;
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      {revisions.length === 0 && (
+        <Typography variant="body2" color="text.secondary">No revisions recorded for this patient.</Typography>
+      )}
+
+      {revisions.map((revision) => (
+        <Paper key={revision.revision_number} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+            <Box>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>Revision {revision.revision_number}</Typography>
+                <Chip size="small" label={actionLabels[revision.action] || revision.action} />
+                {revision.revision_number === latestRevision && <Chip size="small" color="primary" label="Current" />}
+              </Stack>
+              <Typography variant="caption" color="text.secondary">
+                {revision.created_by_name || revision.created_by_username || 'System'} · {new Date(revision.created_at).toLocaleString()}
+                {revision.restored_from_revision && ` · restored from revision ${revision.restored_from_revision}`}
+              </Typography>
+            </Box>
+            {canRestore && revision.revision_number !== latestRevision && (
+              <Button size="small" variant="outlined" startIcon={<RestoreIcon />} onClick={() => setRestoreTarget(revision.revision_number)}>
+                Restore
+              </Button>
+            )}
+          </Stack>
+
+          {revision.changes.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">Saved without changes.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Field</TableCell>
+                  <TableCell>Before</TableCell>
+                  <TableCell>After</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {revision.changes.map((change) => (
+                  <TableRow key={change.field}>
+                    <TableCell>{fieldLabels[change.field] || change.field}</TableCell>
+                    <TableCell sx={{ color: 'error.main' }}>{formatValue(change.field, change.before)}</TableCell>
+                    <TableCell sx={{ color: 'success.main' }}>{formatValue(change.field, change.after)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </Paper>
+      ))}
+
+      <Dialog open={restoreTarget !== null} onClose={() => !restoring && setRestoreTarget(null)}>
+        <DialogTitle>Restore Revision {restoreTarget}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The patient details and examinations will be set back to revision {restoreTarget}.
+            This is saved as a new revision, so the current version stays in the history.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRestoreTarget(null)} disabled={restoring}>Cancel</Button>
+          <Button onClick={handleConfirmRestore} variant="contained" disabled={restoring}>
+            {restoring ? <CircularProgress size={20} /> : 'Restore'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default PatientRevisionHistory;
@@ -0,0 +1,382 @@
+// web-frontend/src/components/PatientSafetyScreening.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+  Stack,
+  Radio,
+  RadioGroup,
+  FormControl,
+  FormControlLabel,
+  FormHelperText,
+  Checkbox,
+  TextField,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from '@mui/material';
+
+// Icons
+import PrintIcon from '@mui/icons-material/Print';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import GppMaybeIcon from '@mui/icons-material/GppMaybe';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+export const safetyStatusChips = {
+  not_screened: { label: 'Not screened', color: 'default' },
+  cleared: { label: 'Screening cleared', color: 'success' },
+  flagged: { label: 'Contraindication - on hold', color: 'error' },
+  overridden: { label: 'Contraindication overridden', color: 'warning' },
+};
+
+const answerLabels = { yes: 'Yes', no: 'No', unsure: 'Unsure' };
+
+// MRI safety screening of one visit: the screening in force, a form to take
+// a new one, radiologist override of contraindications, and printing.
+// `onChange` lets the page refresh the visit's safety status.
+function PatientSafetyScreening({ patientId, onChange }) {
+  const { token, user, hasPermission } = useAuth();
+  const [data, setData] = useState(null); // { status, form, screenings }
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [answers, setAnswers] = useState(null); // form in progress, or null
+  const [signatureName, setSignatureName] = useState('');
+  const [confirmed, setConfirmed] = useState(false);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [overrideOpen, setOverrideOpen] = useState(false);
+  const [overrideReason, setOverrideReason] = useState('');
+
+  const canScreen = hasPermission('screening.complete');
+  const canOverride = hasPermission('screening.override');
+
+  const fetchScreening = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/safety-screening`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const body = await response.json();
+      if (response.ok) {
+        setData(body);
+      } else {
+        setError(body.message || 'Failed to load the safety screening.');
+      }
+    } catch (err) {
+      console.error('Error fetching safety screening:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, patientId]);
+
+  useEffect(() => {
+    fetchScreening();
+  }, [fetchScreening]);
+
+  const handleStart = () => {
+    setAnswers(Object.fromEntries(data.form.questions.map(q => [q.key, { answer: '', details: '' }])));
+    setSignatureName(user?.full_name || '');
+    setConfirmed(false);
+    setFormErrors({});
+    setError('');
+    setSuccess('');
+  };
+
+  const handleAnswerChange = (key, field, value) => {
+    setAnswers(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+    setFormErrors(prev => ({ ...prev, [key]: undefined }));
+  };
+
+  const handleSubmit = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/safety-screening`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ answers, signature_name: signatureName, confirmed }),
+      });
+      const body = await response.json();
+      if (response.ok) {
+        setAnswers(null);
+        setSuccess(body.message);
+        fetchScreening();
+        if (onChange) onChange();
+      } else {
+        if (body.errors) setFormErrors(body.errors);
+        setError(body.message || 'Failed to save the screening.');
+      }
+    } catch (err) {
+      console.error('Error saving safety screening:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOverride = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      const current = data.screenings[0];
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/safety-screening/${current.id}/override`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ reason: overrideReason }),
+      });
+      const body = await response.json();
+      if (response.ok) {
+        setOverrideOpen(false);
+        setOverrideReason('');
+        setSuccess(body.message);
+        fetchScreening();
+        if (onChange) onChange();
+      } else {
+        setError(body.message || 'Failed to override the screening.');
+        setOverrideOpen(false);
+      }
+    } catch (err) {
+      console.error('Error overriding safety screening:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePrint = async (screeningId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/patients/${patientId}/safety-screening/${screeningId}/print`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        const body = await response.json();
+        throw new Error(body.message || 'Failed to print the screening.');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      window.open(url, '_blank');
+      setTimeout(() => window.URL.revokeObjectURL(url), 5000);
+    } catch (err) {
+      console.error('Error printing safety screening:', err);
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+  if (!data) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const current = data.screenings[0];
+  const questionText = (screening, key) => screening.questions.find(q => q.key === key)?.text || key;
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      {!answers && (
+        <>
+          {data.status === 'not_screened' && (
+            <Alert severity="info" sx={{ mb: 2 }}>No safety screening has been recorded for this visit.</Alert>
+          )}
+          {data.status === 'cleared' && (
+            <Alert severity="success" sx={{ mb: 2 }}>No contraindications. The patient is cleared for the scan.</Alert>
+          )}
+          {data.status === 'flagged' && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              Contraindication found: {current.flagged_items.map(key => questionText(current, key)).join('; ')}
+              {' '}The scan cannot be scheduled and results cannot be uploaded until a radiologist overrides.
+            </Alert>
+          )}
+          {data.status === 'overridden' && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Contraindication overridden by {current.overridden_by_name || 'a radiologist'} on {new Date(current.overridden_at).toLocaleString()}: {current.override_reason}
+            </Alert>
+          )}
+
+          <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+            {canScreen && (
+              <Button variant="contained" startIcon={<FactCheckIcon />} onClick={handleStart}>
+                {current ? 'Screen Again' : 'Start Screening'}
+              </Button>
+            )}
+            {canOverride && data.status === 'flagged' && (
+              <Button variant="outlined" color="warning" startIcon={<GppMaybeIcon />} onClick={() => setOverrideOpen(true)}>
+                Override as Radiologist
+              </Button>
+            )}
+            {current && (
+              <Button variant="outlined" startIcon={<PrintIcon />} onClick={() => handlePrint(current.id)}>
+                Print Screening
+              </Button>
+            )}
+          </Stack>
+
+          {current && (
+            <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+                Screening of {new Date(current.signed_at).toLocaleString()} (form v{current.form_version})
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Signed by {current.signature_name}{current.screened_by_name && ` (${current.screened_by_name})`}
+              </Typography>
+              <Table size="small" sx={{ mt: 1 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Question</TableCell>
+                    <TableCell>Answer</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {current.questions.map(question => {
+                    const answer = current.answers[question.key] || {};
+                    const isFlagged = current.flagged_items.includes(question.key);
+                    return (
+                      <TableRow key={question.key}>
+                        <TableCell>{question.text}</TableCell>
+                        <TableCell>
+                          {isFlagged
+                            ? <Chip size="small" color="error" label={answerLabels[answer.answer]} />
+                            : answerLabels[answer.answer] || '—'}
+                        </TableCell>
+                        <TableCell>{answer.details || ''}</TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </Paper>
+          )}
+
+          {data.screenings.length > 1 && (
+            <>
+              <Typography variant="subtitle2" sx={{ mb: 1 }}>Earlier screenings of this visit</Typography>
+              <Table size="small">
+                <TableBody>
+                  {data.screenings.slice(1).map(screening => (
+                    <TableRow key={screening.id}>
+                      <TableCell>{new Date(screening.signed_at).toLocaleString()}</TableCell>
+                      <TableCell>{screening.signature_name}</TableCell>
+                      <TableCell>{screening.flagged_items.length ? `${screening.flagged_items.length} contraindication(s)` : 'Cleared'}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" startIcon={<PrintIcon />} onClick={() => handlePrint(screening.id)}>Print</Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </>
+      )}
+
+      {answers && (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>{data.form.title} (form v{data.form.version})</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Ask the patient (or their escort) every question. Give details for any answer other than No.
+          </Typography>
+          {data.form.questions.map((question, index) => (
+            <FormControl key={question.key} fullWidth error={Boolean(formErrors[question.key])} sx={{ mb: 2 }}>
+              <Typography variant="body1">
+                {index + 1}. {question.text}
+                {question.severity === 'caution' && <Chip size="small" label="Caution only" sx={{ ml: 1 }} />}
+              </Typography>
+              <RadioGroup row value={answers[question.key].answer} onChange={(e) => handleAnswerChange(question.key, 'answer', e.target.value)}>
+                {Object.entries(answerLabels).map(([value, label]) => (
+                  <FormControlLabel key={value} value={value} control={<Radio size="small" />} label={label} />
+                ))}
+              </RadioGroup>
+              {answers[question.key].answer && answers[question.key].answer !== 'no' && (
+                <TextField
+                  size="small"
+                  label="Details"
+                  value={answers[question.key].details}
+                  onChange={(e) => handleAnswerChange(question.key, 'details', e.target.value)}
+                />
+              )}
+              {formErrors[question.key] && <FormHelperText>{formErrors[question.key]}</FormHelperText>}
+            </FormControl>
+          ))}
+
+          <TextField
+            fullWidth
+            label="Screening radiographer (type your full name to sign)"
+            value={signatureName}
+            onChange={(e) => setSignatureName(e.target.value)}
+            error={Boolean(formErrors.signature_name)}
+            helperText={formErrors.signature_name}
+            sx={{ mt: 1 }}
+          />
+          <FormControl error={Boolean(formErrors.confirmed)}>
+            <FormControlLabel
+              control={<Checkbox checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} />}
+              label="I screened this patient myself and the answers above are correct."
+            />
+            {formErrors.confirmed && <FormHelperText>{formErrors.confirmed}</FormHelperText>}
+          </FormControl>
+
+          <Stack direction="row" spacing={1} justifyContent="flex-end" sx={{ mt: 2 }}>
+            <Button onClick={() => setAnswers(null)} disabled={saving}>Cancel</Button>
+            <Button variant="contained" onClick={handleSubmit} disabled={saving}>
+              {saving ? <CircularProgress size={20} /> : 'Sign and Save'}
+            </Button>
+          </Stack>
+        </Paper>
+      )}
+
+      <Dialog open={overrideOpen} onClose={() => !saving && setOverrideOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Override Contraindication</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            The scan and result upload will be allowed for this visit. Record why it is safe to go ahead
+            (e.g. device confirmed MR-conditional, pregnancy test negative).
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            rows={3}
+            label="Reason"
+            value={overrideReason}
+            onChange={(e) => setOverrideReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOverrideOpen(false)} disabled={saving}>Cancel</Button>
+          <Button onClick={handleOverride} variant="contained" color="warning" disabled={saving || overrideReason.trim().length < 10}>
+            {saving ? <CircularProgress size={20} /> : 'Override'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default PatientSafetyScreening;
@@ -0,0 +1,85 @@
+// web-frontend/src/components/ProfilePhoto.js
+import React, { useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Avatar,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+// Icons
+import PersonIcon from '@mui/icons-material/Person';
+import PhotoCameraIcon from '@mui/icons-material/PhotoCamera';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+function ProfilePhoto() {
+  const { token, user, updateUser } = useAuth();
+  const fileInputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const send = async (method, body) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/me/photo`, {
+        method,
+        headers: { 'Authorization': `Bearer ${token}` },
+        body,
+      });
+      const data = await response.json();
+      if (response.ok) {
+        updateUser(data.user);
+      } else {
+        setError(data.message || 'Failed to update photo.');
+      }
+    } catch (err) {
+      console.error('Error updating profile photo:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('photo', file);
+    send('POST', formData);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mb: 2 }}>
+      <Avatar src={user?.profile_photo_url || undefined} sx={{ width: 100, height: 100, bgcolor: 'primary.main', mb: 1 }}>
+        <PersonIcon sx={{ fontSize: 60 }} />
+      </Avatar>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/jpeg,image/png,image/webp"
+        hidden
+        onChange={handleFileChange}
+      />
+      <Box>
+        <Button size="small" startIcon={busy ? <CircularProgress size={16} /> : <PhotoCameraIcon />} disabled={busy} onClick={() => fileInputRef.current.click()}>
+          {user?.profile_photo_url ? 'Change Photo' : 'Upload Photo'}
+        </Button>
+        {user?.profile_photo_url && (
+          <Button size="small" color="error" disabled={busy} onClick={() => send('DELETE')}>
+            Remove
+          </Button>
+        )}
+      </Box>
+      {error && <Alert severity="error" sx={{ mt: 1 }}>{error}</Alert>}
+    </Box>
+  );
+}
+
+export default ProfilePhoto;
@@ -0,0 +1,66 @@
+// web-frontend/src/components/RecoveryCodes.js
+import React from 'react';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+} from '@mui/material';
+
+// Icons
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import DownloadIcon from '@mui/icons-material/Download';
+
+// Shows freshly generated recovery codes; they are never retrievable again
+function RecoveryCodes({ codes }) {
+  const text = codes.join('\n');
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(text).catch(err => console.error('Copy failed:', err));
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`G2G Medical MRI ERP recovery codes\n\n${text}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'g2g-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each code can be used once if you lose access to your
+        authenticator app. They will not be shown again.
+      </Alert>
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(2, 1fr)',
+          gap: 1,
+          p: 2,
+          mb: 2,
+          fontFamily: 'monospace',
+          bgcolor: 'action.hover',
+          borderRadius: 1,
+        }}
+      >
+        {codes.map(code => (
+          <Typography key={code} sx={{ fontFamily: 'monospace' }}>{code}</Typography>
+        ))}
+      </Box>
+      <Button size="small" startIcon={<ContentCopyIcon />} onClick={handleCopy} sx={{ mr: 1 }}>
+        Copy
+      </Button>
+      <Button size="small" startIcon={<DownloadIcon />} onClick={handleDownload}>
+        Download
+      </Button>
+    </Box>
+  );
+}
+
+export default RecoveryCodes;
@@ -43,6 +43,18 @@ import ExpandLess from '@mui/icons-material/ExpandLess';
 import ExpandMore from '@mui/icons-material/ExpandMore';
 import UploadFileIcon from '@mui/icons-material/UploadFile'; // New icon for result upload
 import AssignmentTurnedInIcon from '@mui/icons-material/AssignmentTurnedIn'; // New icon for result management
+import SecurityIcon from '@mui/icons-material/Security';
+import HistoryIcon from '@mui/icons-material/History';
+import RestoreFromTrashIcon from '@mui/icons-material/RestoreFromTrash';
+import MergeTypeIcon from '@mui/icons-material/MergeType';
+import PinIcon from '@mui/icons-material/Pin';
+import GroupAddIcon from '@mui/icons-material/GroupAdd';
+import VaccinesIcon from '@mui/icons-material/Vaccines';
+import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
+import MenuBookIcon from '@mui/icons-material/MenuBook';
+import PriceChangeIcon from '@mui/icons-material/PriceChange';
+import DiscountIcon from '@mui/icons-material/Discount';
 
 
 // --- Constants for Drawer Width ---
@@ -136,6 +148,10 @@ function SideNav({ open, onToggle }) {
     { text: 'Add Patient', icon: <AddCircleOutlineIcon />, path: '/patients/add', roles: ['medical_staff', 'admin', 'doctor', 'financial_admin'] },
     { text: 'Upload Result', icon: <UploadFileIcon />, path: '/results/upload', roles: ['admin', 'doctor'] }, // NEW
     { text: 'Results Dashboard', icon: <AssignmentTurnedInIcon />, path: '/results/dashboard', roles: ['medical_staff', 'admin', 'doctor', 'financial_admin'] }, // NEW: Results Dashboard
+    { text: 'Contrast Batches', icon: <VaccinesIcon />, path: '/contrast/batches', roles: ['admin', 'doctor'] },
+    { text: 'Referral Statements', icon: <ReceiptLongIcon />, path: '/referrals/statements', roles: ['admin', 'financial_admin'] },
+    { text: 'Price Lists', icon: <PriceChangeIcon />, path: '/price-lists', roles: ['admin', 'financial_admin'] },
+    { text: 'Discount Approvals', icon: <DiscountIcon />, path: '/discounts/approvals', roles: ['admin', 'financial_admin'] },
     // Consider adding a generic Patient Results/Management page link here if not tied to a specific patient ID
     // For managing specific patient results, the link will be on PatientDetailPage
     { text: 'Submit Query', icon: <SendIcon />, path: '/queries/submit', roles: ['medical_staff', 'admin', 'doctor', 'financial_admin'] },
@@ -147,6 +163,14 @@ function SideNav({ open, onToggle }) {
     { text: 'Manage Staff', icon: <PeopleIcon />, path: '/admin', roles: ['admin'] },
     { text: 'All Queries', icon: <ListAltIcon />, path: '/admin/queries', roles: ['admin'] },
     { text: 'Staff Activity', icon: <AssignmentTurnedInIcon />, path: '/admin/staff-activity', roles: ['admin'] }, // Assuming a path for this
+    { text: 'Permissions', icon: <SecurityIcon />, path: '/admin/permissions', roles: ['admin'] },
+    { text: 'Audit Log', icon: <HistoryIcon />, path: '/admin/audit-log', roles: ['admin'] },
+    { text: 'Recycle Bin', icon: <RestoreFromTrashIcon />, path: '/admin/recycle-bin', roles: ['admin'] },
+    { text: 'Duplicate Patients', icon: <MergeTypeIcon />, path: '/admin/patient-merge', roles: ['admin'] },
+    { text: 'Numbering', icon: <PinIcon />, path: '/admin/numbering', roles: ['admin'] },
+    { text: 'Import Patients', icon: <GroupAddIcon />, path: '/admin/patient-import', roles: ['admin'] },
+    { text: 'Referrers', icon: <LocalHospitalIcon />, path: '/admin/referrers', roles: ['admin'] },
+    { text: 'Exam Catalog', icon: <MenuBookIcon />, path: '/admin/exam-catalog', roles: ['admin'] },
   ];
 
   // Helper to check if a menu item's path is currently active or is a parent of the current path
@@ -176,7 +200,7 @@ function SideNav({ open, onToggle }) {
       {/* User Profile Section */}
       {user && (
         <Box sx={{ p: open ? 2 : 1, display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
-          <Avatar sx={{ mb: open ? 1 : 0, width: open ? 60 : 40, height: open ? 60 : 40, bgcolor: 'primary.main' }}>
+          <Avatar src={user.profile_photo_url || undefined} sx={{ mb: open ? 1 : 0, width: open ? 60 : 40, height: open ? 60 : 40, bgcolor: 'primary.main' }}>
             <PersonIcon sx={{ fontSize: open ? 40 : 24 }} />
           </Avatar>
           {open && (
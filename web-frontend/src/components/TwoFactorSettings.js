@@ -0,0 +1,239 @@
+// web-frontend/src/components/TwoFactorSettings.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import RecoveryCodes from './RecoveryCodes';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+// Icons
+import SecurityIcon from '@mui/icons-material/Security';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+function TwoFactorSettings() {
+  const { token } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, qr_code } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [confirmAction, setConfirmAction] = useState(null); // 'disable' | 'regenerate'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchStatus = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/me/mfa`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setStatus(data);
+      } else {
+        setError(data.message || 'Failed to load two-factor status.');
+      }
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const post = async (path, body) => {
+    setSubmitting(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(`${API_BASE_URL}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(body || {}),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.message || 'Request failed.');
+        return null;
+      }
+      return data;
+    } catch (err) {
+      console.error(`Error calling ${path}:`, err);
+      setError('Network error or server unavailable.');
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setConfirmAction(null);
+  };
+
+  const handleStartSetup = async () => {
+    setRecoveryCodes(null);
+    const data = await post('/api/me/mfa/setup');
+    if (data) setSetup(data);
+  };
+
+  const handleEnable = async () => {
+    const data = await post('/api/me/mfa/enable', { code });
+    if (data) {
+      setSetup(null);
+      setRecoveryCodes(data.recovery_codes);
+      setSuccess(data.message);
+      resetForm();
+      fetchStatus();
+    }
+  };
+
+  const handleConfirm = async () => {
+    const path = confirmAction === 'disable' ? '/api/me/mfa/disable' : '/api/me/mfa/recovery-codes';
+    const data = await post(path, { password, code });
+    if (data) {
+      setSuccess(data.message);
+      setRecoveryCodes(data.recovery_codes || null);
+      resetForm();
+      fetchStatus();
+    }
+  };
+
+  if (loading) return <CircularProgress size={24} />;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+        <SecurityIcon sx={{ mr: 1 }} />
+        <Typography variant="h6">Two-Factor Authentication</Typography>
+        {status && (
+          <Chip
+            label={status.enabled ? 'On' : 'Off'}
+            color={status.enabled ? 'success' : 'default'}
+            size="small"
+            sx={{ ml: 1 }}
+          />
+        )}
+      </Box>
+
+      {status?.required && !status.enabled && (
+        <Alert severity="info" sx={{ mb: 2 }}>Two-factor authentication is required for your role.</Alert>
+      )}
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+      {recoveryCodes && <Box sx={{ mb: 2 }}><RecoveryCodes codes={recoveryCodes} /></Box>}
+
+      {status && !status.enabled && !setup && (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Protect your account with a code from an authenticator app (Google Authenticator, Microsoft Authenticator, Authy) in addition to your password.
+          </Typography>
+          <Button variant="contained" onClick={handleStartSetup} disabled={submitting}>
+            Set up two-factor authentication
+          </Button>
+        </>
+      )}
+
+      {setup && (
+        <Box>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </Typography>
+          <img src={setup.qr_code} alt="Two-factor QR code" style={{ width: 200, height: 200 }} />
+          <Typography variant="caption" display="block" color="text.secondary" sx={{ mb: 1 }}>
+            Can't scan? Enter this key manually: <strong style={{ fontFamily: 'monospace' }}>{setup.secret}</strong>
+          </Typography>
+          <TextField
+            label="Authentication code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+            size="small"
+            sx={{ mr: 1 }}
+          />
+          <Button variant="contained" onClick={handleEnable} disabled={submitting || code.length !== 6}>
+            Verify & Enable
+          </Button>
+          <Button onClick={() => { setSetup(null); resetForm(); }} sx={{ ml: 1 }}>
+            Cancel
+          </Button>
+        </Box>
+      )}
+
+      {status?.enabled && (
+        <Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Enabled {status.enabled_at ? new Date(status.enabled_at).toLocaleDateString() : ''} · {status.recovery_codes_remaining} recovery code(s) left
+          </Typography>
+
+          {confirmAction ? (
+            <Box>
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                Confirm with your password and a current authentication code.
+              </Typography>
+              <TextField
+                type="password"
+                label="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                size="small"
+                sx={{ mr: 1, mb: 1 }}
+              />
+              <TextField
+                label="Authentication code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+                size="small"
+                sx={{ mr: 1, mb: 1 }}
+              />
+              <Box>
+                <Button
+                  variant="contained"
+                  color={confirmAction === 'disable' ? 'error' : 'primary'}
+                  onClick={handleConfirm}
+                  disabled={submitting || !password || !code}
+                >
+                  {confirmAction === 'disable' ? 'Turn off' : 'Generate new codes'}
+                </Button>
+                <Button onClick={resetForm} sx={{ ml: 1 }}>Cancel</Button>
+              </Box>
+            </Box>
+          ) : (
+            <>
+              <Button variant="outlined" onClick={() => setConfirmAction('regenerate')} sx={{ mr: 1 }}>
+                New recovery codes
+              </Button>
+              {!status.required && (
+                <Button variant="outlined" color="error" onClick={() => setConfirmAction('disable')}>
+                  Turn off
+                </Button>
+              )}
+            </>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default TwoFactorSettings;
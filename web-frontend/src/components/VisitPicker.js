@@ -0,0 +1,80 @@
+// web-frontend/src/components/VisitPicker.js
+import React, { useState, useEffect } from 'react';
+
+// Material-UI components
+import { Autocomplete, TextField, Typography } from '@mui/material';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const visitLabel = (visit) => `${visit.patient_name}${visit.mri_code ? ` (${visit.mri_code})` : ''}`;
+
+// Search box for picking a visit. It searches the paged patient list on the
+// server, so any visit can be found, not only the most recent ones; with
+// nothing typed it offers the latest visits. `value` needs at least
+// { id, patient_name }.
+function VisitPicker({ label, value, onChange, token, disabled = false, error = false, helperText }) {
+  const [input, setInput] = useState('');
+  const [query, setQuery] = useState('');
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({ limit: '20', search: query.trim() });
+        const response = await fetch(`${API_BASE_URL}/api/patients?${params}`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const data = await response.json();
+        if (response.ok) setOptions(data.patients);
+      } catch (err) {
+        console.error('Visit search failed:', err);
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [query, token]);
+
+  return (
+    <Autocomplete
+      value={value}
+      onChange={(event, visit) => onChange(visit)}
+      inputValue={input}
+      onInputChange={(event, text, reason) => {
+        setInput(text);
+        // Showing the chosen visit's label is not a new search
+        if (reason !== 'reset') setQuery(text);
+      }}
+      options={value && !options.some(option => option.id === value.id) ? [value, ...options] : options}
+      filterOptions={(opts) => opts}
+      isOptionEqualToValue={(option, selected) => option.id === selected.id}
+      getOptionLabel={visitLabel}
+      loading={loading}
+      disabled={disabled}
+      noOptionsText={query.trim() ? 'No matching visits' : 'No visits'}
+      renderOption={(props, option) => {
+        const { key, ...optionProps } = props;
+        return (
+          <li key={option.id} {...optionProps}>
+            <div>
+              <Typography variant="body2">{visitLabel(option)}</Typography>
+              {option.mri_date_time && (
+                <Typography variant="caption" color="text.secondary">
+                  {new Date(option.mri_date_time).toLocaleString()}
+                </Typography>
+              )}
+            </div>
+          </li>
+        );
+      }}
+      renderInput={(params) => (
+        <TextField {...params} label={label} placeholder="Search by name, MRI code, hospital number or phone" error={error} helperText={helperText} />
+      )}
+    />
+  );
+}
+
+export default VisitPicker;
@@ -1,46 +1,183 @@
 // web-frontend/src/contexts/AuthContext.js
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 
 const AuthContext = createContext(null); // Create the context
 
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Reads the "exp" claim (in ms) from a JWT without verifying it
+const getTokenExpiry = (jwtToken) => {
+    try {
+        const payload = JSON.parse(atob(jwtToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp ? payload.exp * 1000 : null;
+    } catch (err) {
+        return null;
+    }
+};
+
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null); // Stores user info { id, username, role, etc. }
     const [token, setToken] = useState(localStorage.getItem('token')); // Load token from local storage
     const navigate = useNavigate(); // For redirecting after login/logout
+    const refreshInFlight = useRef(null); // Shares one refresh request between callers
 
-    // Effect to set user and handle token changes
-    useEffect(() => {
-        if (token) {
-            // In a real app, you'd verify the token with the backend
-            // or decode it here to get user info if it's securely structured.
-            // For now, we'll assume we get user info during login response.
-            // Or you could re-fetch user details based on token.
-            // For simplicity now, we will set user directly from login response.
-            // For now, if token exists, we just consider user "logged in" until we get actual user data.
-            // You might add a 'loadUser' function that calls backend '/api/me'
-        } else {
-            setUser(null);
-        }
-    }, [token]); // Rerun when token changes
+    // Stores the user both in state and in localStorage (used for the first paint on reload)
+    const updateUser = useCallback((userData) => {
+        setUser(userData);
+        localStorage.setItem('user', JSON.stringify(userData));
+    }, []);
 
-    const login = async (userData, jwtToken) => {
+    const clearSession = useCallback(() => {
+        setToken(null);
+        setUser(null);
+        localStorage.removeItem('token'); // Clear token
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('user'); // Clear user data
+    }, []);
+
+    const login = async (userData, jwtToken, refreshToken) => {
         setToken(jwtToken);
         setUser(userData);
         localStorage.setItem('token', jwtToken); // Store token
+        localStorage.setItem('refreshToken', refreshToken);
         localStorage.setItem('user', JSON.stringify(userData)); // Store user data
         navigate('/dashboard'); // Redirect to dashboard after successful login
     };
 
-    const logout = () => {
-        setToken(null);
-        setUser(null);
-        localStorage.removeItem('token'); // Clear token
-        localStorage.removeItem('user'); // Clear user data
+    const logout = useCallback(() => {
+        const currentToken = localStorage.getItem('token');
+        if (currentToken) {
+            // Revoke the server-side session; the local logout doesn't wait for it
+            fetch(`${API_BASE_URL}/api/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${currentToken}` },
+            }).catch(err => console.error('Logout request failed:', err));
+        }
+        clearSession();
         navigate('/login'); // Redirect to login after logout
-    };
+    }, [clearSession, navigate]);
+
+    // --- Silent refresh ---
+    // Exchanges the stored refresh token for a new token pair. Returns the new access token or null.
+    const refreshSession = useCallback(async () => {
+        if (refreshInFlight.current) return refreshInFlight.current;
+
+        refreshInFlight.current = (async () => {
+            // Another tab may already have rotated the tokens
+            const storedToken = localStorage.getItem('token');
+            const storedExpiry = storedToken && getTokenExpiry(storedToken);
+            if (storedToken && storedToken !== token && storedExpiry && storedExpiry - Date.now() > REFRESH_MARGIN_MS) {
+                setToken(storedToken);
+                return storedToken;
+            }
+
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) {
+                logout();
+                return null;
+            }
+
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken }),
+                });
+                const data = await response.json();
+
+                if (response.ok) {
+                    localStorage.setItem('token', data.token);
+                    localStorage.setItem('refreshToken', data.refreshToken);
+                    setToken(data.token);
+                    return data.token;
+                }
+                if (data.reason === 'stale') {
+                    // Lost a race with another tab; its tokens are in localStorage now
+                    const latest = localStorage.getItem('token');
+                    if (latest) setToken(latest);
+                    return latest;
+                }
+                console.warn('Session refresh rejected:', data.message);
+                logout();
+                return null;
+            } catch (err) {
+                // Network hiccup: keep the user signed in and try again on the next timer
+                console.error('Session refresh failed:', err);
+                return null;
+            }
+        })();
+
+        try {
+            return await refreshInFlight.current;
+        } finally {
+            refreshInFlight.current = null;
+        }
+    }, [token, logout]);
+
+    // Schedule a refresh shortly before the access token expires
+    useEffect(() => {
+        if (!token) return undefined;
+        const expiry = getTokenExpiry(token);
+        if (!expiry) return undefined;
+
+        const delay = Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0);
+        const timerId = setTimeout(refreshSession, delay);
+        return () => clearTimeout(timerId);
+    }, [token, refreshSession]);
+
+    // Keep tabs in sync when another tab refreshes or logs out
+    useEffect(() => {
+        const handleStorage = (event) => {
+            if (event.key !== 'token') return;
+            if (event.newValue) {
+                setToken(event.newValue);
+            } else {
+                setToken(null);
+                setUser(null);
+                navigate('/login');
+            }
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [navigate]);
+
+    // The server is the source of truth for the user; reload it whenever the token changes
+    // (startup, login, silent refresh) so role or profile edits show up without re-login.
+    const refreshUser = useCallback(async () => {
+        const currentToken = localStorage.getItem('token');
+        if (!currentToken) return null;
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/me`, {
+                headers: { 'Authorization': `Bearer ${currentToken}` },
+            });
+            if (response.status === 401) {
+                // Expired access token: refreshing changes the token, which reloads the user
+                await refreshSession();
+                return null;
+            }
+            if (!response.ok) return null;
+            const data = await response.json();
+            updateUser(data);
+            return data;
+        } catch (err) {
+            console.error('Error loading user profile:', err);
+            return null;
+        }
+    }, [refreshSession, updateUser]);
 
-    // Attempt to load user from localStorage on initial load
+    useEffect(() => {
+        if (token) {
+            refreshUser();
+        } else {
+            setUser(null);
+        }
+    }, [token, refreshUser]);
+
+    // Show the cached user immediately on reload until /api/me answers
     useEffect(() => {
         const storedToken = localStorage.getItem('token');
         const storedUser = localStorage.getItem('user');
@@ -51,11 +188,21 @@ export const AuthProvider = ({ children }) => {
     }, []);
 
 
+    // Permissions come from /api/me and follow the admin's role/permission matrix
+    const hasPermission = useCallback(
+        (permission) => !!user?.permissions?.includes(permission),
+        [user]
+    );
+
     const value = {
         user,
         token,
         login,
         logout,
+        refreshSession,
+        refreshUser,
+        updateUser,
+        hasPermission,
         isAuthenticated: !!token // A boolean indicating if user is logged in
     };
 
@@ -65,4 +212,4 @@ export const AuthProvider = ({ children }) => {
 // Custom hook to use the AuthContext
 export const useAuth = () => {
     return useContext(AuthContext);
-};
\ No newline at end of file
+};
@@ -3,7 +3,6 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
-import { AuthProvider } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 // ❌ REMOVED Router import here (It is now in App.js)
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -14,11 +13,9 @@ root.render(
   <React.StrictMode>
     {/* ❌ REMOVED <Router> wrapper here to prevent white screen */}
       <ThemeProvider>
-        <AuthProvider>
-          <LocalizationProvider dateAdapter={AdapterDateFns}>
-            <App />
-          </LocalizationProvider>
-        </AuthProvider>
+        <LocalizationProvider dateAdapter={AdapterDateFns}>
+          <App />
+        </LocalizationProvider>
       </ThemeProvider>
   </React.StrictMode>
 );
\ No newline at end of file
@@ -1,6 +1,6 @@
 // web-frontend/src/pages/AddPatientPage.js
 import React, { useState, useMemo, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 // Material-UI components
@@ -19,15 +19,49 @@ import {
   Grid,
   InputAdornment,
   Stack,
-  Snackbar 
+  Snackbar,
+  Autocomplete,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import PatientDemographicsFields from '../components/PatientDemographicsFields';
+import { usePatientValidationSchema, validateRecord, ageOnDate } from '../utils/patientValidation';
+
+// Registry details copied into the form when a returning patient is picked
+// (form field -> registry column)
+const registryDemographics = {
+  patient_name: 'full_name',
+  gender: 'gender',
+  contact_email: 'contact_email',
+  contact_phone_number: 'contact_phone_number',
+  date_of_birth: 'date_of_birth',
+  address_line: 'address_line',
+  address_city: 'address_city',
+  address_lga: 'address_lga',
+  address_state: 'address_state',
+  next_of_kin_name: 'next_of_kin_name',
+  next_of_kin_relationship: 'next_of_kin_relationship',
+  next_of_kin_phone_number: 'next_of_kin_phone_number',
+  national_id_number: 'national_id_number',
+  id_document_type: 'id_document_type',
+  id_document_number: 'id_document_number',
+};
 
 function AddPatientPage() {
   const navigate = useNavigate();
+  const location = useLocation();
   const { token } = useAuth();
+  const validationSchema = usePatientValidationSchema(token);
   
   // ✅ 1. Create a Reference for the first input
   const nameInputRef = useRef(null);
@@ -42,17 +76,39 @@ function AddPatientPage() {
     radiologist_name: '',
     remarks: '',
     age: '',
+    date_of_birth: '',
+    address_line: '',
+    address_city: '',
+    address_lga: '',
+    address_state: '',
+    next_of_kin_name: '',
+    next_of_kin_relationship: '',
+    next_of_kin_phone_number: '',
+    national_id_number: '',
+    id_document_type: '',
+    id_document_number: '',
     weight_kg: '',
     referral_hospital: '',
     referring_doctor: '',
+    referral_facility_id: null, // Directory entries picked in the referral fields
+    referring_doctor_id: null,
     payment_type: '',
-    examinations: [{ id: Date.now(), name: '', amount: '' }],
+    payer_category: 'Cash', // Picks the price list catalog exams are charged from
+    examinations: [{ id: Date.now(), name: '', amount: '', catalog_item_id: null }],
+    registry_patient: null, // Returning patient picked from the registry
   };
 
   const [formData, setFormData] = useState(initialFormState);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // field -> message, from the shared patient rules
   const [openSnackbar, setOpenSnackbar] = useState(false);
+  const [registrySearch, setRegistrySearch] = useState('');
+  const [registryOptions, setRegistryOptions] = useState([]);
+  const [registryLoading, setRegistryLoading] = useState(false);
+  const [duplicateCandidates, setDuplicateCandidates] = useState([]); // Possible matches returned by the server
+  const [referrerDirectory, setReferrerDirectory] = useState({ facilities: [], doctors: [] });
+  const [examCatalog, setExamCatalog] = useState([]);
 
   // ✅ 2. FORCE FOCUS ON LOAD (The "Minimize" Fix)
   useEffect(() => {
@@ -78,6 +134,14 @@ function AddPatientPage() {
     }
   }, []);
 
+  // "New Visit" from a patient's detail page arrives with the patient preselected
+  useEffect(() => {
+    const registryPatient = location.state?.registryPatient;
+    if (registryPatient?.id) {
+      handleSelectRegistryPatient(null, registryPatient);
+    }
+  }, [location.state]);
+
   // 4. SAVE DRAFT
   useEffect(() => {
     const hasData = formData.patient_name || formData.contact_email;
@@ -86,6 +150,70 @@ function AddPatientPage() {
     }
   }, [formData]);
 
+  // Referring facilities and doctors for the referral autocomplete
+  useEffect(() => {
+    if (!token) return;
+    fetch('https://g2g-mri-erp-bfw57.ondigitalocean.app/api/referrers/directory', {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => { if (data) setReferrerDirectory(data); })
+      .catch(err => console.error('Error fetching referrer directory:', err));
+  }, [token]);
+
+  // Catalog examinations for the examination autocomplete, priced for the
+  // payer; exams already picked are re-priced when the payer changes
+  useEffect(() => {
+    if (!token) return;
+    fetch(`https://g2g-mri-erp-bfw57.ondigitalocean.app/api/exam-catalog?payer_category=${encodeURIComponent(formData.payer_category || 'Cash')}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!data) return;
+        setExamCatalog(data.items);
+        setFormData(prev => ({
+          ...prev,
+          examinations: prev.examinations.map(exam => {
+            const item = exam.catalog_item_id && data.items.find(option => option.id === exam.catalog_item_id);
+            return item ? { ...exam, amount: item.price } : exam;
+          }),
+        }));
+      })
+      .catch(err => console.error('Error fetching exam catalog:', err));
+  }, [token, formData.payer_category]);
+
+  // 5. SEARCH EXISTING PATIENTS (debounced)
+  useEffect(() => {
+    if (!token || registrySearch.trim().length < 2) {
+      setRegistryOptions([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      setRegistryLoading(true);
+      try {
+        const response = await fetch(`https://g2g-mri-erp-bfw57.ondigitalocean.app/api/registry/patients?search=${encodeURIComponent(registrySearch.trim())}`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        if (response.ok) setRegistryOptions(await response.json());
+      } catch (err) {
+        console.error('Patient search failed:', err);
+      } finally {
+        setRegistryLoading(false);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [registrySearch, token]);
+
+  // Picking a returning patient carries their latest demographics into the new visit
+  const handleSelectRegistryPatient = (event, patient) => {
+    setFormData(prev => (patient ? {
+      ...prev,
+      registry_patient: patient,
+      ...Object.fromEntries(Object.entries(registryDemographics).map(([field, column]) => [field, patient[column] || ''])),
+    } : { ...prev, registry_patient: null }));
+  };
+
   const paymentTypeOptions = [
     { value: '', label: 'Select Payment Type' },
     { value: 'Cash', label: 'Cash' },
@@ -101,27 +229,94 @@ function AddPatientPage() {
     { value: 'Prefer not to say', label: 'Prefer not to say' },
   ];
 
+  const clearFieldError = (key) => {
+    setFieldErrors(prev => {
+      if (!prev[key]) return prev;
+      const { [key]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // error/helperText props for a field, e.g. fieldErrorProps('examinations.0.amount')
+  const fieldErrorProps = (key) => (fieldErrors[key] ? { error: true, helperText: fieldErrors[key] } : {});
+
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
+    clearFieldError(e.target.name);
+    if (e.target.name === 'date_of_birth') clearFieldError('age');
+    if (e.target.name === 'id_document_number') clearFieldError('id_document_type');
   };
 
-  const handleExaminationChange = (id, field, value) => {
-    setFormData(prev => {
-      const updatedExams = prev.examinations.map(exam =>
-        exam.id === id ? { ...exam, [field]: value } : exam
-      );
-      return { ...prev, examinations: updatedExams };
-    });
+  // Typing keeps the text and drops the directory link; picking an entry sets
+  // both. A doctor picked with no facility chosen brings their facility.
+  const handleReferralInput = (textField, idField) => (event, value, reason) => {
+    if (reason === 'reset') return;
+    setFormData(prev => ({ ...prev, [textField]: value, [idField]: null }));
+    clearFieldError(textField);
+  };
+
+  const handleFacilitySelect = (event, facility) => {
+    if (!facility || typeof facility === 'string') return;
+    setFormData(prev => ({ ...prev, referral_hospital: facility.name, referral_facility_id: facility.id }));
+  };
+
+  const handleDoctorSelect = (event, doctor) => {
+    if (!doctor || typeof doctor === 'string') return;
+    setFormData(prev => ({
+      ...prev,
+      referring_doctor: doctor.full_name,
+      referring_doctor_id: doctor.id,
+      ...(!prev.referral_facility_id && doctor.facility_id
+        ? { referral_hospital: doctor.facility_name, referral_facility_id: doctor.facility_id }
+        : {}),
+    }));
+  };
+
+  const doctorOptions = formData.referral_facility_id
+    ? referrerDirectory.doctors.filter(doctor => !doctor.facility_id || doctor.facility_id === formData.referral_facility_id)
+    : referrerDirectory.doctors;
+
+  // With a date of birth the server works out the age; show it as it will be saved
+  const ageFromBirthDate = ageOnDate(formData.date_of_birth);
+
+  // Examinations must come from the catalog, which sets the price; typing
+  // links the row only when the text is exactly a catalog name or code
+  const applyCatalogItem = (id, item, name) => {
+    const index = formData.examinations.findIndex(exam => exam.id === id);
+    clearFieldError(`examinations.${index}.name`);
+    clearFieldError(`examinations.${index}.amount`);
+    setFormData(prev => ({
+      ...prev,
+      examinations: prev.examinations.map(exam => {
+        if (exam.id !== id) return exam;
+        if (item) return { ...exam, name: item.name, amount: item.price, catalog_item_id: item.id };
+        return { ...exam, name, catalog_item_id: null, amount: '' };
+      }),
+    }));
+  };
+
+  const handleExamNameInput = (id) => (event, value, reason) => {
+    if (reason === 'reset') return;
+    const key = value.trim().toUpperCase();
+    const match = key ? examCatalog.find(item => item.name.toUpperCase() === key || item.code.toUpperCase() === key) : null;
+    applyCatalogItem(id, match, value);
+  };
+
+  const handleExamSelect = (id) => (event, item) => {
+    if (!item || typeof item === 'string') return;
+    applyCatalogItem(id, item);
   };
 
   const handleAddExamination = () => {
     setFormData(prev => ({
       ...prev,
-      examinations: [...prev.examinations, { id: Date.now(), name: '', amount: '' }]
+      examinations: [...prev.examinations, { id: Date.now(), name: '', amount: '', catalog_item_id: null }]
     }));
   };
 
   const handleRemoveExamination = (id) => {
+    // Row errors are keyed by position, which shifts after a removal
+    setFieldErrors(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => !key.startsWith('examinations.'))));
     setFormData(prev => ({
       ...prev,
       examinations: prev.examinations.filter(exam => exam.id !== id)
@@ -135,24 +330,20 @@ function AddPatientPage() {
     }, 0);
   }, [formData.examinations]);
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
+  // `options` is set when resubmitting from the duplicate warning:
+  // { registryPatient } to use an existing record, { confirmNew } to register anyway
+  const handleSubmit = async (event, options = {}) => {
+    event?.preventDefault();
     setError('');
     setLoading(true);
 
-    const { patient_name, contact_email, examinations, age, weight_kg, payment_type } = formData;
-    if (!patient_name?.trim()) { setError('Patient Name is required.'); setLoading(false); return; }
-    if (!contact_email?.trim() || !contact_email.includes('@')) { setError('Valid Email required.'); setLoading(false); return; }
-    if (!age || isNaN(age) || age <= 0) { setError('Age must be a positive number.'); setLoading(false); return; }
-    if (!weight_kg || isNaN(weight_kg) || weight_kg <= 0) { setError('Weight must be positive.'); setLoading(false); return; }
-    if (!payment_type) { setError('Payment Type is required.'); setLoading(false); return; }
-    
-    for (const exam of examinations) {
-      if (!exam.name?.trim() || !exam.amount || parseFloat(exam.amount) <= 0) {
-        setError('All examinations need valid names and amounts.');
-        setLoading(false);
-        return;
-      }
+    // Same rules the server applies; it re-checks everything on submit
+    const errors = validateRecord(validationSchema, formData);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) {
+      setError('Please correct the highlighted fields.');
+      setLoading(false);
+      return;
     }
 
     if (!token) { setError('Auth missing. Log in again.'); setLoading(false); return; }
@@ -167,7 +358,12 @@ function AddPatientPage() {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify({
+          ...formData,
+          registry_patient: undefined,
+          registry_patient_id: (options.registryPatient || formData.registry_patient)?.id,
+          confirm_new_patient: options.confirmNew || undefined,
+        }),
         signal: controller.signal
       });
 
@@ -179,7 +375,10 @@ function AddPatientPage() {
         localStorage.removeItem('patient_form_draft');
         setFormData(initialFormState);
         setTimeout(() => navigate('/patients'), 1000);
+      } else if (response.status === 409 && data.duplicate_candidates) {
+        setDuplicateCandidates(data.duplicate_candidates);
       } else {
+        if (data.errors) setFieldErrors(data.errors);
         setError(data.message || 'Failed to add patient record.');
       }
     } catch (err) {
@@ -198,13 +397,54 @@ function AddPatientPage() {
                 <ArrowBackIcon />
             </IconButton>
           <Typography variant="h4" gutterBottom component="h1" sx={{ mb: 3 }}>
-            Add New Patient Record
+            {formData.registry_patient ? 'Start New Visit' : 'Add New Patient Record'}
           </Typography>
         </Stack>
 
         {error && <Alert severity="error" sx={{ width: '100%', mb: 2 }}>{error}</Alert>}
 
         <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 1, width: '100%' }}>
+          {/* Returning Patient */}
+          <Autocomplete
+            value={formData.registry_patient}
+            onChange={handleSelectRegistryPatient}
+            inputValue={registrySearch}
+            onInputChange={(event, value) => setRegistrySearch(value)}
+            options={registryOptions}
+            loading={registryLoading}
+            filterOptions={(options) => options}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            getOptionLabel={(option) => `${option.full_name} (${option.hospital_number})`}
+            renderOption={(props, option) => (
+              <li {...props} key={option.id}>
+                <Box>
+                  <Typography variant="body1">{option.full_name} — {option.hospital_number}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {[option.contact_phone_number, `${option.visit_count} visit(s)`,
+                      option.last_visit_at && `last ${new Date(option.last_visit_at).toLocaleDateString()}`]
+                      .filter(Boolean).join(' · ')}
+                  </Typography>
+                </Box>
+              </li>
+            )}
+            noOptionsText={registrySearch.trim().length < 2 ? 'Type at least 2 characters' : 'No matching patient'}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Existing Patient"
+                helperText="Search by name, hospital number or phone. Leave empty to register a new patient."
+              />
+            )}
+          />
+          {formData.registry_patient && (
+            <Chip
+              sx={{ mt: 1 }}
+              color="primary"
+              label={`Hospital No. ${formData.registry_patient.hospital_number}`}
+              onDelete={() => handleSelectRegistryPatient(null, null)}
+            />
+          )}
+
           {/* Patient Demographics */}
           <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Patient Demographics</Typography>
           <Grid container spacing={2}>
@@ -213,24 +453,35 @@ function AddPatientPage() {
               <TextField 
                 inputRef={nameInputRef} // Forces focus on this input
                 margin="normal" required fullWidth id="patient_name" label="Patient Name" name="patient_name"
-                value={formData.patient_name || ''} onChange={handleChange} 
+                value={formData.patient_name || ''} onChange={handleChange} {...fieldErrorProps('patient_name')} 
               />
             </Grid>
             <Grid item xs={12} sm={6}>
               <TextField margin="normal" fullWidth select id="gender" label="Gender" name="gender"
-                value={formData.gender || ''} onChange={handleChange} size="medium" sx={{ minWidth: 150 }}>
+                value={formData.gender || ''} onChange={handleChange} {...fieldErrorProps('gender')} size="medium" sx={{ minWidth: 150 }}>
                 {genderOptions.map((option) => (
                   <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
                 ))}
               </TextField>
             </Grid>
             <Grid item xs={12} sm={6}>
-              <TextField margin="normal" required fullWidth id="age" label="Age" name="age" type="number"
-                value={formData.age || ''} onChange={handleChange} inputProps={{ min: 0 }} />
+              <TextField margin="normal" fullWidth id="date_of_birth" label="Date of Birth" name="date_of_birth" type="date"
+                value={formData.date_of_birth || ''} onChange={handleChange} {...fieldErrorProps('date_of_birth')}
+                InputLabelProps={{ shrink: true }} />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              {formData.date_of_birth ? (
+                <TextField margin="normal" fullWidth id="age" label="Age" value={ageFromBirthDate ?? ''} disabled
+                  helperText="Worked out from the date of birth" />
+              ) : (
+                <TextField margin="normal" required fullWidth id="age" label="Age" name="age" type="number"
+                  value={formData.age || ''} onChange={handleChange} {...fieldErrorProps('age')} inputProps={{ min: 0 }}
+                  helperText={fieldErrors.age || 'Only if the date of birth is not known'} />
+              )}
             </Grid>
             <Grid item xs={12} sm={6}>
               <TextField margin="normal" required fullWidth id="weight_kg" label="Weight (kg)" name="weight_kg" type="number"
-                value={formData.weight_kg || ''} onChange={handleChange} inputProps={{ step: "0.1", min: 0 }} />
+                value={formData.weight_kg || ''} onChange={handleChange} {...fieldErrorProps('weight_kg')} inputProps={{ step: "0.1", min: 0 }} />
             </Grid>
           </Grid>
 
@@ -239,24 +490,65 @@ function AddPatientPage() {
           <Grid container spacing={2}>
             <Grid item xs={12}>
               <TextField margin="normal" required fullWidth id="contact_email" label="Contact Email" name="contact_email" type="email"
-                value={formData.contact_email || ''} onChange={handleChange} />
+                value={formData.contact_email || ''} onChange={handleChange} {...fieldErrorProps('contact_email')} />
             </Grid>
             <Grid item xs={12}>
               <TextField margin="normal" fullWidth id="contact_phone_number" label="Contact Phone Number" name="contact_phone_number" type="tel"
-                value={formData.contact_phone_number || ''} onChange={handleChange} />
+                value={formData.contact_phone_number || ''} onChange={handleChange} {...fieldErrorProps('contact_phone_number')} />
             </Grid>
           </Grid>
+          <PatientDemographicsFields
+            values={formData}
+            onChange={handleChange}
+            fieldErrorProps={fieldErrorProps}
+            schema={validationSchema}
+          />
 
           {/* Referral Information */}
           <Typography variant="h6" gutterBottom sx={{ mt: 4 }}>Referral Information</Typography>
           <Grid container spacing={2}>
             <Grid item xs={12}>
-              <TextField margin="normal" fullWidth id="referral_hospital" label="Referral Hospital" name="referral_hospital"
-                value={formData.referral_hospital || ''} onChange={handleChange} />
+              <Autocomplete
+                freeSolo
+                options={referrerDirectory.facilities}
+                inputValue={formData.referral_hospital || ''}
+                onInputChange={handleReferralInput('referral_hospital', 'referral_facility_id')}
+                onChange={handleFacilitySelect}
+                getOptionLabel={(option) => (typeof option === 'string' ? option : option.name)}
+                filterOptions={(options, { inputValue }) => {
+                  const search = inputValue.trim().toUpperCase();
+                  return options.filter(option => option.name.toUpperCase().includes(search) || option.aliases.some(alias => alias.includes(search)));
+                }}
+                renderOption={(props, option) => (
+                  <li {...props} key={option.id}>
+                    {option.name}{option.address_city ? ` — ${option.address_city}` : ''}
+                  </li>
+                )}
+                renderInput={(params) => (
+                  <TextField {...params} margin="normal" id="referral_hospital" label="Referral Hospital"
+                    {...fieldErrorProps('referral_hospital')}
+                    helperText={fieldErrors.referral_hospital || (formData.referral_hospital && !formData.referral_facility_id ? 'Not in the referrer directory' : '')} />
+                )}
+              />
             </Grid>
             <Grid item xs={12}>
-              <TextField margin="normal" fullWidth id="referring_doctor" label="Referring Doctor" name="referring_doctor"
-                value={formData.referring_doctor || ''} onChange={handleChange} />
+              <Autocomplete
+                freeSolo
+                options={doctorOptions}
+                inputValue={formData.referring_doctor || ''}
+                onInputChange={handleReferralInput('referring_doctor', 'referring_doctor_id')}
+                onChange={handleDoctorSelect}
+                getOptionLabel={(option) => (typeof option === 'string' ? option : option.full_name)}
+                renderOption={(props, option) => (
+                  <li {...props} key={option.id}>
+                    {option.full_name}
+                    {[option.specialty, option.facility_name].filter(Boolean).length > 0 && ` — ${[option.specialty, option.facility_name].filter(Boolean).join(', ')}`}
+                  </li>
+                )}
+                renderInput={(params) => (
+                  <TextField {...params} margin="normal" id="referring_doctor" label="Referring Doctor" {...fieldErrorProps('referring_doctor')} />
+                )}
+              />
             </Grid>
           </Grid>
 
@@ -264,12 +556,45 @@ function AddPatientPage() {
 
           {/* Examination Details */}
           <Typography variant="h6" gutterBottom>Examination Details</Typography>
+          {fieldErrors.examinations && <Alert severity="error" sx={{ mb: 2 }}>{fieldErrors.examinations}</Alert>}
+          <TextField margin="normal" required fullWidth select id="payer_category" label="Payer" name="payer_category" sx={{ mb: 2 }}
+            value={formData.payer_category || ''} onChange={handleChange} {...fieldErrorProps('payer_category')}
+            helperText={fieldErrors.payer_category || 'Catalog examinations are charged at this payer\'s prices'}>
+            {(validationSchema?.payer_category?.values || ['Cash']).map(option => (
+              <MenuItem key={option} value={option}>{option}</MenuItem>
+            ))}
+          </TextField>
           {formData.examinations.map((exam, index) => (
             <Box key={exam.id} sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
-              <TextField sx={{ mr: 2, flex: 3 }} label={`Examination ${index + 1} Name`}
-                value={exam.name || ''} onChange={(e) => handleExaminationChange(exam.id, 'name', e.target.value)} required />
+              <Autocomplete
+                freeSolo
+                sx={{ mr: 2, flex: 3 }}
+                options={examCatalog}
+                inputValue={exam.name || ''}
+                onInputChange={handleExamNameInput(exam.id)}
+                onChange={handleExamSelect(exam.id)}
+                getOptionLabel={(option) => (typeof option === 'string' ? option : option.name)}
+                filterOptions={(options, { inputValue }) => {
+                  const search = inputValue.trim().toUpperCase();
+                  return options.filter(option => option.name.toUpperCase().includes(search) || option.code.toUpperCase().includes(search));
+                }}
+                renderOption={(props, option) => (
+                  <li {...props} key={option.id}>
+                    {option.code} — {option.name}{option.with_contrast ? ' (with contrast)' : ''}
+                    {' '}· ₦{Number(option.price).toLocaleString('en-NG', { minimumFractionDigits: 2 })}
+                    {option.price_list_name && ` (${option.price_list_name})`}
+                  </li>
+                )}
+                renderInput={(params) => (
+                  <TextField {...params} label={`Examination ${index + 1} Name`} required
+                    {...fieldErrorProps(`examinations.${index}.name`)}
+                    helperText={fieldErrors[`examinations.${index}.name`] || (exam.name && !exam.catalog_item_id ? 'Choose an examination from the catalog' : '')} />
+                )}
+              />
               <TextField sx={{ mr: 2, flex: 1 }} label="Amount" type="number" inputProps={{ step: "0.01", min: "0" }}
-                value={exam.amount || ''} onChange={(e) => handleExaminationChange(exam.id, 'amount', e.target.value)} required
+                value={exam.amount || ''} required disabled
+                {...fieldErrorProps(`examinations.${index}.amount`)}
+                helperText={fieldErrors[`examinations.${index}.amount`] || (exam.catalog_item_id ? `${formData.payer_category} price` : '')}
                 InputProps={{ startAdornment: <InputAdornment position="start">₦</InputAdornment> }} />
               {formData.examinations.length > 1 && (
                 <IconButton onClick={() => handleRemoveExamination(exam.id)} color="error">
@@ -293,7 +618,7 @@ function AddPatientPage() {
           {/* Payment Details Section */}
           <Typography variant="h6" gutterBottom>Payment Details</Typography>
           <TextField margin="normal" required fullWidth select id="payment_type" label="Payment Type" name="payment_type"
-            value={formData.payment_type || ''} onChange={handleChange}>
+            value={formData.payment_type || ''} onChange={handleChange} {...fieldErrorProps('payment_type')}>
             {paymentTypeOptions.map((option) => (
               <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
             ))}
@@ -304,26 +629,85 @@ function AddPatientPage() {
           <Grid container spacing={2}>
             <Grid item xs={12} sm={6}>
               <TextField margin="normal" fullWidth id="radiographer_name" label="Radiographer's Name" name="radiographer_name"
-                value={formData.radiographer_name || ''} onChange={handleChange} />
+                value={formData.radiographer_name || ''} onChange={handleChange} {...fieldErrorProps('radiographer_name')} />
             </Grid>
             <Grid item xs={12} sm={6}>
               <TextField margin="normal" fullWidth id="radiologist_name" label="Radiologist's Name" name="radiologist_name"
-                value={formData.radiologist_name || ''} onChange={handleChange} />
+                value={formData.radiologist_name || ''} onChange={handleChange} {...fieldErrorProps('radiologist_name')} />
             </Grid>
           </Grid>
 
           {/* General Remarks */}
           <Typography variant="h6" gutterBottom sx={{ mt: 4 }}>General Remarks</Typography>
           <TextField margin="normal" fullWidth id="remarks" label="Additional Remarks" name="remarks" multiline rows={4}
-            value={formData.remarks || ''} onChange={handleChange} />
+            value={formData.remarks || ''} onChange={handleChange} {...fieldErrorProps('remarks')} />
 
           {/* Submit Button (Spinner inside button now) */}
           <Button type="submit" fullWidth variant="contained" sx={{ mt: 3, mb: 2, height: 50 }} disabled={loading}>
-            {loading ? <CircularProgress size={24} color="inherit" /> : 'Add Patient Record'}
+            {loading ? <CircularProgress size={24} color="inherit" /> : (formData.registry_patient ? 'Start New Visit' : 'Add Patient Record')}
           </Button>
         </Box>
       </Paper>
 
+      {/* Possible Duplicate Warning */}
+      <Dialog open={duplicateCandidates.length > 0} onClose={() => setDuplicateCandidates([])} maxWidth="sm" fullWidth>
+        <DialogTitle>Possible Existing Patient</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 1 }}>
+            These registered patients look like <strong>{formData.patient_name}</strong>. If one of them is the same person,
+            record this as a new visit for them instead of creating a duplicate.
+          </DialogContentText>
+          <List dense>
+            {duplicateCandidates.map((candidate) => (
+              <ListItem
+                key={candidate.id}
+                divider
+                secondaryAction={
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    disabled={loading}
+                    onClick={() => {
+                      setFormData(prev => ({ ...prev, registry_patient: candidate }));
+                      setDuplicateCandidates([]);
+                      handleSubmit(null, { registryPatient: candidate });
+                    }}
+                  >
+                    Use This Patient
+                  </Button>
+                }
+              >
+                <ListItemText
+                  primary={`${candidate.full_name} — ${candidate.hospital_number}`}
+                  secondary={[
+                    candidate.contact_phone_number,
+                    candidate.contact_email,
+                    candidate.date_of_birth ? `born ${candidate.date_of_birth}` : candidate.age != null && `age ${candidate.age}`,
+                    candidate.national_id_number && `NIN ${candidate.national_id_number}`,
+                    `${candidate.visit_count} visit(s)`,
+                    `matched on ${candidate.reasons.join(', ')}`,
+                  ].filter(Boolean).join(' · ')}
+                  sx={{ pr: 16 }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDuplicateCandidates([])} disabled={loading}>Back to Form</Button>
+          <Button
+            color="warning"
+            disabled={loading}
+            onClick={() => {
+              setDuplicateCandidates([]);
+              handleSubmit(null, { confirmNew: true });
+            }}
+          >
+            Register as New Patient
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       <Snackbar
         open={openSnackbar}
         autoHideDuration={6000}
@@ -0,0 +1,316 @@
+// web-frontend/src/pages/AdminAuditLogPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  IconButton,
+  Collapse,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Grid,
+} from '@mui/material';
+
+// Icons
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const emptyFilters = { user_id: '', entity_type: '', entity_id: '', action: '', from: '', to: '' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Field-by-field view of an entry's before/after snapshot
+function ChangesTable({ changes }) {
+  const before = changes?.before || {};
+  const after = changes?.after || {};
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+
+  if (fields.length === 0) {
+    return <Typography variant="body2" color="text.secondary">No field changes recorded.</Typography>;
+  }
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Field</TableCell>
+          <TableCell>Before</TableCell>
+          <TableCell>After</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {fields.map((field) => (
+          <TableRow key={field}>
+            <TableCell sx={{ fontWeight: 'bold' }}>{field}</TableCell>
+            <TableCell sx={{ wordBreak: 'break-word' }}>{changes.before ? formatValue(before[field]) : '—'}</TableCell>
+            <TableCell sx={{ wordBreak: 'break-word' }}>{changes.after ? formatValue(after[field]) : '—'}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+function AuditRow({ entry }) {
+  const [open, setOpen] = useState(false);
+  const hasDetails = entry.changes || entry.metadata;
+
+  return (
+    <>
+      <TableRow hover>
+        <TableCell padding="checkbox">
+          {hasDetails && (
+            <IconButton size="small" onClick={() => setOpen(!open)}>
+              {open ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+            </IconButton>
+          )}
+        </TableCell>
+        <TableCell>{new Date(entry.occurred_at).toLocaleString()}</TableCell>
+        <TableCell>{entry.actor_full_name || entry.actor_username || 'System'}</TableCell>
+        <TableCell>{entry.action}</TableCell>
+        <TableCell>{entry.entity_type}</TableCell>
+        <TableCell>{entry.entity_id || '—'}</TableCell>
+        <TableCell>{entry.ip_address || '—'}</TableCell>
+      </TableRow>
+      {hasDetails && (
+        <TableRow>
+          <TableCell sx={{ py: 0 }} colSpan={7}>
+            <Collapse in={open} timeout="auto" unmountOnExit>
+              <Box sx={{ my: 2 }}>
+                {entry.changes && <ChangesTable changes={entry.changes} />}
+                {entry.metadata && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    Details: {JSON.stringify(entry.metadata)}
+                  </Typography>
+                )}
+              </Box>
+            </Collapse>
+          </TableCell>
+        </TableRow>
+      )}
+    </>
+  );
+}
+
+function AdminAuditLogPage() {
+  const { token } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [facets, setFacets] = useState({ entity_types: [], actions: [], actors: [] });
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const buildParams = useCallback(() => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    return params;
+  }, [filters]);
+
+  const fetchEntries = useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    try {
+      const params = buildParams();
+      params.append('limit', rowsPerPage);
+      params.append('offset', page * rowsPerPage);
+      const response = await fetch(`${API_BASE_URL}/api/admin/audit-log?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setEntries(data.entries);
+        setTotal(data.total);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load audit log.');
+      }
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, buildParams, page, rowsPerPage]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  useEffect(() => {
+    if (!token) return;
+    fetch(`${API_BASE_URL}/api/admin/audit-log/facets`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => { if (data) setFacets(data); })
+      .catch(err => console.error('Error fetching audit log filters:', err));
+  }, [token]);
+
+  const handleFilterChange = (field) => (event) => {
+    setFilters(prev => ({ ...prev, [field]: event.target.value }));
+    setPage(0);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/audit-log/export?${buildParams().toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        throw new Error('Failed to export audit log');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', 'audit_log.xlsx');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Audit log export error:', err);
+      setError('Failed to export the audit log. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h4">Admin Panel - Audit Log</Typography>
+        <Button
+          variant="contained"
+          startIcon={exporting ? <CircularProgress size={18} color="inherit" /> : <FileDownloadIcon />}
+          onClick={handleExport}
+          disabled={exporting}
+        >
+          Export to Excel
+        </Button>
+      </Box>
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 12, sm: 6, md: 2 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="audit-user-label">User</InputLabel>
+              <Select labelId="audit-user-label" label="User" value={filters.user_id} onChange={handleFilterChange('user_id')}>
+                <MenuItem value="">All users</MenuItem>
+                {facets.actors.map(actor => (
+                  <MenuItem key={actor.id} value={actor.id}>{actor.full_name || actor.username}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6, md: 2 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="audit-entity-label">Entity</InputLabel>
+              <Select labelId="audit-entity-label" label="Entity" value={filters.entity_type} onChange={handleFilterChange('entity_type')}>
+                <MenuItem value="">All entities</MenuItem>
+                {facets.entity_types.map(type => (
+                  <MenuItem key={type} value={type}>{type}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6, md: 2 }}>
+            <TextField fullWidth size="small" label="Entity ID" value={filters.entity_id} onChange={handleFilterChange('entity_id')} />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6, md: 2 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="audit-action-label">Action</InputLabel>
+              <Select labelId="audit-action-label" label="Action" value={filters.action} onChange={handleFilterChange('action')}>
+                <MenuItem value="">All actions</MenuItem>
+                {facets.actions.map(action => (
+                  <MenuItem key={action} value={action}>{action}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 6, md: 1.5 }}>
+            <TextField fullWidth size="small" type="date" label="From" InputLabelProps={{ shrink: true }} value={filters.from} onChange={handleFilterChange('from')} />
+          </Grid>
+          <Grid size={{ xs: 6, md: 1.5 }}>
+            <TextField fullWidth size="small" type="date" label="To" InputLabelProps={{ shrink: true }} value={filters.to} onChange={handleFilterChange('to')} />
+          </Grid>
+          <Grid size={{ xs: 12, md: 1 }}>
+            <Button fullWidth onClick={() => { setFilters(emptyFilters); setPage(0); }}>Clear</Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <TableContainer component={Paper}>
+        <Table size="small" aria-label="audit log table">
+          <TableHead>
+            <TableRow>
+              <TableCell />
+              <TableCell>Time</TableCell>
+              <TableCell>User</TableCell>
+              <TableCell>Action</TableCell>
+              <TableCell>Entity</TableCell>
+              <TableCell>Entity ID</TableCell>
+              <TableCell>IP Address</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center"><CircularProgress size={24} /></TableCell>
+              </TableRow>
+            ) : entries.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">No audit entries match these filters.</TableCell>
+              </TableRow>
+            ) : (
+              entries.map(entry => <AuditRow key={entry.id} entry={entry} />)
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(event) => { setRowsPerPage(parseInt(event.target.value, 10)); setPage(0); }}
+          rowsPerPageOptions={[25, 50, 100, 250]}
+        />
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default AdminAuditLogPage;
@@ -0,0 +1,271 @@
+// web-frontend/src/pages/AdminExamCatalogPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  Chip,
+  TextField,
+  Grid,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Stack,
+  InputAdornment,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+} from '@mui/material';
+
+// Icons
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const emptyItem = { code: '', name: '', body_region: '', with_contrast: false, duration_minutes: '', price: '', active: true };
+
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+// Examination catalog: the examinations offered at registration and the
+// price each is billed at. Price changes only affect visits booked afterwards.
+function AdminExamCatalogPage() {
+  const { token } = useAuth();
+  const [items, setItems] = useState([]);
+  const [bodyRegions, setBodyRegions] = useState([]);
+  const [search, setSearch] = useState('');
+  const [includeInactive, setIncludeInactive] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [editor, setEditor] = useState(null); // { id, values, errors }
+  const [saving, setSaving] = useState(false);
+
+  const fetchItems = useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ include_inactive: includeInactive });
+      if (search.trim()) params.append('search', search.trim());
+      const response = await fetch(`${API_BASE_URL}/api/exam-catalog/items?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setItems(data);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load the exam catalog.');
+      }
+    } catch (err) {
+      console.error('Error fetching exam catalog:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, search, includeInactive]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchItems, 300);
+    return () => clearTimeout(timer);
+  }, [fetchItems]);
+
+  useEffect(() => {
+    if (!token) return;
+    fetch(`${API_BASE_URL}/api/exam-catalog`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => { if (data) setBodyRegions(data.body_regions); })
+      .catch(err => console.error('Error fetching body regions:', err));
+  }, [token]);
+
+  const openEditor = (item = null) => {
+    setEditor({
+      id: item?.id || null,
+      values: item
+        ? Object.fromEntries(Object.keys(emptyItem).map(key => [key, item[key] ?? '']))
+        : { ...emptyItem },
+      errors: {},
+    });
+  };
+
+  const handleEditorChange = (event) => {
+    const { name, value, checked, type } = event.target;
+    setEditor(prev => ({
+      ...prev,
+      values: { ...prev.values, [name]: type === 'checkbox' ? checked : value },
+      errors: { ...prev.errors, [name]: undefined },
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/exam-catalog/items${editor.id ? `/${editor.id}` : ''}`, {
+        method: editor.id ? 'PUT' : 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(editor.values),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setEditor(prev => ({ ...prev, errors: data.errors || {} }));
+        if (!data.errors) setError(data.message || 'Failed to save.');
+        return;
+      }
+      setSuccess(`${data.name} saved.`);
+      setEditor(null);
+      fetchItems();
+    } catch (err) {
+      console.error('Error saving exam catalog item:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const editorField = (name, label, props = {}) => (
+    <TextField
+      fullWidth
+      size="small"
+      name={name}
+      label={label}
+      value={editor.values[name] ?? ''}
+      onChange={handleEditorChange}
+      error={Boolean(editor.errors[name])}
+      helperText={editor.errors[name]}
+      {...props}
+    />
+  );
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>Admin Panel - Exam Catalog</Typography>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <TextField size="small" label="Search code or name" value={search} onChange={(e) => setSearch(e.target.value)} sx={{ minWidth: 280 }} />
+        <FormControlLabel
+          control={<Switch checked={includeInactive} onChange={(e) => setIncludeInactive(e.target.checked)} />}
+          label="Show retired"
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openEditor()}>Add Examination</Button>
+      </Stack>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Code</TableCell>
+              <TableCell>Examination</TableCell>
+              <TableCell>Body Region</TableCell>
+              <TableCell>Contrast</TableCell>
+              <TableCell align="right">Duration</TableCell>
+              <TableCell align="right">Price</TableCell>
+              <TableCell align="right">Bookings</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow><TableCell colSpan={8} align="center"><CircularProgress size={24} /></TableCell></TableRow>
+            ) : items.length === 0 ? (
+              <TableRow><TableCell colSpan={8} align="center">No examinations in the catalog.</TableCell></TableRow>
+            ) : items.map(item => (
+              <TableRow key={item.id} sx={{ opacity: item.active ? 1 : 0.5 }}>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{item.code}</TableCell>
+                <TableCell sx={{ fontWeight: 'bold' }}>
+                  {item.name}
+                  {!item.active && <Chip size="small" label="Retired" sx={{ ml: 1 }} />}
+                </TableCell>
+                <TableCell>{item.body_region || '—'}</TableCell>
+                <TableCell>{item.with_contrast ? 'Yes' : 'No'}</TableCell>
+                <TableCell align="right">{item.duration_minutes ? `${item.duration_minutes} min` : '—'}</TableCell>
+                <TableCell align="right">{formatNaira(item.price)}</TableCell>
+                <TableCell align="right">{item.booking_count}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" startIcon={<EditIcon />} onClick={() => openEditor(item)}>Edit</Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={Boolean(editor)} onClose={() => !saving && setEditor(null)} maxWidth="sm" fullWidth>
+        {editor && (
+          <>
+            <DialogTitle>{editor.id ? 'Edit' : 'Add'} Examination</DialogTitle>
+            <DialogContent>
+              <Grid container spacing={2} sx={{ mt: 0.5 }}>
+                <Grid size={{ xs: 12, sm: 4 }}>{editorField('code', 'Code', { placeholder: 'e.g. MRI-BRN' })}</Grid>
+                <Grid size={{ xs: 12, sm: 8 }}>{editorField('name', 'Examination Name', { placeholder: 'e.g. MRI Brain' })}</Grid>
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  {editorField('body_region', 'Body Region', {
+                    select: true,
+                    children: [
+                      <MenuItem key="" value=""><em>Not specified</em></MenuItem>,
+                      ...bodyRegions.map(region => <MenuItem key={region} value={region}>{region}</MenuItem>),
+                    ],
+                  })}
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  {editorField('duration_minutes', 'Default Duration', {
+                    type: 'number',
+                    inputProps: { min: 1, step: 5 },
+                    InputProps: { endAdornment: <InputAdornment position="end">min</InputAdornment> },
+                  })}
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  {editorField('price', 'Price', {
+                    type: 'number',
+                    inputProps: { min: 0, step: '0.01' },
+                    InputProps: { startAdornment: <InputAdornment position="start">₦</InputAdornment> },
+                    helperText: editor.errors.price || (editor.id ? 'Applies to visits booked from now on' : undefined),
+                  })}
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  <FormControlLabel
+                    control={<Switch name="with_contrast" checked={Boolean(editor.values.with_contrast)} onChange={handleEditorChange} />}
+                    label="With contrast"
+                  />
+                </Grid>
+              </Grid>
+              {editor.id && (
+                <FormControlLabel
+                  sx={{ mt: 1 }}
+                  control={<Switch name="active" checked={Boolean(editor.values.active)} onChange={handleEditorChange} />}
+                  label="Active (offered when registering patients)"
+                />
+              )}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setEditor(null)} disabled={saving}>Cancel</Button>
+              <Button variant="contained" onClick={handleSave} disabled={saving}>
+                {saving ? <CircularProgress size={20} /> : 'Save'}
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+}
+
+export default AdminExamCatalogPage;
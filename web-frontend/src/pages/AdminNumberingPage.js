@@ -0,0 +1,179 @@
+// web-frontend/src/pages/AdminNumberingPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+} from '@mui/material';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const resetPolicyOptions = [
+  { value: 'never', label: 'Never' },
+  { value: 'yearly', label: 'Every year' },
+];
+
+function AdminNumberingPage() {
+  const { token } = useAuth();
+  const [sequences, setSequences] = useState([]);
+  const [drafts, setDrafts] = useState({}); // key -> { pattern, reset_policy }
+  const [loading, setLoading] = useState(true);
+  const [savingKey, setSavingKey] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchSequences = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/numbering`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSequences(data);
+        setDrafts(Object.fromEntries(data.map(s => [s.key, { pattern: s.pattern, reset_policy: s.reset_policy }])));
+      } else {
+        setError(data.message || 'Failed to load numbering settings.');
+      }
+    } catch (err) {
+      console.error('Error fetching numbering settings:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchSequences();
+  }, [fetchSequences]);
+
+  const handleDraftChange = (key, field) => (event) => {
+    setDrafts(prev => ({ ...prev, [key]: { ...prev[key], [field]: event.target.value } }));
+  };
+
+  const handleSave = async (key) => {
+    setError('');
+    setSuccess('');
+    setSavingKey(key);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/numbering/${key}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(drafts[key]),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchSequences();
+      } else {
+        setError(data.message || 'Failed to update numbering.');
+      }
+    } catch (err) {
+      console.error('Error updating numbering:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '60vh' }}>
+        <CircularProgress />
+        <Typography sx={{ ml: 2 }}>Loading numbering settings...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>
+        Admin Panel - Document Numbering
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 1 }}>
+        Numbers are issued in order without gaps. Numbers already issued keep their format when a pattern changes.
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Tokens: <code>{'{YYYY}'}</code> <code>{'{YY}'}</code> <code>{'{MM}'}</code> <code>{'{DD}'}</code> for the date,
+        and one counter — <code>{'{000000}'}</code> pads to the number of zeros, <code>{'{#}'}</code> does not pad.
+        Yearly sequences restart at 1 each year and must include the year.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      <TableContainer component={Paper}>
+        <Table size="small" aria-label="numbering table">
+          <TableHead>
+            <TableRow>
+              <TableCell>Sequence</TableCell>
+              <TableCell>Pattern</TableCell>
+              <TableCell>Restart</TableCell>
+              <TableCell>Issued This Period</TableCell>
+              <TableCell>Next Number</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {sequences.map((sequence) => {
+              const draft = drafts[sequence.key] || {};
+              const changed = draft.pattern !== sequence.pattern || draft.reset_policy !== sequence.reset_policy;
+              return (
+                <TableRow key={sequence.key}>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 'bold' }}>{sequence.description}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {sequence.updated_by_name ? `Changed by ${sequence.updated_by_name} on ${new Date(sequence.updated_at).toLocaleDateString()}` : sequence.key}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <TextField size="small" value={draft.pattern || ''} onChange={handleDraftChange(sequence.key, 'pattern')} sx={{ minWidth: 240 }} />
+                  </TableCell>
+                  <TableCell>
+                    <Select size="small" value={draft.reset_policy || 'never'} onChange={handleDraftChange(sequence.key, 'reset_policy')}>
+                      {resetPolicyOptions.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                  <TableCell>{sequence.last_value}</TableCell>
+                  <TableCell><code>{sequence.next_number}</code></TableCell>
+                  <TableCell align="right">
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      disabled={!changed || savingKey === sequence.key}
+                      onClick={() => handleSave(sequence.key)}
+                    >
+                      {savingKey === sequence.key ? <CircularProgress size={18} /> : 'Save'}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default AdminNumberingPage;
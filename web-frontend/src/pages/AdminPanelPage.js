@@ -1,6 +1,7 @@
 // web-frontend/src/pages/AdminPanelPage.js
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import InvitationsPanel from '../components/InvitationsPanel';
 
 // Material-UI components
 import {
@@ -36,6 +37,7 @@ import BlockIcon from '@mui/icons-material/Block';
 import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
 import DeleteIcon from '@mui/icons-material/Delete';
 import EditIcon from '@mui/icons-material/Edit'; // For editing role/status
+import LockResetIcon from '@mui/icons-material/LockReset';
 
 function AdminPanelPage() {
   const { token, user } = useAuth(); // Get token and current user's role
@@ -47,19 +49,26 @@ function AdminPanelPage() {
 
   // State for confirmation dialog
   const [openDialog, setOpenDialog] = useState(false);
-  const [dialogAction, setDialogAction] = useState(null); // 'suspend', 'activate', 'delete', 'change_role'
+  const [dialogAction, setDialogAction] = useState(null); // 'suspend', 'activate', 'delete', 'change_role', 'reset_password'
   const [selectedStaff, setSelectedStaff] = useState(null); // The staff member selected for action
   const [isActionLoading, setIsActionLoading] = useState(false); // For action buttons
   const [newRole, setNewRole] = useState(''); // For role change dialog
 
   // Options for role dropdown
-  const roleOptions = [
-    { value: 'medical_staff', label: 'Medical Staff' },
-    { value: 'doctor', label: 'Doctor' },
-    { value: 'financial_admin', label: 'Financial Admin' },
-    { value: 'accounts', label: 'Accounts' }
-    // Admin role should not be assignable from here for security
-  ];
+  // Assignable roles come from the server's role catalog (admin is never assignable here)
+  const [roleOptions, setRoleOptions] = useState([]);
+
+  useEffect(() => {
+    if (!token) return;
+    fetch(`${process.env.REACT_APP_API_URL}/api/admin/roles`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(res => (res.ok ? res.json() : []))
+      .then(roles => setRoleOptions(
+        roles.filter(role => role.assignable).map(role => ({ value: role.name, label: role.label }))
+      ))
+      .catch(err => console.error('Error fetching roles:', err));
+  }, [token]);
 
   const fetchStaffList = async () => {
   if (!token) {
@@ -188,6 +197,10 @@ useEffect(() => {
         method = 'PATCH';
         body = { role: newRole };
         message = `User ${selectedStaff.username} role changed to ${newRole.replace('_', ' ')}.`;
+      } else if (dialogAction === 'reset_password') {
+        url = `https://g2g-mri-erp-bfw57.ondigitalocean.app/api/admin/medical-staff/${selectedStaff.id}/reset-password`;
+        method = 'POST';
+        // The server reports where the reset link was sent
       } else {
           throw new Error('Unknown dialog action.');
       }
@@ -204,7 +217,7 @@ useEffect(() => {
       const data = await response.json();
 
       if (response.ok) {
-        setSuccess(message);
+        setSuccess(message || data.message);
         fetchStaffList(); // Refresh the list
       } else {
         setError(data.message || `Action failed for ${selectedStaff.username}.`);
@@ -309,6 +322,15 @@ useEffect(() => {
                   >
                     Change Role
                   </Button>
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    startIcon={<LockResetIcon />}
+                    sx={{ mr: 1 }}
+                    onClick={() => handleOpenDialog('reset_password', staff)}
+                  >
+                    Reset Password
+                  </Button>
                   {staff.is_verified ? (
                     <Button
                       variant="outlined"
@@ -355,6 +377,9 @@ useEffect(() => {
   </TableContainer>
 )}
 
+      <Box sx={{ mt: 4 }}>
+        <InvitationsPanel roleOptions={roleOptions} />
+      </Box>
 
       {/* Confirmation Dialog */}
       <Dialog
@@ -366,6 +391,7 @@ useEffect(() => {
         <DialogTitle id="confirm-dialog-title">
           {dialogAction === 'delete' ? 'Confirm Deletion' :
            dialogAction === 'change_role' ? 'Change User Role' :
+           dialogAction === 'reset_password' ? 'Force Password Reset' :
            `Confirm ${dialogAction === 'suspend' ? 'Suspension' : 'Activation'}`}
         </DialogTitle>
         <DialogContent>
@@ -393,6 +419,15 @@ useEffect(() => {
                         </Select>
                     </FormControl>
                 </Box>
+            ) : dialogAction === 'reset_password' ? (
+                <>
+                  Reset the password of
+                  <Typography component="span" sx={{ fontWeight: 'bold', mx: 0.5 }}>
+                    {selectedStaff?.full_name || selectedStaff?.username}
+                  </Typography>
+                  ? Their current password stops working immediately, they are signed out of every device,
+                  and a one-time reset link is emailed to {selectedStaff?.email}.
+                </>
             ) : (
                             <>
                               Are you sure you want to {dialogAction} user:
@@ -413,6 +448,7 @@ useEffect(() => {
             {isActionLoading ? <CircularProgress size={24} /> : (
               dialogAction === 'delete' ? 'Delete' :
               dialogAction === 'change_role' ? 'Save Role' :
+              dialogAction === 'reset_password' ? 'Reset Password' :
               (dialogAction === 'suspend' ? 'Suspend' : 'Activate')
             )}
           </Button>
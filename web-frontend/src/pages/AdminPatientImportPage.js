@@ -0,0 +1,379 @@
+// web-frontend/src/pages/AdminPatientImportPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  Chip,
+  Grid,
+  TextField,
+  MenuItem,
+  Stepper,
+  Step,
+  StepLabel,
+  FormControlLabel,
+  Switch,
+  Stack,
+} from '@mui/material';
+
+// Icons
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import DownloadIcon from '@mui/icons-material/Download';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const steps = ['Choose file', 'Map columns', 'Check rows', 'Import'];
+
+const statusChip = (status) => {
+  switch (status) {
+    case 'ok': return <Chip size="small" color="success" label="OK" />;
+    case 'warning': return <Chip size="small" color="warning" label="Warning" />;
+    case 'error': return <Chip size="small" color="error" label="Error" />;
+    case 'committed': return <Chip size="small" color="success" label="Imported" />;
+    case 'rejected': return <Chip size="small" color="error" label="Rejected" />;
+    case 'dry_run': return <Chip size="small" label="Dry run" />;
+    default: return <Chip size="small" label={status} />;
+  }
+};
+
+function AdminPatientImportPage() {
+  const { token } = useAuth();
+  const [file, setFile] = useState(null);
+  const [inspection, setInspection] = useState(null); // { headers, row_count, sample, fields: [{ key, label, required, accepted_values }] }
+  const [mapping, setMapping] = useState({}); // field key -> column header
+  const [checkResult, setCheckResult] = useState(null); // Latest dry run or import response
+  const [problemsOnly, setProblemsOnly] = useState(true);
+  const [history, setHistory] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [mappingProblems, setMappingProblems] = useState([]);
+
+  const fetchHistory = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/patient-imports`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (response.ok) setHistory(await response.json());
+    } catch (err) {
+      console.error('Error fetching import history:', err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const activeStep = !inspection ? 0
+    : checkResult?.dry_run === false && checkResult.summary.errors === 0 ? 4
+    : checkResult ? 2
+    : 1;
+
+  const sendFile = async (url, extraFields = {}) => {
+    const body = new FormData();
+    body.append('file', file);
+    Object.entries(extraFields).forEach(([key, value]) => body.append(key, value));
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` },
+      body,
+    });
+    return { response, data: await response.json() };
+  };
+
+  const handleFileChange = (event) => {
+    setFile(event.target.files[0] || null);
+    setInspection(null);
+    setCheckResult(null);
+    setMappingProblems([]);
+    setError('');
+  };
+
+  const handleInspect = async () => {
+    setError('');
+    setWorking(true);
+    try {
+      const { response, data } = await sendFile(`${API_BASE_URL}/api/admin/patient-import/inspect`);
+      if (response.ok) {
+        setInspection(data);
+        setMapping(data.suggested_mapping);
+      } else {
+        setError(data.message || 'Failed to read the file.');
+      }
+    } catch (err) {
+      console.error('Error inspecting import file:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleMappingChange = (field) => (event) => {
+    setMapping(prev => ({ ...prev, [field]: event.target.value || undefined }));
+    setCheckResult(null);
+  };
+
+  // dryRun: check only; otherwise import for real (the server re-checks every row first)
+  const handleRun = async (dryRun) => {
+    setError('');
+    setMappingProblems([]);
+    setWorking(true);
+    try {
+      const { response, data } = await sendFile(`${API_BASE_URL}/api/admin/patient-import`, {
+        mapping: JSON.stringify(mapping),
+        dry_run: String(dryRun),
+      });
+      if (data.summary) {
+        setCheckResult(data);
+        fetchHistory();
+      } else {
+        setMappingProblems(data.problems || []);
+      }
+      if (!response.ok) setError(data.message || 'Import failed.');
+    } catch (err) {
+      console.error('Error running import:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDownloadReport = async (importId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/patient-imports/${importId}/report`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        throw new Error('Failed to download import report');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `patient_import_${importId}_report.xlsx`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Import report download error:', err);
+      setError('Failed to download the import report. Please try again.');
+    }
+  };
+
+  const visibleRows = (checkResult?.rows || []).filter(row => !problemsOnly || row.status !== 'ok');
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>
+        Admin Panel - Import Patients
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 2 }}>
+        Load past visits from an .xlsx or .csv file. Every row is checked first; the import only runs when no row has errors,
+        and then all rows are saved together or none are. List several examinations in one cell separated by ";",
+        with their amounts in the same order.
+      </Typography>
+
+      <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+        {steps.map(label => (
+          <Step key={label}><StepLabel>{label}</StepLabel></Step>
+        ))}
+      </Stepper>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {mappingProblems.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {mappingProblems.map(problem => <div key={problem}>{problem}</div>)}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Stack direction="row" spacing={2} alignItems="center">
+          <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={working}>
+            Choose File
+            <input type="file" hidden accept=".xlsx,.csv" onChange={handleFileChange} />
+          </Button>
+          <Typography variant="body2">{file ? file.name : 'No file chosen'}</Typography>
+          <Button variant="contained" onClick={handleInspect} disabled={!file || working}>
+            Read Columns
+          </Button>
+          {working && <CircularProgress size={24} />}
+        </Stack>
+      </Paper>
+
+      {inspection && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Map Columns ({inspection.row_count} rows in {inspection.file_name})
+          </Typography>
+          <Grid container spacing={2}>
+            {inspection.fields.map(field => (
+              <Grid key={field.key} size={{ xs: 12, sm: 6, md: 4 }}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label={`${field.label}${field.required ? ' *' : ''}`}
+                  value={mapping[field.key] || ''}
+                  onChange={handleMappingChange(field.key)}
+                  helperText={field.accepted_values ? `Accepts: ${field.accepted_values.join('; ')}` : undefined}
+                >
+                  <MenuItem value=""><em>Not in file</em></MenuItem>
+                  {inspection.headers.map(header => (
+                    <MenuItem key={header} value={header}>{header}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            ))}
+          </Grid>
+
+          <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>First rows of the file</Typography>
+          <TableContainer sx={{ maxHeight: 240 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  {inspection.headers.map(header => <TableCell key={header}>{header}</TableCell>)}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {inspection.sample.map((row, index) => (
+                  <TableRow key={index}>
+                    {inspection.headers.map(header => <TableCell key={header}>{row[header] == null ? '' : String(row[header])}</TableCell>)}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Stack direction="row" spacing={2} sx={{ mt: 3 }}>
+            <Button variant="contained" startIcon={<FactCheckIcon />} onClick={() => handleRun(true)} disabled={working}>
+              Check Rows (Dry Run)
+            </Button>
+            <Button
+              variant="contained"
+              color="success"
+              onClick={() => handleRun(false)}
+              disabled={working || !checkResult || !checkResult.dry_run || checkResult.summary.errors > 0}
+            >
+              Import {checkResult?.summary ? checkResult.summary.rows : ''} Rows
+            </Button>
+          </Stack>
+        </Paper>
+      )}
+
+      {checkResult && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+            <Box>
+              <Typography variant="h6">{checkResult.dry_run ? 'Dry Run Result' : 'Import Result'}</Typography>
+              <Typography variant="body2" color="text.secondary">{checkResult.message}</Typography>
+            </Box>
+            <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownloadReport(checkResult.import_id)}>
+              Download Report
+            </Button>
+          </Stack>
+          <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+            <Chip label={`${checkResult.summary.rows} rows`} />
+            <Chip color="success" label={`${checkResult.summary.ok} OK`} />
+            <Chip color="warning" label={`${checkResult.summary.warnings} with warnings`} />
+            <Chip color="error" label={`${checkResult.summary.errors} with errors`} />
+          </Stack>
+          <FormControlLabel
+            control={<Switch checked={problemsOnly} onChange={(e) => setProblemsOnly(e.target.checked)} />}
+            label="Show only rows with errors or warnings"
+          />
+          <TableContainer sx={{ maxHeight: 480 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Row</TableCell>
+                  <TableCell>Patient</TableCell>
+                  <TableCell>Result</TableCell>
+                  <TableCell>Details</TableCell>
+                  <TableCell>MRI Code</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {visibleRows.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">No rows to show.</TableCell>
+                  </TableRow>
+                ) : visibleRows.map(row => (
+                  <TableRow key={row.row_number}>
+                    <TableCell>{row.row_number}</TableCell>
+                    <TableCell>{row.patient_name || '—'}</TableCell>
+                    <TableCell>{statusChip(row.status)}</TableCell>
+                    <TableCell>
+                      {row.errors.map(message => (
+                        <Typography key={message} variant="caption" color="error" display="block">{message}</Typography>
+                      ))}
+                      {row.warnings.map(message => (
+                        <Typography key={message} variant="caption" color="warning.main" display="block">{message}</Typography>
+                      ))}
+                    </TableCell>
+                    <TableCell>{row.mri_code || ''}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      <Typography variant="h6" gutterBottom>Previous Imports</Typography>
+      <TableContainer component={Paper}>
+        <Table size="small" aria-label="import history table">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>File</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Rows</TableCell>
+              <TableCell>Errors</TableCell>
+              <TableCell>Warnings</TableCell>
+              <TableCell>By</TableCell>
+              <TableCell align="right">Report</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {history.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center">No imports yet.</TableCell>
+              </TableRow>
+            ) : history.map(item => (
+              <TableRow key={item.id}>
+                <TableCell>{new Date(item.created_at).toLocaleString()}</TableCell>
+                <TableCell>{item.file_name}</TableCell>
+                <TableCell>{statusChip(item.status)}</TableCell>
+                <TableCell>{item.row_count}</TableCell>
+                <TableCell>{item.error_count}</TableCell>
+                <TableCell>{item.warning_count}</TableCell>
+                <TableCell>{item.imported_by_name || '—'}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownloadReport(item.id)}>
+                    Download
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default AdminPatientImportPage;
@@ -0,0 +1,333 @@
+// web-frontend/src/pages/AdminPatientMergePage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  Chip,
+  Tabs,
+  Tab,
+  TextField,
+  Autocomplete,
+  Grid,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from '@mui/material';
+
+// Icons
+import MergeTypeIcon from '@mui/icons-material/MergeType';
+import NotInterestedIcon from '@mui/icons-material/NotInterested';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const describePatient = (patient) =>
+  [patient.contact_phone_number, patient.contact_email, patient.age != null && `age ${patient.age}`, `${patient.visit_count ?? 0} visit(s)`]
+    .filter(Boolean)
+    .join(' · ');
+
+function PatientCell({ patient }) {
+  return (
+    <>
+      <Typography variant="body2" sx={{ fontWeight: 'bold' }}>{patient.full_name}</Typography>
+      <Typography variant="caption" display="block">{patient.hospital_number}</Typography>
+      <Typography variant="caption" color="text.secondary" display="block">{describePatient(patient)}</Typography>
+    </>
+  );
+}
+
+// Registry search box used to pick patients for a manual merge
+function PatientPicker({ label, value, onChange, token }) {
+  const [input, setInput] = useState('');
+  const [options, setOptions] = useState([]);
+
+  useEffect(() => {
+    if (!token || input.trim().length < 2) {
+      setOptions([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/registry/patients?search=${encodeURIComponent(input.trim())}`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        if (response.ok) setOptions(await response.json());
+      } catch (err) {
+        console.error('Patient search failed:', err);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [input, token]);
+
+  return (
+    <Autocomplete
+      value={value}
+      onChange={(event, patient) => onChange(patient)}
+      inputValue={input}
+      onInputChange={(event, text) => setInput(text)}
+      options={options}
+      filterOptions={(opts) => opts}
+      isOptionEqualToValue={(option, selected) => option.id === selected.id}
+      getOptionLabel={(option) => `${option.full_name} (${option.hospital_number})`}
+      renderInput={(params) => <TextField {...params} size="small" label={label} />}
+    />
+  );
+}
+
+function AdminPatientMergePage() {
+  const { token } = useAuth();
+  const [tab, setTab] = useState('suggested');
+  const [pairs, setPairs] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [working, setWorking] = useState(false);
+  const [mergeTarget, setMergeTarget] = useState(null); // { survivor, merged }
+  const [mergeReason, setMergeReason] = useState('');
+  const [manualSurvivor, setManualSurvivor] = useState(null);
+  const [manualMerged, setManualMerged] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    if (!token) return;
+    try {
+      const headers = { 'Authorization': `Bearer ${token}` };
+      const [pairsResponse, historyResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/admin/patient-duplicates`, { headers }),
+        fetch(`${API_BASE_URL}/api/admin/patient-merges`, { headers }),
+      ]);
+      const pairsData = await pairsResponse.json();
+      const historyData = await historyResponse.json();
+      if (pairsResponse.ok && historyResponse.ok) {
+        setPairs(pairsData);
+        setHistory(historyData);
+      } else {
+        setError(pairsData.message || historyData.message || 'Failed to load duplicate patients.');
+      }
+    } catch (err) {
+      console.error('Error fetching duplicate patients:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const request = async (url, body) => {
+    setError('');
+    setSuccess('');
+    setWorking(true);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchData();
+        return true;
+      }
+      setError(data.message || 'Request failed.');
+    } catch (err) {
+      console.error('Patient merge request error:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setWorking(false);
+    }
+    return false;
+  };
+
+  const handleDismiss = (pair) =>
+    request(`${API_BASE_URL}/api/admin/patient-duplicates/dismiss`, { patient_id_a: pair.a.id, patient_id_b: pair.b.id });
+
+  const handleConfirmMerge = async () => {
+    const merged = await request(`${API_BASE_URL}/api/admin/patients/merge`, {
+      survivor_id: mergeTarget.survivor.id,
+      merged_id: mergeTarget.merged.id,
+      reason: mergeReason.trim() || undefined,
+    });
+    if (merged) {
+      setMergeTarget(null);
+      setMergeReason('');
+      setManualSurvivor(null);
+      setManualMerged(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '60vh' }}>
+        <CircularProgress />
+        <Typography sx={{ ml: 2 }}>Looking for duplicate patients...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>
+        Admin Panel - Duplicate Patients
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 2 }}>
+        Merging moves every visit, with its examinations, results and calendar events, onto the patient you keep.
+        The other hospital number is retired.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+        <Tab value="suggested" label={`Suggested (${pairs.length})`} />
+        <Tab value="manual" label="Manual Merge" />
+        <Tab value="history" label={`History (${history.length})`} />
+      </Tabs>
+
+      {tab === 'suggested' && (
+        <TableContainer component={Paper}>
+          <Table size="small" aria-label="duplicate patients table">
+            <TableHead>
+              <TableRow>
+                <TableCell>Patient A</TableCell>
+                <TableCell>Patient B</TableCell>
+                <TableCell>Match</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {pairs.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">No likely duplicates found.</TableCell>
+                </TableRow>
+              ) : pairs.map((pair) => (
+                <TableRow key={`${pair.a.id}-${pair.b.id}`}>
+                  <TableCell><PatientCell patient={pair.a} /></TableCell>
+                  <TableCell><PatientCell patient={pair.b} /></TableCell>
+                  <TableCell>
+                    <Chip size="small" color={pair.score >= 0.8 ? 'error' : 'warning'} label={`${Math.round(pair.score * 100)}%`} sx={{ mb: 0.5 }} />
+                    <Typography variant="caption" display="block">{pair.reasons.join(', ')}</Typography>
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Button size="small" startIcon={<MergeTypeIcon />} disabled={working} onClick={() => setMergeTarget({ survivor: pair.a, merged: pair.b })}>
+                      Keep A
+                    </Button>
+                    <Button size="small" startIcon={<MergeTypeIcon />} disabled={working} onClick={() => setMergeTarget({ survivor: pair.b, merged: pair.a })}>
+                      Keep B
+                    </Button>
+                    <Button size="small" color="inherit" startIcon={<NotInterestedIcon />} disabled={working} onClick={() => handleDismiss(pair)}>
+                      Not a Duplicate
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {tab === 'manual' && (
+        <Paper sx={{ p: 3 }}>
+          <Grid container spacing={2} alignItems="center">
+            <Grid size={{ xs: 12, md: 5 }}>
+              <PatientPicker label="Patient to keep" value={manualSurvivor} onChange={setManualSurvivor} token={token} />
+            </Grid>
+            <Grid size={{ xs: 12, md: 5 }}>
+              <PatientPicker label="Duplicate to merge into it" value={manualMerged} onChange={setManualMerged} token={token} />
+            </Grid>
+            <Grid size={{ xs: 12, md: 2 }}>
+              <Button
+                fullWidth
+                variant="contained"
+                startIcon={<MergeTypeIcon />}
+                disabled={working || !manualSurvivor || !manualMerged || manualSurvivor.id === manualMerged.id}
+                onClick={() => setMergeTarget({ survivor: manualSurvivor, merged: manualMerged })}
+              >
+                Merge
+              </Button>
+            </Grid>
+          </Grid>
+        </Paper>
+      )}
+
+      {tab === 'history' && (
+        <TableContainer component={Paper}>
+          <Table size="small" aria-label="merge history table">
+            <TableHead>
+              <TableRow>
+                <TableCell>Merged</TableCell>
+                <TableCell>Into</TableCell>
+                <TableCell>Visits Moved</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>By</TableCell>
+                <TableCell>When</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {history.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">No merges yet.</TableCell>
+                </TableRow>
+              ) : history.map((merge) => (
+                <TableRow key={merge.id}>
+                  <TableCell>{merge.merged_full_name} ({merge.merged_hospital_number})</TableCell>
+                  <TableCell>{merge.survivor_full_name} ({merge.survivor_hospital_number})</TableCell>
+                  <TableCell>{merge.moved_visit_ids.length}</TableCell>
+                  <TableCell>{merge.reason || '—'}</TableCell>
+                  <TableCell>{merge.merged_by_name || 'N/A'}</TableCell>
+                  <TableCell>{new Date(merge.merged_at).toLocaleString()}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={!!mergeTarget} onClose={() => setMergeTarget(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Merge Patients</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            All visits of <strong>{mergeTarget?.merged.full_name} ({mergeTarget?.merged.hospital_number})</strong> will
+            move to <strong>{mergeTarget?.survivor.full_name} ({mergeTarget?.survivor.hospital_number})</strong>, and
+            {' '}{mergeTarget?.merged.hospital_number} will no longer exist.
+          </DialogContentText>
+          <TextField
+            fullWidth
+            size="small"
+            label="Reason (optional)"
+            value={mergeReason}
+            onChange={(e) => setMergeReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMergeTarget(null)} disabled={working}>Cancel</Button>
+          <Button onClick={handleConfirmMerge} variant="contained" disabled={working}>
+            {working ? <CircularProgress size={24} /> : 'Merge'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default AdminPatientMergePage;
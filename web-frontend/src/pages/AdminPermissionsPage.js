@@ -0,0 +1,182 @@
+// web-frontend/src/pages/AdminPermissionsPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Checkbox,
+  Tooltip,
+} from '@mui/material';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const grantKey = (role, permission) => `${role}:${permission}`;
+
+function AdminPermissionsPage() {
+  const { token, refreshUser } = useAuth();
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [grants, setGrants] = useState(new Set());
+  const [pending, setPending] = useState(new Set()); // Cells currently being saved
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchMatrix = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/permissions`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setRoles(data.roles);
+        setPermissions(data.permissions);
+        setGrants(new Set(data.grants.map(g => grantKey(g.role, g.permission))));
+      } else {
+        setError(data.message || 'Failed to load permissions.');
+      }
+    } catch (err) {
+      console.error('Error fetching permissions:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchMatrix();
+  }, [fetchMatrix]);
+
+  const handleToggle = async (role, permission) => {
+    const key = grantKey(role, permission);
+    const granted = grants.has(key);
+    setError('');
+    setSuccess('');
+    setPending(prev => new Set(prev).add(key));
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/admin/roles/${encodeURIComponent(role)}/permissions/${encodeURIComponent(permission)}`,
+        {
+          method: granted ? 'DELETE' : 'PUT',
+          headers: { 'Authorization': `Bearer ${token}` },
+        }
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setGrants(prev => {
+          const next = new Set(prev);
+          if (granted) next.delete(key); else next.add(key);
+          return next;
+        });
+        setSuccess(data.message);
+        refreshUser(); // The admin's own menu may depend on what changed
+      } else {
+        setError(data.message || 'Failed to update permission.');
+      }
+    } catch (err) {
+      console.error('Error updating permission:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setPending(prev => {
+        const next = new Set(prev);
+        next.delete(key);
+        return next;
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '60vh' }}>
+        <CircularProgress />
+        <Typography sx={{ ml: 2 }}>Loading permissions...</Typography>
+      </Box>
+    );
+  }
+
+  // Group rows under their category headings
+  const categories = permissions.reduce((acc, permission) => {
+    (acc[permission.category] = acc[permission.category] || []).push(permission);
+    return acc;
+  }, {});
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>
+        Admin Panel - Roles & Permissions
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Changes apply to signed-in users within a few seconds. Result downloads can also be granted to individual staff from Manage Staff.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      <TableContainer component={Paper}>
+        <Table size="small" stickyHeader aria-label="permission matrix">
+          <TableHead>
+            <TableRow>
+              <TableCell>Permission</TableCell>
+              {roles.map(role => (
+                <TableCell key={role.name} align="center">
+                  <Tooltip title={role.description || ''}>
+                    <span>{role.label}</span>
+                  </Tooltip>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {Object.entries(categories).map(([category, categoryPermissions]) => (
+              <React.Fragment key={category}>
+                <TableRow>
+                  <TableCell colSpan={roles.length + 1} sx={{ fontWeight: 'bold', bgcolor: 'action.hover' }}>
+                    {category}
+                  </TableCell>
+                </TableRow>
+                {categoryPermissions.map(permission => (
+                  <TableRow key={permission.key} hover>
+                    <TableCell>
+                      <Typography variant="body2">{permission.description}</Typography>
+                      <Typography variant="caption" color="text.secondary">{permission.key}</Typography>
+                    </TableCell>
+                    {roles.map(role => {
+                      const key = grantKey(role.name, permission.key);
+                      // Admins can never lose access to this screen
+                      const locked = role.name === 'admin' && permission.key === 'permissions.manage';
+                      return (
+                        <TableCell key={role.name} align="center">
+                          <Checkbox
+                            size="small"
+                            checked={grants.has(key)}
+                            disabled={locked || pending.has(key)}
+                            onChange={() => handleToggle(role.name, permission.key)}
+                          />
+                        </TableCell>
+                      );
+                    })}
+                  </TableRow>
+                ))}
+              </React.Fragment>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default AdminPermissionsPage;
@@ -0,0 +1,286 @@
+// web-frontend/src/pages/AdminRecycleBinPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  Tabs,
+  Tab,
+  TextField,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from '@mui/material';
+
+// Icons
+import RestoreIcon from '@mui/icons-material/Restore';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+function AdminRecycleBinPage() {
+  const { token, hasPermission } = useAuth();
+  const [tab, setTab] = useState('patients');
+  const [bin, setBin] = useState({ retention_days: 30, patients: [], results: [] });
+  const [retentionInput, setRetentionInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [purgeTarget, setPurgeTarget] = useState(null); // { kind, id, label }
+  const [working, setWorking] = useState(false);
+
+  const fetchBin = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/recycle-bin`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setBin(data);
+        setRetentionInput(String(data.retention_days));
+      } else {
+        setError(data.message || 'Failed to load the recycle bin.');
+      }
+    } catch (err) {
+      console.error('Error fetching recycle bin:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchBin();
+  }, [fetchBin]);
+
+  const request = async (url, options) => {
+    setError('');
+    setSuccess('');
+    setWorking(true);
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchBin();
+      } else {
+        setError(data.message || 'Request failed.');
+      }
+    } catch (err) {
+      console.error('Recycle bin request error:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRestore = (kind, id) =>
+    request(`${API_BASE_URL}/api/admin/recycle-bin/${kind}/${id}/restore`, { method: 'POST' });
+
+  const handleConfirmPurge = async () => {
+    await request(`${API_BASE_URL}/api/admin/recycle-bin/${purgeTarget.kind}/${purgeTarget.id}`, { method: 'DELETE' });
+    setPurgeTarget(null);
+  };
+
+  const handleSaveRetention = () =>
+    request(`${API_BASE_URL}/api/admin/recycle-bin/retention`, {
+      method: 'PUT',
+      body: JSON.stringify({ retention_days: Number(retentionInput) }),
+    });
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '60vh' }}>
+        <CircularProgress />
+        <Typography sx={{ ml: 2 }}>Loading recycle bin...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>
+        Admin Panel - Recycle Bin
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 2 }}>
+        Deleted patients and results are kept for {bin.retention_days} days, then permanently removed together with their files.
+      </Typography>
+
+      {hasPermission('settings.manage') && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+          <TextField
+            size="small"
+            type="number"
+            label="Retention (days)"
+            inputProps={{ min: 1, max: 3650 }}
+            value={retentionInput}
+            onChange={(e) => setRetentionInput(e.target.value)}
+          />
+          <Button
+            variant="outlined"
+            onClick={handleSaveRetention}
+            disabled={working || Number(retentionInput) === bin.retention_days}
+          >
+            Save
+          </Button>
+        </Box>
+      )}
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+        <Tab value="patients" label={`Patients (${bin.patients.length})`} />
+        <Tab value="results" label={`Results (${bin.results.length})`} />
+      </Tabs>
+
+      <TableContainer component={Paper}>
+        {tab === 'patients' ? (
+          <Table size="small" aria-label="deleted patients table">
+            <TableHead>
+              <TableRow>
+                <TableCell>Patient</TableCell>
+                <TableCell>MRI Code</TableCell>
+                <TableCell>Payment</TableCell>
+                <TableCell>Deleted By</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>Deleted</TableCell>
+                <TableCell>Purged After</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {bin.patients.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">No deleted patients.</TableCell>
+                </TableRow>
+              ) : bin.patients.map((patient) => (
+                <TableRow key={patient.id}>
+                  <TableCell>{patient.patient_name}</TableCell>
+                  <TableCell>{patient.mri_code}</TableCell>
+                  <TableCell>{patient.payment_status}</TableCell>
+                  <TableCell>{patient.deleted_by_name || 'N/A'}</TableCell>
+                  <TableCell>{patient.deletion_reason || '—'}</TableCell>
+                  <TableCell>{formatDate(patient.deleted_at)}</TableCell>
+                  <TableCell>{patient.purge_at ? formatDate(patient.purge_at) : 'Kept (medical records)'}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Button size="small" startIcon={<RestoreIcon />} disabled={working} onClick={() => handleRestore('patients', patient.id)}>
+                      Restore
+                    </Button>
+                    <Button
+                      size="small"
+                      color="error"
+                      startIcon={<DeleteForeverIcon />}
+                      disabled={working || !patient.purge_at}
+                      onClick={() => setPurgeTarget({ kind: 'patients', id: patient.id, label: patient.patient_name })}
+                    >
+                      Delete Forever
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        ) : (
+          <Table size="small" aria-label="deleted results table">
+            <TableHead>
+              <TableRow>
+                <TableCell>File</TableCell>
+                <TableCell>Patient</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Deleted By</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>Deleted</TableCell>
+                <TableCell>Purged After</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {bin.results.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">No deleted results.</TableCell>
+                </TableRow>
+              ) : bin.results.map((result) => (
+                <TableRow key={result.file_id}>
+                  <TableCell>{result.file_name}</TableCell>
+                  <TableCell>
+                    {result.patient_name || 'N/A'}
+                    {result.patient_deleted && (
+                      <Typography variant="caption" color="error" display="block">Patient is deleted</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{result.result_status}</TableCell>
+                  <TableCell>{result.deleted_by_name || 'N/A'}</TableCell>
+                  <TableCell>{result.deletion_reason || '—'}</TableCell>
+                  <TableCell>{formatDate(result.deleted_at)}</TableCell>
+                  <TableCell>{formatDate(result.purge_at)}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Button
+                      size="small"
+                      startIcon={<RestoreIcon />}
+                      disabled={working || result.patient_deleted}
+                      onClick={() => handleRestore('results', result.file_id)}
+                    >
+                      Restore
+                    </Button>
+                    <Button
+                      size="small"
+                      color="error"
+                      startIcon={<DeleteForeverIcon />}
+                      disabled={working}
+                      onClick={() => setPurgeTarget({ kind: 'results', id: result.file_id, label: result.file_name })}
+                    >
+                      Delete Forever
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </TableContainer>
+
+      <Dialog open={!!purgeTarget} onClose={() => setPurgeTarget(null)}>
+        <DialogTitle>Delete Permanently</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Permanently delete <strong>{purgeTarget?.label}</strong>
+            {purgeTarget?.kind === 'patients' ? ' together with its examinations, results and receipt' : ' and its stored file'}?
+            This cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPurgeTarget(null)} disabled={working}>Cancel</Button>
+          <Button onClick={handleConfirmPurge} color="error" variant="contained" disabled={working}>
+            {working ? <CircularProgress size={24} /> : 'Delete Forever'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default AdminRecycleBinPage;
@@ -0,0 +1,510 @@
+// web-frontend/src/pages/AdminReferrersPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  Chip,
+  Tabs,
+  Tab,
+  TextField,
+  Autocomplete,
+  Grid,
+  MenuItem,
+  Checkbox,
+  FormControlLabel,
+  Switch,
+  Stack,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from '@mui/material';
+
+// Icons
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import CallMergeIcon from '@mui/icons-material/CallMerge';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const emptyFacility = { name: '', contact_person: '', phone_number: '', email: '', address_line: '', address_city: '', address_state: '', active: true };
+const emptyDoctor = { full_name: '', facility_id: '', specialty: '', phone_number: '', email: '', active: true };
+
+// Referrer directory: referring facilities and doctors, plus the tool that
+// maps legacy free-text referral names onto directory entries.
+function AdminReferrersPage() {
+  const { token } = useAuth();
+  const [tab, setTab] = useState('facilities'); // 'facilities', 'doctors' or 'normalize'
+  const [facilities, setFacilities] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [search, setSearch] = useState('');
+  const [includeInactive, setIncludeInactive] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [editor, setEditor] = useState(null); // { kind, id, values, errors, normalizeKeys }
+  const [saving, setSaving] = useState(false);
+
+  // Normalisation
+  const [normalizeKind, setNormalizeKind] = useState('facility');
+  const [unmatched, setUnmatched] = useState([]);
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [target, setTarget] = useState(null);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+
+  const authHeaders = { 'Authorization': `Bearer ${token}` };
+
+  const fetchDirectory = useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ include_inactive: includeInactive });
+      if (search.trim()) params.append('search', search.trim());
+      const [facilityResponse, doctorResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/referrers/facilities?${params.toString()}`, { headers: { 'Authorization': `Bearer ${token}` } }),
+        fetch(`${API_BASE_URL}/api/referrers/doctors?${params.toString()}`, { headers: { 'Authorization': `Bearer ${token}` } }),
+      ]);
+      if (facilityResponse.ok && doctorResponse.ok) {
+        setFacilities(await facilityResponse.json());
+        setDoctors(await doctorResponse.json());
+        setError('');
+      } else {
+        setError('Failed to load the referrer directory.');
+      }
+    } catch (err) {
+      console.error('Error fetching referrer directory:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, search, includeInactive]);
+
+  const fetchUnmatched = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/referrers/unmatched?kind=${normalizeKind}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setUnmatched(data.values);
+        setSelectedKeys([]);
+      } else {
+        setError(data.message || 'Failed to load unmatched referral names.');
+      }
+    } catch (err) {
+      console.error('Error fetching unmatched referrals:', err);
+      setError('Network error or server unavailable.');
+    }
+  }, [token, normalizeKind]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchDirectory, 300);
+    return () => clearTimeout(timer);
+  }, [fetchDirectory]);
+
+  useEffect(() => {
+    if (tab === 'normalize') fetchUnmatched();
+  }, [tab, fetchUnmatched]);
+
+  const openEditor = (kind, entry = null, normalizeKeys = null) => {
+    const empty = kind === 'facility' ? emptyFacility : emptyDoctor;
+    setEditor({
+      kind,
+      id: entry?.id || null,
+      values: entry?.id
+        ? Object.fromEntries(Object.keys(empty).map(key => [key, entry[key] ?? '']))
+        : { ...empty, ...entry },
+      errors: {},
+      normalizeKeys,
+    });
+  };
+
+  const handleEditorChange = (event) => {
+    const { name, value, checked, type } = event.target;
+    setEditor(prev => ({
+      ...prev,
+      values: { ...prev.values, [name]: type === 'checkbox' ? checked : value },
+      errors: { ...prev.errors, [name]: undefined },
+    }));
+  };
+
+  const normalize = async (kind, keys, targetId) => {
+    const response = await fetch(`${API_BASE_URL}/api/referrers/normalize`, {
+      method: 'POST',
+      headers: { ...authHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ kind, keys, target_id: targetId }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || 'Failed to normalise the referral names.');
+    return data;
+  };
+
+  const handleSaveEntry = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const path = editor.kind === 'facility' ? 'facilities' : 'doctors';
+      const response = await fetch(`${API_BASE_URL}/api/referrers/${path}${editor.id ? `/${editor.id}` : ''}`, {
+        method: editor.id ? 'PUT' : 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(editor.values),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setEditor(prev => ({ ...prev, errors: data.errors || {} }));
+        if (!data.errors) setError(data.message || 'Failed to save.');
+        return;
+      }
+      // Created from the normalisation list: link those spellings straight away
+      if (editor.normalizeKeys) {
+        const result = await normalize(editor.kind, editor.normalizeKeys, data.id);
+        setSuccess(result.message);
+        fetchUnmatched();
+      } else {
+        setSuccess(`${data.name || data.full_name} saved.`);
+      }
+      setEditor(null);
+      fetchDirectory();
+    } catch (err) {
+      console.error('Error saving referrer:', err);
+      setError(err.message || 'Network error or server unavailable.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleNormalize = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const result = await normalize(normalizeKind, selectedKeys, target.id);
+      setSuccess(result.message);
+      setConfirmOpen(false);
+      setTarget(null);
+      fetchUnmatched();
+      fetchDirectory();
+    } catch (err) {
+      console.error('Error normalising referrals:', err);
+      setError(err.message);
+      setConfirmOpen(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleKey = (key) => {
+    setSelectedKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const directoryOptions = normalizeKind === 'facility'
+    ? facilities.filter(f => f.active).map(f => ({ id: f.id, name: f.name }))
+    : doctors.filter(d => d.active).map(d => ({ id: d.id, name: d.full_name, detail: d.facility_name }));
+  const selectedVisitCount = unmatched.filter(row => selectedKeys.includes(row.key)).reduce((sum, row) => sum + row.visit_count, 0);
+
+  const editorField = (name, label, props = {}) => (
+    <TextField
+      fullWidth
+      size="small"
+      name={name}
+      label={label}
+      value={editor.values[name] ?? ''}
+      onChange={handleEditorChange}
+      error={Boolean(editor.errors[name])}
+      helperText={editor.errors[name]}
+      {...props}
+    />
+  );
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>Admin Panel - Referrers</Typography>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Tabs value={tab} onChange={(e, value) => { setTab(value); setSearch(''); }} sx={{ mb: 2 }}>
+        <Tab value="facilities" label={`Facilities (${facilities.length})`} />
+        <Tab value="doctors" label={`Doctors (${doctors.length})`} />
+        <Tab value="normalize" label="Normalise Names" />
+      </Tabs>
+
+      {tab !== 'normalize' && (
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <TextField size="small" label="Search" value={search} onChange={(e) => setSearch(e.target.value)} sx={{ minWidth: 280 }} />
+          <FormControlLabel
+            control={<Switch checked={includeInactive} onChange={(e) => setIncludeInactive(e.target.checked)} />}
+            label="Show inactive"
+          />
+          <Box sx={{ flexGrow: 1 }} />
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openEditor(tab === 'facilities' ? 'facility' : 'doctor')}>
+            {tab === 'facilities' ? 'Add Facility' : 'Add Doctor'}
+          </Button>
+        </Stack>
+      )}
+
+      {tab === 'facilities' && (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Facility</TableCell>
+                <TableCell>Also Written As</TableCell>
+                <TableCell>Contact</TableCell>
+                <TableCell>Address</TableCell>
+                <TableCell align="right">Doctors</TableCell>
+                <TableCell align="right">Visits</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow><TableCell colSpan={7} align="center"><CircularProgress size={24} /></TableCell></TableRow>
+              ) : facilities.length === 0 ? (
+                <TableRow><TableCell colSpan={7} align="center">No facilities in the directory.</TableCell></TableRow>
+              ) : facilities.map(facility => (
+                <TableRow key={facility.id} sx={{ opacity: facility.active ? 1 : 0.5 }}>
+                  <TableCell sx={{ fontWeight: 'bold' }}>
+                    {facility.name}
+                    {!facility.active && <Chip size="small" label="Inactive" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{facility.aliases.map(alias => <Chip key={alias} size="small" label={alias} sx={{ mr: 0.5, mb: 0.5 }} />)}</TableCell>
+                  <TableCell>{[facility.contact_person, facility.phone_number, facility.email].filter(Boolean).join(' · ')}</TableCell>
+                  <TableCell>{[facility.address_line, facility.address_city, facility.address_state].filter(Boolean).join(', ')}</TableCell>
+                  <TableCell align="right">{facility.doctor_count}</TableCell>
+                  <TableCell align="right">{facility.visit_count}</TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<EditIcon />} onClick={() => openEditor('facility', facility)}>Edit</Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {tab === 'doctors' && (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Doctor</TableCell>
+                <TableCell>Specialty</TableCell>
+                <TableCell>Facility</TableCell>
+                <TableCell>Contact</TableCell>
+                <TableCell align="right">Visits</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow><TableCell colSpan={6} align="center"><CircularProgress size={24} /></TableCell></TableRow>
+              ) : doctors.length === 0 ? (
+                <TableRow><TableCell colSpan={6} align="center">No doctors in the directory.</TableCell></TableRow>
+              ) : doctors.map(doctor => (
+                <TableRow key={doctor.id} sx={{ opacity: doctor.active ? 1 : 0.5 }}>
+                  <TableCell sx={{ fontWeight: 'bold' }}>
+                    {doctor.full_name}
+                    {!doctor.active && <Chip size="small" label="Inactive" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{doctor.specialty}</TableCell>
+                  <TableCell>{doctor.facility_name || '—'}</TableCell>
+                  <TableCell>{[doctor.phone_number, doctor.email].filter(Boolean).join(' · ')}</TableCell>
+                  <TableCell align="right">{doctor.visit_count}</TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<EditIcon />} onClick={() => openEditor('doctor', doctor)}>Edit</Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {tab === 'normalize' && (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Referral names typed before the directory existed, or not found in it. Tick the spellings that mean the same
+            referrer and map them to a directory entry: the visits are updated and the spellings are remembered, so new
+            visits typed the same way link automatically.
+          </Typography>
+          <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }} sx={{ mb: 2 }}>
+            <TextField select size="small" label="Referral field" value={normalizeKind} onChange={(e) => { setNormalizeKind(e.target.value); setTarget(null); }} sx={{ minWidth: 200 }}>
+              <MenuItem value="facility">Referral hospital</MenuItem>
+              <MenuItem value="doctor">Referring doctor</MenuItem>
+            </TextField>
+            <Autocomplete
+              sx={{ minWidth: 320 }}
+              size="small"
+              options={directoryOptions}
+              value={target}
+              onChange={(e, value) => setTarget(value)}
+              isOptionEqualToValue={(option, value) => option.id === value.id}
+              getOptionLabel={(option) => option.name}
+              renderOption={(props, option) => (
+                <li {...props} key={option.id}>{option.name}{option.detail ? ` — ${option.detail}` : ''}</li>
+              )}
+              renderInput={(params) => <TextField {...params} label="Map to directory entry" />}
+            />
+            <Button
+              variant="contained"
+              startIcon={<CallMergeIcon />}
+              disabled={!target || selectedKeys.length === 0}
+              onClick={() => setConfirmOpen(true)}
+            >
+              Map {selectedKeys.length || ''} Selected
+            </Button>
+            <Button
+              variant="outlined"
+              startIcon={<AddIcon />}
+              disabled={selectedKeys.length === 0}
+              onClick={() => {
+                const first = unmatched.find(row => row.key === selectedKeys[0]);
+                openEditor(normalizeKind, { [normalizeKind === 'facility' ? 'name' : 'full_name']: first.spellings[0] }, selectedKeys);
+              }}
+            >
+              Add to Directory
+            </Button>
+          </Stack>
+
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  <TableCell>As Typed</TableCell>
+                  <TableCell align="right">Visits</TableCell>
+                  <TableCell>Last Seen</TableCell>
+                  <TableCell>Suggested Matches</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {unmatched.length === 0 ? (
+                  <TableRow><TableCell colSpan={5} align="center">Every referral name is linked to the directory.</TableCell></TableRow>
+                ) : unmatched.map(row => (
+                  <TableRow key={row.key} hover selected={selectedKeys.includes(row.key)}>
+                    <TableCell padding="checkbox">
+                      <Checkbox checked={selectedKeys.includes(row.key)} onChange={() => toggleKey(row.key)} />
+                    </TableCell>
+                    <TableCell>{row.spellings.join(' / ')}</TableCell>
+                    <TableCell align="right">{row.visit_count}</TableCell>
+                    <TableCell>{row.last_seen_at ? new Date(row.last_seen_at).toLocaleDateString() : ''}</TableCell>
+                    <TableCell>
+                      {row.suggestions.map(suggestion => (
+                        <Chip
+                          key={suggestion.id}
+                          size="small"
+                          variant={target?.id === suggestion.id ? 'filled' : 'outlined'}
+                          color="primary"
+                          label={`${suggestion.name} (${Math.round(suggestion.score * 100)}%)`}
+                          onClick={() => {
+                            setTarget(directoryOptions.find(option => option.id === suggestion.id) || null);
+                            if (!selectedKeys.includes(row.key)) toggleKey(row.key);
+                          }}
+                          sx={{ mr: 0.5, mb: 0.5 }}
+                        />
+                      ))}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      {/* Add / edit facility or doctor */}
+      <Dialog open={Boolean(editor)} onClose={() => !saving && setEditor(null)} maxWidth="sm" fullWidth>
+        {editor && (
+          <>
+            <DialogTitle>
+              {editor.id ? 'Edit' : 'Add'} {editor.kind === 'facility' ? 'Referring Facility' : 'Referring Doctor'}
+            </DialogTitle>
+            <DialogContent>
+              {editor.normalizeKeys && (
+                <DialogContentText sx={{ mb: 2 }}>
+                  The {editor.normalizeKeys.length} selected spelling(s) will be mapped to this new entry.
+                </DialogContentText>
+              )}
+              <Grid container spacing={2} sx={{ mt: 0.5 }}>
+                {editor.kind === 'facility' ? (
+                  <>
+                    <Grid size={{ xs: 12 }}>{editorField('name', 'Facility Name')}</Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>{editorField('contact_person', 'Contact Person')}</Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>{editorField('phone_number', 'Phone Number', { type: 'tel' })}</Grid>
+                    <Grid size={{ xs: 12 }}>{editorField('email', 'Email', { type: 'email' })}</Grid>
+                    <Grid size={{ xs: 12 }}>{editorField('address_line', 'Street Address')}</Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>{editorField('address_city', 'Town/City')}</Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>{editorField('address_state', 'State')}</Grid>
+                  </>
+                ) : (
+                  <>
+                    <Grid size={{ xs: 12 }}>{editorField('full_name', 'Full Name', { placeholder: 'e.g. Dr. Adebayo Ogun' })}</Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>{editorField('specialty', 'Specialty')}</Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>
+                      {editorField('facility_id', 'Facility', {
+                        select: true,
+                        children: [
+                          <MenuItem key="" value=""><em>Independent / none</em></MenuItem>,
+                          ...facilities.filter(f => f.active || f.id === editor.values.facility_id)
+                            .map(f => <MenuItem key={f.id} value={f.id}>{f.name}</MenuItem>),
+                        ],
+                      })}
+                    </Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>{editorField('phone_number', 'Phone Number', { type: 'tel' })}</Grid>
+                    <Grid size={{ xs: 12, sm: 6 }}>{editorField('email', 'Email', { type: 'email' })}</Grid>
+                  </>
+                )}
+              </Grid>
+              {editor.id && (
+                <FormControlLabel
+                  sx={{ mt: 1 }}
+                  control={<Switch name="active" checked={Boolean(editor.values.active)} onChange={handleEditorChange} />}
+                  label="Active (offered when registering patients)"
+                />
+              )}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setEditor(null)} disabled={saving}>Cancel</Button>
+              <Button variant="contained" onClick={handleSaveEntry} disabled={saving}>
+                {saving ? <CircularProgress size={20} /> : 'Save'}
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+
+      {/* Confirm normalisation */}
+      <Dialog open={confirmOpen} onClose={() => !saving && setConfirmOpen(false)}>
+        <DialogTitle>Map Referral Names</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {selectedVisitCount} visit(s) will be changed to refer to <strong>{target?.name}</strong>. Each change is
+            kept in the visit's history.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleNormalize} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Map'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default AdminReferrersPage;
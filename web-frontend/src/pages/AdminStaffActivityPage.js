@@ -1,6 +1,7 @@
 // web-frontend/src/pages/AdminStaffActivityPage.js
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import LoginSecurityPanel from '../components/LoginSecurityPanel';
 
 // Material-UI components
 import {
@@ -153,6 +154,10 @@ function AdminStaffActivityPage() {
           </Table>
         </TableContainer>
       )}
+
+      <Box sx={{ mt: 5 }}>
+        <LoginSecurityPanel />
+      </Box>
     </Box>
   );
 }
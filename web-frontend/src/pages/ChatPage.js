@@ -140,11 +140,18 @@ function ChatPage() {
         }
     };
 
+    const handleChatError = (err) => {
+        if (isMounted) {
+            setSocketError(err.message);
+        }
+    };
+
     // Attach listeners
     socket.on('connect', handleConnect);
     socket.on('disconnect', handleDisconnect);
     socket.on('chat message', handleChatMessage);
     socket.on('connect_error', handleConnectError);
+    socket.on('chat_error', handleChatError);
 
     // --- Cleanup function ---
     return () => {
@@ -154,6 +161,7 @@ function ChatPage() {
       socket.off('disconnect', handleDisconnect);
       socket.off('chat message', handleChatMessage);
       socket.off('connect_error', handleConnectError);
+      socket.off('chat_error', handleChatError);
       // Optional: Disconnect socket when component unmounts if it's specific to this page
       // socket.disconnect(); // Consider disconnecting only if you want a fresh connection each time
     };
@@ -170,8 +178,7 @@ function ChatPage() {
     // Ensure message is not empty, connected, and user is logged in
     if (message.trim() && isConnected && user) {
       const chatMessage = {
-        text: message,
-        senderId: user.id, // Send the current user's ID to backend
+        text: message, // The server attributes the message to the authenticated user
       };
       socket.emit('chat message', chatMessage); // Emit the message via Socket.IO
       setMessage(''); // Clear input field
@@ -213,6 +220,11 @@ function ChatPage() {
         </Alert>
       )}
 
+      {/* Errors reported by the server for a sent message */}
+      {isConnected && socketError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setSocketError('')}>{socketError}</Alert>
+      )}
+
       {/* Chat Messages Display Area */}
       <Paper sx={{ flexGrow: 1, overflowY: 'auto', p: 2, mb: 2, display: 'flex', flexDirection: 'column' }}>
         <List sx={{ flexGrow: 1, py: 0 }}>
@@ -0,0 +1,236 @@
+// web-frontend/src/pages/ContrastBatchReportPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  TextField,
+  Chip,
+  Link,
+} from '@mui/material';
+
+// Icons
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+// Contrast lot traceability: find a batch, then list everyone who received
+// it (with contact details) and export the list for a manufacturer recall.
+function ContrastBatchReportPage() {
+  const { token } = useAuth();
+  const navigate = useNavigate();
+  const [search, setSearch] = useState('');
+  const [batches, setBatches] = useState([]);
+  const [selected, setSelected] = useState(null); // { batch_number, recipients }
+  const [loading, setLoading] = useState(true);
+  const [loadingRecipients, setLoadingRecipients] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchBatches = useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (search.trim()) params.append('search', search.trim());
+      const response = await fetch(`${API_BASE_URL}/api/contrast/batches?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setBatches(data.batches);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load contrast batches.');
+      }
+    } catch (err) {
+      console.error('Error fetching contrast batches:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, search]);
+
+  // Searching as the user types, with a short pause between keystrokes
+  useEffect(() => {
+    const timer = setTimeout(fetchBatches, 300);
+    return () => clearTimeout(timer);
+  }, [fetchBatches]);
+
+  const handleSelect = async (batchNumber) => {
+    setLoadingRecipients(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/contrast/batches/${encodeURIComponent(batchNumber)}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSelected(data);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load the batch recipients.');
+      }
+    } catch (err) {
+      console.error('Error fetching batch recipients:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoadingRecipients(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/contrast/batches/${encodeURIComponent(selected.batch_number)}/export`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        throw new Error('Failed to export batch recipients');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `contrast_batch_${selected.batch_number}.xlsx`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Contrast batch export error:', err);
+      setError('Failed to export the batch recipients. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>Contrast Batch Traceability</Typography>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <TextField
+          fullWidth
+          size="small"
+          label="Batch / lot number"
+          placeholder="Type part of the lot number"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      </Paper>
+
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Batch</TableCell>
+              <TableCell>Agent</TableCell>
+              <TableCell>Expiry</TableCell>
+              <TableCell align="right">Administrations</TableCell>
+              <TableCell>First Used</TableCell>
+              <TableCell>Last Used</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center"><CircularProgress size={24} /></TableCell>
+              </TableRow>
+            ) : batches.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">No contrast batches found.</TableCell>
+              </TableRow>
+            ) : batches.map(batch => (
+              <TableRow key={`${batch.batch_number}-${batch.agent}`} selected={selected?.batch_number === batch.batch_number}>
+                <TableCell sx={{ fontWeight: 'bold' }}>{batch.batch_number}</TableCell>
+                <TableCell>{batch.agent}</TableCell>
+                <TableCell>{batch.batch_expiry_date || '—'}</TableCell>
+                <TableCell align="right">{batch.administrations}</TableCell>
+                <TableCell>{new Date(batch.first_used_at).toLocaleDateString()}</TableCell>
+                <TableCell>{new Date(batch.last_used_at).toLocaleDateString()}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" onClick={() => handleSelect(batch.batch_number)}>Patients</Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {loadingRecipients && <CircularProgress size={24} />}
+      {selected && !loadingRecipients && (
+        <>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Typography variant="h6">
+              Patients who received batch {selected.batch_number} ({selected.recipients.length})
+            </Typography>
+            <Button
+              variant="contained"
+              startIcon={exporting ? <CircularProgress size={18} color="inherit" /> : <FileDownloadIcon />}
+              onClick={handleExport}
+              disabled={exporting || selected.recipients.length === 0}
+            >
+              Export to Excel
+            </Button>
+          </Box>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Given At</TableCell>
+                  <TableCell>Hospital No</TableCell>
+                  <TableCell>Patient</TableCell>
+                  <TableCell>Phone</TableCell>
+                  <TableCell>Next of Kin</TableCell>
+                  <TableCell>Examination</TableCell>
+                  <TableCell>Dose</TableCell>
+                  <TableCell>Given By</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {selected.recipients.map(row => (
+                  <TableRow key={row.id}>
+                    <TableCell>{new Date(row.administered_at).toLocaleString()}</TableCell>
+                    <TableCell>{row.hospital_number}</TableCell>
+                    <TableCell>
+                      {row.deleted_at ? row.patient_name : (
+                        <Link component="button" onClick={() => navigate(`/patients/${row.patient_id}/details`)}>
+                          {row.patient_name}
+                        </Link>
+                      )}
+                      {row.deleted_at && <Chip size="small" label="Visit deleted" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{row.contact_phone_number || '—'}</TableCell>
+                    <TableCell>
+                      {[row.next_of_kin_name, row.next_of_kin_phone_number].filter(Boolean).join(', ') || '—'}
+                    </TableCell>
+                    <TableCell>{row.exam_name}</TableCell>
+                    <TableCell>{Number(row.dose_ml)} mL {row.route !== 'Intravenous' && `(${row.route})`}</TableCell>
+                    <TableCell>{row.administered_by_name}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default ContrastBatchReportPage;
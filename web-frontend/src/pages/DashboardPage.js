@@ -1,6 +1,7 @@
 // web-frontend/src/pages/DashboardPage.js
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import VisitPicker from '../components/VisitPicker';
 import CountUp from 'react-countup';
 import { useTheme } from '@mui/material/styles';
 
@@ -8,7 +9,7 @@ import { useTheme } from '@mui/material/styles';
 import {
   Box, Typography, Paper, Grid, Card, CardContent, CircularProgress, Alert,
   Button, Dialog, DialogTitle, DialogContent, TextField, DialogActions,
-  FormControl, List,Tooltip, ListItem, ListItemIcon, ListItemText, Divider, InputLabel, Select, MenuItem, Checkbox, FormControlLabel,
+  List,Tooltip, ListItem, ListItemIcon, ListItemText, Divider, Checkbox, FormControlLabel,
   useMediaQuery // For responsiveness
 } from '@mui/material';
 
@@ -84,7 +85,7 @@ function DashboardPage() {
     all_day: false,
     patient_id: ''
   });
-  const [patients, setPatients] = useState([]);
+  const [eventVisit, setEventVisit] = useState(null); // Visit linked to the event, for the picker
   const [loadingEvents, setLoadingEvents] = useState(true);
   const [eventError, setEventError] = useState('');
   const [isSavingEvent, setIsSavingEvent] = useState(false);
@@ -109,6 +110,7 @@ function DashboardPage() {
         all_day: eventData.action === 'select' && eventData.slots && eventData.slots.length === 1 && eventData.start.getTime() === eventData.end.getTime(),
         patient_id: ''
       });
+      setEventVisit(null);
       setSelectedEvent(null);
     } else if (eventData && eventData.id) { // If clicking on an existing event for editing
       setSelectedEvent(eventData);
@@ -120,6 +122,7 @@ function DashboardPage() {
         all_day: eventData.allDay,
         patient_id: eventData.patient_id || ''
       });
+      setEventVisit(eventData.patient_id ? { id: eventData.patient_id, patient_name: eventData.patient_name } : null);
     }else {
     console.log('Could not identify eventData as slot or existing event:', eventData); // ADD THIS
   }
@@ -129,6 +132,7 @@ function DashboardPage() {
   const handleCloseEventDialog = useCallback(() => {
     setOpenEventDialog(false);
     setNewEvent({ title: '', description: '', start_time: null, end_time: null, all_day: false, patient_id: '' });
+    setEventVisit(null);
     setSelectedEvent(null);
     setIsSavingEvent(false);
     setEventError(''); // Clear errors on close
@@ -179,15 +183,13 @@ function DashboardPage() {
         patientsByGenderRes,
         mrisByDayRes,
         recentPatientsRes,
-        eventsRes,
-        patientsRes
+        eventsRes
       ] = await Promise.all([
         fetch('https://g2g-mri-erp-bfw57.ondigitalocean.app/api/analytics/total-patients', { headers }),
         fetch('https://g2g-mri-erp-bfw57.ondigitalocean.app/api/analytics/patients-by-gender', { headers }),
         fetch('https://g2g-mri-erp-bfw57.ondigitalocean.app/api/analytics/mris-by-day', { headers }),
         fetch('https://g2g-mri-erp-bfw57.ondigitalocean.app/api/analytics/recent-patients', { headers }),
         fetch(`https://g2g-mri-erp-bfw57.ondigitalocean.app/api/events/my?start=${startRange}&end=${endRange}`, { headers }),
-        fetch('https://g2g-mri-erp-bfw57.ondigitalocean.app/api/patients', { headers }),
       ]);
 
       const [
@@ -195,15 +197,13 @@ function DashboardPage() {
         patientsByGenderData,
         mrisByDayData,
         recentPatientsData,
-        eventData,
-        patientListData
+        eventData
       ] = await Promise.all([
         totalPatientsRes.json(),
         patientsByGenderRes.json(),
         mrisByDayRes.json(),
         recentPatientsRes.json(),
-        eventsRes.json(),
-        patientsRes.json()
+        eventsRes.json()
       ]);
 
       if (!totalPatientsRes.ok || !patientsByGenderRes.ok || !mrisByDayRes.ok || !recentPatientsRes.ok) {
@@ -234,12 +234,6 @@ function DashboardPage() {
         setEventError(eventData.message || 'Failed to fetch events.');
       }
 
-      if (patientsRes.ok) {
-        setPatients(patientListData);
-      } else {
-        console.error('Failed to fetch patients for event form:', patientListData.message);
-      }
-
     } catch (err) {
       console.error('Error fetching dashboard data:', err);
       setError('Failed to load dashboard data. Network error or server issue.');
@@ -660,26 +654,17 @@ const EventWrapper = ({ event, children }) => {
                     />
                   </Grid>
                 </Grid>
-                <FormControl fullWidth margin="dense" sx={{ mb: 2 }}>
-                  <InputLabel id="patient-select-label">Link to Patient (Optional)</InputLabel>
-                  <Select
-                    labelId="patient-select-label"
-                    id="patient-select"
-                    name="patient_id"
-                    value={newEvent.patient_id}
+                <Box sx={{ mt: 1, mb: 2 }}>
+                  <VisitPicker
                     label="Link to Patient (Optional)"
-                    onChange={handleEventChange}
-                  >
-                    <MenuItem value="">
-                      <em>None</em>
-                    </MenuItem>
-                    {patients.map((patient) => (
-                      <MenuItem key={patient.id} value={patient.id}>
-                        {patient.patient_name}
-                      </MenuItem>
-                    ))}
-                  </Select>
-                </FormControl>
+                    value={eventVisit}
+                    onChange={(visit) => {
+                      setEventVisit(visit);
+                      setNewEvent(prev => ({ ...prev, patient_id: visit ? visit.id : '' }));
+                    }}
+                    token={token}
+                  />
+                </Box>
                 <FormControlLabel
                   control={
                     <Checkbox
@@ -0,0 +1,250 @@
+// web-frontend/src/pages/DiscountApprovalsPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  TextField,
+  Link,
+  Stack,
+  InputAdornment,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const formatNaira = (amount) =>
+  `₦${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Discount requests over the approval threshold, oldest first, for an
+// approver to accept or reject. Admins can change the threshold here too.
+function DiscountApprovalsPage() {
+  const { token, hasPermission } = useAuth();
+  const navigate = useNavigate();
+  const [queue, setQueue] = useState({ discounts: [], reasons: [], threshold_percent: 0 });
+  const [thresholdInput, setThresholdInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [decision, setDecision] = useState(null); // { discount, decision: 'approve' | 'reject', note }
+
+  const fetchQueue = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/discounts/pending`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setQueue(data);
+        setThresholdInput(String(data.threshold_percent));
+      } else {
+        setError(data.message || 'Failed to load pending discounts.');
+      }
+    } catch (err) {
+      console.error('Error fetching pending discounts:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const request = async (url, options) => {
+    setWorking(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(data.message);
+        fetchQueue();
+        return true;
+      }
+      setError(data.errors?.note || data.message || 'Request failed.');
+      // Someone else decided it first
+      if (response.status === 409) fetchQueue();
+      return false;
+    } catch (err) {
+      console.error('Discount approval error:', err);
+      setError('Network error or server unavailable.');
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleConfirmDecision = async () => {
+    const done = await request(`${API_BASE_URL}/api/discounts/${decision.discount.id}/decision`, {
+      method: 'PATCH',
+      body: JSON.stringify({ decision: decision.decision, note: decision.note }),
+    });
+    if (done) setDecision(null);
+  };
+
+  const handleSaveThreshold = () =>
+    request(`${API_BASE_URL}/api/discounts/threshold`, {
+      method: 'PUT',
+      body: JSON.stringify({ threshold_percent: Number(thresholdInput) }),
+    });
+
+  const reasonLabel = (code) => queue.reasons.find(reason => reason.code === code)?.label || code;
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '60vh' }}>
+        <CircularProgress />
+        <Typography sx={{ ml: 2 }}>Loading pending discounts...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>Discount Approvals</Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 2 }}>
+        Discounts that take a visit past {queue.threshold_percent}% of its exam total wait here until they are approved.
+      </Typography>
+
+      {hasPermission('settings.manage') && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+          <TextField
+            size="small"
+            type="number"
+            label="Approval threshold"
+            inputProps={{ min: 0, max: 100, step: '0.5' }}
+            InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+            value={thresholdInput}
+            onChange={(e) => setThresholdInput(e.target.value)}
+          />
+          <Button
+            variant="outlined"
+            onClick={handleSaveThreshold}
+            disabled={working || thresholdInput === '' || Number(thresholdInput) === queue.threshold_percent}
+          >
+            Save
+          </Button>
+        </Box>
+      )}
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Requested</TableCell>
+              <TableCell>Patient</TableCell>
+              <TableCell>Payer</TableCell>
+              <TableCell align="right">Exam Total</TableCell>
+              <TableCell>Reason</TableCell>
+              <TableCell>Discount</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell>Requested By</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {queue.discounts.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={9} align="center">No discounts are waiting for approval.</TableCell>
+              </TableRow>
+            ) : queue.discounts.map(discount => (
+              <TableRow key={discount.id}>
+                <TableCell>{new Date(discount.requested_at).toLocaleString()}</TableCell>
+                <TableCell>
+                  <Link component="button" variant="body2" onClick={() => navigate(`/patients/${discount.patient_id}/details`)}>
+                    {discount.patient_name}
+                  </Link>
+                  <Typography variant="caption" color="text.secondary" display="block">{discount.mri_code}</Typography>
+                </TableCell>
+                <TableCell>{discount.payer_category}</TableCell>
+                <TableCell align="right">{formatNaira(discount.total_amount)}</TableCell>
+                <TableCell>
+                  {reasonLabel(discount.reason_code)}
+                  {discount.note && (
+                    <Typography variant="caption" color="text.secondary" display="block">{discount.note}</Typography>
+                  )}
+                </TableCell>
+                <TableCell>{discount.kind === 'percentage' ? `${Number(discount.value)}%` : 'Fixed amount'}</TableCell>
+                <TableCell align="right">-{formatNaira(discount.amount)}</TableCell>
+                <TableCell>{discount.requested_by_name || '—'}</TableCell>
+                <TableCell align="right">
+                  <Stack direction="row" spacing={1} justifyContent="flex-end">
+                    <Button size="small" variant="contained" color="success" disabled={working} onClick={() => setDecision({ discount, decision: 'approve', note: '' })}>
+                      Approve
+                    </Button>
+                    <Button size="small" color="error" disabled={working} onClick={() => setDecision({ discount, decision: 'reject', note: '' })}>
+                      Reject
+                    </Button>
+                  </Stack>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={Boolean(decision)} onClose={() => setDecision(null)} fullWidth maxWidth="sm">
+        {decision && (
+          <>
+            <DialogTitle>{decision.decision === 'approve' ? 'Approve Discount' : 'Reject Discount'}</DialogTitle>
+            <DialogContent>
+              <DialogContentText sx={{ mb: 2 }}>
+                {reasonLabel(decision.discount.reason_code)} of {formatNaira(decision.discount.amount)} for{' '}
+                {decision.discount.patient_name} ({decision.discount.mri_code}). The requester will be notified.
+              </DialogContentText>
+              <TextField
+                fullWidth
+                multiline
+                rows={2}
+                label={decision.decision === 'reject' ? 'Reason for rejecting (required)' : 'Note (optional)'}
+                value={decision.note}
+                onChange={(e) => setDecision(prev => ({ ...prev, note: e.target.value }))}
+              />
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setDecision(null)} disabled={working}>Cancel</Button>
+              <Button
+                variant="contained"
+                color={decision.decision === 'approve' ? 'success' : 'error'}
+                onClick={handleConfirmDecision}
+                disabled={working || (decision.decision === 'reject' && !decision.note.trim())}
+              >
+                {decision.decision === 'approve' ? 'Approve' : 'Reject'}
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+}
+
+export default DiscountApprovalsPage;
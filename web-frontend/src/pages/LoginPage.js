@@ -4,6 +4,7 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom'; // Still need this for redirection
 import { useAuth } from '../contexts/AuthContext'; // Our custom authentication hook
 import companyLogo from '../assets/company_logo.png';
+import RecoveryCodes from '../components/RecoveryCodes';
 // Material-UI components
 import {
   Container,
@@ -16,11 +17,33 @@ import {
   Alert,
 } from '@mui/material';
 
+// Input styling for the second-step fields on the dark glass card
+const glassFieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(200, 200, 255, 0.4)' },
+    '&:hover fieldset': { borderColor: 'rgba(200, 200, 255, 0.6)' },
+    '&.Mui-focused fieldset': { borderColor: 'white' },
+    color: 'white',
+  },
+  '& .MuiInputLabel-root': { color: 'rgba(200, 200, 255, 0.7)' },
+  '& .MuiInputLabel-root.Mui-focused': { color: 'white' },
+  '& .MuiInputBase-input': { color: 'white' },
+};
+
+const linkSx = { display: 'block', mt: 1, color: 'rgba(255, 255, 255, 0.7)', '&:hover': { color: 'white' }, cursor: 'pointer' };
+
 function LoginPage() {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Two-step login: 'password' -> 'mfa' (code) or 'enroll' (QR) -> 'recovery_codes'
+  const [step, setStep] = useState('password');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [pendingLogin, setPendingLogin] = useState(null);
   const { login } = useAuth(); // Get the login function from our AuthContext
   const navigate = useNavigate(); // For navigating to register page
   const theme = useTheme();
@@ -40,8 +63,14 @@ function LoginPage() {
 
       const data = await response.json();
 
-      if (response.ok) {
-        login(data.user, data.token);
+      if (response.ok && data.mfa_required) {
+        setChallengeToken(data.challengeToken);
+        setStep('mfa');
+      } else if (response.ok && data.mfa_enrollment_required) {
+        setChallengeToken(data.challengeToken);
+        await startEnrollment(data.challengeToken);
+      } else if (response.ok) {
+        login(data.user, data.token, data.refreshToken);
       } else {
         setError(data.message || 'Login failed. Please try again.');
       }
@@ -53,6 +82,69 @@ function LoginPage() {
     }
   };
 
+  const postAuth = async (path, body) => {
+    const response = await fetch(`${process.env.REACT_APP_API_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    // An expired challenge means starting over from the password step
+    if (response.status === 401) backToPassword();
+    return { ok: response.ok, data };
+  };
+
+  const backToPassword = () => {
+    setStep('password');
+    setChallengeToken('');
+    setCode('');
+    setUseRecoveryCode(false);
+    setEnrollment(null);
+  };
+
+  const startEnrollment = async (challenge) => {
+    const { ok, data } = await postAuth('/api/auth/mfa/enroll', { challengeToken: challenge });
+    if (ok) {
+      setEnrollment(data);
+      setStep('enroll');
+    } else {
+      setError(data.message || 'Could not start two-factor setup.');
+    }
+  };
+
+  const handleSecondStep = async (event) => {
+    event.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      if (step === 'mfa') {
+        const { ok, data } = await postAuth('/api/auth/mfa/verify', useRecoveryCode
+          ? { challengeToken, recovery_code: code }
+          : { challengeToken, code });
+        if (ok) {
+          login(data.user, data.token, data.refreshToken);
+        } else {
+          setError(data.message || 'Verification failed.');
+        }
+      } else if (step === 'enroll') {
+        const { ok, data } = await postAuth('/api/auth/mfa/enroll/verify', { challengeToken, code });
+        if (ok) {
+          // Hold the session until the user has saved their recovery codes
+          setPendingLogin(data);
+          setStep('recovery_codes');
+        } else {
+          setError(data.message || 'Verification failed.');
+        }
+      }
+    } catch (err) {
+      console.error('Two-factor request failed:', err);
+      setError('Network error or server unavailable. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
 
   return (
     <Container component="main" maxWidth="xs" sx={{ height: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
@@ -86,6 +178,7 @@ function LoginPage() {
         <Typography component="h1" variant="h5" sx={{ mb: 2, color: 'white' }}>
           Welcome, please login
         </Typography>
+        {step === 'password' && (
         <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 1 }}>
           <TextField
             margin="normal"
@@ -155,12 +248,98 @@ function LoginPage() {
           >
             {loading ? 'Logging in...' : 'Login'}
           </Button>
+          <Link onClick={() => navigate('/reset-password')}
+              sx={{ display: 'block', mb: 1, color: 'rgba(255, 255, 255, 0.7)', '&:hover': { color: 'white' } }}>
+              Have a password reset code?
+          </Link>
           <Link onClick={() => navigate('/register')}
               sx={{ color: 'rgba(255, 255, 255, 0.7)', '&:hover': { color: 'white' } }}>
               {"Don't have an account? "}
               <span style={{ textDecoration: 'underline', fontWeight: 'bold' }}>Register Medical Staff</span>
           </Link>
         </Box>
+        )}
+
+        {(step === 'mfa' || step === 'enroll') && (
+          <Box component="form" onSubmit={handleSecondStep} noValidate sx={{ mt: 1, width: '100%' }}>
+            {step === 'mfa' ? (
+              <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.8)' }}>
+                {useRecoveryCode
+                  ? 'Enter one of your recovery codes.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
+              </Typography>
+            ) : (
+              <Box sx={{ textAlign: 'center' }}>
+                <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.8)', mb: 1 }}>
+                  Your role requires two-factor authentication. Scan this QR code with an authenticator app, then enter the code it shows.
+                </Typography>
+                {enrollment && (
+                  <>
+                    <img src={enrollment.qr_code} alt="Two-factor QR code" style={{ width: 180, height: 180, background: 'white', padding: 8, borderRadius: 8 }} />
+                    <Typography variant="caption" display="block" sx={{ color: 'rgba(255, 255, 255, 0.7)', wordBreak: 'break-all' }}>
+                      Key: {enrollment.secret}
+                    </Typography>
+                  </>
+                )}
+              </Box>
+            )}
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              autoFocus
+              id="code"
+              label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              autoComplete="one-time-code"
+              inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', maxLength: 6 }}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              sx={glassFieldSx}
+            />
+            {error && (
+              <Alert severity="error" sx={{ mt: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3, mb: 2,
+                  backgroundColor: 'rgba(0, 0, 80, 0.4)',
+                  color: 'white',
+                  '&:hover': {
+                      backgroundColor: 'rgba(0, 0, 80, 0.6)',
+                  }
+              }}
+              disabled={loading || !code}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </Button>
+            {step === 'mfa' && (
+              <Link onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }} sx={linkSx}>
+                {useRecoveryCode ? 'Use authenticator app instead' : 'Lost your device? Use a recovery code'}
+              </Link>
+            )}
+            <Link onClick={backToPassword} sx={linkSx}>
+              Back to login
+            </Link>
+          </Box>
+        )}
+
+        {step === 'recovery_codes' && pendingLogin && (
+          <Box sx={{ mt: 1, width: '100%' }}>
+            <RecoveryCodes codes={pendingLogin.recovery_codes} />
+            <Button
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3 }}
+              onClick={() => login(pendingLogin.user, pendingLogin.token, pendingLogin.refreshToken)}
+            >
+              I have saved my codes - continue
+            </Button>
+          </Box>
+        )}
       </Box>
     </Container>
   );
@@ -1,5 +1,5 @@
 // web-frontend/src/pages/PatientDetailPage.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom'; // useParams to get ID from URL, useNavigate for navigation
 import { useAuth } from '../contexts/AuthContext';
 
@@ -30,7 +30,10 @@ import {
   TableHead,
   TableRow,
   IconButton, // Ensure this is also here for table actions
-  Stack // For consistent layout of buttons/icons
+  Stack, // For consistent layout of buttons/icons
+  Tabs,
+  Tab,
+  Autocomplete
 } from '@mui/material';
 
 
@@ -60,27 +63,131 @@ import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
 import HighlightOffIcon from '@mui/icons-material/HighlightOff'; // Not Paid icon
 import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline'; // For removing exams
 import AddIcon from '@mui/icons-material/Add'; // For adding exam
+import BadgeIcon from '@mui/icons-material/Badge'; // For hospital number
+import CakeIcon from '@mui/icons-material/Cake'; // For date of birth
+import HomeIcon from '@mui/icons-material/Home'; // For address
+import ContactEmergencyIcon from '@mui/icons-material/ContactEmergency'; // For next of kin
+import FingerprintIcon from '@mui/icons-material/Fingerprint'; // For NIN / ID documents
 
 import Layout from '../components/Layout'; // Assuming Layout wraps the page
+import PatientRevisionHistory from '../components/PatientRevisionHistory';
+import PatientDemographicsFields from '../components/PatientDemographicsFields';
+import PatientSafetyScreening, { safetyStatusChips } from '../components/PatientSafetyScreening';
+import PatientContrastLog from '../components/PatientContrastLog';
+import PatientDiscounts from '../components/PatientDiscounts';
+import { usePatientValidationSchema, validateRecord, ageOnDate } from '../utils/patientValidation';
+
+// Edit form state for a patient as returned by GET /api/patients/:id
+const patientFormState = (data) => ({
+  patient_name: data.patient_name || '',
+  age: data.age ?? '',
+  date_of_birth: data.date_of_birth || '',
+  gender: data.gender || '',
+  weight_kg: data.weight_kg || '',
+  contact_email: data.contact_email || '',
+  contact_phone_number: data.contact_phone_number || '',
+  radiographer_name: data.radiographer_name || '',
+  radiologist_name: data.radiologist_name || '',
+  referral_hospital: data.referral_hospital || '',
+  referring_doctor: data.referring_doctor || '',
+  recorded_by_staff_name: data.recorded_by_staff_name || '',
+  recorded_by_staff_email: data.recorded_by_staff_email || '',
+  remarks: data.remarks || '',
+  address_line: data.address_line || '',
+  address_city: data.address_city || '',
+  address_lga: data.address_lga || '',
+  address_state: data.address_state || '',
+  next_of_kin_name: data.next_of_kin_name || '',
+  next_of_kin_relationship: data.next_of_kin_relationship || '',
+  next_of_kin_phone_number: data.next_of_kin_phone_number || '',
+  national_id_number: data.national_id_number || '',
+  id_document_type: data.id_document_type || '',
+  id_document_number: data.id_document_number || '',
+  payment_type: data.payment_type || '',
+  payer_category: data.payer_category || 'Cash',
+  examinations: (data.examinations || []).map(exam => ({
+    id: exam.id || Date.now(),
+    name: exam.name || '',
+    amount: exam.amount || 0,
+    catalog_item_id: exam.catalog_item_id || null,
+    code: exam.code || null,
+  })),
+});
+
+// Fields compared when someone else saved while this user was editing
+const conflictFields = [
+  { key: 'patient_name', label: 'Patient Name' },
+  { key: 'date_of_birth', label: 'Date of Birth' },
+  { key: 'age', label: 'Age' },
+  { key: 'weight_kg', label: 'Weight (kg)' },
+  { key: 'gender', label: 'Gender' },
+  { key: 'contact_email', label: 'Contact Email' },
+  { key: 'contact_phone_number', label: 'Contact Phone' },
+  { key: 'address_line', label: 'Street Address' },
+  { key: 'address_city', label: 'Town/City' },
+  { key: 'address_lga', label: 'LGA' },
+  { key: 'address_state', label: 'State' },
+  { key: 'next_of_kin_name', label: 'Next of Kin' },
+  { key: 'next_of_kin_relationship', label: 'Next of Kin Relationship' },
+  { key: 'next_of_kin_phone_number', label: 'Next of Kin Phone' },
+  { key: 'national_id_number', label: 'NIN' },
+  { key: 'id_document_type', label: 'ID Document Type' },
+  { key: 'id_document_number', label: 'ID Document Number' },
+  { key: 'referral_hospital', label: 'Referral Hospital' },
+  { key: 'referring_doctor', label: 'Referring Doctor' },
+  { key: 'radiographer_name', label: 'Radiographer' },
+  { key: 'radiologist_name', label: 'Radiologist' },
+  { key: 'payment_type', label: 'Payment Type' },
+  { key: 'payer_category', label: 'Payer' },
+  { key: 'remarks', label: 'Remarks' },
+  { key: 'examinations', label: 'Examinations' },
+];
+
+const comparableValue = (key, value) => (key === 'examinations'
+  ? JSON.stringify((value || []).map(exam => [exam.name, String(exam.amount)]))
+  : String(value ?? ''));
+
+// "14/03/1985" from "1985-03-14"
+const formatDate = (value) => (value ? value.split('-').reverse().join('/') : '');
+
+// One line from the structured address, e.g. "12 Oja Street, Ogbomoso, Ogbomoso North LGA, Oyo State"
+const formatAddress = (data) => [
+  data.address_line,
+  data.address_city,
+  data.address_lga && `${data.address_lga} LGA`,
+  data.address_state && (data.address_state === 'FCT' ? 'FCT' : `${data.address_state} State`),
+].filter(Boolean).join(', ');
+
+const displayValue = (key, value) => (key === 'examinations'
+  ? (value || []).map(exam => `${exam.name} (₦${exam.amount})`).join(', ') || 'None'
+  : String(value ?? '') || '—');
 
 function PatientDetailPage() {
   const { id } = useParams(); // Get patient ID from URL (e.g., from /patients/1/details, id will be "1")
   const navigate = useNavigate(); // Initialize useNavigate
-  const { token, user } = useAuth(); // Need token for API calls and user role for delete permission
+  const { token, hasPermission } = useAuth(); // Need token for API calls and permissions for delete/payment
 
   const [patient, setPatient] = useState(null); // Stores the patient data
   const [loading, setLoading] = useState(true); // Loading state for initial fetch
   const [error, setError] = useState(''); // General error message
   const [isEditMode, setIsEditMode] = useState(false); // Controls if fields are editable
+  const [tab, setTab] = useState('details'); // 'details', 'screening', 'contrast', 'discounts' or 'history'
   const [formData, setFormData] = useState({}); // Stores form data for edit mode
   const [isSaving, setIsSaving] = useState(false); // Loading state for save button
+  const [fieldErrors, setFieldErrors] = useState({}); // Inline edit errors keyed by field, e.g. "examinations.0.amount"
+  const [editError, setEditError] = useState(''); // Save errors, shown beside the form instead of replacing the page
+  const [conflict, setConflict] = useState(null); // Server copy returned with a 409 while editing
+  const validationSchema = usePatientValidationSchema(token);
 
   // Dialog states
   const [openDeleteDialog, setOpenDeleteDialog] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteReason, setDeleteReason] = useState('');
   const [openPaymentDialog, setOpenPaymentDialog] = useState(false); // For payment approval dialog
   const [paymentStatusOption, setPaymentStatusOption] = useState(''); // Selected status in dialog
   const [isApprovingPayment, setIsApprovingPayment] = useState(false); // Loading state for payment approval
+  const [visits, setVisits] = useState([]); // Every visit of this patient, including this one
+  const [examCatalog, setExamCatalog] = useState([]); // Catalog exams priced for the payer, for added rows
 
   const genderOptions = [ // Options for gender dropdown in edit mode
     { value: 'Male', label: 'Male' },
@@ -121,29 +228,9 @@ function PatientDetailPage() {
       const data = await response.json();
 
       if (response.ok) {
-        setPatient(data); // Set patient data
+        setPatient(data); // Set patient data (includes `version`, sent back in If-Match)
         // Initialize formData ensuring examinations is an array
-        setFormData({
-          patient_name: data.patient_name || '',
-          age: data.age ?? '',
-          gender: data.gender || '',
-          weight_kg: data.weight_kg || '',
-          contact_email: data.contact_email || '',
-          contact_phone_number: data.contact_phone_number || '',
-          radiographer_name: data.radiographer_name || '',
-          radiologist_name: data.radiologist_name || '',
-          referral_hospital: data.referral_hospital || '',
-          referring_doctor: data.referring_doctor || '',
-          recorded_by_staff_name: data.recorded_by_staff_name || '',
-          recorded_by_staff_email: data.recorded_by_staff_email || '',
-          remarks: data.remarks || '',
-          payment_type: data.payment_type || '',
-          examinations: (data.examinations || []).map(exam => ({
-            id: exam.id || Date.now(),
-            name: exam.name || '',
-            amount: exam.amount || 0,
-          })),
-        });
+        setFormData(patientFormState(data));
 
       setPaymentStatusOption(data.payment_status || 'Not Paid'); // Set initial payment status
         setError(''); // Clear any previous errors
@@ -159,10 +246,67 @@ function PatientDetailPage() {
     }
   };
 
+  // --- Fetch the patient's visit history ---
+  const fetchVisits = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch(`https://g2g-mri-erp-bfw57.ondigitalocean.app/api/patients/${id}/visits`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (response.ok) {
+        setVisits(await response.json());
+      }
+    } catch (err) {
+      console.error('Error fetching visit history:', err);
+    }
+  }, [id, token]);
+
   useEffect(() => {
     fetchPatientDetails();
   }, [id, token]); // Re-fetch if patient ID in URL or token changes
 
+  useEffect(() => {
+    fetchVisits();
+  }, [fetchVisits]);
+
+  // Examinations added while editing come from the catalog at the payer's price
+  useEffect(() => {
+    if (!isEditMode || !token) return;
+    fetch(`https://g2g-mri-erp-bfw57.ondigitalocean.app/api/exam-catalog?payer_category=${encodeURIComponent(formData.payer_category || 'Cash')}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!data) return;
+        setExamCatalog(data.items);
+        setFormData(prev => ({
+          ...prev,
+          examinations: (prev.examinations || []).map(exam => {
+            if (!String(exam.id).startsWith('new-') || !exam.catalog_item_id) return exam;
+            const item = data.items.find(option => option.id === exam.catalog_item_id);
+            return item ? { ...exam, amount: item.price } : exam;
+          }),
+        }));
+      })
+      .catch(err => console.error('Error fetching exam catalog:', err));
+  }, [isEditMode, formData.payer_category, token]);
+
+  // Opens the add form with this patient already selected from the registry
+  const handleStartNewVisit = () => {
+    navigate('/patients/add', {
+      state: {
+        registryPatient: {
+          id: patient.registry_patient_id,
+          hospital_number: patient.hospital_number,
+          full_name: patient.patient_name,
+          gender: patient.gender,
+          contact_email: patient.contact_email,
+          contact_phone_number: patient.contact_phone_number,
+        },
+      },
+    });
+  };
+
   // --- Edit Mode Handlers ---
   const handleEditClick = () => {
     setIsEditMode(true);
@@ -172,19 +316,41 @@ function PatientDetailPage() {
     setIsEditMode(false);
     setFormData({ ...patient, examinations: patient.examinations || [] }); // Revert form data to original patient data, ensure exams is array
     setError(''); // Clear any edit-specific errors
+    setEditError('');
+    setFieldErrors({});
   };
 
+  const clearFieldError = (key) => {
+    setFieldErrors((prev) => {
+      if (!prev[key]) return prev;
+      const { [key]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // error/helperText props for an edit field
+  const fieldErrorProps = (key) => (fieldErrors[key] ? { error: true, helperText: fieldErrors[key] } : {});
+
   const handleFormChange = (e) => {
     // Handle changes for main form fields
     setFormData({ ...formData, [e.target.name]: e.target.value });
+    clearFieldError(e.target.name);
+    if (e.target.name === 'date_of_birth') clearFieldError('age');
+    if (e.target.name === 'id_document_number') clearFieldError('id_document_type');
   };
 
-  // Handlers for dynamic Examinations list in edit mode
-  const handleExaminationChange = (examId, field, value) => {
+  // Handlers for dynamic Examinations list in edit mode. Saved rows keep
+  // their exam and billed price; added rows are picked from the catalog.
+  const handleExaminationSelect = (examId, item) => {
+    const index = (formData.examinations || []).findIndex((exam) => exam.id === examId);
+    clearFieldError(`examinations.${index}.name`);
+    clearFieldError(`examinations.${index}.amount`);
     setFormData((prev) => ({
       ...prev,
       examinations: (prev.examinations || []).map((exam) => // Ensure prev.examinations is an array
-        exam.id === examId ? { ...exam, [field]: value } : exam
+        exam.id === examId
+          ? { ...exam, name: item ? item.name : '', amount: item ? item.price : '', catalog_item_id: item ? item.id : null, code: item ? item.code : null }
+          : exam
       ),
     }));
   };
@@ -192,11 +358,13 @@ function PatientDetailPage() {
   const handleAddExamination = () => {
     setFormData((prev) => ({
       ...prev,
-      examinations: [...(prev.examinations || []), { id: `new-${Date.now()}`, name: '', amount: '' }], // Ensure prev.examinations is an array
+      examinations: [...(prev.examinations || []), { id: `new-${Date.now()}`, name: '', amount: '', catalog_item_id: null }], // Ensure prev.examinations is an array
     }));
   };
 
   const handleRemoveExamination = (examId) => {
+    // Row errors are keyed by position, which shifts after a removal
+    setFieldErrors((prev) => Object.fromEntries(Object.entries(prev).filter(([key]) => !key.startsWith('examinations.'))));
     setFormData((prev) => ({
       ...prev,
       examinations: (prev.examinations || []).filter((exam) => exam.id !== examId), // Ensure prev.examinations is an array
@@ -205,8 +373,16 @@ function PatientDetailPage() {
 
 
   const handleSaveEdit = async () => {
+    setEditError('');
+    // Same rules the server applies to the update
+    const errors = validateRecord(validationSchema, formData);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) {
+      setEditError('Please correct the highlighted fields.');
+      return;
+    }
+
     setIsSaving(true);
-    setError('');
     try {
       // Send updated form data to backend
       const response = await fetch(`https://g2g-mri-erp-bfw57.ondigitalocean.app/api/patients/${id}`, {
@@ -214,13 +390,15 @@ function PatientDetailPage() {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
+          'If-Match': `"${patient.version}"`, // Rejected with 409 if someone saved since we loaded
         },
         body: JSON.stringify({
             ...formData,
             age: parseInt(formData.age), // Ensure age is integer (using patient_age from DB)
             weight_kg: parseFloat(formData.weight_kg), // Ensure weight is float
             // Ensure examination amounts are floats for backend, provide default 0 for new
-            examinations: (formData.examinations || []).map(exam => ({ name: exam.name, amount: parseFloat(exam.amount || 0) }))
+            // Catalog exams keep the price they were billed at; the server re-checks them
+            examinations: (formData.examinations || []).map(exam => ({ name: exam.name, amount: parseFloat(exam.amount || 0), catalog_item_id: exam.catalog_item_id || null }))
         }),
       });
 
@@ -230,47 +408,75 @@ function PatientDetailPage() {
         const updatedPatient = data.patient || data;
 
         setPatient(updatedPatient);
-
-        setFormData({
-          patient_name: updatedPatient.patient_name || '',
-          gender: updatedPatient.gender || '',
-          age: updatedPatient.age || '',
-          weight_kg: updatedPatient.weight_kg || '',
-          contact_email: updatedPatient.contact_email || '',
-          contact_phone_number: updatedPatient.contact_phone_number || '',
-          radiographer_name: updatedPatient.radiographer_name || '',
-          radiologist_name: updatedPatient.radiologist_name || '',
-          remarks: updatedPatient.remarks || '',
-          referral_hospital: updatedPatient.referral_hospital || '',
-          referring_doctor: updatedPatient.referring_doctor || '',
-          payment_type: updatedPatient.payment_type || '',
-          recorded_by_staff_name: updatedPatient.recorded_by_staff_name || '',
-          recorded_by_staff_email: updatedPatient.recorded_by_staff_email || '',
-          examinations: (updatedPatient.examinations || []).map(exam => ({
-            id: exam.id || Date.now(),
-            name: exam.name || '',
-            amount: exam.amount || 0
-          })),
-        });
-
+        setFormData(patientFormState(updatedPatient));
 
         setIsEditMode(false);
         alert('Patient updated successfully!');
+      } else if (response.status === 409 && data.current) {
+        setConflict(data.current); // Let the user merge or reload instead of overwriting
       } else {
-        setError(data.message || 'Failed to update patient record.');
+        if (data.errors) setFieldErrors(data.errors);
+        setEditError(data.message || 'Failed to update patient record.');
       }
 
     } catch (err) {
       console.error('Error saving patient edit:', err);
-      setError('Network error or server unavailable. Please try again.');
+      setEditError('Network error or server unavailable. Please try again.');
     } finally {
       setIsSaving(false);
     }
   };
 
+  // --- Edit conflict (409) handlers ---
+  // Discard this user's edits and show what is saved now
+  const handleReloadConflict = () => {
+    setPatient(conflict);
+    setFormData(patientFormState(conflict));
+    setFieldErrors({});
+    setIsEditMode(false);
+    setConflict(null);
+  };
+
+  // Start again from the saved copy, re-applying only the fields this user changed,
+  // and stay in edit mode so the merged result can be checked and saved
+  const handleMergeConflict = () => {
+    const original = patientFormState(patient);
+    const merged = patientFormState(conflict);
+    conflictFields.forEach(({ key }) => {
+      if (comparableValue(key, formData[key]) !== comparableValue(key, original[key])) {
+        merged[key] = formData[key];
+      }
+    });
+    setPatient(conflict);
+    setFormData(merged);
+    setFieldErrors({});
+    setEditError('Merged with the latest saved version. Check the details, then save again.');
+    setConflict(null);
+  };
+
+  // Rows for the conflict dialog: fields that differ between the saved copy and this user's form
+  const conflictRows = conflict
+    ? conflictFields
+        .map(({ key, label }) => {
+          const original = patientFormState(patient)[key];
+          const theirs = patientFormState(conflict)[key];
+          const mine = formData[key];
+          return {
+            key,
+            label,
+            theirs,
+            mine,
+            theyChanged: comparableValue(key, theirs) !== comparableValue(key, original),
+            iChanged: comparableValue(key, mine) !== comparableValue(key, original),
+          };
+        })
+        .filter(row => row.theyChanged || row.iChanged)
+    : [];
+
   // --- Delete Handlers ---
   const handleDeleteClick = () => {
     setOpenDeleteDialog(true); // Open confirmation dialog
+    setDeleteReason('');
     setError(''); // Clear error before dialog
   };
 
@@ -285,12 +491,14 @@ function PatientDetailPage() {
       const response = await fetch(`https://g2g-mri-erp-bfw57.ondigitalocean.app/api/patients/${id}`, {
         method: 'DELETE',
         headers: {
+          'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
         },
+        body: JSON.stringify({ reason: deleteReason }),
       });
 
       if (response.ok) {
-        alert('Patient deleted successfully!');
+        alert('Patient moved to the recycle bin.');
         navigate('/patients'); // Redirect to patient list after successful deletion
       } else {
         const errorData = await response.json(); // Get error message from backend
@@ -327,6 +535,7 @@ function PatientDetailPage() {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
+          'If-Match': `"${patient.version}"`,
         },
         body: JSON.stringify({ status: paymentStatusOption }),
       });
@@ -337,6 +546,11 @@ function PatientDetailPage() {
         setPatient(data.patient); // Update patient state with new payment info
         alert(`Payment status updated to "${paymentStatusOption}"!`);
         handleClosePaymentDialog();
+      } else if (response.status === 409 && data.current) {
+        // Someone changed the record first: show the saved status and let the user decide again
+        setPatient(data.current);
+        setPaymentStatusOption(data.current.payment_status || 'Not Paid');
+        setError(`${data.message} The current status is shown; update it again if still needed.`);
       } else {
         setError(data.message || 'Failed to update payment status.');
       }
@@ -417,333 +631,518 @@ function PatientDetailPage() {
                   <ArrowBackIcon />
               </IconButton>
               <Typography variant="h4" gutterBottom>Patient Details</Typography>
+              {safetyStatusChips[patient.safety_status] && (
+                <Chip
+                  {...safetyStatusChips[patient.safety_status]}
+                  onClick={isEditMode ? undefined : () => setTab('screening')}
+                  sx={{ ml: 'auto !important' }}
+                />
+              )}
           </Stack>
 
-          {/* Edit/Delete/Manage Payment Buttons */}
-          <Box sx={{ mb: 3, display: 'flex', justifyContent: 'flex-end' }}>
-            {!isEditMode && ( // Show Edit button only when not in edit mode
-              <Button
-                variant="contained"
-                startIcon={<EditIcon />}
-                onClick={handleEditClick}
-                sx={{ mr: 1 }}
-              >
-                Edit Patient
-              </Button>
-            )}
-            {/* Delete button only for admin users */}
-            {user?.role === 'admin' && (
-              <Button
-                variant="outlined"
-                color="error"
-                startIcon={<DeleteIcon />}
-                onClick={handleDeleteClick}
-                sx={{ mr: 1 }} // Add margin-right for spacing
-              >
-                Delete Patient
-              </Button>
-            )}
-            {/* Manage Payment Button (visible for Admin & Financial Admin) */}
-            {user && (user.role === 'admin' || user.role === 'financial_admin') && (
+          <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+            <Tab value="details" label="Details" />
+            <Tab value="screening" label="Safety Screening" disabled={isEditMode} />
+            <Tab value="contrast" label="Contrast" disabled={isEditMode} />
+            <Tab value="discounts" label="Discounts" disabled={isEditMode} />
+            <Tab value="history" label="History" disabled={isEditMode} />
+          </Tabs>
+
+          {tab === 'screening' && (
+            <PatientSafetyScreening patientId={id} onChange={fetchPatientDetails} />
+          )}
+
+          {tab === 'contrast' && (
+            <PatientContrastLog patientId={id} />
+          )}
+
+          {tab === 'discounts' && (
+            <PatientDiscounts patientId={id} onChange={fetchPatientDetails} />
+          )}
+
+          {tab === 'history' && (
+            <PatientRevisionHistory patientId={id} version={patient.version} onRestored={fetchPatientDetails} />
+          )}
+
+          {tab === 'details' && (
+            <>
+            {/* Edit/Delete/Manage Payment Buttons */}
+            <Box sx={{ mb: 3, display: 'flex', justifyContent: 'flex-end' }}>
+              {!isEditMode && ( // Show Edit button only when not in edit mode
+                <Button
+                  variant="contained"
+                  startIcon={<EditIcon />}
+                  onClick={handleEditClick}
+                  sx={{ mr: 1 }}
+                >
+                  Edit Patient
+                </Button>
+              )}
+              {/* Delete button only for users allowed to delete patients */}
+              {hasPermission('patients.delete') && (
                 <Button
-                    variant="contained"
-                    color="info"
-                    startIcon={<AttachMoneyIcon />}
-                    onClick={handleOpenPaymentDialog}
+                  variant="outlined"
+                  color="error"
+                  startIcon={<DeleteIcon />}
+                  onClick={handleDeleteClick}
+                  sx={{ mr: 1 }} // Add margin-right for spacing
                 >
-                    Manage Payment
+                  Delete Patient
                 </Button>
+              )}
+              {/* Manage Payment Button (visible to roles that can approve payments) */}
+              {hasPermission('payments.approve') && (
+                  <Button
+                      variant="contained"
+                      color="info"
+                      startIcon={<AttachMoneyIcon />}
+                      onClick={handleOpenPaymentDialog}
+                  >
+                      Manage Payment
+                  </Button>
+              )}
+            </Box>
+
+            {/* Error displayed inside dialog if dialog is open and error exists */}
+            {error && (openDeleteDialog || openPaymentDialog) && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
             )}
-          </Box>
 
-          {/* Error displayed inside dialog if dialog is open and error exists */}
-          {error && (openDeleteDialog || openPaymentDialog) && (
-            <Alert severity="error" sx={{ mb: 2 }}>
-              {error}
-            </Alert>
-          )}
+            <Grid container spacing={3}>
+              {/* Left Column - Patient Demographics & Contact */}
+              <Grid item xs={12} md={6}>
+                <Typography variant="h6" gutterBottom>Demographics & Contact</Typography>
+                <List>
+                  <ListItem>
+                    <ListItemIcon><PersonIcon /></ListItemIcon>
+                    <ListItemText primary="Patient Name" secondary={isEditMode ? (
+                      <TextField fullWidth name="patient_name" value={formData.patient_name || ''} onChange={handleFormChange} {...fieldErrorProps('patient_name')} size="small" />
+                    ) : patient.patient_name} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><CakeIcon /></ListItemIcon>
+                    <ListItemText primary="Date of Birth" secondary={isEditMode ? (
+                      <TextField fullWidth name="date_of_birth" value={formData.date_of_birth || ''} onChange={handleFormChange} {...fieldErrorProps('date_of_birth')} size="small" type="date" />
+                    ) : formatDate(patient.date_of_birth) || 'Not recorded'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><AccessTimeIcon /></ListItemIcon>
+                    <ListItemText primary="Age at Visit" secondary={isEditMode ? (
+                      formData.date_of_birth ? (
+                        // Worked out by the server from the date of birth and scan date
+                        <TextField fullWidth value={ageOnDate(formData.date_of_birth, patient.mri_date_time) ?? ''} size="small" disabled helperText="From the date of birth" />
+                      ) : (
+                        <TextField fullWidth name="age" value={formData.age || ''} onChange={handleFormChange} {...fieldErrorProps('age')} size="small" type="number" inputProps={{ min: 0 }} />
+                      )
+                    ) : patient.age ?? 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><StraightenIcon /></ListItemIcon>
+                    <ListItemText primary="Weight (kg)" secondary={isEditMode ? (
+                      <TextField fullWidth name="weight_kg" value={formData.weight_kg || ''} onChange={handleFormChange} {...fieldErrorProps('weight_kg')} size="small" type="number" inputProps={{ min: 0, step: "0.1" }} />
+                    ) : patient.weight_kg || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><MaleIcon /></ListItemIcon>
+                    <ListItemText primary="Gender" secondary={isEditMode ? (
+                      <TextField select fullWidth name="gender" value={formData.gender || ''} onChange={handleFormChange} {...fieldErrorProps('gender')} size="small">
+                        {genderOptions.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
+                      </TextField>
+                    ) : patient.gender || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><EmailIcon /></ListItemIcon>
+                    <ListItemText primary="Contact Email" secondary={isEditMode ? (
+                      <TextField fullWidth name="contact_email" value={formData.contact_email || ''} onChange={handleFormChange} {...fieldErrorProps('contact_email')} size="small" />
+                    ) : patient.contact_email || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><PhoneIcon /></ListItemIcon>
+                    <ListItemText primary="Contact Phone" secondary={isEditMode ? (
+                      <TextField fullWidth name="contact_phone_number" value={formData.contact_phone_number || ''} onChange={handleFormChange} {...fieldErrorProps('contact_phone_number')} size="small" />
+                    ) : patient.contact_phone_number || 'N/A'} />
+                  </ListItem>
+                </List>
+              </Grid>
 
-          <Grid container spacing={3}>
-            {/* Left Column - Patient Demographics & Contact */}
-            <Grid item xs={12} md={6}>
-              <Typography variant="h6" gutterBottom>Demographics & Contact</Typography>
-              <List>
-                <ListItem>
-                  <ListItemIcon><PersonIcon /></ListItemIcon>
-                  <ListItemText primary="Patient Name" secondary={isEditMode ? (
-                    <TextField fullWidth name="patient_name" value={formData.patient_name || ''} onChange={handleFormChange} size="small" />
-                  ) : patient.patient_name} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><AccessTimeIcon /></ListItemIcon>
-                  <ListItemText primary="Age" secondary={isEditMode ? (
-                    <TextField fullWidth name="age" value={formData.age || ''} onChange={handleFormChange} size="small" type="number" inputProps={{ min: 0 }} />
-                  ) : patient.age || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><StraightenIcon /></ListItemIcon>
-                  <ListItemText primary="Weight (kg)" secondary={isEditMode ? (
-                    <TextField fullWidth name="weight_kg" value={formData.weight_kg || ''} onChange={handleFormChange} size="small" type="number" inputProps={{ min: 0, step: "0.1" }} />
-                  ) : patient.weight_kg || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><MaleIcon /></ListItemIcon>
-                  <ListItemText primary="Gender" secondary={isEditMode ? (
-                    <TextField select fullWidth name="gender" value={formData.gender || ''} onChange={handleFormChange} size="small">
-                      {genderOptions.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
-                    </TextField>
-                  ) : patient.gender || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><EmailIcon /></ListItemIcon>
-                  <ListItemText primary="Contact Email" secondary={isEditMode ? (
-                    <TextField fullWidth name="contact_email" value={formData.contact_email || ''} onChange={handleFormChange} size="small" />
-                  ) : patient.contact_email || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><PhoneIcon /></ListItemIcon>
-                  <ListItemText primary="Contact Phone" secondary={isEditMode ? (
-                    <TextField fullWidth name="contact_phone_number" value={formData.contact_phone_number || ''} onChange={handleFormChange} size="small" />
-                  ) : patient.contact_phone_number || 'N/A'} />
-                </ListItem>
-              </List>
+              {/* Right Column - MRI Details & Personnel */}
+              <Grid item xs={12} md={6}>
+                <Typography variant="h6" gutterBottom>MRI & Personnel Details</Typography>
+                <List>
+                  <ListItem>
+                    <ListItemIcon><BadgeIcon /></ListItemIcon>
+                    <ListItemText primary="Hospital Number" secondary={patient.hospital_number || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><CodeIcon /></ListItemIcon>
+                    <ListItemText primary="MRI Code" secondary={patient.mri_code} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><ReceiptIcon /></ListItemIcon>
+                    <ListItemText primary="Receipt Number" secondary={patient.receipt_number || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><CodeIcon /></ListItemIcon>
+                    <ListItemText primary="Serial Number" secondary={patient.serial_number} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><CalendarMonthIcon /></ListItemIcon>
+                    <ListItemText primary="Scan Date/Time" secondary={new Date(patient.mri_date_time).toLocaleString()} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><LocationOnIcon /></ListItemIcon>
+                    <ListItemText primary="Referral Hospital" secondary={isEditMode ? (
+                      <TextField fullWidth name="referral_hospital" value={formData.referral_hospital || ''} onChange={handleFormChange} {...fieldErrorProps('referral_hospital')} size="small" />
+                    ) : patient.referral_hospital || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><LocalHospitalIcon /></ListItemIcon>
+                    <ListItemText primary="Referring Doctor" secondary={isEditMode ? (
+                      <TextField fullWidth name="referring_doctor" value={formData.referring_doctor || ''} onChange={handleFormChange} {...fieldErrorProps('referring_doctor')} size="small" />
+                    ) : patient.referring_doctor || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><MedicalServicesIcon /></ListItemIcon>
+                    <ListItemText primary="Radiographer" secondary={isEditMode ? (
+                      <TextField fullWidth name="radiographer_name" value={formData.radiographer_name || ''} onChange={handleFormChange} {...fieldErrorProps('radiographer_name')} size="small" />
+                    ) : patient.radiographer_name || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><MedicalServicesIcon /></ListItemIcon>
+                    <ListItemText primary="Radiologist" secondary={isEditMode ? (
+                      <TextField fullWidth name="radiologist_name" value={formData.radiologist_name || ''} onChange={handleFormChange} {...fieldErrorProps('radiologist_name')} size="small" />
+                    ) : patient.radiologist_name || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><PersonIcon /></ListItemIcon>
+                    <ListItemText primary="Recorded By" secondary={patient.recorded_by_staff_name || patient.recorded_by_staff_username || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><EmailIcon /></ListItemIcon>
+                    <ListItemText primary="Recorded By Email" secondary={patient.recorded_by_staff_email || 'N/A'} />
+                  </ListItem>
+                </List>
+              </Grid>
             </Grid>
 
-            {/* Right Column - MRI Details & Personnel */}
-            <Grid item xs={12} md={6}>
-              <Typography variant="h6" gutterBottom>MRI & Personnel Details</Typography>
+            <Divider sx={{ my: 3 }} />
+
+            {/* Address, Next of Kin & Identity */}
+            <Typography variant="h6" gutterBottom>Address, Next of Kin & Identity</Typography>
+            {isEditMode ? (
+              <PatientDemographicsFields
+                values={formData}
+                onChange={handleFormChange}
+                fieldErrorProps={fieldErrorProps}
+                schema={validationSchema}
+                size="small"
+              />
+            ) : (
               <List>
                 <ListItem>
-                  <ListItemIcon><CodeIcon /></ListItemIcon>
-                  <ListItemText primary="MRI Code" secondary={patient.mri_code} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><ReceiptIcon /></ListItemIcon>
-                  <ListItemText primary="Receipt Number" secondary={patient.receipt_number || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><CodeIcon /></ListItemIcon>
-                  <ListItemText primary="Serial Number" secondary={patient.serial_number} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><CalendarMonthIcon /></ListItemIcon>
-                  <ListItemText primary="Scan Date/Time" secondary={new Date(patient.mri_date_time).toLocaleString()} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><LocationOnIcon /></ListItemIcon>
-                  <ListItemText primary="Referral Hospital" secondary={isEditMode ? (
-                    <TextField fullWidth name="referral_hospital" value={formData.referral_hospital || ''} onChange={handleFormChange} size="small" />
-                  ) : patient.referral_hospital || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><LocalHospitalIcon /></ListItemIcon>
-                  <ListItemText primary="Referring Doctor" secondary={isEditMode ? (
-                    <TextField fullWidth name="referring_doctor" value={formData.referring_doctor || ''} onChange={handleFormChange} size="small" />
-                  ) : patient.referring_doctor || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><MedicalServicesIcon /></ListItemIcon>
-                  <ListItemText primary="Radiographer" secondary={isEditMode ? (
-                    <TextField fullWidth name="radiographer_name" value={formData.radiographer_name || ''} onChange={handleFormChange} size="small" />
-                  ) : patient.radiographer_name || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><MedicalServicesIcon /></ListItemIcon>
-                  <ListItemText primary="Radiologist" secondary={isEditMode ? (
-                    <TextField fullWidth name="radiologist_name" value={formData.radiologist_name || ''} onChange={handleFormChange} size="small" />
-                  ) : patient.radiologist_name || 'N/A'} />
+                  <ListItemIcon><HomeIcon /></ListItemIcon>
+                  <ListItemText primary="Address" secondary={formatAddress(patient) || 'Not recorded'} />
                 </ListItem>
                 <Divider component="li" variant="inset" />
                 <ListItem>
-                  <ListItemIcon><PersonIcon /></ListItemIcon>
-                  <ListItemText primary="Recorded By" secondary={patient.recorded_by_staff_name || patient.recorded_by_staff_username || 'N/A'} />
+                  <ListItemIcon><ContactEmergencyIcon /></ListItemIcon>
+                  <ListItemText
+                    primary="Next of Kin"
+                    secondary={[
+                      patient.next_of_kin_name,
+                      patient.next_of_kin_relationship && `(${patient.next_of_kin_relationship})`,
+                      patient.next_of_kin_phone_number && `· ${patient.next_of_kin_phone_number}`,
+                    ].filter(Boolean).join(' ') || 'Not recorded'}
+                  />
                 </ListItem>
                 <Divider component="li" variant="inset" />
                 <ListItem>
-                  <ListItemIcon><EmailIcon /></ListItemIcon>
-                  <ListItemText primary="Recorded By Email" secondary={patient.recorded_by_staff_email || 'N/A'} />
+                  <ListItemIcon><FingerprintIcon /></ListItemIcon>
+                  <ListItemText
+                    primary="Identity Documents"
+                    secondary={[
+                      patient.national_id_number && `NIN ${patient.national_id_number}`,
+                      patient.id_document_number && `${patient.id_document_type || 'ID'} ${patient.id_document_number}`,
+                    ].filter(Boolean).join(' · ') || 'Not recorded'}
+                  />
                 </ListItem>
               </List>
-            </Grid>
-          </Grid>
-
-          <Divider sx={{ my: 3 }} />
-
-          {/* Examinations Section */}
-          <Typography variant="h6" gutterBottom>Examinations / Tests</Typography>
-          <TableContainer component={Paper} sx={{ mt: 2 }}>
-              <Table size="small">
-                  <TableHead>
-                      <TableRow>
-                          <TableCell>Name</TableCell>
-                          <TableCell align="right">Amount (₦)</TableCell>
-                          {isEditMode && <TableCell align="center">Actions</TableCell>}
-                      </TableRow>
-                  </TableHead>
-                  <TableBody>
-                      {isEditMode ? (
-                          // Add check here: formData.examinations must be an array
-                          (formData.examinations && formData.examinations.length > 0) ? (
-                              formData.examinations.map((exam, index) => (
-                                  <TableRow key={exam.id || `new-${index}`}>
-                                      <TableCell>
-                                          <TextField fullWidth name="name" value={exam.name || ''} onChange={(e) => handleExaminationChange(exam.id, 'name', e.target.value)} size="small" />
-                                      </TableCell>
-                                      <TableCell align="right">
-                                          <TextField
-                                              fullWidth
-                                              name="amount"
-                                              type="number"
-                                              inputProps={{ step: "0.01", min: "0" }}
-                                              value={exam.amount || ''} // Handle empty string for new exams
-                                              onChange={(e) => handleExaminationChange(exam.id, 'amount', e.target.value)}
-                                              size="small"
-                                              InputProps={{ startAdornment: <InputAdornment position="start">₦</InputAdornment> }}
-                                          />
-                                      </TableCell>
-                                      <TableCell align="center">
-                                          <IconButton onClick={() => handleRemoveExamination(exam.id)} color="error" size="small">
-                                              <RemoveCircleOutlineIcon />
-                                          </IconButton>
-                                      </TableCell>
-                                  </TableRow>
-                              ))
-                          ) : (
-                              // Display message if no examinations in edit mode
-                              <TableRow>
-                                  <TableCell colSpan={3} align="center">No examinations added yet.</TableCell>
-                              </TableRow>
-                          )
-                      ) : (
-                          // Add check here: patient.examinations must be an array
-                          (patient.examinations && patient.examinations.length > 0) ? (
-                              patient.examinations.map((exam) => (
-                                  <TableRow key={exam.id}>
-                                      <TableCell>{exam.name || 'N/A'}</TableCell>
-                                      <TableCell align="right">
-                                        ₦{Number(exam.amount || 0).toLocaleString("en-NG", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                                      </TableCell>
-
-                                  </TableRow>
-                              ))
-                          ) : (
-                              // Display message if no examinations in view mode
-                              <TableRow>
-                                  <TableCell colSpan={2} align="center">No examinations recorded for this patient.</TableCell>
-                              </TableRow>
-                          )
-                      )}
-                      {isEditMode && (
-                          <TableRow>
-                              <TableCell colSpan={3} sx={{ borderBottom: 'none' }}>
-                                  <Button startIcon={<AddIcon />} onClick={handleAddExamination} variant="outlined" size="small" sx={{ mt: 1 }}>
-                                      Add Examination
-                                  </Button>
-                              </TableCell>
-                          </TableRow>
-                      )}
-                  </TableBody>
-              </Table>
-          </TableContainer>
+            )}
 
-          {/* Total Amount Display */}
-          <Box sx={{ mt: 2, textAlign: 'right' }}>
-              <Typography variant="h6">
-                Total Amount: ₦{Number(calculateTotalAmount()).toLocaleString("en-NG", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-              </Typography>
+            <Divider sx={{ my: 3 }} />
 
-          </Box>
-
-          <Divider sx={{ my: 3 }} />
-
-          {/* Payment Status Section */}
-          <Typography variant="h6" gutterBottom>Payment Status</Typography>
-          <List>
-            <ListItem>
-              <ListItemIcon><AttachMoneyIcon /></ListItemIcon>
-              <ListItemText primary="Payment Type" secondary={isEditMode ? (
-                <TextField fullWidth name="payment_type" value={formData.payment_type || ''} onChange={handleFormChange} size="small" select>
-                  {paymentTypeOptions.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
-                </TextField>
-              ) : patient.payment_type || 'N/A'} />
-            </ListItem>
-            <Divider component="li" variant="inset" />
-            <ListItem>
-              <ListItemIcon>
-                {getPaymentStatusChip(patient.payment_status).props.icon} {/* Display icon from chip helper */}
-              </ListItemIcon>
-              <ListItemText primary="Status" secondary={getPaymentStatusChip(patient.payment_status)} />
-            </ListItem>
-            {patient.payment_status === 'Approved' && (
-              <>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><PersonIcon /></ListItemIcon>
-                  <ListItemText primary="Approved By" secondary={patient.approved_by_staff_name || patient.approved_by_staff_username || 'N/A'} />
-                </ListItem>
-                <Divider component="li" variant="inset" />
-                <ListItem>
-                  <ListItemIcon><CalendarMonthIcon /></ListItemIcon>
-                  <ListItemText primary="Approved At" secondary={patient.approved_at ? new Date(patient.approved_at).toLocaleString() : 'N/A'} />
-                </ListItem>
-              </>
+            {/* Examinations Section */}
+            <Typography variant="h6" gutterBottom>Examinations / Tests</Typography>
+            {isEditMode && fieldErrors.examinations && <Alert severity="error" sx={{ mt: 1 }}>{fieldErrors.examinations}</Alert>}
+            <TableContainer component={Paper} sx={{ mt: 2 }}>
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Name</TableCell>
+                            <TableCell align="right">Amount (₦)</TableCell>
+                            {isEditMode && <TableCell align="center">Actions</TableCell>}
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {isEditMode ? (
+                            // Add check here: formData.examinations must be an array
+                            (formData.examinations && formData.examinations.length > 0) ? (
+                                formData.examinations.map((exam, index) => (
+                                    <TableRow key={exam.id || `new-${index}`}>
+                                        <TableCell>
+                                            {String(exam.id).startsWith('new-') ? (
+                                                <Autocomplete
+                                                    size="small"
+                                                    options={examCatalog}
+                                                    value={examCatalog.find(item => item.id === exam.catalog_item_id) || null}
+                                                    onChange={(e, item) => handleExaminationSelect(exam.id, item)}
+                                                    getOptionLabel={(option) => `${option.code} — ${option.name}`}
+                                                    isOptionEqualToValue={(option, value) => option.id === value.id}
+                                                    renderInput={(params) => (
+                                                        <TextField {...params} placeholder="Choose from the exam catalog" {...fieldErrorProps(`examinations.${index}.name`)} />
+                                                    )}
+                                                />
+                                            ) : (
+                                                <TextField fullWidth name="name" value={exam.name || ''} size="small" disabled
+                                                    helperText={exam.catalog_item_id ? `Catalog item ${exam.code || ''}` : undefined}
+                                                    {...fieldErrorProps(`examinations.${index}.name`)} />
+                                            )}
+                                        </TableCell>
+                                        <TableCell align="right">
+                                            <TextField
+                                                fullWidth
+                                                name="amount"
+                                                type="number"
+                                                inputProps={{ step: "0.01", min: "0" }}
+                                                value={exam.amount || ''} // Handle empty string for new exams
+                                                size="small"
+                                                disabled // Saved rows keep the billed price; added rows take the catalog price
+                                                {...fieldErrorProps(`examinations.${index}.amount`)}
+                                                InputProps={{ startAdornment: <InputAdornment position="start">₦</InputAdornment> }}
+                                            />
+                                        </TableCell>
+                                        <TableCell align="center">
+                                            <IconButton onClick={() => handleRemoveExamination(exam.id)} color="error" size="small">
+                                                <RemoveCircleOutlineIcon />
+                                            </IconButton>
+                                        </TableCell>
+                                    </TableRow>
+                                ))
+                            ) : (
+                                // Display message if no examinations in edit mode
+                                <TableRow>
+                                    <TableCell colSpan={3} align="center">No examinations added yet.</TableCell>
+                                </TableRow>
+                            )
+                        ) : (
+                            // Add check here: patient.examinations must be an array
+                            (patient.examinations && patient.examinations.length > 0) ? (
+                                patient.examinations.map((exam) => (
+                                    <TableRow key={exam.id}>
+                                        <TableCell>{exam.name || 'N/A'}</TableCell>
+                                        <TableCell align="right">
+                                          ₦{Number(exam.amount || 0).toLocaleString("en-NG", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                        </TableCell>
+
+                                    </TableRow>
+                                ))
+                            ) : (
+                                // Display message if no examinations in view mode
+                                <TableRow>
+                                    <TableCell colSpan={2} align="center">No examinations recorded for this patient.</TableCell>
+                                </TableRow>
+                            )
+                        )}
+                        {isEditMode && (
+                            <TableRow>
+                                <TableCell colSpan={3} sx={{ borderBottom: 'none' }}>
+                                    <Button startIcon={<AddIcon />} onClick={handleAddExamination} variant="outlined" size="small" sx={{ mt: 1 }}>
+                                        Add Examination
+                                    </Button>
+                                </TableCell>
+                            </TableRow>
+                        )}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            {/* Total Amount Display */}
+            <Box sx={{ mt: 2, textAlign: 'right' }}>
+                <Typography variant="h6">
+                  Total Amount: ₦{Number(calculateTotalAmount()).toLocaleString("en-NG", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </Typography>
+                {/* Approved discounts, from the Discounts tab */}
+                {!isEditMode && patient.discount_amount && patient.discount_amount !== '0.00' && (
+                  <>
+                    <Typography variant="body1" color="text.secondary">
+                      Discounts: -₦{patient.discount_amount}
+                    </Typography>
+                    <Typography variant="h6">Amount Due: ₦{patient.net_amount}</Typography>
+                  </>
+                )}
+
+            </Box>
+
+            <Divider sx={{ my: 3 }} />
+
+            {/* Payment Status Section */}
+            <Typography variant="h6" gutterBottom>Payment Status</Typography>
+            <List>
+              <ListItem>
+                <ListItemIcon><AttachMoneyIcon /></ListItemIcon>
+                <ListItemText primary="Payment Type" secondary={isEditMode ? (
+                  <TextField fullWidth name="payment_type" value={formData.payment_type || ''} onChange={handleFormChange} {...fieldErrorProps('payment_type')} size="small" select>
+                    {paymentTypeOptions.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
+                  </TextField>
+                ) : patient.payment_type || 'N/A'} />
+              </ListItem>
+              <Divider component="li" variant="inset" />
+              <ListItem>
+                <ListItemIcon><AttachMoneyIcon /></ListItemIcon>
+                <ListItemText primary="Payer" secondary={isEditMode ? (
+                  <TextField fullWidth name="payer_category" value={formData.payer_category || ''} onChange={handleFormChange} size="small" select
+                    {...fieldErrorProps('payer_category')}
+                    helperText={fieldErrors.payer_category || (formData.payer_category !== patient.payer_category ? 'Catalog examinations will be re-priced for this payer' : undefined)}>
+                    {(validationSchema?.payer_category?.values || []).map(option => <MenuItem key={option} value={option}>{option}</MenuItem>)}
+                  </TextField>
+                ) : patient.payer_category || 'Cash'} />
+              </ListItem>
+              <Divider component="li" variant="inset" />
+              <ListItem>
+                <ListItemIcon>
+                  {getPaymentStatusChip(patient.payment_status).props.icon} {/* Display icon from chip helper */}
+                </ListItemIcon>
+                <ListItemText primary="Status" secondary={getPaymentStatusChip(patient.payment_status)} />
+              </ListItem>
+              {patient.payment_status === 'Approved' && (
+                <>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><PersonIcon /></ListItemIcon>
+                    <ListItemText primary="Approved By" secondary={patient.approved_by_staff_name || patient.approved_by_staff_username || 'N/A'} />
+                  </ListItem>
+                  <Divider component="li" variant="inset" />
+                  <ListItem>
+                    <ListItemIcon><CalendarMonthIcon /></ListItemIcon>
+                    <ListItemText primary="Approved At" secondary={patient.approved_at ? new Date(patient.approved_at).toLocaleString() : 'N/A'} />
+                  </ListItem>
+                </>
+              )}
+            </List>
+
+            {/* General Remarks Section */}
+            <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>Remarks</Typography>
+            {isEditMode ? (
+              <TextField
+                fullWidth
+                multiline
+                rows={4}
+                name="remarks"
+                value={formData.remarks || ''}
+                onChange={handleFormChange}
+                {...fieldErrorProps('remarks')}
+                variant="outlined"
+              />
+            ) : (
+              <Paper variant="outlined" sx={{ p: 2, backgroundColor: 'grey.50' }}>
+                <Typography variant="body2" sx={{ fontStyle: 'italic' }}>
+                  {patient.remarks || 'No remarks provided.'}
+                </Typography>
+              </Paper>
             )}
-          </List>
 
-          {/* General Remarks Section */}
-          <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>Remarks</Typography>
-          {isEditMode ? (
-            <TextField
-              fullWidth
-              multiline
-              rows={4}
-              name="remarks"
-              value={formData.remarks || ''}
-              onChange={handleFormChange}
-              variant="outlined"
-            />
-          ) : (
-            <Paper variant="outlined" sx={{ p: 2, backgroundColor: 'grey.50' }}>
-              <Typography variant="body2" sx={{ fontStyle: 'italic' }}>
-                {patient.remarks || 'No remarks provided.'}
-              </Typography>
-            </Paper>
+            {isEditMode && editError && (
+              <Alert severity="error" sx={{ mt: 3 }}>{editError}</Alert>
+            )}
+
+            {/* Save/Cancel Buttons in Edit Mode */}
+            {isEditMode && (
+              <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
+                <Button
+                  variant="contained"
+                  startIcon={isSaving ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
+                  onClick={handleSaveEdit}
+                  disabled={isSaving}
+                  sx={{ mr: 2 }}
+                >
+                  {isSaving ? 'Saving...' : 'Save Changes'}
+                </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={<CancelIcon />}
+                  onClick={handleCancelEdit}
+                  disabled={isSaving}
+                >
+                  Cancel
+                </Button>
+              </Box>
+            )}
+            </>
           )}
+        </Paper>
 
-          {/* Save/Cancel Buttons in Edit Mode */}
-          {isEditMode && (
-            <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
-              <Button
-                variant="contained"
-                startIcon={isSaving ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
-                onClick={handleSaveEdit}
-                disabled={isSaving}
-                sx={{ mr: 2 }}
-              >
-                {isSaving ? 'Saving...' : 'Save Changes'}
+        {/* Visit History Section */}
+        <Paper elevation={3} sx={{ p: 4, mt: 3 }}>
+          <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+            <Typography variant="h6">Visit History ({visits.length})</Typography>
+            {hasPermission('patients.create') && (
+              <Button variant="outlined" size="small" startIcon={<AddIcon />} onClick={handleStartNewVisit}>
+                New Visit
               </Button>
-              <Button
-                variant="outlined"
-                startIcon={<CancelIcon />}
-                onClick={handleCancelEdit}
-                disabled={isSaving}
-              >
-                Cancel
-              </Button>
-            </Box>
-          )}
+            )}
+          </Stack>
+          <TableContainer>
+            <Table size="small" aria-label="visit history table">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>MRI Code</TableCell>
+                  <TableCell>Examinations</TableCell>
+                  <TableCell>Payment</TableCell>
+                  <TableCell>Results</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {visits.map((visit) => (
+                  <TableRow
+                    key={visit.id}
+                    hover
+                    selected={String(visit.id) === String(id)}
+                    onClick={() => String(visit.id) !== String(id) && navigate(`/patients/${visit.id}/details`)}
+                    sx={{ cursor: String(visit.id) === String(id) ? 'default' : 'pointer' }}
+                  >
+                    <TableCell>{visit.mri_date_time ? new Date(visit.mri_date_time).toLocaleDateString() : 'N/A'}</TableCell>
+                    <TableCell>{visit.mri_code}</TableCell>
+                    <TableCell>{visit.examinations.map(exam => exam.name).join(', ') || 'N/A'}</TableCell>
+                    <TableCell>{getPaymentStatusChip(visit.payment_status)}</TableCell>
+                    <TableCell>
+                      {visit.results.length === 0 ? 'None' : visit.results.map(result => (
+                        <Chip key={result.file_id} size="small" label={`${result.file_name} (${result.result_status})`} sx={{ mr: 0.5, mb: 0.5 }} />
+                      ))}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
         </Paper>
 
         {/* Delete Confirmation Dialog */}
@@ -761,25 +1160,34 @@ function PatientDetailPage() {
               </Alert>
             )}
             <DialogContentText id="delete-dialog-description">
-              Are you sure you want to permanently delete patient:
+              Are you sure you want to delete patient:
               <Typography component="span" sx={{ fontWeight: 'bold', mx: 0.5 }}>
                 {patient.patient_name} (ID: {patient.id})
               </Typography>
-              This action cannot be undone.
+              The record moves to the recycle bin, where an administrator can restore it until it is purged.
             </DialogContentText>
+            <TextField
+              fullWidth
+              required
+              margin="normal"
+              label="Reason for deletion"
+              value={deleteReason}
+              onChange={(e) => setDeleteReason(e.target.value)}
+              disabled={isDeleting}
+            />
           </DialogContent>
           <DialogActions>
             <Button onClick={handleCloseDeleteDialog} color="primary" disabled={isDeleting}>
               Cancel
             </Button>
-            <Button onClick={handleConfirmDelete} color="error" variant="contained" disabled={isDeleting}>
+            <Button onClick={handleConfirmDelete} color="error" variant="contained" disabled={isDeleting || !deleteReason.trim()}>
               {isDeleting ? <CircularProgress size={24} /> : 'Delete Patient'}
             </Button>
           </DialogActions>
         </Dialog>
 
         {/* Payment Approval Dialog */}
-        {user && (user.role === 'admin' || user.role === 'financial_admin') && ( // Only admins/financial_admins see this dialog logic
+        {hasPermission('payments.approve') && ( // Only users who can approve payments see this dialog logic
           <Dialog
             open={openPaymentDialog}
             onClose={handleClosePaymentDialog}
@@ -824,6 +1232,42 @@ function PatientDetailPage() {
             </DialogActions>
           </Dialog>
         )}
+
+        {/* Edit Conflict Dialog: someone else saved this patient while it was being edited */}
+        <Dialog open={Boolean(conflict)} maxWidth="md" fullWidth aria-labelledby="conflict-dialog-title">
+          <DialogTitle id="conflict-dialog-title">This Patient Was Changed by Someone Else</DialogTitle>
+          <DialogContent>
+            <DialogContentText sx={{ mb: 2 }}>
+              Your changes have not been saved. Keep your changes to combine them with the latest version
+              (your edits win where you both changed the same field), or reload to discard them.
+            </DialogContentText>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Field</TableCell>
+                  <TableCell>Saved Now</TableCell>
+                  <TableCell>Your Version</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {conflictRows.map((row) => (
+                  <TableRow key={row.key}>
+                    <TableCell>
+                      {row.label}
+                      {row.theyChanged && row.iChanged && <Chip label="Both changed" color="warning" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell sx={{ fontWeight: row.theyChanged ? 'bold' : 'normal' }}>{displayValue(row.key, row.theirs)}</TableCell>
+                    <TableCell sx={{ fontWeight: row.iChanged ? 'bold' : 'normal' }}>{displayValue(row.key, row.mine)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleReloadConflict}>Reload and Discard Mine</Button>
+            <Button onClick={handleMergeConflict} variant="contained">Keep My Changes</Button>
+          </DialogActions>
+        </Dialog>
       </Box>
     </Layout>
   );
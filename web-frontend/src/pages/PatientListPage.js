@@ -5,6 +5,7 @@ import { useAuth } from '../contexts/AuthContext';
 import {
   Box, Typography, Button, CircularProgress, Alert,
   Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper,
+  TablePagination, TableSortLabel,
   TextField, MenuItem, Select, FormControl, InputLabel,
   Grid, IconButton, Tooltip
 } from '@mui/material';
@@ -28,49 +29,63 @@ import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
 
 function PatientListPage() {
-  const { user, token } = useAuth();
+  const { user, token, hasPermission } = useAuth();
   const navigate = useNavigate();
 
-  const [patients, setPatients] = useState([]);
-  const [filteredPatients, setFilteredPatients] = useState([]);
+  const [patients, setPatients] = useState([]); // Current page only
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [staffList, setStaffList] = useState([]); // State for medical staff list
- 
 
-  // Search & Filter States
+  // Search & Filter States (edited in the form, applied on Search)
   const [search, setSearch] = useState('');
-  const [searchField, setSearchField] = useState('patient_name'); // 'patient_name' or 'mri_code'
+  const [searchField, setSearchField] = useState('all'); // See searchFieldOptions
   const [genderFilter, setGenderFilter] = useState('All'); // 'All', 'Male', 'Female', 'Other'
+  const [paymentStatusFilter, setPaymentStatusFilter] = useState('');
   const [recordedByFilter, setRecordedByFilter] = useState(''); // Staff ID
   const [startDate, setStartDate] = useState(null);
   const [endDate, setEndDate] = useState(null);
+  const [appliedFilters, setAppliedFilters] = useState({});
+
+  // Paging & sorting, done by the server
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [sortBy, setSortBy] = useState('mri_date_time');
+  const [sortOrder, setSortOrder] = useState('desc');
 
   const API_BASE_URL = 'https://g2g-mri-erp-bfw57.ondigitalocean.app'; // Your backend URL
 
-  // Function to fetch patients based on current filters
+  const searchFieldOptions = [
+    { value: 'all', label: 'All Fields' },
+    { value: 'patient_name', label: 'Patient Name' },
+    { value: 'hospital_number', label: 'Hospital Number' },
+    { value: 'mri_code', label: 'MRI Code' },
+    { value: 'contact_phone_number', label: 'Phone Number' },
+    { value: 'receipt_number', label: 'Receipt Number' },
+    { value: 'referrer', label: 'Referrer' },
+  ];
+
+  // Query string for the applied filters; the list and the Excel export share it
+  const buildFilterParams = useCallback(() => {
+    const params = new URLSearchParams();
+    Object.entries(appliedFilters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    return params;
+  }, [appliedFilters]);
+
+  // Function to fetch one page of patients based on the applied filters
   const fetchPatients = useCallback(async () => {
   setLoading(true);
   setError(null);
 
   try {
-    const params = new URLSearchParams();
-    if (search) {
-      params.append('search', search);
-      params.append('searchField', searchField);
-    }
-    if (genderFilter !== 'All') {
-      params.append('gender', genderFilter);
-    }
-    if (recordedByFilter) {
-      params.append('recordedBy', recordedByFilter);
-    }
-    if (startDate) {
-      params.append('startDate', startDate.toISOString().split('T')[0]);
-    }
-    if (endDate) {
-      params.append('endDate', endDate.toISOString().split('T')[0]);
-    }
+    const params = buildFilterParams();
+    params.append('sortBy', sortBy);
+    params.append('sortOrder', sortOrder);
+    params.append('limit', rowsPerPage);
+    params.append('offset', page * rowsPerPage);
 
     // Add a parameter to include exams
     params.append('includeExams', 'true');
@@ -89,20 +104,20 @@ function PatientListPage() {
     const data = await response.json();
 
     // Map exams into 'exams' array per patient
-    const patientsWithExams = data.map(p => ({
+    const patientsWithExams = data.patients.map(p => ({
       ...p,
       exams: Array.isArray(p.exams) ? p.exams : [], // ✅ force array
     }));
 
     setPatients(patientsWithExams);
-    setFilteredPatients(patientsWithExams); // initially show all
+    setTotal(data.total);
   } catch (err) {
     console.error('Error fetching patients:', err);
     setError(err.message || 'An unexpected error occurred.');
   } finally {
     setLoading(false);
   }
-}, [token, search, searchField, genderFilter, recordedByFilter, startDate, endDate]);
+}, [token, buildFilterParams, sortBy, sortOrder, page, rowsPerPage]);
 
   // Function to fetch the list of medical staff for the filter dropdown
   const fetchStaffList = useCallback(async () => {
@@ -136,54 +151,50 @@ function PatientListPage() {
 
 
   const handleSearchSubmit = (e) => {
-  e.preventDefault();
-
-  const filtered = patients.filter((p) => {
-    // Example: search by name or MRI code
-    const matchesSearch = p.patient_name.toLowerCase().includes(search.toLowerCase())
-      || p.mri_code.toLowerCase().includes(search.toLowerCase());
-
-    const matchesGender = genderFilter === "All" || p.gender === genderFilter;
-
-    const matchesStaff = !recordedByFilter || p.recorded_by_staff_id === recordedByFilter;
-
-    // Add date filters if needed
-    const mriDate = new Date(p.mri_date_time);
-    const matchesStartDate = !startDate || mriDate >= startDate;
-    const matchesEndDate = !endDate || mriDate <= endDate;
-
-    return matchesSearch && matchesGender && matchesStaff && matchesStartDate && matchesEndDate;
-  });
-
-  setFilteredPatients(filtered);
-};
+    e.preventDefault();
+    setAppliedFilters({
+      search: search.trim(),
+      searchField: search.trim() ? searchField : '',
+      gender: genderFilter !== 'All' ? genderFilter : '',
+      paymentStatus: paymentStatusFilter,
+      recordedBy: recordedByFilter,
+      startDate: startDate ? startDate.toISOString().split('T')[0] : '',
+      endDate: endDate ? endDate.toISOString().split('T')[0] : '',
+    });
+    setPage(0);
+  };
 
 
   const handleResetFilters = () => {
     setSearch('');
-    setSearchField('patient_name');
+    setSearchField('all');
     setGenderFilter('All');
+    setPaymentStatusFilter('');
     setRecordedByFilter('');
     setStartDate(null);
     setEndDate(null);
-    // After resetting states, re-fetch patients to show all
-    // The `useEffect` with `fetchPatients` in its dependency array will handle this automatically
-    // when the state variables change. So, a direct call here is often not strictly needed,
-    // but explicit call ensures immediate update if useEffect's dependencies are complex.
-    fetchPatients();
+    // Changing the applied filters re-fetches through fetchPatients' dependencies
+    setAppliedFilters({});
+    setPage(0);
+  };
+
+  const handleSort = (column) => {
+    if (sortBy === column) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(column);
+      setSortOrder(column === 'mri_date_time' ? 'desc' : 'asc');
+    }
+    setPage(0);
   };
 
 // Function to handle Excel download
 const handleDownloadExcel = async () => {
   try {
-    // Build query params for current filters
-    const params = new URLSearchParams();
-    if (search) params.append("search", search);
-    if (searchField) params.append("searchField", searchField);
-    if (genderFilter && genderFilter !== "All") params.append("gender", genderFilter);
-    if (recordedByFilter) params.append("recordedBy", recordedByFilter);
-    if (startDate) params.append("startDate", startDate.toISOString().split("T")[0]);
-    if (endDate) params.append("endDate", endDate.toISOString().split("T")[0]);
+    // Same filters and order as the list on screen, every page
+    const params = buildFilterParams();
+    params.append("sortBy", sortBy);
+    params.append("sortOrder", sortOrder);
 
     // Call backend Excel export endpoint
     const response = await fetch(`${API_BASE_URL}/api/patients/export/excel?${params.toString()}`, {
@@ -217,7 +228,7 @@ const handleDownloadExcel = async () => {
 
 // Function to handle PDF download
 const handleDownloadPDF = () => {
-  if (!filteredPatients || filteredPatients.length === 0) {
+  if (!patients || patients.length === 0) {
     alert("No patients to export.");
     return;
   }
@@ -239,7 +250,7 @@ const handleDownloadPDF = () => {
     "Total Amount (₦)",
   ];
 
-  const tableRows = filteredPatients.map((p) => {
+  const tableRows = patients.map((p) => {
     const examNames = Array.isArray(p.examinations) ? p.examinations.map(e => e.name).join(", ") : "";
     const totalAmount = Array.isArray(p.examinations) ? p.examinations.reduce((sum, e) => sum + (e.amount || 0), 0) : 0;
 
@@ -306,51 +317,68 @@ const handleDownloadPDF = () => {
 
 
 
-  const renderPatientTable = () => {
-    if (loading) {
-      return (
-        <Box display="flex" justifyContent="center" alignItems="center" height="200px">
-          <CircularProgress />
-        </Box>
-      );
-    }
+  // Column header that sorts on the server when clicked
+  const sortableHeader = (column, label) => (
+    <TableCell sortDirection={sortBy === column ? sortOrder : false}>
+      <TableSortLabel
+        active={sortBy === column}
+        direction={sortBy === column ? sortOrder : 'asc'}
+        onClick={() => handleSort(column)}
+      >
+        {label}
+      </TableSortLabel>
+    </TableCell>
+  );
 
+  const renderPatientTable = () => {
     if (error) {
       return <Alert severity="error">{error}</Alert>;
     }
 
-    if (patients.length === 0) {
-      return <Alert severity="info">No patients found matching your criteria.</Alert>;
-    }
-
     return (
       <TableContainer component={Paper} elevation={3}>
-        <Table stickyHeader aria-label="patient table">
+        <Table stickyHeader size="small" aria-label="patient table">
           <TableHead>
             <TableRow>
-              <TableCell>Patient Name</TableCell>
-              <TableCell>Age</TableCell>
-              <TableCell>Gender</TableCell>
-              <TableCell>MRI Code</TableCell>
-              <TableCell>MRI Type</TableCell>
-              <TableCell>Date/Time</TableCell>
-              <TableCell>Referred By</TableCell>
-              <TableCell>Recorded By</TableCell>
+              {sortableHeader('hospital_number', 'Hospital No.')}
+              {sortableHeader('patient_name', 'Patient Name')}
+              {sortableHeader('age', 'Age')}
+              {sortableHeader('gender', 'Gender')}
+              {sortableHeader('mri_code', 'MRI Code')}
+              <TableCell>Examinations</TableCell>
+              {sortableHeader('mri_date_time', 'Date/Time')}
+              {sortableHeader('referring_doctor', 'Referred By')}
+              {sortableHeader('payment_status', 'Payment')}
+              {sortableHeader('recorded_by', 'Recorded By')}
               <TableCell>Actions</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
-            {patients.map((patient) => (
-              <TableRow key={patient.id}>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={11} align="center" sx={{ py: 6 }}>
+                  <CircularProgress />
+                </TableCell>
+              </TableRow>
+            ) : patients.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={11}>
+                  <Alert severity="info">No patients found matching your criteria.</Alert>
+                </TableCell>
+              </TableRow>
+            ) : patients.map((patient) => (
+              <TableRow key={patient.id} hover>
+                <TableCell>{patient.hospital_number}</TableCell>
                 <TableCell>{patient.patient_name}</TableCell>
-                <TableCell>{patient.patient_age}</TableCell>
+                <TableCell>{patient.age}</TableCell>
                 <TableCell>{patient.gender}</TableCell>
                 <TableCell>{patient.mri_code}</TableCell>
-                <TableCell>{patient.mri_type}</TableCell>
+                <TableCell>{patient.exams.map(exam => exam.name).join(', ')}</TableCell>
                 <TableCell>{new Date(patient.mri_date_time).toLocaleString()}</TableCell>
-                <TableCell>{patient.referred_by_doctor}</TableCell>
+                <TableCell>{patient.referring_doctor || patient.referral_hospital}</TableCell>
+                <TableCell>{patient.payment_status}</TableCell>
                 <TableCell>{patient.recorded_by_staff_name || 'N/A'}</TableCell>
-                <TableCell>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
                   <Tooltip title="View Details">
                     <IconButton
                       color="primary"
@@ -382,6 +410,15 @@ const handleDownloadPDF = () => {
             ))}
           </TableBody>
         </Table>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(event) => { setRowsPerPage(parseInt(event.target.value, 10)); setPage(0); }}
+          rowsPerPageOptions={[25, 50, 100]}
+        />
       </TableContainer>
     );
   };
@@ -400,10 +437,13 @@ const handleDownloadPDF = () => {
     <Grid container spacing={2} alignItems="flex-end">
       {/* ... your existing search/filter fields ... */}
     <Grid item xs={12} sm={4}>
-        <TextField fullWidth label="Search" variant="outlined" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Name or MRI Code" /> </Grid>
-        <Grid item xs={12} sm={2}> <FormControl fullWidth variant="outlined"> <InputLabel>Search By</InputLabel> <Select value={searchField} onChange={(e) => setSearchField(e.target.value)} label="Search By" > <MenuItem value="patient_name">Patient Name</MenuItem> <MenuItem value="mri_code">MRI Code</MenuItem> <MenuItem value="both">Both</MenuItem> {/* 'both' handles backend default behavior */} </Select> </FormControl> </Grid> <Grid item xs={12} sm={2}>
+        <TextField fullWidth label="Search" variant="outlined" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Name, hospital no., MRI code, phone, receipt or referrer" /> </Grid>
+        <Grid item xs={12} sm={2}> <FormControl fullWidth variant="outlined"> <InputLabel>Search By</InputLabel> <Select value={searchField} onChange={(e) => setSearchField(e.target.value)} label="Search By" > {searchFieldOptions.map((option) => ( <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem> ))} </Select> </FormControl> </Grid> <Grid item xs={12} sm={2}>
           <FormControl fullWidth variant="outlined"> <InputLabel>Gender</InputLabel> <Select value={genderFilter} onChange={(e) => setGenderFilter(e.target.value)} label="Gender" > <MenuItem value="All">All Genders</MenuItem> <MenuItem value="Male">Male</MenuItem> <MenuItem value="Female">Female</MenuItem> <MenuItem value="Other">Other</MenuItem> </Select> </FormControl>
         </Grid>
+        <Grid item xs={12} sm={2}>
+          <FormControl fullWidth variant="outlined"> <InputLabel>Payment</InputLabel> <Select value={paymentStatusFilter} onChange={(e) => setPaymentStatusFilter(e.target.value)} label="Payment" > <MenuItem value="">Any Status</MenuItem> <MenuItem value="Not Paid">Not Paid</MenuItem> <MenuItem value="Pending">Pending</MenuItem> <MenuItem value="Approved">Approved</MenuItem> </Select> </FormControl>
+        </Grid>
         <Grid item xs={12} sm={4}> <FormControl fullWidth variant="outlined"> <InputLabel>Recorded By</InputLabel> <Select value={recordedByFilter} onChange={(e) => setRecordedByFilter(e.target.value)} label="Recorded By" > <MenuItem value="">All Staff</MenuItem> {staffList.map((staff) => ( <MenuItem key={staff.id} value={staff.id}> {staff.full_name || staff.username} </MenuItem> ))} </Select> </FormControl> </Grid> <Grid item xs={12} sm={3}> <LocalizationProvider dateAdapter={AdapterDateFns}> <DatePicker label="MRI Date Start" value={startDate} onChange={(newValue) => setStartDate(newValue)} slotProps={{ textField: { fullWidth: true, variant: "outlined" } }} /> </LocalizationProvider> </Grid> <Grid item xs={12} sm={3}> <LocalizationProvider dateAdapter={AdapterDateFns}> <DatePicker label="MRI Date End" value={endDate} onChange={(newValue) => setEndDate(newValue)} slotProps={{ textField: { fullWidth: true, variant: "outlined" } }} /> </LocalizationProvider> </Grid>
       {/* Search and Reset buttons */}
       <Grid item xs={12} sm={2}>
@@ -430,6 +470,7 @@ const handleDownloadPDF = () => {
       </Grid>
 
       {/* Download Buttons */}
+      {hasPermission('patients.export') && (
       <Grid item xs={12} sm={2}>
         <Button
           variant="contained"
@@ -441,6 +482,7 @@ const handleDownloadPDF = () => {
           Download Excel
         </Button>
       </Grid>
+      )}
       {/* <Grid item xs={12} sm={2}>
         <Button
           variant="contained"
@@ -0,0 +1,507 @@
+// web-frontend/src/pages/PriceListsPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  Chip,
+  Tabs,
+  Tab,
+  TextField,
+  Grid,
+  MenuItem,
+  Stack,
+  InputAdornment,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+} from '@mui/material';
+
+// Icons
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+const isoDate = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+const STATUS_COLORS = { current: 'success', upcoming: 'info', ended: 'default' };
+
+const emptyList = { name: '', payer_category: 'HMO', effective_from: '', effective_to: '', notes: '' };
+
+// "12.5%" of list price given up, or blank when there is no list amount
+const discountShare = (row) => (row.list_amount ? `${((row.difference / row.list_amount) * 100).toFixed(1)}%` : '');
+
+// Payer price lists (what HMO, staff and partner-hospital patients are
+// charged for catalog examinations, by date) and the report comparing
+// revenue at list price against the price actually charged.
+function PriceListsPage() {
+  const { token } = useAuth();
+  const [tab, setTab] = useState('lists'); // 'lists' or 'revenue'
+  const [priceLists, setPriceLists] = useState([]);
+  const [payerCategories, setPayerCategories] = useState([]);
+  const [payerFilter, setPayerFilter] = useState('');
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [editor, setEditor] = useState(null); // { id, values, prices: { catalogItemId: price }, errors, itemErrors }
+  const [saving, setSaving] = useState(false);
+
+  // Revenue report
+  const [range, setRange] = useState(() => ({ from: `${new Date().getFullYear()}-01-01`, to: isoDate(new Date()) }));
+  const [report, setReport] = useState(null);
+  const [loadingReport, setLoadingReport] = useState(false);
+
+  const fetchPriceLists = useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (payerFilter) params.append('payer_category', payerFilter);
+      const response = await fetch(`${API_BASE_URL}/api/price-lists?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setPriceLists(data.price_lists);
+        setPayerCategories(data.payer_categories);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load price lists.');
+      }
+    } catch (err) {
+      console.error('Error fetching price lists:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, payerFilter]);
+
+  const fetchReport = useCallback(async () => {
+    if (!token || !range.from || !range.to) return;
+    setLoadingReport(true);
+    try {
+      const params = new URLSearchParams(range);
+      const response = await fetch(`${API_BASE_URL}/api/price-lists/revenue?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setReport(data);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load the revenue report.');
+      }
+    } catch (err) {
+      console.error('Error fetching tariff revenue report:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoadingReport(false);
+    }
+  }, [token, range]);
+
+  useEffect(() => {
+    fetchPriceLists();
+  }, [fetchPriceLists]);
+
+  useEffect(() => {
+    if (tab === 'revenue') fetchReport();
+  }, [tab, fetchReport]);
+
+  // Catalog items and their list prices, for the price list editor
+  useEffect(() => {
+    if (!token) return;
+    fetch(`${API_BASE_URL}/api/exam-catalog`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => { if (data) setCatalog(data.items); })
+      .catch(err => console.error('Error fetching exam catalog:', err));
+  }, [token]);
+
+  // Editing a list, or copying one as the start of a new list (e.g. next year's prices)
+  const openEditor = async (list = null, { copy = false } = {}) => {
+    if (!list) {
+      setEditor({ id: null, values: { ...emptyList }, prices: {}, listItems: [], errors: {}, itemErrors: {} });
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/price-lists/${list.id}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.message || 'Failed to load the price list.');
+        return;
+      }
+      setEditor({
+        id: copy ? null : data.id,
+        values: copy
+          ? { ...emptyList, payer_category: data.payer_category, notes: data.notes || '' }
+          : Object.fromEntries(Object.keys(emptyList).map(key => [key, data[key] ?? ''])),
+        prices: Object.fromEntries(data.items.map(item => [item.catalog_item_id, String(Number(item.price))])),
+        listItems: data.items,
+        errors: {},
+        itemErrors: {},
+      });
+    } catch (err) {
+      console.error('Error fetching price list:', err);
+      setError('Network error or server unavailable.');
+    }
+  };
+
+  const handleEditorChange = (event) => {
+    const { name, value } = event.target;
+    setEditor(prev => ({ ...prev, values: { ...prev.values, [name]: value }, errors: { ...prev.errors, [name]: undefined } }));
+  };
+
+  const handlePriceChange = (catalogItemId, value) => {
+    setEditor(prev => ({
+      ...prev,
+      prices: { ...prev.prices, [catalogItemId]: value },
+      itemErrors: { ...prev.itemErrors, [catalogItemId]: undefined },
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    // Blank prices are left off the list: those exams are charged the catalog price
+    const items = Object.entries(editor.prices)
+      .filter(([, price]) => String(price).trim() !== '')
+      .map(([catalogItemId, price]) => ({ catalog_item_id: Number(catalogItemId), price }));
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/price-lists${editor.id ? `/${editor.id}` : ''}`, {
+        method: editor.id ? 'PUT' : 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...editor.values, items }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        const errors = data.errors || {};
+        const itemErrors = {};
+        items.forEach((item, index) => {
+          const message = errors[`items.${index}.price`] || errors[`items.${index}.catalog_item_id`];
+          if (message) itemErrors[item.catalog_item_id] = message;
+        });
+        setEditor(prev => ({ ...prev, errors, itemErrors }));
+        if (!data.errors || response.status === 409) setError(data.message || 'Failed to save.');
+        return;
+      }
+      setSuccess(data.message);
+      setEditor(null);
+      fetchPriceLists();
+    } catch (err) {
+      console.error('Error saving price list:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const params = new URLSearchParams(range);
+      const response = await fetch(`${API_BASE_URL}/api/price-lists/revenue/export?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        throw new Error('Failed to export the revenue report');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `tariff_revenue_${range.from}_${range.to}.xlsx`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Tariff revenue export error:', err);
+      setError('Failed to export the revenue report. Please try again.');
+    }
+  };
+
+  // Active catalog items, plus retired ones still on the list being edited
+  const editorRows = editor
+    ? [
+      ...catalog,
+      ...editor.listItems
+        .filter(item => !catalog.some(option => option.id === item.catalog_item_id))
+        .map(item => ({ id: item.catalog_item_id, code: item.code, name: item.name, list_price: Number(item.list_price), retired: true })),
+    ]
+    : [];
+
+  const editorField = (name, label, props = {}) => (
+    <TextField
+      fullWidth
+      size="small"
+      name={name}
+      label={label}
+      value={editor.values[name] ?? ''}
+      onChange={handleEditorChange}
+      error={Boolean(editor.errors[name])}
+      helperText={editor.errors[name]}
+      {...props}
+    />
+  );
+
+  const revenueRow = (row) => (
+    <>
+      <TableCell align="right">{row.examinations}</TableCell>
+      <TableCell align="right">{formatNaira(row.list_amount)}</TableCell>
+      <TableCell align="right">{formatNaira(row.charged_amount)}</TableCell>
+      <TableCell align="right" sx={{ color: row.difference > 0 ? 'warning.main' : undefined }}>{formatNaira(row.difference)}</TableCell>
+      <TableCell align="right">{discountShare(row)}</TableCell>
+    </>
+  );
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>Price Lists &amp; Tariffs</Typography>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+        <Tab value="lists" label="Price Lists" />
+        <Tab value="revenue" label="List vs Charged Revenue" />
+      </Tabs>
+
+      {tab === 'lists' && (
+        <>
+          <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
+            <TextField select size="small" label="Payer" value={payerFilter} onChange={(e) => setPayerFilter(e.target.value)} sx={{ minWidth: 200 }}>
+              <MenuItem value="">All payers</MenuItem>
+              {payerCategories.map(category => <MenuItem key={category} value={category}>{category}</MenuItem>)}
+            </TextField>
+            <Box sx={{ flexGrow: 1 }} />
+            <Button variant="contained" startIcon={<AddIcon />} onClick={() => openEditor()}>New Price List</Button>
+          </Stack>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Examinations not on the payer's list in effect on the visit date are charged the catalog price.
+          </Typography>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Payer</TableCell>
+                  <TableCell>Price List</TableCell>
+                  <TableCell>From</TableCell>
+                  <TableCell>To</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Examinations</TableCell>
+                  <TableCell align="right">Times Charged</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {loading ? (
+                  <TableRow><TableCell colSpan={8} align="center"><CircularProgress size={24} /></TableCell></TableRow>
+                ) : priceLists.length === 0 ? (
+                  <TableRow><TableCell colSpan={8} align="center">No price lists yet.</TableCell></TableRow>
+                ) : priceLists.map(list => (
+                  <TableRow key={list.id} sx={{ opacity: list.status === 'ended' ? 0.6 : 1 }}>
+                    <TableCell>{list.payer_category}</TableCell>
+                    <TableCell sx={{ fontWeight: 'bold' }}>{list.name}</TableCell>
+                    <TableCell>{list.effective_from}</TableCell>
+                    <TableCell>{list.effective_to || 'Open'}</TableCell>
+                    <TableCell><Chip size="small" label={list.status} color={STATUS_COLORS[list.status]} /></TableCell>
+                    <TableCell align="right">{list.item_count}</TableCell>
+                    <TableCell align="right">{list.charged_count}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Button size="small" startIcon={<EditIcon />} onClick={() => openEditor(list)}>Edit</Button>
+                      <Button size="small" startIcon={<ContentCopyIcon />} onClick={() => openEditor(list, { copy: true })}>Copy</Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      {tab === 'revenue' && (
+        <>
+          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }} sx={{ mb: 2 }}>
+            <TextField size="small" type="date" label="From" value={range.from} InputLabelProps={{ shrink: true }}
+              onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} />
+            <TextField size="small" type="date" label="To" value={range.to} InputLabelProps={{ shrink: true }}
+              onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} />
+            <Box sx={{ flexGrow: 1 }} />
+            <Button variant="outlined" startIcon={<FileDownloadIcon />} onClick={handleExport} disabled={!report}>Export to Excel</Button>
+          </Stack>
+          {loadingReport ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}><CircularProgress size={24} /></Box>
+          ) : report && (
+            <>
+              <Typography variant="h6" gutterBottom>By Payer</Typography>
+              <TableContainer component={Paper} sx={{ mb: 3 }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Payer</TableCell>
+                      <TableCell>Price List</TableCell>
+                      <TableCell align="right">Examinations</TableCell>
+                      <TableCell align="right">At List Price</TableCell>
+                      <TableCell align="right">Charged</TableCell>
+                      <TableCell align="right">Difference</TableCell>
+                      <TableCell align="right">Below List</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.payers.length === 0 ? (
+                      <TableRow><TableCell colSpan={7} align="center">No catalog examinations in this period.</TableCell></TableRow>
+                    ) : report.payers.map(row => (
+                      <TableRow key={`${row.payer_category}-${row.price_list_id}`}>
+                        <TableCell>{row.payer_category}</TableCell>
+                        <TableCell>{row.price_list_name || <em>Catalog price</em>}</TableCell>
+                        {revenueRow(row)}
+                      </TableRow>
+                    ))}
+                    <TableRow sx={{ '& td': { fontWeight: 'bold' } }}>
+                      <TableCell colSpan={2}>Total</TableCell>
+                      {revenueRow(report.totals)}
+                    </TableRow>
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              {report.unpriced.examinations > 0 && (
+                <Alert severity="info" sx={{ mb: 3 }}>
+                  {report.unpriced.examinations} examination(s) typed outside the catalog or imported
+                  ({formatNaira(report.unpriced.charged_amount)} charged) have no list price and are not included.
+                </Alert>
+              )}
+
+              <Typography variant="h6" gutterBottom>By Examination</Typography>
+              <TableContainer component={Paper}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Code</TableCell>
+                      <TableCell>Examination</TableCell>
+                      <TableCell align="right">Examinations</TableCell>
+                      <TableCell align="right">At List Price</TableCell>
+                      <TableCell align="right">Charged</TableCell>
+                      <TableCell align="right">Difference</TableCell>
+                      <TableCell align="right">Below List</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.examinations.map(row => (
+                      <TableRow key={row.catalog_item_id ?? row.code}>
+                        <TableCell sx={{ fontFamily: 'monospace' }}>{row.code}</TableCell>
+                        <TableCell>{row.name}</TableCell>
+                        {revenueRow(row)}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </>
+      )}
+
+      <Dialog open={Boolean(editor)} onClose={() => !saving && setEditor(null)} maxWidth="md" fullWidth>
+        {editor && (
+          <>
+            <DialogTitle>{editor.id ? 'Edit Price List' : 'New Price List'}</DialogTitle>
+            <DialogContent>
+              <Grid container spacing={2} sx={{ mt: 0.5, mb: 2 }}>
+                <Grid size={{ xs: 12, sm: 6 }}>{editorField('name', 'Name', { placeholder: 'e.g. HMO tariff 2027' })}</Grid>
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  {editorField('payer_category', 'Payer', {
+                    select: true,
+                    children: payerCategories.map(category => <MenuItem key={category} value={category}>{category}</MenuItem>),
+                  })}
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  {editorField('effective_from', 'Effective From', { type: 'date', InputLabelProps: { shrink: true } })}
+                </Grid>
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  {editorField('effective_to', 'Effective To', {
+                    type: 'date',
+                    InputLabelProps: { shrink: true },
+                    helperText: editor.errors.effective_to || 'Leave blank until the next price list is set',
+                  })}
+                </Grid>
+                <Grid size={{ xs: 12 }}>{editorField('notes', 'Notes', { multiline: true, minRows: 2 })}</Grid>
+              </Grid>
+              {!editor.id && (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  A current open-ended {editor.values.payer_category} list will end the day before this one starts.
+                </Typography>
+              )}
+              <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 420 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Code</TableCell>
+                      <TableCell>Examination</TableCell>
+                      <TableCell align="right">Catalog Price</TableCell>
+                      <TableCell align="right" sx={{ width: 200 }}>{editor.values.payer_category} Price</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {editorRows.length === 0 ? (
+                      <TableRow><TableCell colSpan={4} align="center">Add examinations to the catalog first.</TableCell></TableRow>
+                    ) : editorRows.map(row => (
+                      <TableRow key={row.id}>
+                        <TableCell sx={{ fontFamily: 'monospace' }}>{row.code}</TableCell>
+                        <TableCell>
+                          {row.name}
+                          {row.retired && <Chip size="small" label="Retired" sx={{ ml: 1 }} />}
+                        </TableCell>
+                        <TableCell align="right">{formatNaira(row.list_price)}</TableCell>
+                        <TableCell align="right">
+                          <TextField
+                            size="small"
+                            type="number"
+                            placeholder="Catalog price"
+                            inputProps={{ min: 0, step: '0.01' }}
+                            value={editor.prices[row.id] ?? ''}
+                            onChange={(e) => handlePriceChange(row.id, e.target.value)}
+                            error={Boolean(editor.itemErrors[row.id])}
+                            helperText={editor.itemErrors[row.id]}
+                            InputProps={{ startAdornment: <InputAdornment position="start">₦</InputAdornment> }}
+                          />
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setEditor(null)} disabled={saving}>Cancel</Button>
+              <Button variant="contained" onClick={handleSave} disabled={saving}>
+                {saving ? <CircularProgress size={20} /> : 'Save'}
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+}
+
+export default PriceListsPage;
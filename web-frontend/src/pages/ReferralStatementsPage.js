@@ -0,0 +1,289 @@
+// web-frontend/src/pages/ReferralStatementsPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Material-UI components
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert,
+  Button,
+  TextField,
+  MenuItem,
+  Autocomplete,
+  Grid,
+  Stack,
+} from '@mui/material';
+
+// Icons
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+const isoDate = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+// Last six months up to today
+const defaultRange = () => {
+  const today = new Date();
+  return { from: isoDate(new Date(today.getFullYear(), today.getMonth() - 5, 1)), to: isoDate(today) };
+};
+
+// Referral analytics (visits and revenue per referring facility per month)
+// and monthly statements for one facility or doctor, with PDF and Excel.
+function ReferralStatementsPage() {
+  const { token } = useAuth();
+  const [range, setRange] = useState(defaultRange);
+  const [analytics, setAnalytics] = useState(null); // { months, facilities }
+  const [directory, setDirectory] = useState({ facilities: [], doctors: [] });
+  const [kind, setKind] = useState('facility');
+  const [referrer, setReferrer] = useState(null);
+  const [month, setMonth] = useState(() => isoDate(new Date()).slice(0, 7));
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingStatement, setLoadingStatement] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchAnalytics = useCallback(async () => {
+    if (!token || !range.from || !range.to) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams(range);
+      const response = await fetch(`${API_BASE_URL}/api/referrers/analytics?${params.toString()}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setAnalytics(data);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load referral analytics.');
+      }
+    } catch (err) {
+      console.error('Error fetching referral analytics:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, range]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  useEffect(() => {
+    if (!token) return;
+    fetch(`${API_BASE_URL}/api/referrers/directory`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => { if (data) setDirectory(data); })
+      .catch(err => console.error('Error fetching referrer directory:', err));
+  }, [token]);
+
+  const statementUrl = (format = '') =>
+    `${API_BASE_URL}/api/referrers/${kind === 'facility' ? 'facilities' : 'doctors'}/${referrer.id}/statement${format ? `/${format}` : ''}?month=${month}`;
+
+  const handleViewStatement = async () => {
+    setLoadingStatement(true);
+    try {
+      const response = await fetch(statementUrl(), { headers: { 'Authorization': `Bearer ${token}` } });
+      const data = await response.json();
+      if (response.ok) {
+        setStatement(data);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load the statement.');
+      }
+    } catch (err) {
+      console.error('Error fetching referrer statement:', err);
+      setError('Network error or server unavailable.');
+    } finally {
+      setLoadingStatement(false);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    try {
+      const response = await fetch(statementUrl(format), { headers: { 'Authorization': `Bearer ${token}` } });
+      if (!response.ok) {
+        throw new Error('Failed to download the statement');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      if (format === 'pdf') {
+        window.open(url, '_blank');
+        setTimeout(() => window.URL.revokeObjectURL(url), 5000);
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `referral_statement_${month}.xlsx`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Referrer statement download error:', err);
+      setError('Failed to download the statement. Please try again.');
+    }
+  };
+
+  // Picking a facility row in the analytics table opens its statement form
+  const handlePickFacility = (facility) => {
+    setKind('facility');
+    setReferrer(directory.facilities.find(f => f.id === facility.id) || { id: facility.id, name: facility.name });
+    setStatement(null);
+  };
+
+  const referrerOptions = kind === 'facility' ? directory.facilities : directory.doctors;
+  const referrerLabel = (option) => (kind === 'facility' ? option.name : option.full_name) || '';
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h4" gutterBottom>Referral Analytics &amp; Statements</Typography>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {/* Analytics */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }} sx={{ mb: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Referrals by Facility</Typography>
+          <TextField size="small" type="date" label="From" value={range.from} InputLabelProps={{ shrink: true }}
+            onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} />
+          <TextField size="small" type="date" label="To" value={range.to} InputLabelProps={{ shrink: true }}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} />
+        </Stack>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}><CircularProgress size={24} /></Box>
+        ) : analytics && (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Facility</TableCell>
+                  {analytics.months.map(m => <TableCell key={m} align="right">{m}</TableCell>)}
+                  <TableCell align="right">Total Visits</TableCell>
+                  <TableCell align="right">Total Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {analytics.facilities.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={analytics.months.length + 3} align="center">No visits in this period.</TableCell>
+                  </TableRow>
+                ) : analytics.facilities.map(facility => (
+                  <TableRow key={facility.id ?? 'unlinked'} hover>
+                    <TableCell>
+                      {facility.id ? (
+                        <Button size="small" onClick={() => handlePickFacility(facility)} sx={{ textTransform: 'none', p: 0 }}>
+                          {facility.name}
+                        </Button>
+                      ) : (
+                        <Typography variant="body2" color="text.secondary">Not in directory</Typography>
+                      )}
+                    </TableCell>
+                    {analytics.months.map(m => (
+                      <TableCell key={m} align="right">{facility.months[m]?.visits || ''}</TableCell>
+                    ))}
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>{facility.visits}</TableCell>
+                    <TableCell align="right">{formatNaira(facility.amount)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Statement */}
+      <Paper sx={{ p: 2 }}>
+        <Typography variant="h6" gutterBottom>Monthly Referrer Statement</Typography>
+        <Grid container spacing={2} alignItems="center">
+          <Grid size={{ xs: 12, sm: 3 }}>
+            <TextField select fullWidth size="small" label="Referrer" value={kind}
+              onChange={(e) => { setKind(e.target.value); setReferrer(null); setStatement(null); }}>
+              <MenuItem value="facility">Facility</MenuItem>
+              <MenuItem value="doctor">Doctor</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <Autocomplete
+              size="small"
+              options={referrerOptions}
+              value={referrer}
+              onChange={(e, value) => { setReferrer(value); setStatement(null); }}
+              isOptionEqualToValue={(option, value) => option.id === value.id}
+              getOptionLabel={referrerLabel}
+              renderInput={(params) => <TextField {...params} label={kind === 'facility' ? 'Facility' : 'Doctor'} />}
+            />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 2 }}>
+            <TextField fullWidth size="small" type="month" label="Month" value={month} InputLabelProps={{ shrink: true }}
+              onChange={(e) => { setMonth(e.target.value); setStatement(null); }} />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 3 }}>
+            <Button variant="contained" onClick={handleViewStatement} disabled={!referrer || !month || loadingStatement}>
+              {loadingStatement ? <CircularProgress size={20} /> : 'View Statement'}
+            </Button>
+          </Grid>
+        </Grid>
+
+        {statement && (
+          <Box sx={{ mt: 3 }}>
+            <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+              <Typography variant="subtitle1" sx={{ flexGrow: 1, fontWeight: 'bold' }}>
+                {referrerLabel(statement.referrer)} — {statement.period.month}: {statement.totals.visits} patient(s),
+                {' '}{statement.totals.examinations} examination(s), {formatNaira(statement.totals.amount)}
+                {' '}({formatNaira(statement.totals.paid_amount)} paid)
+              </Typography>
+              <Button variant="outlined" startIcon={<PictureAsPdfIcon />} onClick={() => handleDownload('pdf')}>PDF</Button>
+              <Button variant="outlined" startIcon={<FileDownloadIcon />} onClick={() => handleDownload('excel')}>Excel</Button>
+            </Stack>
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Date</TableCell>
+                    <TableCell>MRI Code</TableCell>
+                    <TableCell>Patient</TableCell>
+                    <TableCell>{kind === 'facility' ? 'Doctor' : 'Facility'}</TableCell>
+                    <TableCell>Examinations</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                    <TableCell>Payment</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {statement.visits.length === 0 ? (
+                    <TableRow><TableCell colSpan={7} align="center">No referrals in this month.</TableCell></TableRow>
+                  ) : statement.visits.map(visit => (
+                    <TableRow key={visit.id}>
+                      <TableCell>{new Date(visit.mri_date_time).toLocaleDateString()}</TableCell>
+                      <TableCell>{visit.mri_code}</TableCell>
+                      <TableCell>{visit.patient_name} ({visit.hospital_number})</TableCell>
+                      <TableCell>{kind === 'facility' ? visit.referring_doctor : visit.referral_hospital}</TableCell>
+                      <TableCell>{visit.examinations.map(exam => exam.name).join(', ')}</TableCell>
+                      <TableCell align="right">{formatNaira(visit.total_amount)}</TableCell>
+                      <TableCell>{visit.payment_status}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Box>
+        )}
+      </Paper>
+    </Box>
+  );
+}
+
+export default ReferralStatementsPage;
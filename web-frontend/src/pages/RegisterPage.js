@@ -1,7 +1,8 @@
 // web-frontend/src/pages/RegisterPage.js
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import companyLogo from '../assets/company_logo.png';
+import { describePasswordPolicy } from '../utils/passwordPolicy';
 
 // Material-UI components
 import {
@@ -26,9 +27,45 @@ function RegisterPage() {
     full_name: '',
   });
   const [error, setError] = useState('');
-  const [success, setSuccess] = useState(false);
+  const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Invitation links look like #/register?invite=K7QP-M2XD-9RWA
+  const [inviteCode, setInviteCode] = useState(searchParams.get('invite') || '');
+  const [invitation, setInvitation] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    fetch(`${process.env.REACT_APP_API_URL}/api/auth/password-policy`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(setPolicy)
+      .catch(err => console.error('Error fetching password policy:', err));
+  }, []);
+
+  // Look the invitation up once a complete code has been entered
+  useEffect(() => {
+    setInvitation(null);
+    setInviteError('');
+    if (inviteCode.replace(/[^A-Za-z0-9]/g, '').length !== 12) return;
+
+    fetch(`${process.env.REACT_APP_API_URL}/api/invitations/${encodeURIComponent(inviteCode.trim())}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (response.ok) {
+          setInvitation(data);
+          setFormData(prev => ({
+            ...prev,
+            email: data.email,
+            full_name: prev.full_name || data.full_name || '',
+          }));
+        } else {
+          setInviteError(data.message || 'Invitation not found.');
+        }
+      })
+      .catch(err => console.error('Error fetching invitation:', err));
+  }, [inviteCode]);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -37,7 +74,7 @@ function RegisterPage() {
   const handleSubmit = async (event) => {
     event.preventDefault();
     setError('');
-    setSuccess(false);
+    setSuccess('');
     setLoading(true);
 
     const { username, password, confirmPassword, email, full_name, phone_number } = formData;
@@ -53,8 +90,8 @@ function RegisterPage() {
       setLoading(false);
       return;
     }
-    if (password.length < 6) { // Basic password strength
-      setError('Password must be at least 6 characters long.');
+    if (inviteCode && !invitation) {
+      setError(inviteError || 'Please enter a valid invitation code, or clear the field to register without one.');
       setLoading(false);
       return;
     }
@@ -68,13 +105,16 @@ function RegisterPage() {
           'Content-Type': 'application/json',
         },
         // Do NOT send confirmPassword to backend
-        body: JSON.stringify({ username, password, email, phone_number, full_name }),
+        body: JSON.stringify({
+          username, password, email, phone_number, full_name,
+          invite_code: invitation ? inviteCode.trim() : undefined,
+        }),
       });
 
       const data = await response.json();
 
       if (response.ok) {
-        setSuccess(true);
+        setSuccess(data.message);
         setError('');
         // Clear form
         setFormData({
@@ -117,10 +157,12 @@ function RegisterPage() {
                 }}
             />
         <Typography component="h1" variant="h5">
-          Register Medical Staff
+          {invitation ? 'Create Your Account' : 'Register Medical Staff'}
         </Typography>
         <Typography variant="body2" color="text.secondary" sx={{ mt: 1, mb: 2 }}>
-          Your account requires admin verification.
+          {invitation
+            ? `You have been invited as ${invitation.role_label}. Your account is ready to use as soon as you register.`
+            : 'Your account requires admin verification.'}
         </Typography>
 
         {error && (
@@ -130,11 +172,22 @@ function RegisterPage() {
         )}
         {success && (
           <Alert severity="success" sx={{ mt: 2, width: '100%' }}>
-            Registration successful! Awaiting admin verification. Redirecting to login...
+            {success} Redirecting to login...
           </Alert>
         )}
 
         <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 1, width: '100%' }}>
+          <TextField
+            margin="normal"
+            fullWidth
+            id="invite_code"
+            label="Invitation Code (Optional)"
+            name="invite_code"
+            value={inviteCode}
+            onChange={(e) => setInviteCode(e.target.value)}
+            error={!!inviteError}
+            helperText={inviteError || (invitation ? `Invitation for ${invitation.email}` : 'Only needed if an administrator invited you.')}
+          />
           <TextField
             margin="normal"
             required
@@ -169,6 +222,7 @@ function RegisterPage() {
             type="email"
             value={formData.email}
             onChange={handleChange}
+            disabled={!!invitation}
           />
           <TextField
             margin="normal"
@@ -192,6 +246,7 @@ function RegisterPage() {
             autoComplete="new-password"
             value={formData.password}
             onChange={handleChange}
+            helperText={describePasswordPolicy(policy)}
           />
           <TextField
             margin="normal"
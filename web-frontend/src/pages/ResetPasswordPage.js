@@ -0,0 +1,186 @@
+// web-frontend/src/pages/ResetPasswordPage.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import companyLogo from '../assets/company_logo.png';
+import { describePasswordPolicy } from '../utils/passwordPolicy';
+// Material-UI components
+import {
+  Container,
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Link,
+  Alert,
+} from '@mui/material';
+
+// Same glass styling as the login form
+const glassFieldSx = {
+  '& .MuiOutlinedInput-root': {
+    '& fieldset': { borderColor: 'rgba(200, 200, 255, 0.4)' },
+    '&:hover fieldset': { borderColor: 'rgba(200, 200, 255, 0.6)' },
+    '&.Mui-focused fieldset': { borderColor: 'white' },
+    color: 'white',
+  },
+  '& .MuiInputLabel-root': { color: 'rgba(200, 200, 255, 0.7)' },
+  '& .MuiInputLabel-root.Mui-focused': { color: 'white' },
+  '& .MuiInputBase-input': { color: 'white' },
+};
+
+function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const [resetToken, setResetToken] = useState(searchParams.get('token') || '');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [policy, setPolicy] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetch(`${process.env.REACT_APP_API_URL}/api/auth/password-policy`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(setPolicy)
+      .catch(err => console.error('Error fetching password policy:', err));
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token: resetToken, new_password: newPassword }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSuccess(data.message);
+        setTimeout(() => navigate('/login'), 2000);
+      } else {
+        setError(data.message || 'Password reset failed. Please try again.');
+      }
+    } catch (err) {
+      console.error('Password reset request failed:', err);
+      setError('Network error or server unavailable. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs" sx={{ height: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <Box
+        sx={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          p: 4,
+          backgroundColor: 'rgba(0, 0, 40, 0.3)',
+          backdropFilter: 'blur(12px) saturate(150%)',
+          WebkitBackdropFilter: 'blur(12px) saturate(150%)',
+          border: '1px solid rgba(100, 100, 255, 0.2)',
+          boxShadow: '0 8px 40px 0 rgba(0, 0, 0, 0.4)',
+          borderRadius: '16px',
+          color: 'white',
+        }}
+      >
+        <img
+          src={companyLogo}
+          alt="Company Logo"
+          style={{ width: '100px', height: 'auto', marginBottom: '20px' }}
+        />
+        <Typography component="h1" variant="h5" sx={{ mb: 1, color: 'white' }}>
+          Reset your password
+        </Typography>
+        {policy && (
+          <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)', textAlign: 'center' }}>
+            {describePasswordPolicy(policy)}
+          </Typography>
+        )}
+        <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 1 }}>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            id="resetToken"
+            label="Reset Code"
+            name="resetToken"
+            value={resetToken}
+            onChange={(e) => setResetToken(e.target.value)}
+            sx={glassFieldSx}
+          />
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            name="newPassword"
+            label="New Password"
+            type="password"
+            id="newPassword"
+            autoComplete="new-password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            sx={glassFieldSx}
+          />
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            name="confirmPassword"
+            label="Confirm New Password"
+            type="password"
+            id="confirmPassword"
+            autoComplete="new-password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            sx={glassFieldSx}
+          />
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {success && (
+            <Alert severity="success" sx={{ mt: 2 }}>
+              {success}
+            </Alert>
+          )}
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            sx={{ mt: 3, mb: 2,
+                backgroundColor: 'rgba(0, 0, 80, 0.4)',
+                color: 'white',
+                '&:hover': {
+                    backgroundColor: 'rgba(0, 0, 80, 0.6)',
+                }
+            }}
+            disabled={loading || !!success}
+          >
+            {loading ? 'Resetting...' : 'Set New Password'}
+          </Button>
+          <Link onClick={() => navigate('/login')}
+              sx={{ color: 'rgba(255, 255, 255, 0.7)', '&:hover': { color: 'white' } }}>
+              Back to login
+          </Link>
+        </Box>
+      </Box>
+    </Container>
+  );
+}
+
+export default ResetPasswordPage;
@@ -96,7 +96,12 @@ function ResultManagementPage() {
 };
 
 const handleDeleteResult = async (resultId) => {
-  if (!window.confirm('Are you sure you want to delete this result?')) return;
+  const reason = window.prompt('Why is this result being deleted? It will move to the recycle bin.');
+  if (reason === null) return;
+  if (!reason.trim()) {
+    setError('A reason is required to delete a result.');
+    return;
+  }
 
   try {
     const response = await fetch(`https://g2g-mri-erp-bfw57.ondigitalocean.app/api/results/${resultId}`, {
@@ -105,12 +110,13 @@ const handleDeleteResult = async (resultId) => {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`,
       },
+      body: JSON.stringify({ reason }),
     });
 
     const data = await response.json();
 
     if (response.ok) {
-      setSuccess('Result deleted successfully.');
+      setSuccess(data.message);
       // Refresh results list after deletion
       fetchPatientAndResults(); 
     } else {
@@ -163,7 +169,7 @@ const handleDeleteResult = async (resultId) => {
       if (dialogAction === 'status') {
         const response = await axios.patch(`${API_BASE_URL}/api/patients/results/${selectedResult.file_id}/status`, // Corrected
           { status: newStatus },
-          { headers: { Authorization: `Bearer ${token}` } }
+          { headers: { Authorization: `Bearer ${token}`, 'If-Match': `"${selectedResult.version}"` } }
         );
         alert('Result status updated successfully!');
         setResults(prevResults => prevResults.map(res =>
@@ -180,7 +186,7 @@ const handleDeleteResult = async (resultId) => {
             recipient_relationship: recipientRelationship, // <<-- ADD THIS
             recipient_email: recipientEmail // <<-- ADD THIS
           },
-          { headers: { Authorization: `Bearer ${token}` } }
+          { headers: { Authorization: `Bearer ${token}`, 'If-Match': `"${selectedResult.version}"` } }
         );
         alert('Result marked as issued successfully!');
         setResults(prevResults => prevResults.map(res =>
@@ -189,6 +195,14 @@ const handleDeleteResult = async (resultId) => {
       }
       handleCloseConfirmDialog();
     } catch (err) {
+      if (err.response?.status === 409 && err.response.data.current) {
+        // Changed by someone else since this list loaded: show the saved state instead of overwriting it
+        const current = err.response.data.current;
+        setResults(prevResults => prevResults.map(res => (res.file_id === current.file_id ? current : res)));
+        handleCloseConfirmDialog();
+        alert(`${err.response.data.message} The result now shows its current status ("${current.result_status}"). Check it and try again if needed.`);
+        return;
+      }
       console.error(`Error ${dialogAction}ing result:`, err);
       alert(`Failed to ${dialogAction} result: ${err.response?.data?.message || err.message}`);
     }
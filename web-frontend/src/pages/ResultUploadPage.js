@@ -1,8 +1,8 @@
 // web-frontend/src/pages/ResultsUploadPage.js
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   Box, Typography, TextField, Button, CircularProgress, Alert,
-  FormControl, InputLabel, Select, MenuItem, FormHelperText,
+  FormControl, FormHelperText,
   Paper // Added Paper for consistent styling
 } from '@mui/material';
 import CloudUploadIcon from '@mui/icons-material/CloudUpload';
@@ -14,6 +14,7 @@ import { Stack, IconButton } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 
 import Layout from '../components/Layout'; // Assuming Layout wraps the page
+import VisitPicker from '../components/VisitPicker';
 
 const VisuallyHiddenInput = styled('input')({
   clip: 'rect(0 0 0 0)',
@@ -31,38 +32,13 @@ function ResultsUploadPage() {
   const { token, user } = useAuth(); // Ensure user is available for initial check
   const navigate = useNavigate();
 
-  const [patients, setPatients] = useState([]);
-  const [selectedPatientId, setSelectedPatientId] = useState('');
+  const [selectedVisit, setSelectedVisit] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
   const [remarks, setRemarks] = useState('');
   const [loading, setLoading] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [errorMessage, setErrorMessage] = useState('');
-
-  // Fetch list of patients for the dropdown
-  useEffect(() => {
-    const fetchPatients = async () => {
-      if (!token) {
-        setErrorMessage('Authentication token missing. Please log in.');
-        return;
-      }
-      try {
-        setLoading(true); // Set loading for patient list fetch
-        const response = await axios.get('https://g2g-mri-erp-bfw57.ondigitalocean.app/api/patients', {
-          headers: { Authorization: `Bearer ${token}` }
-        });
-        setPatients(response.data);
-      } catch (error) {
-        console.error('Error fetching patients:', error);
-        setErrorMessage(error.response?.data?.message || 'Failed to fetch patients for dropdown.');
-      } finally {
-        setLoading(false); // Stop loading after patient list fetch
-      }
-    };
-    if (user && token) { // Only fetch if user and token are present
-        fetchPatients();
-    }
-  }, [token, user]); // Add user to dependencies
+  const selectedPatientId = selectedVisit?.id || '';
 
   const handleFileChange = (event) => {
     const file = event.target.files[0];
@@ -131,7 +107,7 @@ function ResultsUploadPage() {
       );
       setSuccessMessage(response.data.message);
       setSelectedFile(null); // Clear file input
-      setSelectedPatientId(''); // Clear patient selection after successful upload
+      setSelectedVisit(null); // Clear patient selection after successful upload
       setRemarks(''); // Clear remarks
       // Optionally navigate to results management page for the patient after successful upload
       // navigate(`/patients/${selectedPatientId}/results/manage`);
@@ -170,30 +146,13 @@ function ResultsUploadPage() {
             <form onSubmit={handleSubmit}>
                 {/* Select Patient Dropdown */}
                 <FormControl fullWidth margin="normal" error={!selectedPatientId && !!errorMessage}>
-                    <InputLabel id="patient-select-label">Select Patient</InputLabel>
-                    <Select
-                        labelId="patient-select-label"
-                        id="patient-select"
-                        value={selectedPatientId}
+                    <VisitPicker
                         label="Select Patient"
-                        onChange={(e) => setSelectedPatientId(e.target.value)}
-                        disabled={loading || patients.length === 0}
-                    >
-                        {loading && patients.length === 0 ? (
-                            <MenuItem value="" disabled>Loading patients...</MenuItem>
-                        ) : patients.length === 0 ? (
-                            <MenuItem value="" disabled>No patients available</MenuItem>
-                        ) : (
-                            <MenuItem value="">
-                                <em>None Selected</em>
-                            </MenuItem>
-                        )}
-                        {patients.map((patient) => (
-                            <MenuItem key={patient.id} value={patient.id}>
-                                {patient.patient_name} (ID: {patient.id}) - MRI Code: {patient.mri_code || 'N/A'}
-                            </MenuItem>
-                        ))}
-                    </Select>
+                        value={selectedVisit}
+                        onChange={setSelectedVisit}
+                        token={token}
+                        disabled={loading}
+                    />
                     {!selectedPatientId && !!errorMessage && errorMessage.includes('patient') && (
                         <FormHelperText>Please select a patient.</FormHelperText>
                     )}
@@ -7,7 +7,6 @@ import {
   Box,
   Typography,
   Paper,
-  Avatar,
   Grid,
   List,
   ListItem,
@@ -27,6 +26,11 @@ import CalendarMonthIcon from '@mui/icons-material/CalendarMonth'; // For create
 import { useNavigate } from 'react-router-dom'; // Import useNavigate
 import { Stack, IconButton } from '@mui/material'; // Import Stack and IconButton
 import ArrowBackIcon from '@mui/icons-material/ArrowBack'; // Import the icon
+import ActiveSessions from '../components/ActiveSessions';
+import ChangePassword from '../components/ChangePassword';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import EditProfile from '../components/EditProfile';
+import ProfilePhoto from '../components/ProfilePhoto';
 function UserProfilePage() {
   const { user } = useAuth(); // Get the logged-in user details from AuthContext
   const navigate = useNavigate(); // Initialize useNavigate for navigation
@@ -42,9 +46,7 @@ function UserProfilePage() {
     <Container component="main" maxWidth="md" sx={{ p: 3 }}> {/* ADD p:3 here for page-level padding */}
       <Paper elevation={3} sx={{ p: 4, mt: 4, borderRadius: 2 }}>
         <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mb: 3 }}>
-          <Avatar sx={{ width: 100, height: 100, bgcolor: 'primary.main', mb: 2 }}>
-            <PersonIcon sx={{ fontSize: 60 }} />
-          </Avatar>
+          <ProfilePhoto />
           <Stack direction="row" alignItems="center" spacing={1} sx={{mb: 2}}>
                     <IconButton onClick={() => navigate(-1)}>
                         <ArrowBackIcon />
@@ -109,17 +111,28 @@ function UserProfilePage() {
                 <ListItemIcon>
                   <CalendarMonthIcon />
                 </ListItemIcon>
-                <ListItemText primary="Member Since" secondary={new Date(user.created_at).toLocaleDateString()} />
+                <ListItemText primary="Member Since" secondary={user.created_at ? new Date(user.created_at).toLocaleDateString() : 'N/A'} />
               </ListItem>
             </List>
           </Grid>
         </Grid>
 
-        {/* <Box sx={{ mt: 4, display: 'flex', justifyContent: 'center' }}>
-          <Typography variant="body2" color="text.secondary">
-            (Edit profile options will be added here.)
-          </Typography>
-        </Box> */}
+        <Divider sx={{ my: 3 }} />
+
+        <EditProfile />
+
+        <Divider sx={{ my: 3 }} />
+
+        <ChangePassword />
+
+        <Divider sx={{ my: 3 }} />
+
+        <TwoFactorSettings />
+
+        <Divider sx={{ my: 3 }} />
+
+        {/* Devices currently signed in to this account */}
+        <ActiveSessions />
       </Paper>
     </Container>
   );
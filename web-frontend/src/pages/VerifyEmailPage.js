@@ -0,0 +1,96 @@
+// web-frontend/src/pages/VerifyEmailPage.js
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import companyLogo from '../assets/company_logo.png';
+// Material-UI components
+import {
+  Container,
+  Box,
+  Button,
+  Typography,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+
+function VerifyEmailPage() {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying'); // 'verifying' | 'success' | 'error'
+  const [message, setMessage] = useState('');
+  const navigate = useNavigate();
+  const verificationToken = searchParams.get('token');
+  const submitted = useRef(false); // Tokens are single-use, so only ever submit once
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+    if (!verificationToken) {
+      setStatus('error');
+      setMessage('This confirmation link is incomplete.');
+      return;
+    }
+
+    fetch(`${process.env.REACT_APP_API_URL}/api/auth/verify-email`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: verificationToken }),
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        setStatus(response.ok ? 'success' : 'error');
+        setMessage(data.message);
+        if (response.ok && isAuthenticated) refreshUser();
+      })
+      .catch((err) => {
+        console.error('Email verification request failed:', err);
+        setStatus('error');
+        setMessage('Network error or server unavailable. Please try again.');
+      });
+  }, [verificationToken, isAuthenticated, refreshUser]);
+
+  return (
+    <Container component="main" maxWidth="xs" sx={{ height: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <Box
+        sx={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          p: 4,
+          backgroundColor: 'rgba(0, 0, 40, 0.3)',
+          backdropFilter: 'blur(12px) saturate(150%)',
+          WebkitBackdropFilter: 'blur(12px) saturate(150%)',
+          border: '1px solid rgba(100, 100, 255, 0.2)',
+          boxShadow: '0 8px 40px 0 rgba(0, 0, 0, 0.4)',
+          borderRadius: '16px',
+          color: 'white',
+        }}
+      >
+        <img
+          src={companyLogo}
+          alt="Company Logo"
+          style={{ width: '100px', height: 'auto', marginBottom: '20px' }}
+        />
+        <Typography component="h1" variant="h5" sx={{ mb: 2, color: 'white' }}>
+          Email confirmation
+        </Typography>
+        {status === 'verifying' ? (
+          <CircularProgress />
+        ) : (
+          <Alert severity={status === 'success' ? 'success' : 'error'} sx={{ width: '100%' }}>
+            {message}
+          </Alert>
+        )}
+        <Button
+          variant="contained"
+          sx={{ mt: 3, backgroundColor: 'rgba(0, 0, 80, 0.4)', color: 'white', '&:hover': { backgroundColor: 'rgba(0, 0, 80, 0.6)' } }}
+          onClick={() => navigate(isAuthenticated ? '/profile' : '/login')}
+        >
+          {isAuthenticated ? 'Back to profile' : 'Go to login'}
+        </Button>
+      </Box>
+    </Container>
+  );
+}
+
+export default VerifyEmailPage;
@@ -0,0 +1,12 @@
+// web-frontend/src/utils/passwordPolicy.js
+
+// Turns the policy served by /api/auth/password-policy into a one-line hint
+export const describePasswordPolicy = (policy) => {
+  if (!policy) return '';
+  const rules = [`at least ${policy.minLength} characters`];
+  if (policy.requireUppercase) rules.push('an uppercase letter');
+  if (policy.requireLowercase) rules.push('a lowercase letter');
+  if (policy.requireNumber) rules.push('a number');
+  if (policy.requireSymbol) rules.push('a symbol');
+  return `Use ${rules.join(', ')}.`;
+};
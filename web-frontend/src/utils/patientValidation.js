@@ -0,0 +1,115 @@
+// web-frontend/src/utils/patientValidation.js
+// Applies the patient rules served by /api/patients/validation-schema, so
+// forms show the same per-field messages the server returns. The checks
+// mirror backend/utils/patientValidation.js.
+import { useState, useEffect } from 'react';
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const toMoney = (value) => Number(String(value).replace(/[₦,\s]/g, ''));
+
+// Message for one value, or null when it passes
+export const validateValue = (rule, value) => {
+  if (!rule) return null;
+  if (isBlank(value)) return rule.required ? `${rule.label} is required.` : null;
+
+  switch (rule.type) {
+    case 'string': {
+      const text = String(value).trim();
+      if (rule.minLength && text.length < rule.minLength) return `${rule.label} must be at least ${rule.minLength} characters.`;
+      if (rule.maxLength && text.length > rule.maxLength) return `${rule.label} must be at most ${rule.maxLength} characters.`;
+      if (rule.pattern && !new RegExp(rule.pattern).test(text)) return rule.patternMessage || `${rule.label} is not valid.`;
+      return null;
+    }
+    case 'enum':
+      return rule.values.includes(value) ? null : `${rule.label} must be one of: ${rule.values.join(', ')}.`;
+    case 'integer':
+    case 'number':
+    case 'money': {
+      const number = rule.type === 'money' ? toMoney(value) : Number(value);
+      if (!Number.isFinite(number)) return `${rule.label} must be a number.`;
+      if (rule.type === 'integer' && !Number.isInteger(number)) return `${rule.label} must be a whole number.`;
+      if (rule.min !== undefined && number < rule.min) {
+        return rule.min === 0 ? `${rule.label} cannot be negative.` : `${rule.label} must be at least ${rule.min}.`;
+      }
+      if (rule.max !== undefined && number > rule.max) return `${rule.label} must be at most ${rule.max}.`;
+      return null;
+    }
+    case 'date': {
+      // "YYYY-MM-DD"; compared as strings, which sort like dates
+      const text = String(value).trim();
+      const date = new Date(`${text}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+        return `${rule.label} must be a valid date.`;
+      }
+      if (rule.notFuture && text > new Date().toISOString().slice(0, 10)) return `${rule.label} cannot be in the future.`;
+      if (rule.earliest && text < rule.earliest) return `${rule.label} is too far in the past.`;
+      return null;
+    }
+    case 'array':
+      if (!Array.isArray(value)) return `${rule.label} must be a list.`;
+      if (rule.minItems && value.length < rule.minItems) return `Add at least ${rule.minItems} ${rule.label.toLowerCase()}.`;
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Applies requiredWithout / requiredWith, which depend on another field
+const effectiveRule = (rule, record) => {
+  if (rule.requiredWithout && isBlank(record?.[rule.requiredWithout])) return { ...rule, required: true };
+  if (rule.requiredWith && !isBlank(record?.[rule.requiredWith])) return { ...rule, required: true };
+  return rule;
+};
+
+// Whole years from a "YYYY-MM-DD" date of birth to `onDate` (default today),
+// or null; mirrors ageOnDate in backend/utils/demographics.js
+export const ageOnDate = (dateOfBirth, onDate = new Date()) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateOfBirth || '');
+  const on = new Date(onDate);
+  if (!match || Number.isNaN(on.getTime())) return null;
+  let age = on.getFullYear() - Number(match[1]);
+  const month = on.getMonth() + 1;
+  if (month < Number(match[2]) || (month === Number(match[2]) && on.getDate() < Number(match[3]))) age -= 1;
+  return age >= 0 ? age : null;
+};
+
+// { field: message }, with array items keyed like "examinations.0.amount"
+export const validateRecord = (schema, record) => {
+  const errors = {};
+  if (!schema) return errors;
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = record?.[field];
+    const message = validateValue(effectiveRule(rule, record), value);
+    if (message) {
+      errors[field] = message;
+      return;
+    }
+    if (rule.type === 'array' && rule.items && Array.isArray(value)) {
+      value.forEach((item, index) => {
+        Object.entries(validateRecord(rule.items, item)).forEach(([key, itemMessage]) => {
+          errors[`${field}.${index}.${key}`] = itemMessage;
+        });
+      });
+    }
+  });
+  return errors;
+};
+
+// Loads the rules once per page; null until they arrive (the server still validates)
+export const usePatientValidationSchema = (token) => {
+  const [schema, setSchema] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+    fetch(`${process.env.REACT_APP_API_URL}/api/patients/validation-schema`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => { if (data) setSchema(data); })
+      .catch(err => console.error('Error loading patient validation rules:', err));
+  }, [token]);
+
+  return schema;
+};
@@ -4,6 +4,8 @@ import { io } from 'socket.io-client';
 // This creates a single Socket.IO client instance for the entire frontend application.
 const socket = io('https://g2g-mri-erp-bfw57.ondigitalocean.app', { // Connects to backend on port 5001
   autoConnect: false, // Prevents auto-connection; we will connect manually when user logs in
+  // Read on every (re)connect so the handshake always carries the latest access token
+  auth: (cb) => cb({ token: localStorage.getItem('token') }),
 });
 
 export default socket;
\ No newline at end of file